@@ -0,0 +1,231 @@
+/**
+ * Named account profiles, so the same analysis and rules can run against
+ * several mailboxes (say a personal and a work account).
+ *
+ * Profiles live in accounts.json in the project root:
+ *
+ *   {
+ *     "accounts": {
+ *       "personal": {
+ *         "email": "me@gmail.com",
+ *         "vipEmails": ["mom@family.com"],
+ *         "protectedSenders": ["myhealthonline@sutterhealth.org"],
+ *         "protectedKeywords": ["appointment", "flight"]
+ *       },
+ *       "work": {
+ *         "email": "me@company.com",
+ *         "vipEmails": ["boss@company.com"],
+ *         "env": { "RULES_FILE": "./rules.work.json" }
+ *       }
+ *     }
+ *   }
+ *
+ * A script picks a profile with `--account <name>` (or ACCOUNT=<name>). The
+ * profile's settings replace the matching .env values, and everything the
+ * tool saves for that mailbox - OAuth token, checkpoints, plan, journal,
+ * classifier model, analysis results - goes to accounts/<name>/ instead of
+ * the project root. Without an account everything works as before.
+ *
+ * This module reads process.argv when it is imported and removes the
+ * `--account <name>` and `--config <file>` pairs, so scripts see only their
+ * own arguments. Modules that build state file paths import it, which makes
+ * sure it runs first. It loads the settings itself beforehand - the --config
+ * file instead of .env when one is given - so ACCOUNT=<name> there picks the
+ * profile even though the scripts' own dotenv.config() runs later.
+ *
+ * STATE_DIR moves everything saved (accounts/ included) out of the project
+ * root, e.g. so tests never touch a real token or journal.
+ */
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { EXIT_USAGE } from './cliOptions.js';
+
+// Take `--<flag> <value>` or `--<flag>=<value>` out of argv
+function takeArg(argv, flag, what) {
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('--')) {
+        throw new Error(`${flag} needs ${what}`);
+      }
+      argv.splice(i, 2);
+      return value;
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      const value = argv[i].slice(flag.length + 1);
+      argv.splice(i, 1);
+      return value;
+    }
+  }
+  return null;
+}
+
+// Values already in the environment win over the settings file, and the profile over both
+function loadSettings() {
+  const configFile = takeArg(process.argv, '--config', 'a file name');
+  if (!configFile) {
+    dotenv.config();
+    return;
+  }
+  const result = dotenv.config({ path: path.resolve(configFile) });
+  if (result.error) {
+    throw new Error(`Could not read config file ${configFile}: ${result.error.message}`);
+  }
+}
+
+try {
+  loadSettings();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(EXIT_USAGE);
+}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+const STATE_DIR = process.env.STATE_DIR ? path.resolve(process.env.STATE_DIR) : ROOT_DIR;
+
+export const ACCOUNTS_FILE = path.join(ROOT_DIR, 'accounts.json');
+export const ACCOUNTS_DIR = path.join(STATE_DIR, 'accounts');
+
+// Profile keys that stand in for .env settings; lists may be arrays
+const PROFILE_ENV = {
+  email: 'GMAIL_USER',
+  vipEmails: 'VIP_EMAILS',
+  protectedSenders: 'PROTECTED_SENDERS',
+  protectedKeywords: 'PROTECTED_KEYWORDS'
+};
+
+/**
+ * Read accounts.json
+ * @returns {Object<string, Object>} profiles by name; empty if there is no file
+ */
+export function loadAccounts(filePath = ACCOUNTS_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Could not read ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  const accounts = data.accounts || {};
+  for (const name of Object.keys(accounts)) {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid account name "${name}" in ${path.basename(filePath)} (use letters, digits, - and _)`);
+    }
+  }
+  return accounts;
+}
+
+export function listAccountNames() {
+  return Object.keys(loadAccounts());
+}
+
+function applyProfile(profile) {
+  for (const [key, envName] of Object.entries(PROFILE_ENV)) {
+    if (profile[key] === undefined) continue;
+    process.env[envName] = Array.isArray(profile[key]) ? profile[key].join(',') : String(profile[key]);
+  }
+  for (const [envName, value] of Object.entries(profile.env || {})) {
+    process.env[envName] = String(value);
+  }
+}
+
+function selectAccount() {
+  const name = takeArg(process.argv, '--account', 'an account name') || process.env.ACCOUNT || null;
+  if (!name) return null;
+
+  const accounts = loadAccounts();
+  if (!accounts[name]) {
+    const known = Object.keys(accounts);
+    throw new Error(known.length > 0
+      ? `Unknown account "${name}" (accounts.json has: ${known.join(', ')})`
+      : `Unknown account "${name}" - no profiles found in accounts.json`);
+  }
+
+  applyProfile(accounts[name]);
+  // Child processes (e.g. run-all) inherit the selection
+  process.env.ACCOUNT = name;
+  fs.mkdirSync(path.join(ACCOUNTS_DIR, name), { recursive: true });
+  return { name, ...accounts[name] };
+}
+
+let activeAccount;
+try {
+  activeAccount = selectAccount();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * The selected profile ({ name, email, ... }), or null when running without one
+ */
+export function getActiveAccount() {
+  return activeAccount;
+}
+
+/**
+ * Where to keep a state file for the active account: accounts/<name>/<file>,
+ * or the project root (or STATE_DIR) when no account is selected
+ */
+export function statePath(fileName) {
+  return activeAccount
+    ? path.join(ACCOUNTS_DIR, activeAccount.name, fileName)
+    : path.join(STATE_DIR, fileName);
+}
+
+/**
+ * OAuth client file: the profile's "credentials" path if set, otherwise the
+ * shared credentials.json in the project root
+ */
+export function credentialsPath() {
+  return activeAccount?.credentials
+    ? path.resolve(ROOT_DIR, activeAccount.credentials)
+    : path.join(ROOT_DIR, 'credentials.json');
+}
+
+/**
+ * Run a command once per account profile, each in its own process so every
+ * account gets its own state, and print a summary
+ * @param {string} label - What is being run, for the summary
+ * @param {string[]} args - Node arguments for the child (script path first)
+ * @param {string[]} accounts - Profile names
+ * @returns {Promise<number>} exit code: 0 if every account succeeded
+ */
+export async function runAcrossAccounts(label, args, accounts) {
+  if (accounts.length === 0) {
+    console.error(chalk.red('❌ No account profiles found in accounts.json'));
+    return 1;
+  }
+
+  const results = [];
+  for (const account of accounts) {
+    console.log('\n' + chalk.bold.magenta(`━━━ Account: ${account} ━━━`));
+    const code = await new Promise(resolve => {
+      const child = spawn(process.execPath, args, {
+        cwd: ROOT_DIR,
+        env: { ...process.env, ACCOUNT: account },
+        stdio: 'inherit'
+      });
+      child.on('error', error => {
+        console.error(chalk.red(`Could not start ${account}: ${error.message}`));
+        resolve(1);
+      });
+      child.on('close', exitCode => resolve(exitCode ?? 1));
+    });
+    results.push({ account, code });
+  }
+
+  console.log('\n' + chalk.bold.cyan(`${label} across ${accounts.length} accounts`));
+  console.log(chalk.gray('='.repeat(40)));
+  results.forEach(({ account, code }) => {
+    console.log(code === 0 ? chalk.green(`✅ ${account}`) : chalk.red(`❌ ${account} (exit code ${code})`));
+  });
+
+  return results.every(result => result.code === 0) ? 0 : 1;
+}
@@ -0,0 +1,46 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { listAccountNames, getActiveAccount, runAcrossAccounts } from './accounts.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The node arguments behind an npm script ("continuous" -> ["src/cli.js", "continuous"])
+async function resolveScript(name) {
+  const pkg = JSON.parse(await fs.readFile(path.join(__dirname, '../package.json'), 'utf8'));
+  const command = pkg.scripts?.[name];
+  if (!command) {
+    throw new Error(`Unknown script "${name}" (see package.json)`);
+  }
+
+  const [program, ...args] = command.split(/\s+/);
+  if (program !== 'node' || name === 'all-accounts') {
+    throw new Error(`"${name}" can't be run per account`);
+  }
+  return args;
+}
+
+async function main() {
+  const [scriptName, ...extraArgs] = process.argv.slice(2);
+  if (!scriptName) {
+    console.log(chalk.yellow('Usage: npm run all-accounts -- <script> [args]'));
+    console.log(chalk.gray('Example: npm run all-accounts -- continuous (same as fix-email continuous --all-accounts)'));
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (getActiveAccount()) {
+      throw new Error('all-accounts runs every profile; drop --account');
+    }
+
+    const scriptArgs = await resolveScript(scriptName);
+    process.exitCode = await runAcrossAccounts(scriptName, [...scriptArgs, ...extraArgs], listAccountNames());
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -1,19 +1,24 @@
-import { authorize } from './auth.js';
-import { google } from 'googleapis';
+import { authorize, createGmailClient } from './mailProvider.js';
 import chalk from 'chalk';
 import ora from 'ora';
-import readline from 'readline/promises';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { Journal } from './journal.js';
+import { getMessageCache, saveMessageCache } from './messageCache.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+import { statePath } from './accounts.js';
+import { AUTH_HEADERS, evaluateAuthentication, failsSenderAuthentication } from './emailAuth.js';
+import { getCliOptions, confirm } from './cliOptions.js';
+import { jsonOutput, printJsonReport, messageSummary } from './jsonOutput.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config();
 
 class LikelySpamAnalyzer {
-  constructor(auth) {
-    this.gmail = google.gmail({ version: 'v1', auth });
+  constructor(auth, journal = null) {
+    this.gmail = createGmailClient(auth);
+    this.fetcher = new MetadataFetcher(this.gmail);
+    this.journal = journal || new Journal('spam-rescue');
     this.vipEmails = process.env.VIP_EMAILS ? process.env.VIP_EMAILS.split(',').map(e => e.trim().toLowerCase()) : [];
     this.protectedSenders = process.env.PROTECTED_SENDERS ? process.env.PROTECTED_SENDERS.split(',').map(e => e.trim().toLowerCase()) : [];
     this.stats = {
@@ -52,59 +57,64 @@ class LikelySpamAnalyzer {
       return true;
     }
 
+    // Bank, payroll, healthcare and protected senders must prove they sent it
+    if (failsSenderAuthentication(email, this.protectedSenders)) {
+      return false;
+    }
+
     // Check if protected sender
     if (this.protectedSenders.includes(fromEmail)) {
       return true;
     }
 
-    // Check for legitimate services that shouldn't be in spam
+    // Check for legitimate services that shouldn't be in spam; each domain also covers its subdomains (alertsp.chase.com)
     const legitimatePatterns = [
       // Banking/Financial
-      /@chase\.com$/,
-      /@capitalone\.com$/,
-      /@mercury\.com$/,
-      /@stripe\.com$/,
-      /@paypal\.com$/,
-      /@venmo\.com$/,
-      /@coinbase\.com$/,
-      /@robinhood\.com$/,
+      /[@.]chase\.com$/,
+      /[@.]capitalone\.com$/,
+      /[@.]mercury\.com$/,
+      /[@.]stripe\.com$/,
+      /[@.]paypal\.com$/,
+      /[@.]venmo\.com$/,
+      /[@.]coinbase\.com$/,
+      /[@.]robinhood\.com$/,
       
       // Important services
-      /@apple\.com$/,
-      /@google\.com$/,
-      /@anthropic\.com$/,
-      /@openai\.com$/,
-      /@github\.com$/,
-      /@gitlab\.com$/,
+      /[@.]apple\.com$/,
+      /[@.]google\.com$/,
+      /[@.]anthropic\.com$/,
+      /[@.]openai\.com$/,
+      /[@.]github\.com$/,
+      /[@.]gitlab\.com$/,
       
       // Healthcare
-      /@sutterhealth\.org$/,
+      /[@.]sutterhealth\.org$/,
       /@myhealth/,
-      /@kaiserpermanente\.org$/,
+      /[@.]kaiserpermanente\.org$/,
       
       // Travel
-      /@united\.com$/,
-      /@delta\.com$/,
-      /@southwest\.com$/,
-      /@airbnb\.com$/,
-      /@booking\.com$/,
+      /[@.]united\.com$/,
+      /[@.]delta\.com$/,
+      /[@.]southwest\.com$/,
+      /[@.]airbnb\.com$/,
+      /[@.]booking\.com$/,
       
       // Work/HR
-      /@rippling\.com$/,
-      /@gusto\.com$/,
-      /@adp\.com$/,
+      /[@.]rippling\.com$/,
+      /[@.]gusto\.com$/,
+      /[@.]adp\.com$/,
       
       // Delivery (order confirmations)
-      /@uber\.com$/,
-      /@doordash\.com$/,
-      /@grubhub\.com$/,
-      /@instacart\.com$/,
+      /[@.]uber\.com$/,
+      /[@.]doordash\.com$/,
+      /[@.]grubhub\.com$/,
+      /[@.]instacart\.com$/,
       
       // Utilities
-      /@pge\.com$/,
-      /@comcast\.com$/,
-      /@att\.com$/,
-      /@verizon\.com$/
+      /[@.]pge\.com$/,
+      /[@.]comcast\.com$/,
+      /[@.]att\.com$/,
+      /[@.]verizon\.com$/
     ];
 
     if (legitimatePatterns.some(pattern => pattern.test(fromEmail))) {
@@ -176,63 +186,50 @@ class LikelySpamAnalyzer {
       const senderStats = new Map();
 
       // Analyze each message
-      const batchSize = 20;
-      for (let i = 0; i < messages.length; i += batchSize) {
-        const batch = messages.slice(i, i + batchSize);
-        
-        const analyses = await Promise.all(
-          batch.map(async (msg) => {
-            try {
-              const detail = await this.gmail.users.messages.get({
-                userId: 'me',
-                id: msg.id,
-                format: 'metadata',
-                metadataHeaders: ['From', 'Subject', 'Date']
-              });
-
-              const headers = detail.data.payload.headers.reduce((acc, h) => {
-                acc[h.name.toLowerCase()] = h.value;
-                return acc;
-              }, {});
-
-              const from = headers.from || '';
-              const subject = headers.subject || '';
-              const date = headers.date || '';
-              const fromEmail = this.extractEmail(from).toLowerCase();
-
-              // Count sender frequency
-              senderStats.set(fromEmail, (senderStats.get(fromEmail) || 0) + 1);
-
-              return {
-                id: msg.id,
-                from,
-                fromEmail,
-                subject,
-                date,
-                labels: detail.data.labelIds || []
-              };
-            } catch (err) {
-              return null;
-            }
-          })
-        );
-
-        // Classify each email
-        analyses.filter(a => a).forEach(email => {
-          this.stats.analyzed++;
-          if (this.isLegitimate(email)) {
-            legitimate.push(email);
-            this.stats.legitimate++;
-          } else {
-            suspicious.push(email);
-            this.stats.suspicious++;
-          }
-        });
+      const cache = await getMessageCache(this.gmail);
+      const { messages: fetched } = await this.fetcher.fetchAll(messages.map(msg => msg.id), ['From', 'Subject', 'Date', ...AUTH_HEADERS], {
+        onProgress: (done, total) => { spinner.text = `Analyzed ${done} of ${total} emails`; }
+      });
 
-        spinner.text = `Analyzed ${Math.min(i + batchSize, messages.length)} of ${messages.length} emails`;
-      }
+      // Messages that couldn't be fetched are skipped
+      messages.filter(msg => fetched.has(msg.id)).forEach(msg => {
+        const message = fetched.get(msg.id);
+        const headers = message.payload.headers.reduce((acc, h) => {
+          acc[h.name.toLowerCase()] = h.value;
+          return acc;
+        }, {});
+
+        const from = headers.from || '';
+        const fromEmail = this.extractEmail(from).toLowerCase();
+
+        // Count sender frequency
+        senderStats.set(fromEmail, (senderStats.get(fromEmail) || 0) + 1);
+
+        const email = {
+          id: msg.id,
+          from,
+          fromEmail,
+          subject: headers.subject || '',
+          date: headers.date || '',
+          labels: message.labelIds || [],
+          authentication: evaluateAuthentication(message.payload.headers, fromEmail)
+        };
+
+        // Classify the email
+        this.stats.analyzed++;
+        if (this.isLegitimate(email)) {
+          legitimate.push(email);
+          this.stats.legitimate++;
+          cache.setCategory(email.id, 'legitimate', 'spam-rescue');
+        } else {
+          suspicious.push(email);
+          this.stats.suspicious++;
+          cache.setCategory(email.id, 'spam', 'spam-rescue');
+        }
+      });
 
       spinner.succeed(`Analysis complete: ${this.stats.legitimate} potentially legitimate, ${this.stats.suspicious} confirmed spam`);
+      await saveMessageCache();
       
       return { legitimate, suspicious, senderStats };
     } catch (error) {
@@ -241,6 +238,45 @@ class LikelySpamAnalyzer {
     }
   }
 
+  // Legitimate mail grouped by sender, busiest first
+  groupBySender(emails) {
+    const bySender = {};
+    emails.forEach(email => {
+      if (!bySender[email.fromEmail]) {
+        bySender[email.fromEmail] = [];
+      }
+      bySender[email.fromEmail].push(email);
+    });
+    return Object.entries(bySender).sort((a, b) => b[1].length - a[1].length);
+  }
+
+  // Senders of the mail that stays in spam, busiest first
+  topSpamSenders(legitimate, senderStats) {
+    return Array.from(senderStats.entries())
+      .filter(([sender]) => !legitimate.some(e => e.fromEmail === sender))
+      .sort((a, b) => b[1] - a[1]);
+  }
+
+  // The results displayResults prints, as data for --json
+  getResults(legitimate, suspicious, senderStats) {
+    return {
+      analyzed: this.stats.analyzed,
+      legitimateCount: this.stats.legitimate,
+      spamCount: this.stats.suspicious,
+      legitimate: this.groupBySender(legitimate).map(([sender, emails]) => ({
+        sender,
+        count: emails.length,
+        messages: emails.map(messageSummary)
+      })),
+      possibleSpoofing: suspicious
+        .filter(email => failsSenderAuthentication(email, this.protectedSenders))
+        .map(email => ({ ...messageSummary(email), authentication: email.authentication?.summary || null })),
+      topSpamSenders: this.topSpamSenders(legitimate, senderStats)
+        .slice(0, 15)
+        .map(([email, count]) => ({ email, count }))
+    };
+  }
+
   // Display analysis results
   displayResults(legitimate, suspicious, senderStats) {
     console.log('\n' + chalk.bold.cyan('📊 Likely Spam Analysis Results'));
@@ -254,18 +290,8 @@ class LikelySpamAnalyzer {
       console.log('\n' + chalk.bold.yellow('⚠️  Potentially Legitimate Emails Found:'));
       console.log(chalk.gray('These emails might not belong in spam:\n'));
       
-      // Group by sender
-      const bySender = {};
-      legitimate.forEach(email => {
-        if (!bySender[email.fromEmail]) {
-          bySender[email.fromEmail] = [];
-        }
-        bySender[email.fromEmail].push(email);
-      });
-      
       // Show all legitimate senders
-      Object.entries(bySender)
-        .sort((a, b) => b[1].length - a[1].length)
+      this.groupBySender(legitimate)
         .forEach(([sender, emails]) => {
           console.log(chalk.yellow(`📧 ${sender} (${emails.length} emails)`));
           // Show sample subjects
@@ -277,11 +303,22 @@ class LikelySpamAnalyzer {
         });
     }
     
+    // Mail claiming a protected sender that failed authentication
+    const spoofed = suspicious.filter(email => failsSenderAuthentication(email, this.protectedSenders));
+    if (spoofed.length > 0) {
+      console.log('\n' + chalk.bold.red('🎣 Possible Spoofing (kept in spam - sender authentication failed):'));
+      spoofed.slice(0, 10).forEach(email => {
+        console.log(chalk.red(`  ${email.fromEmail}: "${email.subject}"`));
+        console.log(chalk.gray(`     ${email.authentication?.summary || 'no authentication results'}`));
+      });
+      if (spoofed.length > 10) {
+        console.log(chalk.gray(`  ... and ${spoofed.length - 10} more`));
+      }
+    }
+
     // Show top spam senders
     console.log('\n' + chalk.bold.red('🚫 Top Spam Senders (correctly filtered):'));
-    Array.from(senderStats.entries())
-      .filter(([sender]) => !legitimate.some(e => e.fromEmail === sender))
-      .sort((a, b) => b[1] - a[1])
+    this.topSpamSenders(legitimate, senderStats)
       .slice(0, 15)
       .forEach(([sender, count]) => {
         console.log(chalk.gray(`  ${sender} (${count} emails)`));
@@ -302,13 +339,9 @@ class LikelySpamAnalyzer {
         const batch = emails.slice(i, i + batchSize);
         const ids = batch.map(e => e.id);
         
-        await this.gmail.users.messages.batchModify({
-          userId: 'me',
-          requestBody: {
-            ids: ids,
-            addLabelIds: [inboxLabelId],
-            removeLabelIds: [likelySpamLabelId]
-          }
+        await this.journal.modify(this.gmail, ids, {
+          addLabelIds: [inboxLabelId],
+          removeLabelIds: [likelySpamLabelId]
         });
         
         this.stats.rescued += ids.length;
@@ -324,7 +357,7 @@ class LikelySpamAnalyzer {
 
   // Save analysis to file
   async saveAnalysis(legitimate, suspicious) {
-    const resultsDir = path.join(__dirname, '../analysis-results');
+    const resultsDir = statePath('analysis-results');
     await fs.mkdir(resultsDir, { recursive: true });
 
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -347,57 +380,64 @@ class LikelySpamAnalyzer {
       JSON.stringify(data, null, 2)
     );
 
-    console.log(chalk.green(`\n💾 Analysis saved to: analysis-results/${filename}`));
+    console.log(chalk.green(`\n💾 Analysis saved to: ${path.relative(process.cwd(), path.join(resultsDir, filename))}`));
   }
 }
 
 async function main() {
+  const options = getCliOptions();
+  const json = jsonOutput();
+
   console.log(chalk.bold.cyan('\n🔍 Likely Spam Analyzer & Rescue Tool\n'));
   console.log(chalk.gray('This tool analyzes your Likely Spam folder to find false positives.\n'));
 
   try {
     console.log(chalk.cyan('🔐 Authenticating with Gmail...'));
-    const auth = await authorize();
+    const auth = await authorize({ access: options.dryRun ? 'read' : 'modify' });
     console.log(chalk.green('✅ Authentication successful!\n'));
 
     const analyzer = new LikelySpamAnalyzer(auth);
     
-    // Analyze spam folder - increased to 5000 emails
-    const { legitimate, suspicious, senderStats } = await analyzer.analyze(5000);
+    // Analyze spam folder - 5000 emails unless --limit says otherwise
+    const { legitimate, suspicious, senderStats } = await analyzer.analyze(options.limit || 5000);
     
     // Display results
-    analyzer.displayResults(legitimate, suspicious, senderStats);
+    if (!json) analyzer.displayResults(legitimate, suspicious, senderStats);
     
     // Save analysis
     await analyzer.saveAnalysis(legitimate, suspicious);
     
     // Ask if user wants to rescue legitimate emails
-    if (legitimate.length > 0) {
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
-      
-      const rescue = await rl.question('\n' + 
-        chalk.bold.yellow(`Move ${legitimate.length} legitimate emails back to inbox? (y/n): `));
-      
-      if (rescue.toLowerCase() === 'y') {
+    if (legitimate.length > 0 && options.dryRun) {
+      console.log(chalk.yellow(`\nDry run - would move ${legitimate.length} legitimate emails back to the inbox. Nothing was changed.`));
+    } else if (legitimate.length > 0) {
+      if (await confirm('\n' + chalk.bold.yellow(`Move ${legitimate.length} legitimate emails back to inbox? (y/n): `))) {
         await analyzer.rescueLegitimateEmails(legitimate);
         console.log(chalk.green('\n✅ Legitimate emails have been rescued!'));
+        const undoHint = analyzer.journal.describeUndo();
+        if (undoHint) console.log(chalk.gray(undoHint));
       } else {
         console.log(chalk.yellow('\nNo emails were moved. You can review the analysis and run again.'));
       }
-      
-      rl.close();
     } else {
       console.log(chalk.green('\n✅ Great! No false positives found in your Likely Spam folder.'));
     }
+
+    if (json) {
+      printJsonReport('spam-rescue', {
+        dryRun: options.dryRun,
+        results: analyzer.getResults(legitimate, suspicious, senderStats),
+        rescued: analyzer.stats.rescued,
+        runId: analyzer.journal.count > 0 ? analyzer.journal.runId : null
+      });
+    }
     
   } catch (error) {
     console.error(chalk.red('\n❌ Error:'), error.message);
     if (error.message.includes('invalid_grant')) {
-      console.log(chalk.yellow('\nTry deleting token.json and running again.'));
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
     }
+    process.exitCode = 1;
   }
 }
 
@@ -1,22 +1,25 @@
-import { authorize } from './auth.js';
-import { google } from 'googleapis';
+import { authorize, createGmailClient } from './mailProvider.js';
 import chalk from 'chalk';
 import ora from 'ora';
-import readline from 'readline/promises';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { Journal } from './journal.js';
+import { getMessageCache, saveMessageCache } from './messageCache.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+import { statePath } from './accounts.js';
+import { AUTH_HEADERS, evaluateAuthentication, failsSenderAuthentication } from './emailAuth.js';
+import { getCliOptions, ask, confirm, confirmNextBatch } from './cliOptions.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config();
 
 class PaginatedSpamAnalyzer {
-  constructor(auth) {
-    this.gmail = google.gmail({ version: 'v1', auth });
+  constructor(auth, journal = null) {
+    this.gmail = createGmailClient(auth);
+    this.fetcher = new MetadataFetcher(this.gmail);
+    this.journal = journal || new Journal('spam-rescue-paginated');
     this.vipEmails = process.env.VIP_EMAILS ? process.env.VIP_EMAILS.split(',').map(e => e.trim().toLowerCase()) : [];
     this.protectedSenders = process.env.PROTECTED_SENDERS ? process.env.PROTECTED_SENDERS.split(',').map(e => e.trim().toLowerCase()) : [];
-    this.checkpointFile = path.join(__dirname, '../.spam-checkpoint.json');
+    this.checkpointFile = statePath('.spam-checkpoint.json');
     this.batchSize = 100; // Analyze 100 emails at a time
     this.totalStats = {
       analyzed: 0,
@@ -80,6 +83,11 @@ class PaginatedSpamAnalyzer {
       return { legitimate: true, reason: 'VIP sender' };
     }
 
+    // Bank, payroll, healthcare and protected senders must prove they sent it
+    if (failsSenderAuthentication(email, this.protectedSenders)) {
+      return { legitimate: false, reason: 'Failed sender authentication', spoofSuspect: true };
+    }
+
     // Check if protected sender
     if (this.protectedSenders.includes(fromEmail)) {
       return { legitimate: true, reason: 'Protected sender' };
@@ -93,46 +101,46 @@ class PaginatedSpamAnalyzer {
       return { legitimate: true, reason: 'Google collaboration notification' };
     }
 
-    // Check for legitimate services
+    // Check for legitimate services; each domain also covers its subdomains (alertsp.chase.com)
     const legitimatePatterns = [
       // Banking/Financial
-      { pattern: /@chase\.com$/, reason: 'Banking service' },
-      { pattern: /@capitalone\.com$/, reason: 'Banking service' },
-      { pattern: /@mercury\.com$/, reason: 'Banking service' },
-      { pattern: /@stripe\.com$/, reason: 'Payment processor' },
-      { pattern: /@paypal\.com$/, reason: 'Payment service' },
-      { pattern: /@venmo\.com$/, reason: 'Payment service' },
-      { pattern: /@coinbase\.com$/, reason: 'Crypto service' },
-      { pattern: /@robinhood\.com$/, reason: 'Investment service' },
+      { pattern: /[@.]chase\.com$/, reason: 'Banking service' },
+      { pattern: /[@.]capitalone\.com$/, reason: 'Banking service' },
+      { pattern: /[@.]mercury\.com$/, reason: 'Banking service' },
+      { pattern: /[@.]stripe\.com$/, reason: 'Payment processor' },
+      { pattern: /[@.]paypal\.com$/, reason: 'Payment service' },
+      { pattern: /[@.]venmo\.com$/, reason: 'Payment service' },
+      { pattern: /[@.]coinbase\.com$/, reason: 'Crypto service' },
+      { pattern: /[@.]robinhood\.com$/, reason: 'Investment service' },
       
       // Important services
-      { pattern: /@apple\.com$/, reason: 'Apple service' },
+      { pattern: /[@.]apple\.com$/, reason: 'Apple service' },
       { pattern: /drive-shares.*@google\.com$/, reason: 'Google Drive sharing' },
       { pattern: /docs-.*@google\.com$/, reason: 'Google Docs' },
-      { pattern: /@anthropic\.com$/, reason: 'AI service' },
-      { pattern: /@openai\.com$/, reason: 'AI service' },
-      { pattern: /@github\.com$/, reason: 'Development platform' },
+      { pattern: /[@.]anthropic\.com$/, reason: 'AI service' },
+      { pattern: /[@.]openai\.com$/, reason: 'AI service' },
+      { pattern: /[@.]github\.com$/, reason: 'Development platform' },
       
       // Healthcare
-      { pattern: /@sutterhealth\.org$/, reason: 'Healthcare provider' },
+      { pattern: /[@.]sutterhealth\.org$/, reason: 'Healthcare provider' },
       { pattern: /@myhealth/, reason: 'Healthcare service' },
-      { pattern: /@kaiserpermanente\.org$/, reason: 'Healthcare provider' },
-      { pattern: /@anthem\.com$/, reason: 'Health insurance' },
+      { pattern: /[@.]kaiserpermanente\.org$/, reason: 'Healthcare provider' },
+      { pattern: /[@.]anthem\.com$/, reason: 'Health insurance' },
       
       // Travel
-      { pattern: /@united\.com$/, reason: 'Airline' },
-      { pattern: /@delta\.com$/, reason: 'Airline' },
-      { pattern: /@southwest\.com$/, reason: 'Airline' },
-      { pattern: /@airbnb\.com$/, reason: 'Travel booking' },
+      { pattern: /[@.]united\.com$/, reason: 'Airline' },
+      { pattern: /[@.]delta\.com$/, reason: 'Airline' },
+      { pattern: /[@.]southwest\.com$/, reason: 'Airline' },
+      { pattern: /[@.]airbnb\.com$/, reason: 'Travel booking' },
       
       // Work/HR
-      { pattern: /@rippling\.com$/, reason: 'HR platform' },
-      { pattern: /@gusto\.com$/, reason: 'HR platform' },
+      { pattern: /[@.]rippling\.com$/, reason: 'HR platform' },
+      { pattern: /[@.]gusto\.com$/, reason: 'HR platform' },
       
       // Delivery
-      { pattern: /@uber\.com$/, reason: 'Delivery service' },
-      { pattern: /@doordash\.com$/, reason: 'Delivery service' },
-      { pattern: /@grubhub\.com$/, reason: 'Delivery service' }
+      { pattern: /[@.]uber\.com$/, reason: 'Delivery service' },
+      { pattern: /[@.]doordash\.com$/, reason: 'Delivery service' },
+      { pattern: /[@.]grubhub\.com$/, reason: 'Delivery service' }
     ];
 
     for (const { pattern, reason } of legitimatePatterns) {
@@ -219,53 +227,47 @@ class PaginatedSpamAnalyzer {
     const spinner = ora('Analyzing batch...').start();
     const legitimate = [];
     const suspicious = [];
+    const cache = await getMessageCache(this.gmail);
+    const { messages: fetched } = await this.fetcher.fetchAll(messages.map(msg => msg.id), ['From', 'Subject', 'Date', 'Reply-To', ...AUTH_HEADERS], {
+      onProgress: (done, total) => { spinner.text = `Analyzed ${done} of ${total} emails`; }
+    });
     
-    for (let i = 0; i < messages.length; i++) {
-      try {
-        const detail = await this.gmail.users.messages.get({
-          userId: 'me',
-          id: messages[i].id,
-          format: 'metadata',
-          metadataHeaders: ['From', 'Subject', 'Date', 'Reply-To']
-        });
+    // Skip messages whose details couldn't be fetched
+    messages.filter(msg => fetched.has(msg.id)).forEach(msg => {
+      const message = fetched.get(msg.id);
+      const headers = message.payload.headers.reduce((acc, h) => {
+        acc[h.name.toLowerCase()] = h.value;
+        return acc;
+      }, {});
+
+      const from = headers.from || '';
+      const fromEmail = this.extractEmail(from).toLowerCase();
+
+      const email = {
+        id: msg.id,
+        from,
+        fromEmail,
+        subject: headers.subject || '',
+        date: headers.date || '',
+        replyTo: headers['reply-to'] || '',
+        labels: message.labelIds || [],
+        authentication: evaluateAuthentication(message.payload.headers, fromEmail)
+      };
 
-        const headers = detail.data.payload.headers.reduce((acc, h) => {
-          acc[h.name.toLowerCase()] = h.value;
-          return acc;
-        }, {});
-
-        const from = headers.from || '';
-        const subject = headers.subject || '';
-        const date = headers.date || '';
-        const replyTo = headers['reply-to'] || '';
-        const fromEmail = this.extractEmail(from).toLowerCase();
-
-        const email = {
-          id: messages[i].id,
-          from,
-          fromEmail,
-          subject,
-          date,
-          replyTo,
-          labels: detail.data.labelIds || []
-        };
-
-        const { legitimate: isLegit, reason } = this.isLegitimate(email);
-        email.reason = reason;
-        
-        if (isLegit) {
-          legitimate.push(email);
-        } else {
-          suspicious.push(email);
-        }
-        
-        spinner.text = `Analyzed ${i + 1} of ${messages.length} emails`;
-      } catch (err) {
-        // Skip if can't get details
+      const { legitimate: isLegit, reason, spoofSuspect } = this.isLegitimate(email);
+      email.reason = reason;
+      email.spoofSuspect = Boolean(spoofSuspect);
+      
+      if (isLegit) {
+        legitimate.push(email);
+      } else {
+        suspicious.push(email);
       }
-    }
+      cache.setCategory(email.id, isLegit ? 'legitimate' : 'spam', 'spam-rescue');
+    });
     
     spinner.succeed(`Analysis complete: ${legitimate.length} legitimate, ${suspicious.length} spam`);
+    await saveMessageCache();
     return { legitimate, suspicious };
   }
 
@@ -309,6 +311,17 @@ class PaginatedSpamAnalyzer {
       });
     }
     
+    const spoofed = suspicious.filter(email => email.spoofSuspect);
+    if (spoofed.length > 0) {
+      console.log('\n' + chalk.bold.red('🎣 Possible spoofing (sender authentication failed, kept in spam):'));
+      spoofed.slice(0, 5).forEach(email => {
+        console.log(chalk.red(`  • ${email.fromEmail}: ${email.authentication?.summary || 'no authentication results'}`));
+      });
+      if (spoofed.length > 5) {
+        console.log(chalk.gray(`  ... and ${spoofed.length - 5} more`));
+      }
+    }
+
     if (suspicious.length > 0) {
       console.log('\n' + chalk.bold.red('Sample spam emails (correctly filtered):'));
       const spamSample = suspicious.slice(0, 5);
@@ -331,13 +344,9 @@ class PaginatedSpamAnalyzer {
       
       const ids = emails.map(e => e.id);
       
-      await this.gmail.users.messages.batchModify({
-        userId: 'me',
-        requestBody: {
-          ids: ids,
-          addLabelIds: [inboxLabelId],
-          removeLabelIds: [likelySpamLabelId]
-        }
+      await this.journal.modify(this.gmail, ids, {
+        addLabelIds: [inboxLabelId],
+        removeLabelIds: [likelySpamLabelId]
       });
       
       spinner.succeed(`✅ Rescued ${emails.length} legitimate emails`);
@@ -349,13 +358,33 @@ class PaginatedSpamAnalyzer {
   }
 }
 
+// What to do with a batch's legitimate emails: --yes rescues them, and a
+// non-interactive run without it quits with progress saved
+async function chooseAction(count) {
+  const question = '\n' + chalk.bold.yellow(
+    `What would you like to do?\n` +
+    `  [r] Rescue ${count} legitimate emails\n` +
+    `  [s] Skip this batch\n` +
+    `  [v] View full list\n` +
+    `  [q] Quit and save progress\n` +
+    `Choice: `
+  );
+
+  if (getCliOptions().yes) {
+    console.log(question + chalk.gray('r (--yes)'));
+    return 'r';
+  }
+  const action = await ask(question, { hint: 'Re-run with --yes to rescue every batch.' });
+  return action.toLowerCase() || 'q';
+}
+
 async function main() {
   console.log(chalk.bold.cyan('\n🔍 Paginated Spam Analyzer & Rescue Tool\n'));
   console.log(chalk.gray('Analyze your Likely Spam folder in batches.\n'));
 
   try {
     console.log(chalk.cyan('🔐 Authenticating with Gmail...'));
-    const auth = await authorize();
+    const auth = await authorize({ access: 'modify' });
     console.log(chalk.green('✅ Authentication successful!\n'));
 
     const analyzer = new PaginatedSpamAnalyzer(auth);
@@ -368,16 +397,12 @@ async function main() {
       console.log(chalk.gray(`  Previously rescued: ${checkpoint.totalRescued} emails\n`));
     }
 
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-
     let pageToken = checkpoint.pageToken;
     let batchNum = Math.floor(checkpoint.totalAnalyzed / analyzer.batchSize) + 1;
     let totalAnalyzed = checkpoint.totalAnalyzed;
     let totalRescued = checkpoint.totalRescued;
     let continueAnalyzing = true;
+    let batchesThisRun = 0;
 
     while (continueAnalyzing) {
       // Fetch batch
@@ -397,22 +422,16 @@ async function main() {
       
       // Update totals
       totalAnalyzed += messages.length;
+      batchesThisRun++;
       
       // Ask what to do
       if (legitimate.length > 0) {
-        const action = await rl.question('\n' + chalk.bold.yellow(
-          `What would you like to do?\n` +
-          `  [r] Rescue ${legitimate.length} legitimate emails\n` +
-          `  [s] Skip this batch\n` +
-          `  [v] View full list\n` +
-          `  [q] Quit and save progress\n` +
-          `Choice: `
-        ));
+        const action = await chooseAction(legitimate.length);
         
-        if (action.toLowerCase() === 'r') {
+        if (action === 'r') {
           const rescued = await analyzer.rescueEmails(legitimate);
           totalRescued += rescued;
-        } else if (action.toLowerCase() === 'v') {
+        } else if (action === 'v') {
           console.log('\n' + chalk.bold.cyan('Full list of legitimate emails:'));
           legitimate.forEach((email, i) => {
             console.log(chalk.yellow(`\n${i + 1}. ${email.fromEmail}`));
@@ -423,12 +442,11 @@ async function main() {
             }
           });
           
-          const afterView = await rl.question('\n' + chalk.yellow('Rescue these emails? (y/n): '));
-          if (afterView.toLowerCase() === 'y') {
+          if (await confirm('\n' + chalk.yellow('Rescue these emails? (y/n): '))) {
             const rescued = await analyzer.rescueEmails(legitimate);
             totalRescued += rescued;
           }
-        } else if (action.toLowerCase() === 'q') {
+        } else if (action === 'q') {
           continueAnalyzing = false;
           break;
         }
@@ -436,8 +454,7 @@ async function main() {
       
       // Ask to continue
       if (nextPageToken) {
-        const cont = await rl.question('\n' + chalk.cyan('Continue to next batch? (y/n): '));
-        if (cont.toLowerCase() !== 'y') {
+        if (!await confirmNextBatch(batchesThisRun, '\n' + chalk.cyan('Continue to next batch? (y/n): '))) {
           continueAnalyzing = false;
         }
       } else {
@@ -452,13 +469,13 @@ async function main() {
       batchNum++;
     }
     
-    rl.close();
-    
     // Final summary
     console.log('\n' + chalk.bold.green('📊 Final Summary'));
     console.log(chalk.gray('='.repeat(60)));
     console.log(chalk.bold(`Total emails analyzed: ${totalAnalyzed}`));
     console.log(chalk.green(`Total emails rescued: ${totalRescued}`));
+    const undoHint = analyzer.journal.describeUndo();
+    if (undoHint) console.log(chalk.gray(undoHint));
     
     // Clear checkpoint if finished
     if (!pageToken) {
@@ -471,7 +488,7 @@ async function main() {
   } catch (error) {
     console.error(chalk.red('\n❌ Error:'), error.message);
     if (error.message.includes('invalid_grant')) {
-      console.log(chalk.yellow('\nTry deleting token.json and running again.'));
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
     }
   }
 }
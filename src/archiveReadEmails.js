@@ -1,15 +1,21 @@
-import { authorize } from './auth.js';
-import { google } from 'googleapis';
+import { authorize, createGmailClient } from './mailProvider.js';
 import chalk from 'chalk';
 import ora from 'ora';
-import readline from 'readline/promises';
 import dotenv from 'dotenv';
+import { Journal } from './journal.js';
+import { saveMessageCache } from './messageCache.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+import { ThreadFetcher, threadsEnabled, personalThreadReason } from './threads.js';
+import { getCliOptions, confirm } from './cliOptions.js';
 
 dotenv.config();
 
 class ReadEmailArchiver {
-  constructor(auth) {
-    this.gmail = google.gmail({ version: 'v1', auth });
+  constructor(auth, journal = null) {
+    this.gmail = createGmailClient(auth);
+    this.fetcher = new MetadataFetcher(this.gmail);
+    this.threadFetcher = new ThreadFetcher(this.gmail);
+    this.journal = journal || new Journal('archive-read');
     this.vipEmails = process.env.VIP_EMAILS ? process.env.VIP_EMAILS.split(',').map(e => e.trim().toLowerCase()) : [];
     this.protectedSenders = process.env.PROTECTED_SENDERS ? process.env.PROTECTED_SENDERS.split(',').map(e => e.trim().toLowerCase()) : [];
     this.stats = {
@@ -61,6 +67,17 @@ class ReadEmailArchiver {
     return false;
   }
 
+  // Threads that stay whole: ones we replied to or a VIP is in, and any with a protected email
+  async findKeptThreads(emails, onProgress) {
+    const kept = new Set(emails.filter(email => this.isProtected(email)).map(email => email.threadId));
+    const threadIds = [...new Set(emails.map(email => email.threadId))];
+    const { threads } = await this.threadFetcher.fetchAll(threadIds, [], { onProgress });
+    for (const [threadId, messages] of threads) {
+      if (personalThreadReason(messages, this.vipEmails)) kept.add(threadId);
+    }
+    return kept;
+  }
+
   // Find read emails in inbox
   async findReadEmails(maxResults = 500) {
     const spinner = ora('Finding read emails in inbox...').start();
@@ -79,58 +96,50 @@ class ReadEmailArchiver {
       spinner.succeed(`Found ${messages.length} read emails in inbox`);
       
       // Get details for each message
-      const emailDetails = [];
-      const batchSize = 20;
-      
       spinner.start('Analyzing emails...');
-      
-      for (let i = 0; i < messages.length; i += batchSize) {
-        const batch = messages.slice(i, i + batchSize);
-        
-        const details = await Promise.all(
-          batch.map(async (msg) => {
-            try {
-              const detail = await this.gmail.users.messages.get({
-                userId: 'me',
-                id: msg.id,
-                format: 'metadata',
-                metadataHeaders: ['From', 'Subject', 'Date']
-              });
+      const { messages: fetched } = await this.fetcher.fetchAll(messages.map(msg => msg.id), ['From', 'Subject', 'Date'], {
+        onProgress: (done, total) => { spinner.text = `Analyzed ${done} of ${total} emails`; }
+      });
 
-              const headers = detail.data.payload.headers.reduce((acc, h) => {
-                acc[h.name.toLowerCase()] = h.value;
-                return acc;
-              }, {});
+      // Messages that couldn't be fetched are skipped
+      const emailDetails = messages.filter(msg => fetched.has(msg.id)).map(msg => {
+        const message = fetched.get(msg.id);
+        const headers = message.payload.headers.reduce((acc, h) => {
+          acc[h.name.toLowerCase()] = h.value;
+          return acc;
+        }, {});
 
-              const from = headers.from || '';
-              const fromEmail = this.extractEmail(from);
-              
-              return {
-                id: msg.id,
-                from,
-                fromEmail,
-                subject: headers.subject || '',
-                date: headers.date || '',
-                labels: detail.data.labelIds || []
-              };
-            } catch (err) {
-              return null;
-            }
-          })
-        );
-        
-        emailDetails.push(...details.filter(d => d));
-        spinner.text = `Analyzed ${Math.min(i + batchSize, messages.length)} of ${messages.length} emails`;
-      }
+        const from = headers.from || '';
+        const fromEmail = this.extractEmail(from);
+
+        return {
+          id: msg.id,
+          threadId: msg.threadId,
+          from,
+          fromEmail,
+          subject: headers.subject || '',
+          date: headers.date || '',
+          labels: message.labelIds || []
+        };
+      });
       
+      let keptThreads = new Set();
+      if (threadsEnabled()) {
+        spinner.text = 'Reading threads...';
+        keptThreads = await this.findKeptThreads(emailDetails, (done, total) => {
+          spinner.text = `Read ${done} of ${total} threads`;
+        });
+      }
+
       spinner.succeed('Email analysis complete');
+      await saveMessageCache();
       
       // Separate protected and archivable emails
       const archivable = [];
       const protectedEmails = [];
       
       emailDetails.forEach(email => {
-        if (this.isProtected(email)) {
+        if (this.isProtected(email) || keptThreads.has(email.threadId)) {
           protectedEmails.push(email);
         } else {
           archivable.push(email);
@@ -159,6 +168,10 @@ class ReadEmailArchiver {
       console.log(chalk.gray('• Protected senders'));
       console.log(chalk.gray('• Emails from last 7 days'));
       console.log(chalk.gray('• Emails with important keywords'));
+      if (threadsEnabled()) {
+        console.log(chalk.gray('• Conversations you replied to or a VIP is in'));
+        console.log(chalk.gray('• The rest of any thread with a protected email'));
+      }
       
       // Show sample of protected emails
       console.log('\n' + chalk.gray('Sample protected emails:'));
@@ -225,13 +238,7 @@ class ReadEmailArchiver {
         const batch = emails.slice(i, i + batchSize);
         const ids = batch.map(e => e.id);
         
-        await this.gmail.users.messages.batchModify({
-          userId: 'me',
-          requestBody: {
-            ids: ids,
-            removeLabelIds: ['INBOX']
-          }
-        });
+        await this.journal.modify(this.gmail, ids, { removeLabelIds: ['INBOX'] });
         
         this.stats.archived += ids.length;
         spinner.text = `Archived ${Math.min(i + batchSize, emails.length)} of ${emails.length} emails`;
@@ -249,15 +256,17 @@ async function main() {
   console.log(chalk.bold.cyan('\n📚 Archive Read Emails Tool\n'));
   console.log(chalk.gray('This tool archives read emails from your inbox while protecting important ones.\n'));
 
+  const options = getCliOptions();
+
   try {
     console.log(chalk.cyan('🔐 Authenticating with Gmail...'));
-    const auth = await authorize();
+    const auth = await authorize({ access: options.dryRun ? 'read' : 'modify' });
     console.log(chalk.green('✅ Authentication successful!\n'));
 
     const archiver = new ReadEmailArchiver(auth);
     
     // Find read emails
-    const { archivable, protected: protectedEmails } = await archiver.findReadEmails(1000);
+    const { archivable, protected: protectedEmails } = await archiver.findReadEmails(options.limit || 1000);
     
     // Display summary
     archiver.displaySummary(archivable, protectedEmails);
@@ -267,29 +276,25 @@ async function main() {
       return;
     }
     
+    if (options.dryRun) {
+      console.log(chalk.yellow(`\nDry run - would archive ${archivable.length} read emails. Nothing was changed.`));
+      return;
+    }
+
     // Ask for confirmation
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-    
-    const proceed = await rl.question('\n' + 
-      chalk.bold.yellow(`Archive ${archivable.length} read emails? (y/n): `));
-    
-    if (proceed.toLowerCase() === 'y') {
+    if (await confirm('\n' + chalk.bold.yellow(`Archive ${archivable.length} read emails? (y/n): `))) {
       await archiver.archiveEmails(archivable);
       console.log(chalk.green('\n✅ Read emails have been archived!'));
       console.log(chalk.gray('They remain searchable and can be found in "All Mail"'));
+      const undoHint = archiver.journal.describeUndo();
+      if (undoHint) console.log(chalk.gray(undoHint));
     } else {
       console.log(chalk.yellow('\nNo emails were archived.'));
     }
-    
-    rl.close();
-    
   } catch (error) {
     console.error(chalk.red('\n❌ Error:'), error.message);
     if (error.message.includes('invalid_grant')) {
-      console.log(chalk.yellow('\nTry deleting token.json and running again.'));
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
     }
   }
 }
@@ -1,55 +1,235 @@
 import { google } from 'googleapis';
 import { authenticate } from '@google-cloud/local-auth';
 import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { statePath, credentialsPath } from './accounts.js';
+import { loadToken, saveToken, keySource } from './tokenStore.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCOPE_PREFIX = 'https://www.googleapis.com/auth/';
 
-const SCOPES = [
-  'https://www.googleapis.com/auth/gmail.readonly',
-  'https://www.googleapis.com/auth/gmail.modify',
-  'https://www.googleapis.com/auth/gmail.labels',
-  'https://www.googleapis.com/auth/gmail.settings.basic'
-];
+// What each kind of command may do. Reporting commands only read; anything
+// that labels, archives, trashes or edits filters needs "modify".
+export const SCOPE_PROFILES = {
+  read: [
+    `${SCOPE_PREFIX}gmail.readonly`
+  ],
+  modify: [
+    `${SCOPE_PREFIX}gmail.readonly`,
+    `${SCOPE_PREFIX}gmail.modify`,
+    `${SCOPE_PREFIX}gmail.labels`,
+    `${SCOPE_PREFIX}gmail.settings.basic`
+  ]
+};
 
-const TOKEN_PATH = path.join(__dirname, '../token.json');
-const CREDENTIALS_PATH = path.join(__dirname, '../credentials.json');
+// One token per profile, so a read-only sign-in never carries modify rights.
+// Each account profile keeps its own (accounts/<name>/token.json)
+const TOKEN_FILES = {
+  read: 'token.readonly.json',
+  modify: 'token.json'
+};
 
-async function loadSavedCredentialsIfExist() {
-  try {
-    const content = await fs.readFile(TOKEN_PATH);
-    const credentials = JSON.parse(content);
-    return google.auth.fromJSON(credentials);
-  } catch (err) {
-    return null;
+const CREDENTIALS_PATH = credentialsPath();
+
+// Clients already authorized in this process, by access level
+const clients = new Map();
+
+// Session-only modify tokens, revoked when the process is done with them
+const sessionTokens = new Set();
+
+export function tokenPath(access) {
+  return statePath(TOKEN_FILES[access]);
+}
+
+function checkAccess(access) {
+  if (!SCOPE_PROFILES[access]) {
+    throw new Error(`Unknown access level "${access}" (expected ${Object.keys(SCOPE_PROFILES).join(' or ')})`);
   }
 }
 
-async function saveCredentials(client) {
+/**
+ * Whether the token for an access level is saved to disk. A modify token lives
+ * only as long as the command and is revoked when it ends, unless
+ * PERSIST_MODIFY_TOKEN=true opts in to keeping it (e.g. for unattended runs).
+ */
+export function persistsToken(access) {
+  return access !== 'modify' || process.env.PERSIST_MODIFY_TOKEN === 'true';
+}
+
+// Google answers invalid_grant when a refresh token was revoked or has expired
+export function isRevokedError(error) {
+  const message = `${error?.message || ''} ${error?.response?.data?.error || ''}`;
+  return /invalid_grant/.test(message);
+}
+
+// Scopes the profile needs that the client's current access token lacks
+function missingScopes(client, access) {
+  const granted = (client.credentials.scope || '').split(/\s+/).filter(Boolean);
+  if (granted.length === 0) return [];
+  return SCOPE_PROFILES[access].filter(scope => !granted.includes(scope));
+}
+
+async function loadSavedCredentialsIfExist(access) {
+  const saved = await loadToken(tokenPath(access));
+  if (!saved) return null;
+  return { ...saved, client: google.auth.fromJSON(saved.credentials) };
+}
+
+async function saveCredentials(client, access) {
   const content = await fs.readFile(CREDENTIALS_PATH);
   const keys = JSON.parse(content);
   const key = keys.installed || keys.web;
-  const payload = JSON.stringify({
+  await saveToken(tokenPath(access), {
     type: 'authorized_user',
     client_id: key.client_id,
     client_secret: key.client_secret,
     refresh_token: client.credentials.refresh_token,
   });
-  await fs.writeFile(TOKEN_PATH, payload);
 }
 
-export async function authorize() {
-  let client = await loadSavedCredentialsIfExist();
-  if (client) {
-    return client;
+function revokeAtExit(client) {
+  if (sessionTokens.size === 0) {
+    process.once('beforeExit', async () => {
+      for (const session of sessionTokens) {
+        await session.revokeCredentials().catch(() => {});
+      }
+      sessionTokens.clear();
+    });
   }
-  client = await authenticate({
-    scopes: SCOPES,
+  sessionTokens.add(client);
+}
+
+/**
+ * Run the browser sign-in flow for an access level and save the new token
+ * (modify tokens are kept in memory only unless PERSIST_MODIFY_TOKEN=true)
+ */
+export async function login(access = 'read') {
+  checkAccess(access);
+  const client = await authenticate({
+    scopes: SCOPE_PROFILES[access],
     keyfilePath: CREDENTIALS_PATH,
   });
-  if (client.credentials) {
-    await saveCredentials(client);
+  if (!client.credentials) return client;
+
+  if (persistsToken(access)) {
+    await saveCredentials(client, access);
+  } else {
+    revokeAtExit(client);
   }
   return client;
-}
\ No newline at end of file
+}
+
+/**
+ * Revoke a saved token with Google (best effort) and delete it
+ * @returns {Promise<boolean>} whether there was a token to remove
+ */
+export async function logout(access) {
+  checkAccess(access);
+  const saved = await loadSavedCredentialsIfExist(access).catch(() => null);
+  if (saved) {
+    await saved.client.revokeToken(saved.credentials.refresh_token).catch(() => {});
+  }
+  try {
+    await fs.unlink(tokenPath(access));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return Boolean(saved);
+    throw error;
+  }
+}
+
+/**
+ * Get an OAuth client with the scopes a command needs
+ * @param {Object} options
+ * @param {'read'|'modify'} options.access - "read" for reporting commands,
+ *   "modify" for commands that change the mailbox
+ */
+export async function authorize({ access = 'read' } = {}) {
+  checkAccess(access);
+  if (!clients.has(access)) {
+    clients.set(access, authorizeAccess(access).catch(error => {
+      clients.delete(access);
+      throw error;
+    }));
+  }
+  return clients.get(access);
+}
+
+// Load and verify the saved token for an access level, or sign in
+async function authorizeAccess(access) {
+  const saved = persistsToken(access) ? await loadSavedCredentialsIfExist(access) : null;
+  if (saved) {
+    try {
+      // Refreshing proves the token still works before a command relies on it
+      await saved.client.getAccessToken();
+      if (missingScopes(saved.client, access).length > 0) {
+        console.log(chalk.yellow(`Saved ${access} token is missing scopes this command needs - signing in again...`));
+      } else {
+        if (!saved.encrypted) {
+          await saveToken(tokenPath(access), saved.credentials);
+        }
+        return saved.client;
+      }
+    } catch (error) {
+      if (!isRevokedError(error)) throw error;
+      console.log(chalk.yellow(`Saved ${access} token was revoked or has expired - signing in again...`));
+      await fs.unlink(tokenPath(access)).catch(() => {});
+    }
+  }
+
+  if (access === 'modify') {
+    console.log(chalk.cyan('This command changes your mailbox and needs permission to modify Gmail.'));
+  }
+  return login(access);
+}
+
+/**
+ * Check a saved token without starting a sign-in
+ * @returns {Promise<{ access, tokenPath, exists, encrypted, keySource, valid, revoked,
+ *   scopes: string[], missingScopes: string[], extraScopes: string[], expiresAt: Date|null, client, error }>}
+ */
+export async function getAuthStatus(access) {
+  checkAccess(access);
+  const status = {
+    access,
+    tokenPath: tokenPath(access),
+    exists: false,
+    encrypted: false,
+    keySource: keySource(),
+    valid: false,
+    revoked: false,
+    scopes: [],
+    missingScopes: [],
+    extraScopes: [],
+    expiresAt: null,
+    client: null,
+    error: null
+  };
+
+  let saved;
+  try {
+    saved = await loadSavedCredentialsIfExist(access);
+  } catch (error) {
+    status.exists = true;
+    status.error = error.message;
+    return status;
+  }
+  if (!saved) return status;
+
+  status.exists = true;
+  status.encrypted = saved.encrypted;
+
+  try {
+    const { token } = await saved.client.getAccessToken();
+    const info = await saved.client.getTokenInfo(token);
+    status.valid = true;
+    status.client = saved.client;
+    status.scopes = info.scopes || [];
+    status.missingScopes = SCOPE_PROFILES[access].filter(scope => !status.scopes.includes(scope));
+    status.extraScopes = status.scopes.filter(scope => !SCOPE_PROFILES[access].includes(scope));
+    status.expiresAt = info.expiry_date ? new Date(info.expiry_date) : null;
+  } catch (error) {
+    status.revoked = isRevokedError(error);
+    status.error = error.message;
+  }
+  return status;
+}
@@ -0,0 +1,134 @@
+import { login, logout, getAuthStatus, persistsToken, SCOPE_PROFILES } from './auth.js';
+import { getProviderName, createGmailClient } from './mailProvider.js';
+import { getActiveAccount } from './accounts.js';
+import { getCliOptions } from './cliOptions.js';
+import chalk from 'chalk';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const ACCESS_LEVELS = Object.keys(SCOPE_PROFILES);
+
+const ACCESS_DESCRIPTIONS = {
+  read: 'read-only token for reporting commands',
+  modify: 'token for commands that change your mailbox'
+};
+
+// "https://www.googleapis.com/auth/gmail.modify" -> "gmail.modify"
+function shortScope(scope) {
+  return scope.replace('https://www.googleapis.com/auth/', '');
+}
+
+// Print one token's health; returns true if it is usable
+async function showStatus(access) {
+  const status = await getAuthStatus(access);
+  const tokenFile = path.relative(process.cwd(), status.tokenPath);
+
+  console.log(chalk.bold(`\n${access}`) + chalk.gray(` - ${ACCESS_DESCRIPTIONS[access]}`));
+
+  if (!status.exists) {
+    if (!persistsToken(access)) {
+      console.log(chalk.gray('  Not saved; each mutating command signs in for that run only (PERSIST_MODIFY_TOKEN=true keeps it)'));
+    } else {
+      console.log(chalk.gray(`  No token at ${tokenFile}; the first command that needs it will ask you to sign in`));
+    }
+    return true;
+  }
+
+  const storage = status.encrypted
+    ? `encrypted with ${status.keySource.type === 'passphrase' ? 'TOKEN_PASSPHRASE' : `keyfile ${status.keySource.path}`}`
+    : 'plain text - encrypted on next use';
+  console.log(`  Token:   ${tokenFile} ${chalk.gray(`(${storage})`)}`);
+  if (!persistsToken(access)) {
+    console.log(chalk.yellow(`  Ignored: PERSIST_MODIFY_TOKEN isn't true, so commands sign in for each run. Remove it with: npm run auth -- logout ${access}`));
+  }
+
+  if (!status.valid) {
+    if (status.revoked) {
+      console.log(chalk.red('  Status:  ❌ revoked or expired'));
+      console.log(chalk.gray(`  The next command will ask you to sign in again, or run: npm run auth -- login ${access}`));
+    } else {
+      console.log(chalk.red(`  Status:  ❌ ${status.error}`));
+    }
+    return false;
+  }
+
+  const gmail = createGmailClient(status.client);
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+  console.log(chalk.green(`  Status:  ✅ valid for ${profile.data.emailAddress}`));
+
+  if (status.expiresAt) {
+    const minutes = Math.round((status.expiresAt - Date.now()) / 60000);
+    console.log(`  Access:  expires ${status.expiresAt.toLocaleString()} ${chalk.gray(`(in ${minutes} min; refreshed automatically)`)}`);
+  }
+
+  console.log('  Scopes:');
+  status.scopes.forEach(scope => {
+    const extra = status.extraScopes.includes(scope);
+    console.log(`    ${extra ? chalk.yellow('!') : chalk.green('✓')} ${shortScope(scope)}` +
+      (extra ? chalk.gray(' (more than this level needs)') : ''));
+  });
+  status.missingScopes.forEach(scope => {
+    console.log(`    ${chalk.red('✗')} ${shortScope(scope)} ${chalk.gray(`(missing - run npm run auth -- login ${access})`)}`);
+  });
+
+  return status.missingScopes.length === 0;
+}
+
+function parseAccess(value, fallback) {
+  if (!value) return fallback;
+  if (!ACCESS_LEVELS.includes(value)) {
+    throw new Error(`Unknown access level "${value}" (expected ${ACCESS_LEVELS.join(' or ')})`);
+  }
+  return [value];
+}
+
+async function main() {
+  const [command = 'status', level] = getCliOptions().args;
+  const account = getActiveAccount();
+  console.log(chalk.bold.cyan(`\n🔐 Gmail authentication${account ? ` (account: ${account.name})` : ''}`));
+
+  try {
+    if (getProviderName() !== 'gmail') {
+      console.log(chalk.gray(`\nMAIL_PROVIDER=${getProviderName()} doesn't use Google sign-in; nothing to do.`));
+      return;
+    }
+
+    switch (command) {
+      case 'status': {
+        let healthy = true;
+        for (const access of parseAccess(level, ACCESS_LEVELS)) {
+          healthy = await showStatus(access) && healthy;
+        }
+        process.exitCode = healthy ? 0 : 1;
+        break;
+      }
+      case 'login': {
+        const [access] = parseAccess(level, ['read']);
+        await login(access);
+        console.log(chalk.green(`\n✅ Signed in with ${access} access`));
+        if (!persistsToken(access)) {
+          console.log(chalk.gray('The token is not saved and is revoked when this command ends; set PERSIST_MODIFY_TOKEN=true to keep it.'));
+        }
+        process.exitCode = await showStatus(access) ? 0 : 1;
+        break;
+      }
+      case 'logout':
+        for (const access of parseAccess(level, ACCESS_LEVELS)) {
+          console.log(await logout(access)
+            ? chalk.green(`✅ ${access} token revoked and deleted`)
+            : chalk.gray(`No saved ${access} token`));
+        }
+        break;
+      default:
+        console.log(chalk.yellow('Usage: npm run auth -- [status|login|logout] [read|modify]'));
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
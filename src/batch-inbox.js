@@ -1,11 +1,12 @@
-import { authorize } from './auth.js';
+import { authorize, createGmailClient } from './mailProvider.js';
 import { EmailAnalyzer } from './emailAnalyzer.js';
 import { EmailFilter } from './emailFilter.js';
+import { Journal } from './journal.js';
+import { getCliOptions, confirm, confirmNextBatch } from './cliOptions.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
 import chalk from 'chalk';
 import ora from 'ora';
 import dotenv from 'dotenv';
-import readline from 'readline/promises';
-import { google } from 'googleapis';
 
 dotenv.config();
 
@@ -40,23 +41,25 @@ async function fetchInboxEmails(gmail, batchSize = 500, pageToken = null) {
   }
 }
 
-async function processBatch(auth, config, batchNumber) {
-  const gmail = google.gmail({ version: 'v1', auth });
+async function processBatch(auth, config, batchNumber, journal) {
+  const gmail = createGmailClient(auth);
   const analyzer = new EmailAnalyzer(auth, config.vipEmails, config.protectedSenders, config.protectedKeywords);
   
   // Get emails from inbox only
-  const { messages, nextPageToken } = await fetchInboxEmails(gmail, 500);
+  const options = getCliOptions();
+  const { messages, nextPageToken } = await fetchInboxEmails(gmail, options.limit || 500);
   
   if (messages.length === 0) {
     console.log(chalk.yellow('No more emails in inbox to process!'));
-    return { processed: 0, hasMore: false, nextPageToken: null };
+    return { processed: 0, hasMore: false, nextPageToken: null, report: null };
   }
 
   console.log(chalk.cyan(`🔍 Analyzing ${messages.length} emails from batch ${batchNumber}...`));
   const analysisResults = await analyzer.analyzeAllEmails(messages);
   
-  analyzer.displaySummary();
+  if (!jsonOutput()) analyzer.displaySummary();
   await analyzer.saveAnalysisResults();
+  const report = { batch: batchNumber, analysis: analyzer.getSummary(), filtering: null };
 
   // Show what would be archived
   const toArchive = 
@@ -64,18 +67,17 @@ async function processBatch(auth, config, batchNumber) {
     analysisResults.promotional.length + 
     analysisResults.automated.length;
     
+  if (options.dryRun) {
+    console.log(chalk.yellow(`\nDry run - would archive ${toArchive} emails from the inbox. Nothing was changed.`));
+    // Nothing leaves the inbox, so the next batch would be this one again
+    return { processed: messages.length, hasMore: false, nextPageToken: null, report };
+  }
+
   console.log(chalk.bold.yellow(`\n⚠️  This will archive ${toArchive} emails and remove them from inbox!`));
   console.log(chalk.gray('(They will still be searchable in Gmail)'));
 
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
-
-  const proceed = await rl.question('\n' + chalk.yellow('Apply filtering rules to this batch? (y/n): '));
-  
-  if (proceed.toLowerCase() === 'y') {
-    const filter = new EmailFilter(auth);
+  if (await confirm('\n' + chalk.yellow('Apply filtering rules to this batch? (y/n): '))) {
+    const filter = new EmailFilter(await authorize({ access: 'modify' }), config.protectedSenders, journal);
     
     console.log(chalk.cyan('\n🏷️  Setting up labels...'));
     const labels = await filter.setupFilteringLabels();
@@ -83,26 +85,29 @@ async function processBatch(auth, config, batchNumber) {
     console.log(chalk.cyan('⚡ Applying filters...'));
     await filter.applyFiltersToExisting(analysisResults, labels);
     
-    filter.displayFilteringSummary(analysisResults);
+    report.filtering = filter.getFilteringSummary(analysisResults);
+    if (!jsonOutput()) filter.displayFilteringSummary(analysisResults);
     console.log(chalk.green('\n✅ Batch filtering complete!'));
   }
-  
-  rl.close();
+
   return { 
     processed: messages.length, 
     hasMore: !!nextPageToken,
-    nextPageToken: nextPageToken 
+    nextPageToken: nextPageToken,
+    report
   };
 }
 
 async function main() {
+  const json = jsonOutput();
   console.log(chalk.bold.cyan('\n🚀 Gmail Inbox Batch Processor\n'));
   console.log(chalk.yellow('This will process emails currently in your inbox in batches.'));
   console.log(chalk.yellow('Previously archived emails will NOT be re-processed.\n'));
 
   try {
     console.log(chalk.cyan('🔐 Authenticating with Gmail...'));
-    const auth = await authorize();
+    // Fetching and analyzing only read; modify access is requested when you apply
+    const auth = await authorize({ access: 'read' });
     console.log(chalk.green('✅ Authentication successful!\n'));
 
     const config = await getConfig();
@@ -114,39 +119,44 @@ async function main() {
     let totalProcessed = 0;
     let hasMore = true;
     let pageToken = null;
+    const journal = new Journal('batch');
+    const reports = [];
     
     while (hasMore) {
       console.log(chalk.bold.cyan(`\n📦 Processing batch ${batchNumber}...`));
       
-      const result = await processBatch(auth, config, batchNumber);
+      const result = await processBatch(auth, config, batchNumber, journal);
       totalProcessed += result.processed;
+      if (result.report) reports.push(result.report);
       hasMore = result.hasMore;
       pageToken = result.nextPageToken;
       
-      if (hasMore) {
-        const rl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout
-        });
-        
-        const answer = await rl.question('\n' + chalk.yellow('Process next batch from inbox? (y/n): '));
-        rl.close();
-        
-        if (answer.toLowerCase() !== 'y') {
-          break;
-        }
+      if (hasMore && !await confirmNextBatch(batchNumber, '\n' + chalk.yellow('Process next batch from inbox? (y/n): '))) {
+        break;
       }
       
       batchNumber++;
     }
     
     console.log(chalk.green(`\n✅ All done! Processed ${totalProcessed} emails in ${batchNumber} batches.`));
+    const undoHint = journal.describeUndo();
+    if (undoHint) console.log(chalk.gray(undoHint));
+
+    if (json) {
+      printJsonReport('batch', {
+        dryRun: getCliOptions().dryRun,
+        runId: journal.count > 0 ? journal.runId : null,
+        totalProcessed,
+        batches: reports
+      });
+    }
     
   } catch (error) {
     console.error(chalk.red('\n❌ Error:'), error.message);
     if (error.message.includes('invalid_grant')) {
-      console.log(chalk.yellow('\nTry deleting token.json and running again.'));
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
     }
+    process.exitCode = 1;
   }
 }
 
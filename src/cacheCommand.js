@@ -0,0 +1,166 @@
+import { authorize, createGmailClient } from './mailProvider.js';
+import { MessageCache, CACHE_FILE } from './messageCache.js';
+import { withRetry, extractEmail } from './utils.js';
+import { getCliOptions } from './cliOptions.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
+import chalk from 'chalk';
+import ora from 'ora';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Headers "cache sync" fetches for messages the cache only knows by ID
+const SYNC_HEADERS = ['From', 'Subject', 'Date', 'List-Unsubscribe', 'List-ID'];
+
+function headerValue(entry, name) {
+  return entry.headers.find(header => header.name.toLowerCase() === name)?.value;
+}
+
+// What the cache knows about the mailbox, without calling the API
+function cacheReport(cache) {
+  const entries = cache.entries();
+  const withHeaders = entries.filter(entry => entry.fetchedAt);
+  const categories = {};
+  const senders = {};
+
+  withHeaders.forEach(entry => {
+    const category = entry.category || 'uncategorized';
+    categories[category] = (categories[category] || 0) + 1;
+
+    const from = headerValue(entry, 'from');
+    if (from) {
+      const email = extractEmail(from).toLowerCase();
+      senders[email] = (senders[email] || 0) + 1;
+    }
+  });
+
+  const dates = withHeaders.map(entry => entry.internalDate).filter(Boolean);
+
+  return {
+    file: path.relative(process.cwd(), cache.filePath),
+    emailAddress: cache.data.emailAddress,
+    syncedAt: cache.data.syncedAt,
+    historyId: cache.data.historyId,
+    messages: entries.length,
+    withHeaders: withHeaders.length,
+    idOnly: entries.length - withHeaders.length,
+    stale: entries.filter(entry => entry.stale).length,
+    totalSizeBytes: withHeaders.reduce((sum, entry) => sum + (entry.sizeEstimate || 0), 0),
+    oldest: dates.length > 0 ? new Date(Math.min(...dates)).toISOString() : null,
+    newest: dates.length > 0 ? new Date(Math.max(...dates)).toISOString() : null,
+    categories,
+    topSenders: Object.entries(senders)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([email, count]) => ({ email, count }))
+  };
+}
+
+function displayReport(report) {
+  console.log(chalk.bold.cyan('\n🗄️  Message cache'));
+  console.log(chalk.gray('='.repeat(40)));
+
+  if (report.messages === 0) {
+    console.log(chalk.gray(`Empty (${report.file}). Any analysis fills it, or run: fix-email cache sync`));
+    return;
+  }
+
+  console.log(`File:      ${report.file}`);
+  console.log(`Mailbox:   ${report.emailAddress}`);
+  console.log(`Synced:    ${new Date(report.syncedAt).toLocaleString()}`);
+  console.log(`Messages:  ${report.messages}` +
+    chalk.gray(` (${report.idOnly} known by ID only, ${report.stale} stale)`));
+  console.log(`Size:      ${(report.totalSizeBytes / (1024 * 1024)).toFixed(1)} MB`);
+  if (report.oldest) {
+    console.log(`Dates:     ${new Date(report.oldest).toLocaleDateString()} - ${new Date(report.newest).toLocaleDateString()}`);
+  }
+
+  console.log(chalk.bold('\nLast category:'));
+  Object.entries(report.categories)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([category, count]) => console.log(`  ${category.padEnd(14)} ${count}`));
+
+  if (report.topSenders.length > 0) {
+    console.log(chalk.bold('\nTop senders:'));
+    report.topSenders.forEach(({ email, count }) => console.log(`  ${String(count).padStart(5)}  ${email}`));
+  }
+}
+
+// Bring labels up to date, then fetch headers for messages known by ID only
+async function syncCache(cache, limit) {
+  const auth = await authorize({ access: 'read' });
+  const gmail = createGmailClient(auth);
+
+  const spinner = ora('Syncing labels from mailbox history...').start();
+  const result = await cache.sync(gmail);
+  spinner.succeed(result.expired
+    ? 'History expired; every cached message will be re-fetched when next needed'
+    : `Synced: ${result.added} new, ${result.changed} label changes, ${result.deleted} deleted`);
+
+  const missing = cache.entries().filter(entry => !entry.fetchedAt || entry.stale).slice(0, limit);
+  if (missing.length === 0) return result;
+
+  spinner.start(`Fetching headers for ${missing.length} messages...`);
+  let fetched = 0;
+  for (const entry of missing) {
+    try {
+      await cache.getMetadata(entry.id, SYNC_HEADERS, async metadataHeaders => {
+        const response = await withRetry(() => gmail.users.messages.get({
+          userId: 'me',
+          id: entry.id,
+          format: 'metadata',
+          metadataHeaders
+        }));
+        return response.data;
+      });
+      fetched++;
+    } catch (error) {
+      // Deleted since the history was recorded
+      if (error.code !== 404) throw error;
+    }
+    spinner.text = `Fetched ${fetched} of ${missing.length} messages`;
+  }
+  spinner.succeed(`Fetched headers for ${fetched} messages`);
+
+  return { ...result, fetched };
+}
+
+async function main() {
+  const options = getCliOptions();
+  const [command = 'status'] = options.args;
+  const json = jsonOutput();
+
+  try {
+    const cache = await MessageCache.load();
+
+    switch (command) {
+      case 'status': {
+        const report = cacheReport(cache);
+        json ? printJsonReport('cache', { cache: report }) : displayReport(report);
+        break;
+      }
+      case 'sync': {
+        const sync = await syncCache(cache, options.limit ?? Infinity);
+        await cache.save();
+        const report = cacheReport(cache);
+        json ? printJsonReport('cache', { sync, cache: report }) : displayReport(report);
+        break;
+      }
+      case 'clear':
+        await cache.clear();
+        json
+          ? printJsonReport('cache', { cleared: true })
+          : console.log(chalk.green(`✅ Deleted ${path.relative(process.cwd(), CACHE_FILE)}`));
+        break;
+      default:
+        console.log(chalk.yellow('Usage: fix-email cache [status|sync|clear]'));
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -1,13 +1,26 @@
-import { authorize } from './auth.js';
-import { google } from 'googleapis';
+import { authorize, createGmailClient } from './mailProvider.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
 import chalk from 'chalk';
 
+// A filter with label IDs turned into names, for --json
+function filterReport(filter, labelMap) {
+  const action = filter.action || {};
+  return {
+    id: filter.id,
+    criteria: filter.criteria || {},
+    addLabels: (action.addLabelIds || []).map(id => labelMap[id] || id),
+    removeLabels: (action.removeLabelIds || []).map(id => labelMap[id] || id),
+    forward: action.forward || null
+  };
+}
+
 async function checkFilters() {
+  const json = jsonOutput();
   console.log(chalk.bold.cyan('\n📋 Checking Gmail Filters\n'));
 
   try {
-    const auth = await authorize();
-    const gmail = google.gmail({ version: 'v1', auth });
+    const auth = await authorize({ access: 'read' });
+    const gmail = createGmailClient(auth);
 
     // Get all filters
     const response = await gmail.users.settings.filters.list({
@@ -18,6 +31,7 @@ async function checkFilters() {
     
     if (filters.length === 0) {
       console.log(chalk.yellow('No filters found in your Gmail account.'));
+      if (json) printJsonReport('check-filters', { count: 0, filters: [] });
       return;
     }
 
@@ -33,6 +47,14 @@ async function checkFilters() {
       labelMap[label.id] = label.name;
     });
 
+    if (json) {
+      printJsonReport('check-filters', {
+        count: filters.length,
+        filters: filters.map(filter => filterReport(filter, labelMap))
+      });
+      return;
+    }
+
     // Display each filter
     filters.forEach((filter, index) => {
       console.log(chalk.cyan(`Filter ${index + 1}:`));
@@ -72,8 +94,9 @@ async function checkFilters() {
     console.error(chalk.red('\n❌ Error:'), error.message);
     if (error.message.includes('Insufficient Permission')) {
       console.log(chalk.yellow('\nYou need to re-authenticate with the new permissions.'));
-      console.log(chalk.yellow('Delete token.json and run the script again.'));
+      console.log(chalk.yellow('Sign in again with: npm run auth -- login'));
     }
+    process.exitCode = 1;
   }
 }
 
@@ -1,17 +1,19 @@
 import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { statePath } from './accounts.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CHECKPOINT_FILE = path.join(__dirname, '../.checkpoint.json');
+const CHECKPOINT_FILE = statePath('.checkpoint.json');
 
 export async function loadCheckpoint() {
   try {
     const data = await fs.readFile(CHECKPOINT_FILE, 'utf8');
-    return JSON.parse(data);
+    return {
+      historyId: null,
+      ...JSON.parse(data)
+    };
   } catch (error) {
     // If file doesn't exist, return default checkpoint
     return {
+      historyId: null,
       lastProcessedDate: null,
       totalProcessed: 0,
       lastRun: null
@@ -32,4 +34,4 @@ export async function updateCheckpoint(newData) {
   };
   await saveCheckpoint(updated);
   return updated;
-}
\ No newline at end of file
+}
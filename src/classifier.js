@@ -0,0 +1,200 @@
+/**
+ * Naive Bayes classifier trained on mail the user has already sorted.
+ *
+ * The rule-based categorizer in emailAnalyzer.js only knows the patterns we
+ * wrote down; anything else ends up as "unknown". This model learns from the
+ * labels already in the mailbox (Filtered/*, Receipts, VIP, Likely Spam) and
+ * gives a second opinion with a confidence score. Everything runs locally:
+ * training reads the mailbox through the configured provider and the model is
+ * a plain JSON file, so no message content leaves the machine.
+ */
+import fs from 'fs/promises';
+import { extractDomain } from './utils.js';
+import { statePath } from './accounts.js';
+
+export const MODEL_FILE = statePath('.classifier-model.json');
+
+const MODEL_VERSION = 1;
+
+// Labels we learn from, mapped to the categories used by EmailAnalyzer.
+// Any other Filtered/<Name> label becomes the category "<name>".
+export const TRAINING_LABELS = {
+  'Filtered/Newsletters': 'newsletter',
+  'Filtered/Promotional': 'promotional',
+  'Filtered/Automated': 'automated',
+  'Filtered/Social': 'social',
+  'Filtered/Forums': 'forums',
+  'Receipts': 'receipt',
+  'VIP': 'vip',
+  'Likely Spam': 'spam'
+};
+
+// Words too common to say anything about a category
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the',
+  'this', 'to', 'we', 'was', 'with', 'you', 'your'
+]);
+
+/**
+ * Category for a training label name, or null if we don't learn from it
+ */
+export function categoryForLabel(labelName) {
+  if (TRAINING_LABELS[labelName]) return TRAINING_LABELS[labelName];
+  const filtered = labelName.match(/^Filtered\/(.+)$/);
+  return filtered ? filtered[1].toLowerCase() : null;
+}
+
+function words(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9$%']+/)
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Turn a message into feature tokens
+ * @param {Object} email - { fromEmail, subject, snippet, labels, listUnsubscribe, listId }
+ * @returns {string[]}
+ */
+export function extractFeatures(email) {
+  const tokens = [];
+  const fromEmail = (email.fromEmail || '').toLowerCase();
+
+  if (fromEmail) {
+    const domain = extractDomain(fromEmail);
+    tokens.push(`from:${fromEmail}`);
+    if (domain) tokens.push(`domain:${domain}`);
+    words(fromEmail.split('@')[0]).forEach(word => tokens.push(`local:${word}`));
+  }
+
+  words(email.subject).forEach(word => tokens.push(`subject:${word}`));
+  words(email.snippet).forEach(word => tokens.push(word));
+
+  // Gmail's own tabs are a strong hint; user labels are left out because the
+  // training label itself would leak into the features
+  (email.labels || [])
+    .filter(label => label.startsWith('CATEGORY_'))
+    .forEach(label => tokens.push(`gmail:${label.toLowerCase()}`));
+
+  if (email.listUnsubscribe) tokens.push('header:list-unsubscribe');
+  if (email.listId) tokens.push('header:list-id');
+
+  return tokens;
+}
+
+export class NaiveBayesClassifier {
+  constructor() {
+    this.categories = {};   // category -> { documents, tokens, counts: { token: n } }
+    this.vocabulary = new Set();
+    this.totalDocuments = 0;
+    this.trainedAt = null;
+  }
+
+  get isTrained() {
+    return this.totalDocuments > 0 && Object.keys(this.categories).length > 1;
+  }
+
+  /**
+   * Add one labeled example
+   */
+  learn(email, category) {
+    const tokens = extractFeatures(email);
+    if (!this.categories[category]) {
+      this.categories[category] = { documents: 0, tokens: 0, counts: {} };
+    }
+
+    const entry = this.categories[category];
+    entry.documents++;
+    this.totalDocuments++;
+
+    tokens.forEach(token => {
+      entry.counts[token] = (entry.counts[token] || 0) + 1;
+      entry.tokens++;
+      this.vocabulary.add(token);
+    });
+    this.trainedAt = new Date().toISOString();
+  }
+
+  /**
+   * Most likely category for a message
+   * @returns {{ category: string, confidence: number, scores: Object }|null}
+   *   confidence is the posterior probability (0-1) of the chosen category
+   */
+  predict(email) {
+    if (!this.isTrained) return null;
+
+    const tokens = extractFeatures(email);
+    const vocabularySize = this.vocabulary.size;
+    const logScores = {};
+
+    for (const [category, entry] of Object.entries(this.categories)) {
+      let score = Math.log(entry.documents / this.totalDocuments);
+      const denominator = entry.tokens + vocabularySize;
+
+      // Laplace smoothing; tokens never seen in training carry no signal
+      tokens.forEach(token => {
+        if (!this.vocabulary.has(token)) return;
+        score += Math.log(((entry.counts[token] || 0) + 1) / denominator);
+      });
+      logScores[category] = score;
+    }
+
+    // Normalize log scores into probabilities without underflowing
+    const max = Math.max(...Object.values(logScores));
+    const exp = Object.fromEntries(Object.entries(logScores).map(([category, score]) => [category, Math.exp(score - max)]));
+    const total = Object.values(exp).reduce((sum, value) => sum + value, 0);
+
+    const scores = Object.fromEntries(Object.entries(exp).map(([category, value]) => [category, value / total]));
+    const [category, confidence] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+
+    return { category, confidence, scores };
+  }
+
+  // Number of training examples per category
+  summary() {
+    return Object.fromEntries(Object.entries(this.categories).map(([category, entry]) => [category, entry.documents]));
+  }
+
+  toJSON() {
+    return {
+      version: MODEL_VERSION,
+      trainedAt: this.trainedAt,
+      totalDocuments: this.totalDocuments,
+      categories: this.categories
+    };
+  }
+
+  static fromJSON(data) {
+    if (data.version !== MODEL_VERSION) {
+      throw new Error(`Unsupported classifier model version ${data.version}; retrain with npm run train`);
+    }
+
+    const classifier = new NaiveBayesClassifier();
+    classifier.categories = data.categories || {};
+    classifier.totalDocuments = data.totalDocuments || 0;
+    classifier.trainedAt = data.trainedAt || null;
+    Object.values(classifier.categories).forEach(entry => {
+      Object.keys(entry.counts).forEach(token => classifier.vocabulary.add(token));
+    });
+    return classifier;
+  }
+
+  async save(filePath = MODEL_FILE) {
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON()));
+  }
+
+  /**
+   * Load the saved model, or null if none has been trained yet
+   */
+  static async load(filePath = MODEL_FILE) {
+    try {
+      const data = await fs.readFile(filePath, 'utf8');
+      return NaiveBayesClassifier.fromJSON(JSON.parse(data));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
@@ -1,7 +1,9 @@
-import { google } from 'googleapis';
-import { authorize } from './auth.js';
+import { authorize, createGmailClient } from './mailProvider.js';
 import chalk from 'chalk';
 import ora from 'ora';
+import { Journal } from './journal.js';
+import { getCliOptions } from './cliOptions.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
 
 // Filters that should NEVER be marking emails as spam or trash
 const PROTECTED_DOMAINS = [
@@ -41,8 +43,9 @@ const OVERLY_BROAD_PATTERNS = [
 ];
 
 class FilterCleanup {
-  constructor(auth) {
-    this.gmail = google.gmail({ version: 'v1', auth });
+  constructor(auth, journal = null) {
+    this.gmail = createGmailClient(auth);
+    this.journal = journal || new Journal('cleanup');
   }
 
   async getAllFilters() {
@@ -155,17 +158,17 @@ class FilterCleanup {
     // Collect duplicate filters (keep only the first one)
     for (const dup of issues.duplicates) {
       // Keep the first filter, delete the rest
-      toDelete.push(...dup.filters.slice(1).map(f => ({ id: f.id, reason: `Duplicate: ${dup.from}` })));
+      toDelete.push(...dup.filters.slice(1).map(f => ({ id: f.id, filter: f, reason: `Duplicate: ${dup.from}` })));
     }
 
     // Collect protected domains marked as spam
     for (const item of issues.protectedMarkedSpam) {
-      toDelete.push({ id: item.filter.id, reason: `Protected domain marked spam: ${item.from}` });
+      toDelete.push({ id: item.filter.id, filter: item.filter, reason: `Protected domain marked spam: ${item.from}` });
     }
 
     // Collect overly broad filters
     for (const item of issues.overlyBroad) {
-      toDelete.push({ id: item.filter.id, reason: `Overly broad: ${item.from}` });
+      toDelete.push({ id: item.filter.id, filter: item.filter, reason: `Overly broad: ${item.from}` });
     }
 
     if (dryRun) {
@@ -176,10 +179,7 @@ class FilterCleanup {
     let deleted = 0;
     for (const filter of toDelete) {
       try {
-        await this.gmail.users.settings.filters.delete({
-          userId: 'me',
-          id: filter.id
-        });
+        await this.journal.deleteFilter(this.gmail, filter.filter);
         deleted++;
         spinner.text = `Deleted ${deleted}/${toDelete.length} filters`;
         // Rate limiting
@@ -193,6 +193,27 @@ class FilterCleanup {
     return deleted;
   }
 
+  // Filters counted once per extra copy of a duplicate
+  countProblems(issues) {
+    return issues.duplicates.reduce((acc, d) => acc + d.count - 1, 0) +
+           issues.protectedMarkedSpam.length +
+           issues.overlyBroad.length;
+  }
+
+  // The issues displayReport prints, as data for --json
+  getReport(issues) {
+    return {
+      duplicates: issues.duplicates.map(dup => ({
+        from: dup.from,
+        count: dup.count,
+        filterIds: dup.filters.map(filter => filter.id)
+      })),
+      protectedMarkedSpam: issues.protectedMarkedSpam.map(item => ({ from: item.from, filterId: item.filter.id })),
+      overlyBroad: issues.overlyBroad.map(item => ({ from: item.from, filterId: item.filter.id })),
+      totalProblematic: this.countProblems(issues)
+    };
+  }
+
   displayReport(issues) {
     console.log('\n' + chalk.bold.cyan('Filter Analysis Report'));
     console.log(chalk.gray('='.repeat(50)));
@@ -215,17 +236,14 @@ class FilterCleanup {
       console.log(`  - ${item.from}`);
     });
 
-    const total = issues.duplicates.reduce((acc, d) => acc + d.count - 1, 0) +
-                  issues.protectedMarkedSpam.length +
-                  issues.overlyBroad.length;
-
-    console.log(chalk.bold.red(`\nTotal problematic filters: ${total}`));
+    console.log(chalk.bold.red(`\nTotal problematic filters: ${this.countProblems(issues)}`));
   }
 }
 
 async function main() {
-  const args = process.argv.slice(2);
-  const dryRun = !args.includes('--apply');
+  const options = getCliOptions();
+  const dryRun = options.dryRun || !options.args.includes('--apply');
+  const json = jsonOutput();
 
   console.log(chalk.bold.cyan('\nGmail Filter Cleanup Tool\n'));
 
@@ -235,14 +253,17 @@ async function main() {
     console.log(chalk.red('Running in APPLY mode. Filters will be deleted!\n'));
   }
 
-  const auth = await authorize();
+  const auth = await authorize({ access: dryRun ? 'read' : 'modify' });
   const cleanup = new FilterCleanup(auth);
 
   const { issues } = await cleanup.analyzeFilters();
-  cleanup.displayReport(issues);
+  if (!json) cleanup.displayReport(issues);
+
+  // The deletions a real run would make, for the dry-run list and the JSON report
+  const toDelete = dryRun || json ? await cleanup.fixIssues(issues, true) : [];
+  let deleted = 0;
 
   if (dryRun) {
-    const toDelete = await cleanup.fixIssues(issues, true);
     console.log('\nFilters that would be deleted:');
     toDelete.slice(0, 20).forEach(f => {
       console.log(chalk.gray(`  - ${f.reason}`));
@@ -252,8 +273,23 @@ async function main() {
     }
     console.log(chalk.yellow('\nRun with --apply to delete these filters.'));
   } else {
-    await cleanup.fixIssues(issues, false);
+    deleted = await cleanup.fixIssues(issues, false);
+    const undoHint = cleanup.journal.describeUndo();
+    if (undoHint) console.log(chalk.gray(undoHint));
+  }
+
+  if (json) {
+    printJsonReport('cleanup', {
+      dryRun,
+      issues: cleanup.getReport(issues),
+      deletions: toDelete.map(({ id, reason }) => ({ filterId: id, reason })),
+      deleted,
+      runId: cleanup.journal.count > 0 ? cleanup.journal.runId : null
+    });
   }
 }
 
-main().catch(console.error);
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
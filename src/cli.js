@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * fix-email: one entry point for every tool in this project.
+ *
+ *   fix-email <command> [options]
+ *   fix-email help <command>
+ *
+ * Each command is one of the existing scripts; the CLI checks the shared
+ * options against what the command supports and then runs the script with
+ * the remaining arguments. --account and --config are taken out of the
+ * arguments (and applied) by accounts.js as soon as it is imported.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { getActiveAccount, listAccountNames, runAcrossAccounts } from './accounts.js';
+import { parseCliOptions, EXIT_USAGE } from './cliOptions.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Shared options every command accepts
+const ALWAYS = ['account', 'config', 'non-interactive', 'help'];
+
+const OPTION_HELP = {
+  account: '--account <name>   Use an account profile from accounts.json',
+  'all-accounts': '--all-accounts     Run the command for every account profile in turn',
+  config: '--config <file>    Read settings from this file instead of .env',
+  'dry-run': '--dry-run          Show what would change without changing anything',
+  yes: '--yes, -y          Answer yes to confirmation prompts',
+  json: '--json             Print JSON instead of the report',
+  limit: '--limit <n>        Number of emails to look at',
+  'max-batches': '--max-batches <n>  Stop after n batches instead of asking whether to go on',
+  'vip-from-env': '--vip-from-env     Use VIP_EMAILS without asking',
+  'non-interactive': '--non-interactive  Never prompt; unanswered prompts exit with code 3',
+  help: '--help, -h         Show help'
+};
+
+export const COMMANDS = {
+  analyze: {
+    script: 'index.js',
+    summary: 'Analyze recent mail, then label, archive and create filters',
+    options: ['dry-run', 'yes', 'limit', 'vip-from-env', 'json'],
+    details: 'Categorizes your most recent emails (default 500) and offers to apply the filtering rules.'
+  },
+  continuous: {
+    script: 'continuous.js',
+    usage: 'continuous [--daemon [--interval <minutes> | --cron "<expr>"] [--quiet-hours HH:MM-HH:MM]]',
+    summary: 'Process only mail that arrived since the last run',
+    options: ['dry-run', 'yes', 'limit', 'max-batches', 'json'],
+    details: 'Uses the saved checkpoint (Gmail history ID) to fetch new mail. --dry-run leaves the checkpoint where it was.\n' +
+      '--daemon keeps running on a schedule (default every 15 minutes) and needs --yes or --dry-run.'
+  },
+  batch: {
+    script: 'batch-inbox.js',
+    summary: 'Work through the inbox in batches',
+    options: ['dry-run', 'yes', 'limit', 'max-batches', 'json'],
+    details: '--limit sets the batch size (default 500).'
+  },
+  'check-filters': {
+    script: 'check-filters.js',
+    summary: 'List existing Gmail filters and labels',
+    options: ['json']
+  },
+  plan: {
+    script: 'dryRunFilterImprovements.js',
+    summary: 'Diff rules.json against your Gmail filters and save a plan',
+    options: ['limit'],
+    details: '--limit sets how many inbox emails are sampled to estimate the impact (default 50).'
+  },
+  apply: {
+    script: 'applyFilterImprovements.js',
+    summary: 'Apply the plan saved by "plan"',
+    options: ['dry-run', 'yes'],
+    details: '--dry-run prints the saved plan without applying it.'
+  },
+  cleanup: {
+    script: 'cleanupFilters.js',
+    usage: 'cleanup [--apply]',
+    summary: 'Find duplicate, overly broad and risky filters',
+    options: ['dry-run', 'json'],
+    details: 'Reports only, unless --apply is given, in which case the problem filters are deleted.'
+  },
+  'spam-rescue': {
+    script: 'analyzeLikelySpam.js',
+    summary: 'Find legitimate mail in Likely Spam and move it back',
+    options: ['dry-run', 'yes', 'limit', 'json'],
+    details: 'Looks at up to 5000 emails unless --limit is given.'
+  },
+  'spam-rescue-paginated': {
+    script: 'analyzeLikelySpamPaginated.js',
+    summary: 'Like spam-rescue, one batch at a time with saved progress',
+    options: ['yes', 'max-batches'],
+    details: '--yes rescues the legitimate emails in every batch without asking.'
+  },
+  'archive-read': {
+    script: 'archiveReadEmails.js',
+    summary: 'Archive read inbox emails, keeping VIP and protected mail',
+    options: ['dry-run', 'yes', 'limit'],
+    details: 'Looks at up to 1000 read emails unless --limit is given.'
+  },
+  'trash-rules': {
+    script: 'trashBatch.js',
+    summary: 'Create filters for trash rules in rules.json and trash matching mail',
+    options: ['dry-run']
+  },
+  train: {
+    script: 'trainClassifier.js',
+    usage: 'train [--per-label <n>]',
+    summary: 'Train the category classifier from labeled mail',
+    options: []
+  },
+  explain: {
+    script: 'explain.js',
+    usage: 'explain <messageId>',
+    summary: 'Show how one email was categorized',
+    options: ['json']
+  },
+  undo: {
+    script: 'undo.js',
+    usage: 'undo [<runId>] [--force]',
+    summary: 'List journaled runs, or reverse one',
+    options: ['dry-run', 'yes'],
+    details: '--dry-run shows what would be reversed without changing anything.'
+  },
+  cache: {
+    script: 'cacheCommand.js',
+    usage: 'cache [status|sync|clear]',
+    summary: 'Report on the local message cache, refresh it, or delete it',
+    options: ['limit', 'json'],
+    details: 'status works offline. sync updates labels and fetches headers for new messages (--limit caps how many).'
+  },
+  retention: {
+    script: 'retentionCommand.js',
+    usage: 'retention [--daemon [--interval <minutes> | --cron "<expr>"] [--quiet-hours HH:MM-HH:MM]]',
+    summary: 'Archive or trash mail that outlived its label\'s retention policy',
+    options: ['dry-run', 'yes', 'limit', 'json'],
+    details: 'Policies are the "retention" list in rules.json. --limit caps the emails per policy per run (default 1000).\n' +
+      '--daemon keeps running on a schedule (default once a day) and needs --yes or --dry-run.'
+  },
+  storage: {
+    script: 'storageCommand.js',
+    usage: 'storage [--min-size <size>] [--older-than <months>] [--trash | --archive] [--sender <address or domain>]',
+    summary: 'Rank senders, labels and threads by storage used, and find large old attachments',
+    options: ['dry-run', 'yes', 'limit', 'json'],
+    details: 'Sizes come from the most recent 2000 emails (or --limit). Large attachments are emails over --min-size\n' +
+      '(default 5M) older than --older-than months (default 6). --trash or --archive cleans up those emails, or\n' +
+      'with --sender everything scanned from that sender. VIP, protected and starred mail is never changed.'
+  },
+  unsubscribe: {
+    script: 'unsubscribeCommand.js',
+    usage: 'unsubscribe [<address or domain>...] | unsubscribe log | unsubscribe report',
+    summary: 'Unsubscribe from mailing lists, ranked by how much they send',
+    options: ['dry-run', 'yes', 'limit', 'json'],
+    details: 'Reads the List-Unsubscribe headers in recent mail (default 500 emails). Without senders it asks which to pick.\n' +
+      'One-click links are POSTed, mailto: lists are emailed when SMTP_URL is set, anything else is printed.\n' +
+      '"log" lists the recorded attempts. "report" checks whether unsubscribed and filtered senders stopped mailing\n' +
+      '(in the last 1000 emails, or --limit) and offers trash filters for senders that ignored an unsubscribe.'
+  },
+  auth: {
+    script: 'authCommand.js',
+    usage: 'auth [status|login|logout] [read|modify]',
+    summary: 'Check, create or remove saved Gmail tokens',
+    options: []
+  }
+};
+
+function showUsage() {
+  console.log(chalk.bold('\nUsage: fix-email <command> [options]\n'));
+  console.log(chalk.bold('Commands:'));
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  Object.entries(COMMANDS).forEach(([name, command]) => {
+    console.log(`  ${name.padEnd(width)}  ${chalk.gray(command.summary)}`);
+  });
+  console.log(chalk.bold('\nOptions:'));
+  Object.values(OPTION_HELP).forEach(line => console.log(`  ${line}`));
+  console.log(chalk.gray('\nNot every command takes every option; see fix-email help <command>.\n'));
+}
+
+function showCommandHelp(name) {
+  const command = COMMANDS[name];
+  console.log(chalk.bold(`\nUsage: fix-email ${command.usage || name} [options]\n`));
+  console.log(command.summary + '.');
+  if (command.details) console.log(chalk.gray(command.details));
+  console.log(chalk.bold('\nOptions:'));
+  [...command.options, ...ALWAYS, 'all-accounts'].forEach(option => console.log(`  ${OPTION_HELP[option]}`));
+  console.log();
+}
+
+function fail(message) {
+  console.error(chalk.red(`❌ ${message}`));
+  process.exit(EXIT_USAGE);
+}
+
+// Shared options the command can't honor, as flags ("--json")
+function unsupportedOptions(command, options) {
+  const given = {
+    'dry-run': options.dryRun,
+    yes: options.yes,
+    json: options.json,
+    limit: options.limit !== null,
+    'max-batches': options.maxBatches !== null,
+    'vip-from-env': options.vipFromEnv
+  };
+  return Object.entries(given)
+    .filter(([option, used]) => used && !command.options.includes(option))
+    .map(([option]) => `--${option}`);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const allAccounts = argv.includes('--all-accounts');
+  const [name, ...rest] = argv.filter(arg => arg !== '--all-accounts');
+
+  if (!name || name === '--help' || name === '-h') {
+    showUsage();
+    return;
+  }
+  if (name === 'help') {
+    if (rest[0] && !COMMANDS[rest[0]]) fail(`Unknown command "${rest[0]}"`);
+    rest[0] ? showCommandHelp(rest[0]) : showUsage();
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    fail(`Unknown command "${name}". Run fix-email --help to see the commands.`);
+  }
+
+  let options;
+  try {
+    options = parseCliOptions(rest);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  if (options.help) {
+    showCommandHelp(name);
+    return;
+  }
+
+  const unsupported = unsupportedOptions(command, options);
+  if (unsupported.length > 0) {
+    fail(`${name} does not support ${unsupported.join(', ')}`);
+  }
+
+  if (allAccounts) {
+    if (getActiveAccount()) fail('--all-accounts runs every profile; drop --account');
+    process.exitCode = await runAcrossAccounts(name, [path.join(__dirname, 'cli.js'), name, ...rest], listAccountNames());
+    return;
+  }
+
+  // The script reads its own arguments (and the shared options) from process.argv
+  process.argv = [process.argv[0], path.join(__dirname, command.script), ...rest];
+  await import(`./${command.script}`);
+}
+
+main();
@@ -0,0 +1,208 @@
+/**
+ * Options shared by every command, whether it is started through the
+ * fix-email CLI (src/cli.js) or run directly with node:
+ *
+ *   --dry-run           show what would change without changing anything
+ *   --yes, -y           answer yes to confirmation prompts
+ *   --json              print machine-readable JSON instead of the report
+ *   --limit <n>         how many emails to look at
+ *   --max-batches <n>   stop after n batches instead of asking to continue
+ *   --vip-from-env      use VIP_EMAILS without asking
+ *   --non-interactive   never prompt (also NON_INTERACTIVE=true, or no terminal)
+ *   --config <file>     read settings from this file instead of .env
+ *   --help, -h          show help
+ *
+ * (--account and --config are handled by accounts.js.) Everything else -
+ * positional arguments and command-specific flags such as --apply - is left
+ * in `args`.
+ *
+ * A prompt that no option answers in a non-interactive run is treated as
+ * "no", and the process exits with EXIT_NEEDS_CONFIRMATION so cron jobs and
+ * scripts can tell a declined run from a failed one.
+ */
+import readline from 'readline/promises';
+import chalk from 'chalk';
+
+// Exit codes: 1 is a failure, 2 bad usage
+export const EXIT_USAGE = 2;
+export const EXIT_NEEDS_CONFIRMATION = 3;
+
+function parsePositiveInteger(flag, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${flag} needs a positive whole number (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * Split command-line arguments into the shared options and the rest
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ dryRun: boolean, yes: boolean, json: boolean, limit: number|null,
+ *   maxBatches: number|null, vipFromEnv: boolean, nonInteractive: boolean,
+ *   help: boolean, args: string[] }}
+ */
+export function parseCliOptions(argv) {
+  const options = {
+    dryRun: false,
+    yes: false,
+    json: false,
+    limit: null,
+    maxBatches: null,
+    vipFromEnv: false,
+    nonInteractive: false,
+    help: false,
+    args: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+
+    const takeValue = () => {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+        throw new Error(`${flag} needs a value`);
+      }
+      return value;
+    };
+
+    switch (flag) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--yes':
+      case '-y':
+        options.yes = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--limit':
+        options.limit = parsePositiveInteger(flag, takeValue());
+        break;
+      case '--max-batches':
+        options.maxBatches = parsePositiveInteger(flag, takeValue());
+        break;
+      case '--vip-from-env':
+        options.vipFromEnv = true;
+        break;
+      case '--non-interactive':
+        options.nonInteractive = true;
+        break;
+      default:
+        options.args.push(arg);
+    }
+  }
+
+  return options;
+}
+
+let cached = null;
+
+/**
+ * Shared options for the running command, parsed once from process.argv.
+ * NON_INTERACTIVE and MAX_BATCHES in .env (or --config) fill in flags that
+ * weren't given.
+ */
+export function getCliOptions() {
+  if (!cached) {
+    try {
+      cached = parseCliOptions(process.argv.slice(2));
+      cached.nonInteractive ||= process.env.NON_INTERACTIVE === 'true';
+      if (cached.maxBatches === null && process.env.MAX_BATCHES) {
+        cached.maxBatches = parsePositiveInteger('MAX_BATCHES', process.env.MAX_BATCHES);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(EXIT_USAGE);
+    }
+  }
+  return cached;
+}
+
+/**
+ * Whether prompts can be shown: not --non-interactive, and stdin is a terminal
+ */
+export function isInteractive() {
+  return !getCliOptions().nonInteractive && Boolean(process.stdin.isTTY);
+}
+
+// A prompt nothing answered in a non-interactive run: say so and set the exit code
+function unanswered(question, hint) {
+  console.log(question + chalk.gray('(no answer - non-interactive)'));
+  console.error(chalk.red(`❌ This needs an answer but the run is non-interactive. ${hint}`));
+  process.exitCode = EXIT_NEEDS_CONFIRMATION;
+}
+
+/**
+ * Ask for free-form input. In a non-interactive run nothing is asked and ''
+ * is returned, with the exit code set to EXIT_NEEDS_CONFIRMATION.
+ * @param {string} question - Prompt text
+ * @param {Object} options
+ * @param {string} options.hint - How to supply the answer without a prompt
+ * @returns {Promise<string>}
+ */
+export async function ask(question, { hint }) {
+  if (!isInteractive()) {
+    unanswered(question, hint);
+    return '';
+  }
+
+  // With --json stdout is reserved for the report
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: getCliOptions().json ? process.stderr : process.stdout
+  });
+  try {
+    return (await rl.question(question)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Ask a yes/no question, or answer it from --yes. In a non-interactive run
+ * without --yes the answer is no and the exit code is set to
+ * EXIT_NEEDS_CONFIRMATION.
+ * @param {string} question - Prompt text, e.g. "Apply filtering rules? (y/n): "
+ * @param {Object} options
+ * @param {string} options.expect - Answer that means yes ("y", or "yes" for riskier prompts)
+ * @returns {Promise<boolean>}
+ */
+export async function confirm(question, { expect = 'y' } = {}) {
+  if (getCliOptions().yes) {
+    console.log(question + chalk.gray(`${expect} (--yes)`));
+    return true;
+  }
+
+  const answer = await ask(question, { hint: 'Re-run with --yes to answer yes.' });
+  return answer.toLowerCase() === expect;
+}
+
+/**
+ * Ask whether to go on to another batch, or answer it from --max-batches
+ * (or --yes, which keeps going until there is nothing left)
+ * @param {number} batchesDone - Batches finished so far in this run
+ * @param {string} question - Prompt text
+ * @returns {Promise<boolean>}
+ */
+export async function confirmNextBatch(batchesDone, question) {
+  const { maxBatches } = getCliOptions();
+  if (maxBatches === null) {
+    return confirm(question);
+  }
+
+  if (batchesDone >= maxBatches) {
+    console.log(chalk.gray(`\nStopping after ${maxBatches} batch${maxBatches === 1 ? '' : 'es'} (--max-batches)`));
+    return false;
+  }
+  console.log(question + chalk.gray(`y (--max-batches ${maxBatches})`));
+  return true;
+}
@@ -1,10 +1,15 @@
-import { authorize } from './auth.js';
+import { authorize } from './mailProvider.js';
 import { EmailAnalyzer } from './emailAnalyzer.js';
 import { EmailFilter } from './emailFilter.js';
 import { loadCheckpoint, updateCheckpoint } from './checkpoint.js';
+import { Journal } from './journal.js';
+import { getCliOptions, confirm, confirmNextBatch, EXIT_USAGE } from './cliOptions.js';
+import { daemonSettings } from './schedule.js';
+import { Daemon } from './daemon.js';
+import { getQuotaLimiter } from './quota.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
-import readline from 'readline/promises';
 
 dotenv.config();
 
@@ -16,41 +21,45 @@ async function getConfig() {
   return { vipEmails, protectedSenders, protectedKeywords };
 }
 
-async function processNewEmails(auth, config) {
+async function processNewEmails(auth, config, journal) {
+  const options = getCliOptions();
+  const limit = options.limit || 500;
   const checkpoint = await loadCheckpoint();
   const analyzer = new EmailAnalyzer(auth, config.vipEmails, config.protectedSenders, config.protectedKeywords);
   
-  let messages;
-  if (checkpoint.lastProcessedDate) {
-    // Fetch only emails after the last processed date
-    console.log(chalk.cyan(`📧 Fetching emails since ${checkpoint.lastProcessedDate}...`));
-    messages = await analyzer.fetchEmailsSince(checkpoint.lastProcessedDate, 500);
+  if (checkpoint.historyId) {
+    console.log(chalk.cyan(`📧 Fetching changes since history ${checkpoint.historyId}...`));
+  } else if (checkpoint.lastProcessedDate) {
+    console.log(chalk.cyan(`📧 No history ID yet - scanning emails since ${checkpoint.lastProcessedDate}...`));
   } else {
     // First run - fetch recent emails
-    console.log(chalk.cyan('📧 First run - fetching recent 500 emails...'));
-    messages = await analyzer.fetchEmails(500);
+    console.log(chalk.cyan(`📧 First run - fetching recent ${limit} emails...`));
+  }
+
+  const { messages, historyId, hasMore, fullScan } = await analyzer.fetchNewEmails(checkpoint, limit);
+  if (fullScan && checkpoint.historyId) {
+    console.log(chalk.yellow('⚠️  Saved history ID expired - fell back to a bounded full scan'));
   }
 
   if (messages.length === 0) {
     console.log(chalk.yellow('No new emails to process!'));
-    return { processed: 0, hasMore: false };
+    if (!options.dryRun) await updateCheckpoint({ historyId });
+    return { processed: 0, hasMore: false, report: null };
   }
 
   console.log(chalk.cyan(`🔍 Analyzing ${messages.length} emails...`));
   const analysisResults = await analyzer.analyzeAllEmails(messages);
   
-  analyzer.displaySummary();
+  if (!jsonOutput()) analyzer.displaySummary();
   await analyzer.saveAnalysisResults();
 
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+  let applied = false;
+  let filtering = null;
 
-  const proceed = await rl.question('\n' + chalk.yellow('Apply filtering rules? (y/n): '));
-  
-  if (proceed.toLowerCase() === 'y') {
-    const filter = new EmailFilter(auth);
+  if (options.dryRun) {
+    console.log(chalk.yellow('\nDry run - no filtering applied and the checkpoint was not moved.'));
+  } else if (await confirm('\n' + chalk.yellow('Apply filtering rules? (y/n): '))) {
+    const filter = new EmailFilter(await authorize({ access: 'modify' }), config.protectedSenders, journal);
     
     console.log(chalk.cyan('\n🏷️  Setting up labels...'));
     const labels = await filter.setupFilteringLabels();
@@ -61,29 +70,102 @@ async function processNewEmails(auth, config) {
     console.log(chalk.cyan('📝 Creating filter rules...'));
     await filter.createFilters(analysisResults, labels);
     
-    filter.displayFilteringSummary(analysisResults);
+    filtering = filter.getFilteringSummary(analysisResults);
+    if (!jsonOutput()) filter.displayFilteringSummary(analysisResults);
     
-    // Update checkpoint with current date
+    // Advance the checkpoint to the history ID this batch ended at
     const now = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
     await updateCheckpoint({
+      historyId,
       lastProcessedDate: now,
       totalProcessed: checkpoint.totalProcessed + messages.length
     });
     
     console.log(chalk.green('\n✅ Filtering complete!'));
-    console.log(chalk.gray(`Checkpoint saved. Next run will fetch emails after ${now}`));
+    console.log(chalk.gray(`Checkpoint saved. Next run will fetch changes after history ${historyId}`));
+    applied = true;
   }
-  
-  rl.close();
-  return { processed: messages.length, hasMore: messages.length === 500 };
+
+  return {
+    processed: messages.length,
+    hasMore: applied && hasMore,
+    report: { analysis: analyzer.getSummary(), filtering }
+  };
+}
+
+// Process batches until nothing new is left, --max-batches says stop, or shouldStop() does
+async function processAvailable(auth, config, journal, shouldStop = () => false) {
+  let processed = 0;
+  let batches = 0;
+  const reports = [];
+
+  while (true) {
+    const result = await processNewEmails(auth, config, journal);
+    processed += result.processed;
+    batches++;
+    if (result.report) reports.push(result.report);
+
+    if (!result.hasMore || shouldStop()) break;
+    if (!await confirmNextBatch(batches, '\n' + chalk.yellow('More emails available. Continue processing? (y/n): '))) {
+      break;
+    }
+  }
+
+  return { processed, reports };
+}
+
+async function runDaemon(auth, config) {
+  const options = getCliOptions();
+  let settings;
+  try {
+    settings = daemonSettings(options.args);
+  } catch (error) {
+    console.error(chalk.red('❌'), error.message);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  if (options.json) {
+    console.error(chalk.red('❌ --json prints one report when a command finishes, so it can\'t be used with --daemon (see .daemon-status.json).'));
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  // Nobody is there to answer prompts, so the caller decides up front
+  if (!options.yes && !options.dryRun) {
+    console.error(chalk.red('❌ Daemon mode never prompts. Add --yes to apply filters automatically, or --dry-run to only report.'));
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+  options.nonInteractive = true;
+
+  const daemon = new Daemon({
+    ...settings,
+    runOnce: async ({ shouldStop }) => {
+      const journal = new Journal('daemon');
+      // Report each run's quota on its own rather than the daemon's lifetime total
+      const quota = getQuotaLimiter();
+      quota.resetStats();
+      const result = await processAvailable(auth, config, journal, shouldStop);
+      const undoHint = journal.describeUndo();
+      if (undoHint) console.log(chalk.gray(undoHint));
+      quota.printReport();
+      const quotaUnits = quota.summary().units;
+      quota.resetStats();
+      return { ...result, quotaUnits };
+    }
+  });
+  await daemon.start();
 }
 
 async function main() {
+  const json = jsonOutput();
   console.log(chalk.bold.cyan('\n🚀 Gmail Continuous Email Filter\n'));
 
   try {
     console.log(chalk.cyan('🔐 Authenticating with Gmail...'));
-    const auth = await authorize();
+    // Fetching and analyzing only read; modify access is requested when you apply
+    const auth = await authorize({ access: 'read' });
     console.log(chalk.green('✅ Authentication successful!\n'));
 
     const config = await getConfig();
@@ -93,36 +175,36 @@ async function main() {
 
     const checkpoint = await loadCheckpoint();
     if (checkpoint.lastProcessedDate) {
-      console.log(chalk.cyan(`📅 Last processed: ${checkpoint.lastProcessedDate}`));
+      console.log(chalk.cyan(`📅 Last processed: ${checkpoint.lastProcessedDate}` +
+        (checkpoint.historyId ? ` (history ${checkpoint.historyId})` : '')));
       console.log(chalk.cyan(`📊 Total processed: ${checkpoint.totalProcessed} emails\n`));
     }
 
-    let continueProcessing = true;
-    
-    while (continueProcessing) {
-      const result = await processNewEmails(auth, config);
-      
-      if (result.hasMore) {
-        const rl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout
-        });
-        
-        const answer = await rl.question('\n' + chalk.yellow('More emails available. Continue processing? (y/n): '));
-        continueProcessing = answer.toLowerCase() === 'y';
-        rl.close();
-      } else {
-        continueProcessing = false;
-      }
+    if (getCliOptions().args.includes('--daemon')) {
+      await runDaemon(auth, config);
+      return;
+    }
+
+    const journal = new Journal('continuous');
+    const { reports } = await processAvailable(auth, config, journal);
+    if (json) {
+      printJsonReport('continuous', {
+        dryRun: getCliOptions().dryRun,
+        runId: journal.count > 0 ? journal.runId : null,
+        batches: reports
+      });
     }
     
     console.log(chalk.green('\n✅ All done!'));
+    const undoHint = journal.describeUndo();
+    if (undoHint) console.log(chalk.gray(undoHint));
     
   } catch (error) {
     console.error(chalk.red('\n❌ Error:'), error.message);
     if (error.message.includes('invalid_grant')) {
-      console.log(chalk.yellow('\nTry deleting token.json and running again.'));
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
     }
+    process.exitCode = 1;
   }
 }
 
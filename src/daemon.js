@@ -0,0 +1,140 @@
+/**
+ * Long-running scheduler for continuous filtering.
+ *
+ * Runs a job on a schedule (see schedule.js), skips quiet hours, and keeps a
+ * status file up to date so a supervisor can see whether it is alive.
+ * SIGTERM or SIGINT lets the current batch finish, then the daemon exits.
+ */
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { statePath } from './accounts.js';
+import { nextRunTime, isQuietTime, quietHoursEnd } from './schedule.js';
+
+export const STATUS_FILE = statePath('.daemon-status.json');
+
+// How often the status file is rewritten while the daemon waits
+const HEARTBEAT_MS = 60 * 1000;
+
+export class Daemon {
+  /**
+   * @param {Object} options
+   * @param {Object} options.schedule - From createSchedule
+   * @param {Object|null} options.quietHours - From parseQuietHours
+   * @param {Function} options.runOnce - async ({ shouldStop }) => ({ processed, quotaUnits }), one scheduled run
+   * @param {string} options.statusFile - Where to write the status
+   */
+  constructor({ schedule, quietHours = null, runOnce, statusFile = STATUS_FILE }) {
+    this.schedule = schedule;
+    this.quietHours = quietHours;
+    this.runOnce = runOnce;
+    this.statusFile = statusFile;
+    this.stopping = false;
+    this.wake = null;
+    this.stoppingWrite = null;
+    this.status = {
+      pid: process.pid,
+      state: 'starting',
+      schedule: schedule.description,
+      quietHours: quietHours?.description || null,
+      startedAt: new Date().toISOString(),
+      heartbeatAt: null,
+      nextRunAt: null,
+      runs: 0,
+      totalProcessed: 0,
+      lastRun: null
+    };
+  }
+
+  async writeStatus(changes = {}) {
+    Object.assign(this.status, changes, { heartbeatAt: new Date().toISOString() });
+    await fs.writeFile(this.statusFile, JSON.stringify(this.status, null, 2));
+  }
+
+  // Ask the daemon to exit once the current batch is done
+  stop(signal) {
+    if (this.stopping) return;
+    this.stopping = true;
+    console.log(chalk.yellow(`\n${signal} received - ` +
+      (this.status.state === 'running' ? 'finishing the current batch, then stopping' : 'stopping')));
+    this.stoppingWrite = this.writeStatus({ state: 'stopping' }).catch(() => {});
+    if (this.wake) this.wake();
+  }
+
+  // Wait until a time, rewriting the status file as a heartbeat; returns early on stop
+  async sleepUntil(date) {
+    while (!this.stopping && Date.now() < date.getTime()) {
+      const wait = Math.min(HEARTBEAT_MS, date.getTime() - Date.now());
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, wait);
+        this.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this.wake = null;
+      if (!this.stopping) await this.writeStatus();
+    }
+  }
+
+  async runScheduled() {
+    const startedAt = new Date();
+    await this.writeStatus({ state: 'running', nextRunAt: null });
+    console.log(chalk.bold.cyan(`\n⏰ Scheduled run at ${startedAt.toLocaleString()}`));
+
+    const lastRun = { startedAt: startedAt.toISOString(), finishedAt: null, processed: 0, quotaUnits: null, error: null };
+    try {
+      const { processed, quotaUnits = null } = await this.runOnce({ shouldStop: () => this.stopping });
+      lastRun.processed = processed;
+      lastRun.quotaUnits = quotaUnits;
+    } catch (error) {
+      // One failed run shouldn't end the daemon; the next run tries again
+      lastRun.error = error.message;
+      console.error(chalk.red('\n❌ Run failed:'), error.message);
+    }
+    lastRun.finishedAt = new Date().toISOString();
+
+    await this.writeStatus({
+      runs: this.status.runs + 1,
+      totalProcessed: this.status.totalProcessed + lastRun.processed,
+      lastRun
+    });
+  }
+
+  async start() {
+    const onSignal = signal => this.stop(signal);
+    process.on('SIGTERM', onSignal);
+    process.on('SIGINT', onSignal);
+
+    console.log(chalk.bold.cyan(`\n🕒 Daemon started (pid ${process.pid}), running ${this.schedule.description}`));
+    if (this.quietHours) {
+      console.log(chalk.gray(`Quiet hours: ${this.quietHours.description}`));
+    }
+    console.log(chalk.gray(`Status file: ${this.statusFile}`));
+
+    try {
+      // First run right away, unless it's quiet time
+      let next = isQuietTime(this.quietHours, new Date())
+        ? this.schedule.firstAtOrAfter(quietHoursEnd(this.quietHours, new Date()))
+        : new Date();
+
+      while (!this.stopping) {
+        if (next > new Date()) {
+          const state = isQuietTime(this.quietHours, new Date()) ? 'quiet' : 'idle';
+          await this.writeStatus({ state, nextRunAt: next.toISOString() });
+          console.log(chalk.gray(`\n💤 Next run at ${next.toLocaleString()}` + (state === 'quiet' ? ' (quiet hours)' : '')));
+          await this.sleepUntil(next);
+          if (this.stopping) break;
+        }
+
+        await this.runScheduled();
+        next = nextRunTime(this.schedule, this.quietHours, new Date());
+      }
+    } finally {
+      process.off('SIGTERM', onSignal);
+      process.off('SIGINT', onSignal);
+      await this.stoppingWrite;
+      await this.writeStatus({ state: 'stopped', nextRunAt: null, stoppedAt: new Date().toISOString() });
+      console.log(chalk.green('\n✅ Daemon stopped'));
+    }
+  }
+}
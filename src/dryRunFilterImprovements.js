@@ -1,68 +1,30 @@
-import { authorize } from './auth.js';
-import { google } from 'googleapis';
+import { authorize, createGmailClient } from './mailProvider.js';
 import chalk from 'chalk';
 import ora from 'ora';
-import readline from 'readline/promises';
+import { loadRules, ruleToFilter } from './rules.js';
+import { FilterPlanner } from './filterPlan.js';
+import { parseQuery, matchesQuery, criteriaToQuery, toSearchRecord, metadataBlindTerms } from './gmailQuery.js';
+import { withRetry, extractEmail, isProtectedSender } from './utils.js';
+import { getCliOptions } from './cliOptions.js';
+import { saveMessageCache } from './messageCache.js';
+import { MetadataFetcher } from './metadataFetcher.js';
 
 class DryRunFilterAnalyzer {
-  constructor(auth) {
-    this.gmail = google.gmail({ version: 'v1', auth });
+  constructor(auth, rules) {
+    this.gmail = createGmailClient(auth);
+    this.fetcher = new MetadataFetcher(this.gmail);
+    this.planner = new FilterPlanner(auth, rules);
+    this.plan = null;
+    this.ruleQueries = [];
     this.changes = {
-      filtersToRemove: [],
-      filtersToAdd: [],
-      protectedEmails: [],
       potentiallyAffected: []
     };
   }
 
-  // Analyze which filters would be removed
-  async analyzeFiltersToRemove() {
-    const spinner = ora('Analyzing filters to remove...').start();
-    
-    const overlyBroadPatterns = [
-      'hello@',
-      'info@',
-      'noreply@',
-      'no-reply@',
-      'support@',
-      'service@',
-      'team@',
-      'marketing@',
-      'updates@',
-      'reminders@',
-      'notification@',
-      'alerts@',
-      'news@',
-      'partners@'
-    ];
-
-    try {
-      const response = await this.gmail.users.settings.filters.list({
-        userId: 'me'
-      });
-
-      const filters = response.data.filter || [];
-      
-      for (const filter of filters) {
-        const criteria = filter.criteria || {};
-        const from = criteria.from || '';
-        
-        // Check if this is one of the overly broad filters
-        if (overlyBroadPatterns.some(pattern => from === pattern)) {
-          this.changes.filtersToRemove.push({
-            id: filter.id,
-            from: from,
-            action: filter.action,
-            reason: 'Overly broad pattern catching legitimate emails'
-          });
-        }
-      }
-
-      spinner.succeed(`Found ${this.changes.filtersToRemove.length} overly broad filters to remove`);
-    } catch (error) {
-      spinner.fail('Failed to analyze filters');
-      throw error;
-    }
+  // Compute the exact create/delete diff between live filters and the rules file
+  async buildPlan() {
+    this.plan = await this.planner.buildPlan();
+    return this.plan;
   }
 
   // Analyze what legitimate emails might be affected
@@ -93,10 +55,9 @@ class DryRunFilterAnalyzer {
         });
 
         if (response.data.messages && response.data.messages.length > 0) {
-          // Check if currently being filtered by broad rules
-          const broadPattern = service.split('@')[0] + '@';
-          const isCurrentlyFiltered = this.changes.filtersToRemove.some(f => 
-            service.startsWith(f.from)
+          // Check if currently being filtered by a filter the plan deletes
+          const isCurrentlyFiltered = this.plan.deletes.some(f => 
+            f.criteria.from && service.startsWith(f.criteria.from)
           );
 
           if (isCurrentlyFiltered) {
@@ -117,265 +78,103 @@ class DryRunFilterAnalyzer {
     }
   }
 
-  // Define new smart filters that would be created
-  defineNewFilters() {
-    this.changes.filtersToAdd = [
-      // PayPal Smart Filters
-      {
-        from: 'service@paypal.com',
-        condition: 'subject contains: payment, received, sent, refund',
-        action: 'Keep in Inbox + Label: Receipts',
-        reason: 'Important transaction emails'
-      },
-      {
-        from: 'service@paypal.com',
-        condition: 'subject does NOT contain: payment, received, sent, refund',
-        action: 'Archive + Label: Filtered/Promotional',
-        reason: 'PayPal marketing emails'
-      },
-
-      // Rippling HR Filters
-      {
-        from: 'no-reply@rippling.com',
-        condition: 'subject contains: payroll, benefits, tax, urgent',
-        action: 'Keep in Inbox + Label: Important/HR',
-        reason: 'Critical HR information'
-      },
-      {
-        from: 'no-reply@rippling.com',
-        condition: 'subject does NOT contain: payroll, benefits, tax, urgent',
-        action: 'Archive + Label: Filtered/Automated',
-        reason: 'Routine HR notifications'
-      },
-
-      // LinkedIn Improved Filters
-      {
-        from: 'invitations@linkedin.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Social',
-        reason: 'LinkedIn invitations (28 emails)'
-      },
-      {
-        from: 'messages-noreply@linkedin.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Social',
-        reason: 'LinkedIn messages'
-      },
-      {
-        from: 'messaging-digest-noreply@linkedin.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'LinkedIn digest spam (6 emails)'
-      },
-      {
-        from: 'hit-reply@linkedin.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'LinkedIn spam messages (3 emails)'
-      },
-
-      // Fireflies Filter
-      {
-        from: 'fred@fireflies.ai',
-        condition: 'subject contains: Weekly Digest:',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Fireflies weekly digest spam (per user request)'
-      },
-
-      // High-volume Newsletter Filters (from analysis)
-      {
-        from: 'hello@interestingfacts.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Newsletters',
-        reason: 'High-volume newsletter (14 emails)'
-      },
-      {
-        from: 'nytdirect@nytimes.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Newsletters',
-        reason: 'High-volume newsletter (12 emails)'
-      },
-      {
-        from: 'ajsai@substack.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Newsletters',
-        reason: 'High-volume newsletter (10 emails)'
-      },
-      {
-        from: 'socialgrowthengineer@mail.beehiiv.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Newsletters',
-        reason: 'Marketing newsletter (8 emails)'
-      },
-      {
-        from: 'grant@mail.beehiiv.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Newsletters',
-        reason: 'Marketing newsletter (7 emails)'
-      },
-      {
-        from: 'theneuron@newsletter.theneurondaily.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Newsletters',
-        reason: 'AI newsletter (9 emails)'
-      },
-      {
-        from: 'support@transparentlabs.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Promotional',
-        reason: 'Product marketing (9 emails)'
-      },
-
-      // Platform Notification Spam
-      {
-        from: 'no-reply@discord.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Discord notifications (8 emails)'
-      },
-      {
-        from: 'no-reply@opentable.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Restaurant notifications (3 emails)'
-      },
-      {
-        from: 'momence@mail.momence.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Class platform spam'
-      },
-
-      // Marketing/Sales Outreach
-      {
-        from: 'tibo@mail.featherso.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Marketing/sales content'
-      },
-      {
-        from: 'magdalena.koestler@mailgun.smore.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Suspicious case information emails'
-      },
-      {
-        from: 'update@digital.metamail.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Meta marketing (3 emails)'
-      },
-      {
-        from: '@email.meetup.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Social',
-        reason: 'Meetup announcements'
-      },
-
-      // Product/Subscription Marketing
-      {
-        from: 'hello@news.hims.com',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Health product marketing (4 emails)'
-      },
-      {
-        from: 'hello@haumstudios.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Promotional',
-        reason: 'Studio marketing (5 emails)'
-      },
-      {
-        from: 'info@templesf.com',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Promotional',
-        reason: 'Venue marketing (3 emails)'
-      },
-      {
-        from: 'team@notify.graphite.dev',
-        condition: 'all emails',
-        action: 'Archive + Label: Filtered/Automated',
-        reason: 'Dev tool notifications'
-      },
-
-      // Generic Spam Patterns
-      {
-        from: '@mail.beehiiv.com',
-        condition: 'all emails not already filtered',
-        action: 'Archive + Label: Filtered/Newsletters',
-        reason: 'Newsletter platform emails'
-      },
-      {
-        from: 'contains: winner@, prize@, rewards@',
-        condition: 'NOT from major banks/retailers',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Common spam patterns'
-      },
-      {
-        subject: 'contains: congratulations you won, claim your prize',
-        condition: 'all emails',
-        action: 'Label: Likely Spam + Remove from Inbox',
-        reason: 'Classic spam subjects'
-      }
-    ];
+  // Fetch searchable metadata for the most recent `sampleSize` inbox emails,
+  // through the message cache and batch requests
+  async fetchInboxSample(sampleSize = 50) {
+    const ids = [];
+    let totalInInbox = 0;
+    let pageToken;
+    do {
+      const response = await withRetry(() => this.gmail.users.messages.list({
+        userId: 'me',
+        labelIds: ['INBOX'],
+        maxResults: Math.min(sampleSize - ids.length, 500),
+        pageToken
+      }));
+      totalInInbox = Math.max(totalInInbox, response.data.resultSizeEstimate || 0);
+      (response.data.messages || []).forEach(message => ids.push(message.id));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < sampleSize);
+
+    // Messages deleted since they were listed are left out of the sample
+    const { messages } = await this.fetcher.fetchAll(ids, ['From', 'To', 'Cc', 'Subject', 'List-ID']);
+    await saveMessageCache();
+    const records = ids.filter(id => messages.has(id)).map(id => toSearchRecord(messages.get(id)));
+
+    return { totalInInbox: Math.max(totalInInbox, ids.length), records };
+  }
+
+  /**
+   * Decide what the planned filters would do to one message by evaluating
+   * every rule's Gmail criteria against its metadata, the way Gmail applies
+   * all matching filters. Gmail's filters don't know the protected senders,
+   * so a protected sender a filter archives or trashes is flagged rather than
+   * counted as kept
+   */
+  simulateRules(record) {
+    const matched = this.ruleQueries.filter(({ query }) => matchesQuery(query, record));
+    const actions = matched.map(({ rule }) => rule.action);
+    const ruleIds = matched.map(({ rule }) => rule.id);
+
+    const outcome = actions.includes('trash') ? 'trash'
+      : actions.includes('archive') ? 'archive'
+      : actions.includes('keep_inbox') ? 'label'
+      : 'unchanged';
+
+    const from = extractEmail(record.from);
+    const caughtProtected = (outcome === 'trash' || outcome === 'archive') &&
+      isProtectedSender(from, this.planner.rules.protectedSenders);
+
+    return { outcome, ruleIds, protectedSender: caughtProtected ? from : null };
   }
 
   // Analyze current inbox to show impact
-  async analyzeInboxImpact() {
+  async analyzeInboxImpact(sampleSize) {
     const spinner = ora('Analyzing inbox impact...').start();
-    
+
     try {
-      // Get current inbox stats
-      const inboxResponse = await this.gmail.users.messages.list({
-        userId: 'me',
-        labelIds: ['INBOX'],
-        maxResults: 100
-      });
+      const { totalInInbox, records } = await this.fetchInboxSample(sampleSize);
+
+      this.ruleQueries = this.planner.rules.rules.map(rule => ({
+        rule,
+        query: parseQuery(criteriaToQuery(ruleToFilter(rule).criteria))
+      }));
+
+      const impact = {
+        totalInInbox,
+        sampleSize: records.length,
+        wouldArchive: 0,
+        wouldTrash: 0,
+        wouldLabel: 0,
+        unchanged: 0,
+        ruleMatches: {},
+        protectedCaught: {},
+        // Rules the sample's metadata can't fully evaluate: their counts are a lower bound
+        metadataLimited: this.ruleQueries
+          .map(({ rule, query }) => ({ ruleId: rule.id, terms: metadataBlindTerms(query) }))
+          .filter(({ terms }) => terms.length > 0)
+      };
 
-      const messages = inboxResponse.data.messages || [];
-      let wouldArchive = 0;
-      let wouldLabel = 0;
-      let wouldProtect = 0;
-
-      // Sample check on what would happen
-      for (const msg of messages.slice(0, 50)) {
-        try {
-          const detail = await this.gmail.users.messages.get({
-            userId: 'me',
-            id: msg.id,
-            format: 'metadata',
-            metadataHeaders: ['From', 'Subject']
-          });
-
-          const headers = detail.data.payload.headers.reduce((acc, h) => {
-            acc[h.name.toLowerCase()] = h.value;
-            return acc;
-          }, {});
-
-          const from = headers.from || '';
-          
-          // Check against our rules
-          if (from.includes('paypal.com') || from.includes('rippling.com')) {
-            wouldProtect++;
-          } else if (from.includes('linkedin.com') || from.includes('newsletter')) {
-            wouldArchive++;
-          } else {
-            wouldLabel++;
-          }
-        } catch (err) {
-          // Skip
+      for (const record of records) {
+        const { outcome, ruleIds, protectedSender } = this.simulateRules(record);
+        if (outcome === 'archive') impact.wouldArchive++;
+        if (outcome === 'trash') impact.wouldTrash++;
+        if (outcome === 'label') impact.wouldLabel++;
+        if (outcome === 'unchanged') impact.unchanged++;
+        ruleIds.forEach(id => {
+          impact.ruleMatches[id] = (impact.ruleMatches[id] || 0) + 1;
+        });
+        if (protectedSender) {
+          const caught = impact.protectedCaught[protectedSender] || { count: 0, outcome, ruleIds: [] };
+          caught.count++;
+          if (outcome === 'trash') caught.outcome = 'trash';
+          caught.ruleIds = [...new Set([...caught.ruleIds, ...ruleIds])];
+          impact.protectedCaught[protectedSender] = caught;
         }
       }
 
       spinner.succeed('Analyzed inbox impact');
-      
-      return {
-        totalInInbox: messages.length,
-        sampleSize: Math.min(50, messages.length),
-        wouldArchive,
-        wouldLabel,
-        wouldProtect
-      };
+      return impact;
     } catch (error) {
       spinner.fail('Failed to analyze inbox');
       return null;
@@ -387,12 +186,7 @@ class DryRunFilterAnalyzer {
     console.log('\n' + chalk.bold.cyan('🔍 DRY RUN RESULTS - No Changes Made'));
     console.log(chalk.gray('='.repeat(50)));
 
-    // Filters to remove
-    console.log('\n' + chalk.bold.red(`📝 ${this.changes.filtersToRemove.length} Overly Broad Filters to Remove:`));
-    this.changes.filtersToRemove.forEach(f => {
-      console.log(chalk.red(`  ✗ Remove: "From: ${f.from}"`));
-      console.log(chalk.gray(`    Reason: ${f.reason}`));
-    });
+    FilterPlanner.displayPlan(this.plan);
 
     // Legitimate emails that will be unblocked
     if (this.changes.potentiallyAffected.length > 0) {
@@ -402,31 +196,6 @@ class DryRunFilterAnalyzer {
       });
     }
 
-    // New filters to add
-    console.log('\n' + chalk.bold.blue(`📬 ${this.changes.filtersToAdd.length} Smart Filters to Add:`));
-    
-    // Group filters by type for better readability
-    const filterGroups = {
-      'Smart Service Filters': this.changes.filtersToAdd.filter(f => 
-        f.from?.includes('paypal') || f.from?.includes('rippling')),
-      'Likely Spam Filters': this.changes.filtersToAdd.filter(f => 
-        f.action?.includes('Likely Spam')),
-      'Newsletter/Promotional Filters': this.changes.filtersToAdd.filter(f => 
-        f.action?.includes('Filtered/Newsletters') || f.action?.includes('Filtered/Promotional')),
-      'Social/Automated Filters': this.changes.filtersToAdd.filter(f => 
-        f.action?.includes('Filtered/Social') || f.action?.includes('Filtered/Automated'))
-    };
-    
-    Object.entries(filterGroups).forEach(([groupName, filters]) => {
-      if (filters.length > 0) {
-        console.log(chalk.cyan(`\n  ${groupName}:`));
-        filters.forEach(f => {
-          console.log(chalk.blue(`    + ${f.from || f.subject}`));
-          console.log(chalk.gray(`      ${f.reason}`));
-        });
-      }
-    });
-
     // Protected services
     console.log('\n' + chalk.bold.green('🛡️  Protected Services (Never Marked as Spam):'));
     const protectedServices = [
@@ -441,19 +210,42 @@ class DryRunFilterAnalyzer {
     // Inbox impact
     if (inboxImpact) {
       console.log('\n' + chalk.bold.yellow('📊 Estimated Inbox Impact:'));
-      console.log(chalk.gray(`  Analyzed ${inboxImpact.sampleSize} of ${inboxImpact.totalInInbox} inbox emails`));
+      console.log(chalk.gray(`  Analyzed ${inboxImpact.sampleSize} of about ${inboxImpact.totalInInbox} inbox emails`));
       console.log(chalk.yellow(`  • Would archive: ~${inboxImpact.wouldArchive} emails`));
+      console.log(chalk.red(`  • Would trash: ~${inboxImpact.wouldTrash} emails`));
       console.log(chalk.blue(`  • Would label only: ~${inboxImpact.wouldLabel} emails`));
-      console.log(chalk.green(`  • Would protect: ~${inboxImpact.wouldProtect} emails`));
+      console.log(chalk.gray(`  • No rule matches: ~${inboxImpact.unchanged} emails`));
+
+      if (inboxImpact.metadataLimited.length > 0) {
+        console.log(chalk.gray('\n  Estimated from headers and snippets only, without attachments or message bodies,'));
+        console.log(chalk.gray('  so these rules may match more mail than counted:'));
+        inboxImpact.metadataLimited.forEach(({ ruleId, terms }) => {
+          console.log(chalk.gray(`    ${ruleId}: ${terms.join(', ')}`));
+        });
+      }
+
+      const caught = Object.entries(inboxImpact.protectedCaught);
+      if (caught.length > 0) {
+        console.log('\n' + chalk.bold.red('⚠️  Protected senders these filters would still catch:'));
+        console.log(chalk.gray('  Gmail filters don\'t know your protected senders; narrow the rule or add an exclude to it'));
+        caught.forEach(([sender, { count, outcome, ruleIds }]) => {
+          console.log(chalk.red(`  • ${sender}: ${count} email${count === 1 ? '' : 's'} would be ${outcome === 'trash' ? 'trashed' : 'archived'} by ${ruleIds.join(', ')}`));
+        });
+      }
+
+      const topRules = Object.entries(inboxImpact.ruleMatches).sort((a, b) => b[1] - a[1]).slice(0, 10);
+      if (topRules.length > 0) {
+        console.log(chalk.gray('\n  Rules matching the most sampled emails:'));
+        topRules.forEach(([ruleId, count]) => console.log(chalk.gray(`    ${ruleId}: ${count}`)));
+      }
     }
 
     // Summary
     console.log('\n' + chalk.bold.cyan('📋 Summary of Changes:'));
     console.log(chalk.gray('='.repeat(50)));
-    console.log(`  1. Remove ${this.changes.filtersToRemove.length} overly broad filters`);
-    console.log(`  2. Add ${this.changes.filtersToAdd.length} smart, specific filters`);
-    console.log(`  3. Protect legitimate services from spam filtering`);
-    console.log(`  4. Create conditional filters for services like PayPal`);
+    console.log(`  1. Delete ${this.plan.deletes.length} filters`);
+    console.log(`  2. Create ${this.plan.creates.length} filters`);
+    console.log(`  3. Update ${this.plan.retroactive.reduce((sum, item) => sum + item.messageIds.length, 0)} existing inbox emails`);
     
     console.log('\n' + chalk.bold.yellow('⚠️  Important Notes:'));
     console.log(chalk.yellow('  • Archived emails are NOT deleted'));
@@ -464,53 +256,40 @@ class DryRunFilterAnalyzer {
 }
 
 async function main() {
-  console.log(chalk.bold.cyan('\n🔬 Gmail Filter Improvement - DRY RUN MODE\n'));
-  console.log(chalk.yellow('This will analyze your filters without making any changes.\n'));
+  console.log(chalk.bold.cyan('\n🔬 Gmail Filter Plan - DRY RUN MODE\n'));
+  console.log(chalk.yellow('This compares your live filters with rules.json without making any changes.\n'));
 
   try {
     console.log(chalk.cyan('🔐 Authenticating with Gmail...'));
-    const auth = await authorize();
+    const auth = await authorize({ access: 'read' });
     console.log(chalk.green('✅ Authentication successful!\n'));
 
-    const analyzer = new DryRunFilterAnalyzer(auth);
+    const rules = await loadRules();
+    const analyzer = new DryRunFilterAnalyzer(auth, rules);
 
-    // Step 1: Analyze filters to remove
-    await analyzer.analyzeFiltersToRemove();
+    // Step 1: Compute the plan
+    await analyzer.buildPlan();
 
     // Step 2: Analyze affected emails
     await analyzer.analyzeAffectedEmails();
 
-    // Step 3: Define new filters
-    analyzer.defineNewFilters();
+    // Step 3: Analyze inbox impact
+    const inboxImpact = await analyzer.analyzeInboxImpact(getCliOptions().limit || undefined);
 
-    // Step 4: Analyze inbox impact
-    const inboxImpact = await analyzer.analyzeInboxImpact();
-
-    // Step 5: Display results
+    // Step 4: Display results
     analyzer.displayDryRunResults(inboxImpact);
 
-    // Ask if user wants to proceed
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-
-    const proceed = await rl.question('\n' + chalk.bold.yellow('Would you like to apply these changes? (y/n): '));
-    
-    if (proceed.toLowerCase() === 'y') {
-      console.log(chalk.green('\n✅ Ready to apply changes!'));
-      console.log(chalk.cyan('Run: npm run improve-filters'));
-    } else {
-      console.log(chalk.yellow('\n❌ No changes made. Dry run complete.'));
-    }
-    
-    rl.close();
+    // Step 5: Save the plan so apply runs exactly this diff
+    await analyzer.planner.savePlan(analyzer.plan);
+    console.log(chalk.green('\n💾 Plan saved to .filter-plan.json'));
+    console.log(chalk.cyan('Run: npm run apply  (executes exactly this plan)'));
 
   } catch (error) {
     console.error(chalk.red('\n❌ Error:'), error.message);
     if (error.message.includes('invalid_grant')) {
-      console.log(chalk.yellow('\nTry deleting token.json and running again.'));
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login'));
     }
+    process.exitCode = 1;
   }
 }
 
@@ -1,20 +1,51 @@
-import { google } from 'googleapis';
 import ora from 'ora';
 import chalk from 'chalk';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { withRetry, extractEmail, isProtectedSender, isFromProtectedDomain, RateLimiter } from './utils.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { withRetry, extractEmail, isProtectedSender, isFromProtectedDomain, senderFrequency } from './utils.js';
+import { createGmailClient } from './mailProvider.js';
+import { NaiveBayesClassifier } from './classifier.js';
+import { statePath } from './accounts.js';
+import { messageSummary } from './jsonOutput.js';
+import { getMessageCache, saveMessageCache } from './messageCache.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+import { ThreadFetcher, threadsEnabled, personalThreadReason, fileableMessages } from './threads.js';
+
+// Categories the classifier may assign on its own when the rules give up.
+// VIP and spam predictions are only reported, never acted on.
+const CLASSIFIER_FALLBACK_CATEGORIES = ['newsletter', 'promotional', 'social', 'forums', 'automated', 'receipt', 'confirmation'];
+
+// emailStats lists and the category names reports use for them
+const REPORT_CATEGORIES = {
+  fromVIP: 'vip',
+  protected: 'protected',
+  personal: 'personal',
+  newsletters: 'newsletter',
+  promotional: 'promotional',
+  social: 'social',
+  forums: 'forums',
+  automated: 'automated',
+  receipts: 'receipt',
+  confirmations: 'confirmation',
+  unknown: 'unknown'
+};
+
+// Headers the categorizer and classifier look at
+const ANALYSIS_HEADERS = ['From', 'Subject', 'List-Unsubscribe', 'List-ID'];
 
 export class EmailAnalyzer {
   constructor(auth, vipEmails = [], protectedSenders = [], protectedKeywords = []) {
-    this.gmail = google.gmail({ version: 'v1', auth });
+    this.gmail = createGmailClient(auth);
     this.vipEmails = vipEmails.map(email => email.toLowerCase().trim());
     this.protectedSenders = protectedSenders.map(email => email.toLowerCase().trim());
     this.protectedKeywords = protectedKeywords.map(keyword => keyword.toLowerCase().trim());
-    this.rateLimiter = new RateLimiter(10); // 10 requests per second
+    this.fetcher = new MetadataFetcher(this.gmail);
+    this.threadFetcher = new ThreadFetcher(this.gmail);
+    this.classifier = null; // loaded on first use by loadClassifier()
+    this.classifierLoading = null;
+    this.classifierMinConfidence = parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE || '0.9');
+    this.classifierStats = { fallbacks: 0, disagreements: 0 };
+    this.threadStats = { threads: 0, personal: 0, recategorized: 0, added: 0 };
     this.emailStats = {
       total: 0,
       fromVIP: [],
@@ -91,196 +122,475 @@ export class EmailAnalyzer {
     }
   }
 
-  async analyzeEmail(messageId) {
-    try {
-      await this.rateLimiter.wait();
+  // Current mailbox history ID; record it before fetching so mail arriving mid-run is picked up next time
+  async getCurrentHistoryId() {
+    const response = await withRetry(() => this.gmail.users.getProfile({ userId: 'me' }));
+    return response.data.historyId;
+  }
 
-      const response = await withRetry(async () => {
-        return this.gmail.users.messages.get({
+  async fetchEmailsSinceHistory(startHistoryId, maxResults = 500) {
+    const spinner = ora(`Fetching mailbox changes since history ${startHistoryId}...`).start();
+    const seen = new Set();
+    const messages = [];
+    let pageToken = null;
+    let latestHistoryId = startHistoryId;
+    let hasMore = false;
+
+    try {
+      do {
+        const response = await withRetry(() => this.gmail.users.history.list({
           userId: 'me',
-          id: messageId,
-          format: 'metadata',
-          metadataHeaders: ['From', 'Subject', 'List-Unsubscribe', 'List-ID']
-        });
-      });
+          startHistoryId,
+          historyTypes: ['messageAdded', 'labelAdded', 'labelRemoved'],
+          maxResults: 500,
+          pageToken
+        }));
+
+        for (const record of response.data.history || []) {
+          const changed = this.getChangedMessages(record).filter(msg => !seen.has(msg.id));
+
+          // Stop before a record that would overflow the batch so its changes are re-read next run
+          if (messages.length + changed.length > maxResults && messages.length > 0) {
+            hasMore = true;
+            break;
+          }
 
-      const message = response.data;
-      const headers = message.payload.headers.reduce((acc, header) => {
-        acc[header.name.toLowerCase()] = header.value;
-        return acc;
-      }, {});
-
-      const from = headers.from || '';
-      const subject = headers.subject || '';
-      const fromEmail = extractEmail(from);
-      const labels = message.labelIds || [];
-
-      const analysis = {
-        id: messageId,
-        from: from,
-        fromEmail: fromEmail,
-        subject: subject,
-        labels: labels,
-        category: this.categorizeEmail(headers, labels, fromEmail, subject)
-      };
+          changed.forEach(msg => {
+            seen.add(msg.id);
+            messages.push({ id: msg.id, threadId: msg.threadId });
+          });
+          latestHistoryId = record.id;
+        }
 
-      return analysis;
+        if (!hasMore && !response.data.nextPageToken) {
+          latestHistoryId = response.data.historyId || latestHistoryId;
+        }
+        pageToken = response.data.nextPageToken;
+      } while (pageToken && !hasMore);
+
+      spinner.succeed(`Fetched ${messages.length} new or relabeled email IDs`);
+      return { messages, historyId: latestHistoryId, hasMore, expired: false };
     } catch (error) {
-      console.error(`Error analyzing message ${messageId}:`, error.message);
-      return null;
+      // Gmail only keeps history for about a week; an expired start ID comes back as 404
+      if (error.code === 404) {
+        spinner.warn(`History ID ${startHistoryId} has expired`);
+        return { messages: [], historyId: null, hasMore: false, expired: true };
+      }
+      spinner.fail('Failed to fetch mailbox history');
+      throw error;
     }
   }
 
-  categorizeEmail(headers, labels, fromEmail, subject) {
-    // Check if this is a VIP email
-    if (this.vipEmails.includes(fromEmail)) {
-      return 'vip';
-    }
+  // Messages from a history record that need (re-)analysis: new mail, or mail that
+  // landed in the inbox or changed Gmail category since we last looked
+  getChangedMessages(record) {
+    const isRelevantLabel = labelId => labelId === 'INBOX' || labelId.startsWith('CATEGORY_');
+    const changed = [];
+
+    (record.messagesAdded || []).forEach(({ message }) => changed.push(message));
+    (record.labelsAdded || [])
+      .filter(change => change.labelIds.some(isRelevantLabel))
+      .forEach(({ message }) => changed.push(message));
+    (record.labelsRemoved || [])
+      .filter(change => change.labelIds.some(labelId => labelId.startsWith('CATEGORY_')))
+      .forEach(({ message }) => changed.push(message));
+
+    return changed.filter(message => !(message.labelIds || []).includes('DRAFT'));
+  }
 
-    // Check if this is a protected sender
-    if (this.protectedSenders.includes(fromEmail)) {
-      return 'protected';
+  // Incremental fetch driven by a checkpoint: history API when possible, otherwise a
+  // bounded full scan (after the last processed date if we have one)
+  async fetchNewEmails(checkpoint, maxResults = 500) {
+    if (checkpoint.historyId) {
+      const result = await this.fetchEmailsSinceHistory(checkpoint.historyId, maxResults);
+      if (!result.expired) {
+        return { ...result, fullScan: false };
+      }
     }
 
-    // Check if subject contains protected keywords
-    const subjectLower = subject.toLowerCase();
-    if (this.protectedKeywords.some(keyword => subjectLower.includes(keyword))) {
-      return 'protected';
-    }
+    const historyId = await this.getCurrentHistoryId();
+    const messages = checkpoint.lastProcessedDate
+      ? await this.fetchEmailsSince(checkpoint.lastProcessedDate, maxResults)
+      : await this.fetchEmails(maxResults);
 
-    if (headers['list-unsubscribe'] || headers['list-id']) {
-      return 'newsletter';
-    }
+    return { messages, historyId, hasMore: false, fullScan: true };
+  }
 
-    if (labels.includes('CATEGORY_PROMOTIONS')) {
-      return 'promotional';
+  // Load the trained model once; analysis works without one
+  loadClassifier() {
+    if (!this.classifierLoading) {
+      this.classifierLoading = (async () => {
+        if (process.env.CLASSIFIER === 'off') return null;
+        try {
+          return await NaiveBayesClassifier.load();
+        } catch (error) {
+          console.error(chalk.yellow(`Ignoring classifier model: ${error.message}`));
+          return null;
+        }
+      })().then(classifier => {
+        this.classifier = classifier;
+        return classifier;
+      });
     }
+    return this.classifierLoading;
+  }
 
-    if (labels.includes('CATEGORY_SOCIAL')) {
-      return 'social';
-    }
+  // Second opinion from the classifier; fills in for the rules when they return 'unknown'
+  applyClassifier(analysis, features) {
+    const prediction = this.classifier?.predict(features);
+    if (!prediction) return analysis;
+
+    analysis.classifier = {
+      category: prediction.category,
+      confidence: Number(prediction.confidence.toFixed(3))
+    };
 
-    if (labels.includes('CATEGORY_FORUMS')) {
-      return 'forums';
+    if (analysis.category === 'unknown') {
+      if (prediction.confidence >= this.classifierMinConfidence &&
+          CLASSIFIER_FALLBACK_CATEGORIES.includes(prediction.category)) {
+        analysis.category = prediction.category;
+        analysis.categorySource = 'classifier';
+        this.classifierStats.fallbacks++;
+      }
+    } else if (prediction.category !== analysis.category) {
+      this.classifierStats.disagreements++;
     }
 
-    const automatedPatterns = [
-      /noreply/i,
-      /no-reply/i,
-      /donotreply/i,
-      /automated/i,
-      /notification/i,
-      /alert/i,
-      /system/i
-    ];
+    return analysis;
+  }
 
-    if (automatedPatterns.some(pattern => pattern.test(fromEmail))) {
-      return 'automated';
-    }
+  // Fetch one message and categorize it, keeping the full decision path
+  async explainEmail(messageId) {
+    await this.loadClassifier();
+    const message = await this.fetcher.fetchOne(messageId, ANALYSIS_HEADERS);
+    const explanation = this.explainMessage(message);
+    if (threadsEnabled()) await this.resolveThreads([explanation.analysis]);
+    return explanation;
+  }
 
-    const newsletterSubjectPatterns = [
-      /newsletter/i,
-      /weekly digest/i,
-      /daily digest/i,
-      /update from/i,
-      /news from/i
-    ];
+  // Categorize a fetched message; loadClassifier() must have run
+  explainMessage(message) {
+    const headers = message.payload.headers.reduce((acc, header) => {
+      acc[header.name.toLowerCase()] = header.value;
+      return acc;
+    }, {});
+
+    const from = headers.from || '';
+    const subject = headers.subject || '';
+    const fromEmail = extractEmail(from);
+    const labels = message.labelIds || [];
+    const { category, matchedRules, path } = this.explainCategory(headers, labels, fromEmail, subject);
+
+    const analysis = {
+      id: message.id,
+      threadId: message.threadId,
+      from: from,
+      fromEmail: fromEmail,
+      subject: subject,
+      labels: labels,
+      category,
+      categorySource: 'rules',
+      matchedRules
+    };
 
-    if (newsletterSubjectPatterns.some(pattern => pattern.test(subject))) {
-      return 'newsletter';
-    }
+    this.applyClassifier(analysis, {
+      fromEmail,
+      subject,
+      snippet: message.snippet,
+      labels,
+      listUnsubscribe: headers['list-unsubscribe'],
+      listId: headers['list-id']
+    });
+
+    return { analysis, path };
+  }
 
-    // Check for receipts
-    const receiptPatterns = [
-      /receipt/i,
-      /payment/i,
-      /invoice/i,
-      /charged/i,
-      /your purchase/i,
-      /order.*shipped/i,
-      /order.*delivered/i
+  categorizeEmail(headers, labels, fromEmail, subject) {
+    return this.explainCategory(headers, labels, fromEmail, subject).category;
+  }
+
+  // Each step of the categorization cascade, in order. The first step with a
+  // check that fires decides the category; a check returns the text it matched.
+  categorizationSteps(headers, labels, fromEmail, subject) {
+    const pattern = (regex, field, value) => ({
+      rule: regex.toString(),
+      field,
+      test: () => value.match(regex)?.[0] ?? null
+    });
+    const contains = (needle, field, value) => ({
+      rule: `contains "${needle}"`,
+      field,
+      test: () => value.includes(needle) ? needle : null
+    });
+    const header = name => ({
+      rule: `has ${name}`,
+      field: 'headers',
+      test: () => headers[name.toLowerCase()]?.slice(0, 100) || null
+    });
+    const label = labelId => ({
+      rule: `label ${labelId}`,
+      field: 'labels',
+      test: () => labels.includes(labelId) ? labelId : null
+    });
+
+    const subjectLower = subject.toLowerCase();
+
+    return [
+      {
+        name: 'VIP sender',
+        category: 'vip',
+        checks: [{ rule: 'in VIP_EMAILS', field: 'from', test: () => this.vipEmails.includes(fromEmail) ? fromEmail : null }]
+      },
+      {
+        name: 'Protected sender',
+        category: 'protected',
+        checks: [{ rule: 'in PROTECTED_SENDERS', field: 'from', test: () => this.protectedSenders.includes(fromEmail) ? fromEmail : null }]
+      },
+      {
+        name: 'Protected keyword',
+        category: 'protected',
+        checks: this.protectedKeywords.map(keyword => contains(keyword, 'subject', subjectLower))
+      },
+      {
+        name: 'Mailing list headers',
+        category: 'newsletter',
+        checks: [header('List-Unsubscribe'), header('List-ID')]
+      },
+      { name: 'Promotions tab', category: 'promotional', checks: [label('CATEGORY_PROMOTIONS')] },
+      { name: 'Social tab', category: 'social', checks: [label('CATEGORY_SOCIAL')] },
+      { name: 'Forums tab', category: 'forums', checks: [label('CATEGORY_FORUMS')] },
+      {
+        name: 'Automated sender',
+        category: 'automated',
+        checks: [
+          /noreply/i,
+          /no-reply/i,
+          /donotreply/i,
+          /automated/i,
+          /notification/i,
+          /alert/i,
+          /system/i
+        ].map(regex => pattern(regex, 'from', fromEmail))
+      },
+      {
+        name: 'Newsletter subject',
+        category: 'newsletter',
+        checks: [
+          /newsletter/i,
+          /weekly digest/i,
+          /daily digest/i,
+          /update from/i,
+          /news from/i
+        ].map(regex => pattern(regex, 'subject', subject))
+      },
+      {
+        name: 'Receipt',
+        category: 'receipt',
+        checks: [
+          ...[
+            /receipt/i,
+            /payment/i,
+            /invoice/i,
+            /charged/i,
+            /your purchase/i,
+            /order.*shipped/i,
+            /order.*delivered/i
+          ].map(regex => pattern(regex, 'subject', subject)),
+          contains('paypal.com', 'from', fromEmail),
+          contains('invoice', 'from', fromEmail),
+          contains('amazon.com', 'from', fromEmail)
+        ]
+      },
+      {
+        name: 'Confirmation subject',
+        category: 'confirmation',
+        checks: [
+          /confirmation/i,
+          /confirmed/i,
+          /appointment/i,
+          /reservation/i,
+          /scheduled/i,
+          /registration/i
+        ].map(regex => pattern(regex, 'subject', subject))
+      }
     ];
+  }
 
-    if (receiptPatterns.some(pattern => pattern.test(subject)) || 
-        fromEmail.includes('paypal.com') || 
-        fromEmail.includes('invoice') ||
-        fromEmail.includes('amazon.com')) {
-      return 'receipt';
+  /**
+   * Categorize an email and record why
+   * @returns {{ category: string, matchedRules: Array<{rule, field, matched}>,
+   *   path: Array<{step, category, fired}> }} matchedRules are the checks that
+   *   fired in the deciding step; path lists every step tried, in order
+   */
+  explainCategory(headers, labels, fromEmail, subject) {
+    const path = [];
+
+    for (const step of this.categorizationSteps(headers, labels, fromEmail, subject)) {
+      const matchedRules = step.checks
+        .map(check => ({ rule: check.rule, field: check.field, matched: check.test() }))
+        .filter(check => check.matched !== null);
+
+      path.push({ step: step.name, category: step.category, fired: matchedRules.length > 0 });
+      if (matchedRules.length > 0) {
+        return { category: step.category, matchedRules, path };
+      }
     }
 
-    // Check for confirmations
-    const confirmationPatterns = [
-      /confirmation/i,
-      /confirmed/i,
-      /appointment/i,
-      /reservation/i,
-      /scheduled/i,
-      /registration/i
-    ];
+    return { category: 'unknown', matchedRules: [], path };
+  }
+
+  /**
+   * One category for a whole thread: vip if a VIP wrote any of it, personal
+   * if we sent a message in it or a VIP was copied, protected if any message
+   * is, otherwise the category of its first message the rules could place
+   * @param {Object[]} messages - Every message in the thread, oldest first
+   * @param {Object[]} analyses - Analyses of the thread's messages, oldest first
+   * @returns {{ category: string, personal: Object|null }}
+   */
+  decideThread(messages, analyses) {
+    const personal = personalThreadReason(messages, this.vipEmails);
+    if (analyses.some(analysis => analysis.category === 'vip')) return { category: 'vip', personal };
+    if (personal) return { category: 'personal', personal };
+    if (analyses.some(analysis => analysis.category === 'protected')) return { category: 'protected', personal: null };
+    const first = analyses.find(analysis => analysis.category !== 'unknown');
+    return { category: first ? first.category : 'unknown', personal: null };
+  }
 
-    if (confirmationPatterns.some(pattern => pattern.test(subject))) {
-      return 'confirmation';
+  /**
+   * Give every message in a thread its thread's category. Messages of those
+   * threads that weren't among `analyses` are analyzed and returned too, so
+   * filing reaches the whole conversation.
+   * @param {Object[]} analyses - From explainMessage()
+   * @param {Function} onProgress - (done, total) after each thread
+   * @returns {Promise<Object[]>} analyses, and then the added messages
+   */
+  async resolveThreads(analyses, onProgress) {
+    const byThread = new Map();
+    analyses.forEach(analysis => {
+      const threadId = analysis.threadId || analysis.id;
+      if (!byThread.has(threadId)) byThread.set(threadId, []);
+      byThread.get(threadId).push(analysis);
+    });
+
+    const { threads } = await this.threadFetcher.fetchAll([...byThread.keys()], ANALYSIS_HEADERS, { onProgress });
+    const added = [];
+
+    for (const [threadId, own] of byThread) {
+      // Deleted since it was listed: the messages are decided on their own
+      const messages = threads.get(threadId);
+      if (!messages) continue;
+
+      const known = new Map(own.map(analysis => [analysis.id, analysis]));
+      const members = fileableMessages(messages).map(message => {
+        if (known.has(message.id)) return known.get(message.id);
+        const analysis = this.explainMessage(message).analysis;
+        added.push(analysis);
+        return analysis;
+      });
+      // Drafts and the like that were listed still follow the thread
+      own.filter(analysis => !members.includes(analysis)).forEach(analysis => members.push(analysis));
+
+      const { category, personal } = this.decideThread(messages, members);
+      this.threadStats.threads++;
+      if (personal) this.threadStats.personal++;
+
+      members.forEach(analysis => {
+        analysis.thread = {
+          id: threadId,
+          messages: messages.length,
+          personal: personal ? personal.reason : null,
+          participant: personal?.participant || null
+        };
+        if (analysis.category !== category) {
+          analysis.messageCategory = analysis.category;
+          analysis.category = category;
+          analysis.categorySource = 'thread';
+          this.threadStats.recategorized++;
+        }
+      });
     }
 
-    return 'unknown';
+    this.threadStats.added += added.length;
+    return [...analyses, ...added];
   }
 
   async analyzeAllEmails(messages) {
     const spinner = ora('Analyzing emails...').start();
-    const batchSize = 10;
-    
-    for (let i = 0; i < messages.length; i += batchSize) {
-      const batch = messages.slice(i, i + batchSize);
-      const analyses = await Promise.all(
-        batch.map(msg => this.analyzeEmail(msg.id))
-      );
-
-      analyses.forEach(analysis => {
-        if (analysis) {
-          this.emailStats.total++;
-          switch (analysis.category) {
-            case 'vip':
-              this.emailStats.fromVIP.push(analysis);
-              break;
-            case 'protected':
-              this.emailStats.protected.push(analysis);
-              break;
-            case 'newsletter':
-              this.emailStats.newsletters.push(analysis);
-              break;
-            case 'promotional':
-              this.emailStats.promotional.push(analysis);
-              break;
-            case 'social':
-              this.emailStats.social.push(analysis);
-              break;
-            case 'forums':
-              this.emailStats.forums.push(analysis);
-              break;
-            case 'automated':
-              this.emailStats.automated.push(analysis);
-              break;
-            case 'receipt':
-              this.emailStats.receipts.push(analysis);
-              break;
-            case 'confirmation':
-              this.emailStats.confirmations.push(analysis);
-              break;
-            default:
-              this.emailStats.unknown.push(analysis);
-          }
-        }
+    await this.loadClassifier();
+    const cache = await getMessageCache(this.gmail);
+    const ids = messages.map(msg => msg.id);
+    // Categorizing is quick; fetch in chunks so the spinner shows steady progress
+    const chunkSize = 500;
+    let analyses = [];
+
+    for (let i = 0; i < ids.length; i += chunkSize) {
+      const { messages: fetched, errors } = await this.fetcher.fetchAll(ids.slice(i, i + chunkSize), ANALYSIS_HEADERS, {
+        onProgress: done => { spinner.text = `Analyzed ${i + done} of ${ids.length} emails`; }
       });
 
-      spinner.text = `Analyzed ${Math.min(i + batchSize, messages.length)} of ${messages.length} emails`;
+      errors.forEach((error, id) => console.error(`Error analyzing message ${id}:`, error.message));
+      ids.slice(i, i + chunkSize)
+        .filter(id => fetched.has(id))
+        .forEach(id => analyses.push(this.explainMessage(fetched.get(id)).analysis));
+
+      spinner.text = `Analyzed ${Math.min(i + chunkSize, ids.length)} of ${ids.length} emails`;
     }
 
+    if (threadsEnabled()) {
+      spinner.text = 'Reading threads...';
+      analyses = await this.resolveThreads(analyses, (done, total) => {
+        spinner.text = `Read ${done} of ${total} threads`;
+      });
+    }
+
+    analyses.forEach(analysis => {
+      if (analysis) {
+        this.emailStats.total++;
+        cache.setCategory(analysis.id, analysis.category, analysis.categorySource);
+        switch (analysis.category) {
+          case 'vip':
+            this.emailStats.fromVIP.push(analysis);
+            break;
+          case 'protected':
+            this.emailStats.protected.push(analysis);
+            break;
+          case 'personal':
+            this.emailStats.personal.push(analysis);
+            break;
+          case 'newsletter':
+            this.emailStats.newsletters.push(analysis);
+            break;
+          case 'promotional':
+            this.emailStats.promotional.push(analysis);
+            break;
+          case 'social':
+            this.emailStats.social.push(analysis);
+            break;
+          case 'forums':
+            this.emailStats.forums.push(analysis);
+            break;
+          case 'automated':
+            this.emailStats.automated.push(analysis);
+            break;
+          case 'receipt':
+            this.emailStats.receipts.push(analysis);
+            break;
+          case 'confirmation':
+            this.emailStats.confirmations.push(analysis);
+            break;
+          default:
+            this.emailStats.unknown.push(analysis);
+        }
+      }
+    });
+
     spinner.succeed('Email analysis complete');
+    await saveMessageCache();
     return this.emailStats;
   }
 
   async saveAnalysisResults() {
-    const resultsDir = path.join(__dirname, '../analysis-results');
+    const resultsDir = statePath('analysis-results');
     await fs.mkdir(resultsDir, { recursive: true });
 
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -291,7 +601,7 @@ export class EmailAnalyzer {
       JSON.stringify(this.emailStats, null, 2)
     );
 
-    console.log(chalk.green(`Analysis saved to: analysis-results/${filename}`));
+    console.log(chalk.green(`Analysis saved to: ${path.relative(process.cwd(), path.join(resultsDir, filename))}`));
   }
 
   displaySummary() {
@@ -303,6 +613,7 @@ export class EmailAnalyzer {
     
     console.log(chalk.green(`VIP emails: ${this.emailStats.fromVIP.length}`));
     console.log(chalk.green.bold(`Protected emails: ${this.emailStats.protected.length}`) + chalk.gray(' (healthcare, travel, etc)'));
+    console.log(chalk.green(`Personal conversations: ${this.emailStats.personal.length}`) + chalk.gray(' (threads you replied to or a VIP is in)'));
     console.log(chalk.yellow(`Newsletters: ${this.emailStats.newsletters.length}`));
     console.log(chalk.yellow(`Promotional: ${this.emailStats.promotional.length}`));
     console.log(chalk.blue(`Social: ${this.emailStats.social.length}`));
@@ -310,7 +621,27 @@ export class EmailAnalyzer {
     console.log(chalk.red(`Automated: ${this.emailStats.automated.length}`));
     console.log(chalk.green(`Receipts: ${this.emailStats.receipts.length}`));
     console.log(chalk.cyan(`Confirmations: ${this.emailStats.confirmations.length}`));
-    console.log(chalk.gray(`Unknown/Personal: ${this.emailStats.unknown.length}`));
+    console.log(chalk.gray(`Unknown: ${this.emailStats.unknown.length}`));
+
+    if (this.threadStats.threads > 0) {
+      const { threads, recategorized, added } = this.threadStats;
+      console.log(chalk.cyan(`Threads: ${threads} read; ${recategorized} email${recategorized === 1 ? '' : 's'} took their thread's category` +
+        (added > 0 ? `, ${added} more from the same threads ${added === 1 ? 'was' : 'were'} added` : '')));
+    }
+
+    if (this.classifier) {
+      console.log(chalk.magenta(`Classifier: categorized ${this.classifierStats.fallbacks} emails the rules couldn't` +
+        ` (confidence ≥ ${this.classifierMinConfidence}), disagreed with the rules on ${this.classifierStats.disagreements}`));
+    }
+
+    const ruleFrequency = this.calculateRuleFrequency();
+    if (ruleFrequency.length > 0) {
+      console.log('\n' + chalk.bold.cyan('Top 10 Rules That Fired:'));
+      console.log(chalk.gray('='.repeat(40)));
+      ruleFrequency.slice(0, 10).forEach((entry, index) => {
+        console.log(`${index + 1}. ${entry.category}: ${entry.rule} on ${entry.field} (${entry.count} emails)`);
+      });
+    }
 
     const senderFrequency = this.calculateSenderFrequency();
     console.log('\n' + chalk.bold.cyan('Top 10 Most Frequent Senders:'));
@@ -321,21 +652,55 @@ export class EmailAnalyzer {
     });
   }
 
+  // The numbers displaySummary prints, as data for --json
+  getSummary() {
+    const categories = {};
+    Object.entries(REPORT_CATEGORIES).forEach(([key, category]) => {
+      categories[category] = {
+        count: this.emailStats[key].length,
+        messages: this.emailStats[key].map(email => ({
+          ...messageSummary(email),
+          threadId: email.threadId || null,
+          categorySource: email.categorySource
+        }))
+      };
+    });
+
+    return {
+      total: this.emailStats.total,
+      categories,
+      classifier: this.classifier
+        ? { minConfidence: this.classifierMinConfidence, ...this.classifierStats }
+        : null,
+      threads: threadsEnabled() ? { ...this.threadStats } : null,
+      topRules: this.calculateRuleFrequency().slice(0, 10),
+      topSenders: this.calculateSenderFrequency().slice(0, 10)
+    };
+  }
+
   calculateSenderFrequency() {
-    const senderMap = new Map();
+    const emails = Object.values(this.emailStats).filter(Array.isArray).flat();
+    return senderFrequency(emails);
+  }
+
+  // How often each categorization rule decided an email's category
+  calculateRuleFrequency() {
+    const ruleMap = new Map();
 
     Object.values(this.emailStats).forEach(category => {
       if (Array.isArray(category)) {
-        category.forEach(email => {
-          if (email.fromEmail) {
-            senderMap.set(email.fromEmail, (senderMap.get(email.fromEmail) || 0) + 1);
-          }
+        // Emails that took their thread's category weren't decided by their rules
+        category.filter(email => email.categorySource !== 'thread').forEach(email => {
+          (email.matchedRules || []).forEach(({ rule, field }) => {
+            const key = `${email.category}\u0000${field}\u0000${rule}`;
+            const entry = ruleMap.get(key) || { category: email.category, field, rule, count: 0 };
+            entry.count++;
+            ruleMap.set(key, entry);
+          });
         });
       }
     });
 
-    return Array.from(senderMap.entries())
-      .map(([email, count]) => ({ email, count }))
-      .sort((a, b) => b.count - a.count);
+    return Array.from(ruleMap.values()).sort((a, b) => b.count - a.count);
   }
-}
\ No newline at end of file
+}
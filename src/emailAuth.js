@@ -0,0 +1,265 @@
+/**
+ * Sender authentication (SPF, DKIM, DMARC, ARC) from message headers.
+ *
+ * A From address is trivially forged, so before we trust mail because it
+ * claims to come from a bank, payroll or healthcare domain we check what the
+ * receiving server (Gmail) recorded about it: did SPF or DKIM pass for a
+ * domain aligned with the From domain, did DMARC pass, and - for forwarded or
+ * mailing-list mail that breaks SPF/DKIM - did a valid ARC chain vouch for an
+ * aligned pass at the first hop. Anyone can run an ARC sealer, so the first
+ * hop's results only count when its sealer is a forwarder listed in
+ * TRUSTED_ARC_SEALERS (none by default).
+ */
+import { extractDomain } from './utils.js';
+
+// Headers to request with format: 'metadata'
+export const AUTH_HEADERS = [
+  'Authentication-Results',
+  'ARC-Authentication-Results',
+  'ARC-Seal',
+  'Received-SPF'
+];
+
+// Servers whose Authentication-Results we believe (add others, e.g. for a
+// Maildir from another provider, with TRUSTED_AUTHSERV_IDS)
+const DEFAULT_TRUSTED_AUTHSERV_IDS = ['mx.google.com'];
+
+// Domains that must pass authentication before mail from them is trusted
+export const AUTH_REQUIRED_DOMAINS = [
+  // Banking/Financial
+  'chase.com', 'capitalone.com', 'mercury.com', 'stripe.com', 'paypal.com',
+  'venmo.com', 'coinbase.com', 'robinhood.com', 'wellsfargo.com', 'bankofamerica.com',
+  // Payroll/HR
+  'rippling.com', 'gusto.com', 'adp.com',
+  // Healthcare (patient portals on myhealth* domains are matched separately)
+  'sutterhealth.org', 'kaiserpermanente.org', 'anthem.com'
+];
+
+// Second-level public suffixes common enough to matter for alignment
+const TWO_PART_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz',
+  'co.jp', 'co.in', 'com.br', 'com.mx', 'co.za', 'com.sg', 'com.cn'
+]);
+
+/**
+ * Organizational domain used for relaxed DMARC alignment
+ * ("alertsp.chase.com" -> "chase.com", "mail.example.co.uk" -> "example.co.uk")
+ */
+export function organizationalDomain(domain) {
+  const labels = (domain || '').toLowerCase().replace(/\.$/, '').split('.').filter(Boolean);
+  if (labels.length <= 2) return labels.join('.');
+  const lastTwo = labels.slice(-2).join('.');
+  return TWO_PART_SUFFIXES.has(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+}
+
+/**
+ * Whether two domains align under relaxed DMARC rules
+ */
+export function domainsAlign(a, b) {
+  return Boolean(a && b) && organizationalDomain(a) === organizationalDomain(b);
+}
+
+function stripComments(value) {
+  // Remove (comments), which may contain "=" and ";"
+  let result = '';
+  let depth = 0;
+  for (const char of value) {
+    if (char === '(') depth++;
+    else if (char === ')') depth = Math.max(0, depth - 1);
+    else if (depth === 0) result += char;
+  }
+  return result;
+}
+
+/**
+ * Parse an Authentication-Results (or ARC-Authentication-Results) value
+ * @returns {{ instance: number|null, authservId: string, results: Array<{method, result, props}> }}
+ */
+export function parseAuthenticationResults(value) {
+  const parts = stripComments(value).split(';').map(part => part.trim()).filter(Boolean);
+  let instance = null;
+
+  // ARC-Authentication-Results starts with "i=N;"
+  if (/^i=\d+$/i.test(parts[0] || '')) {
+    instance = Number(parts.shift().slice(2));
+  }
+
+  const authservId = (parts.shift() || '').split(/\s+/)[0].toLowerCase();
+  const results = [];
+
+  for (const part of parts) {
+    const tokens = part.split(/\s+/);
+    const [method, result] = (tokens[0] || '').split('=');
+    if (!method || !result) continue;
+
+    const props = {};
+    for (const token of tokens.slice(1)) {
+      const eq = token.indexOf('=');
+      if (eq > 0) props[token.slice(0, eq).toLowerCase()] = token.slice(eq + 1).replace(/^"|"$/g, '').toLowerCase();
+    }
+    results.push({ method: method.toLowerCase(), result: result.toLowerCase(), props });
+  }
+
+  return { instance, authservId, results };
+}
+
+/**
+ * Parse a Received-SPF header ("pass (google.com: domain of ...) envelope-from=...")
+ * @returns {{ result: string, domain: string }}
+ */
+export function parseReceivedSpf(value) {
+  const result = (value.trim().split(/\s+/)[0] || '').toLowerCase();
+  const envelope = value.match(/envelope-from=["<]?([^\s;">]+)/i) || value.match(/smtp\.mailfrom=([^\s;]+)/i);
+  return { result, domain: envelope ? extractDomain(envelope[1]) || envelope[1].toLowerCase() : '' };
+}
+
+function domainFromProp(value) {
+  if (!value) return '';
+  return value.includes('@') ? extractDomain(value) : value.toLowerCase();
+}
+
+function getAll(headers, name) {
+  const lower = name.toLowerCase();
+  return headers.filter(h => h.name.toLowerCase() === lower).map(h => h.value);
+}
+
+function envDomains(name) {
+  return process.env[name]
+    ? process.env[name].split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+    : [];
+}
+
+function trustedAuthservIds() {
+  return [...DEFAULT_TRUSTED_AUTHSERV_IDS, ...envDomains('TRUSTED_AUTHSERV_IDS')];
+}
+
+// Whether an ARC-Seal was added by a forwarder in TRUSTED_ARC_SEALERS (or a subdomain of one)
+function trustedSealer(seal) {
+  const sealer = seal?.match(/(?:^|;)\s*d=([^\s;]+)/i)?.[1]?.toLowerCase();
+  return Boolean(sealer) && envDomains('TRUSTED_ARC_SEALERS')
+    .some(trusted => sealer === trusted || sealer.endsWith(`.${trusted}`));
+}
+
+// SPF/DKIM/DMARC verdicts from one set of results, with alignment against the From domain
+function summarizeResults(results, fromDomain) {
+  const spf = results.find(r => r.method === 'spf');
+  const spfDomain = spf ? domainFromProp(spf.props['smtp.mailfrom'] || spf.props['smtp.helo']) : '';
+
+  const dkim = results
+    .filter(r => r.method === 'dkim')
+    .map(r => {
+      const domain = domainFromProp(r.props['header.d'] || r.props['header.i']);
+      return { result: r.result, domain, aligned: r.result === 'pass' && domainsAlign(domain, fromDomain) };
+    });
+
+  const dmarc = results.find(r => r.method === 'dmarc');
+  const arc = results.find(r => r.method === 'arc');
+
+  return {
+    spf: spf ? { result: spf.result, domain: spfDomain, aligned: spf.result === 'pass' && domainsAlign(spfDomain, fromDomain) } : null,
+    dkim,
+    dmarc: dmarc ? dmarc.result : null,
+    arc: arc ? arc.result : null
+  };
+}
+
+/**
+ * Evaluate sender authentication for a message
+ * @param {Array<{name, value}>} headers - Message headers (payload.headers)
+ * @param {string} fromEmail - Address from the From header
+ * @returns {{ aligned: boolean, dmarc: string|null, spf: Object|null, dkim: Object[],
+ *   arc: string|null, viaArc: boolean, hasResults: boolean, summary: string }}
+ */
+export function evaluateAuthentication(headers, fromEmail) {
+  const fromDomain = extractDomain(fromEmail);
+  const trusted = trustedAuthservIds();
+
+  // Only the results our own receiving server stamped count (RFC 8601 section 5).
+  // It prepends its header above the ones already in the message, so the topmost
+  // trusted header is ours; any below it, even naming our server, came with the
+  // message and may have been written by the sender
+  const ownResults = getAll(headers, 'Authentication-Results')
+    .map(parseAuthenticationResults)
+    .find(r => trusted.includes(r.authservId));
+  const results = ownResults ? ownResults.results : [];
+
+  const verdict = summarizeResults(results, fromDomain);
+
+  // Fall back to Received-SPF when the receiver didn't record an spf= result,
+  // as long as the topmost one is our server's ("pass (google.com: domain of ...)")
+  if (!verdict.spf) {
+    const receivedSpf = getAll(headers, 'Received-SPF')[0];
+    const receiver = receivedSpf?.match(/\(([^:()\s]+):/)?.[1];
+    if (receivedSpf && trusted.some(id => domainsAlign(id, receiver))) {
+      const { result, domain } = parseReceivedSpf(receivedSpf);
+      verdict.spf = { result, domain, aligned: result === 'pass' && domainsAlign(domain, fromDomain) };
+    }
+  }
+
+  const directPass = Boolean(verdict.spf?.aligned) || verdict.dkim.some(d => d.aligned);
+
+  // ARC: trust the first hop's results only if our server validated the chain
+  // and the hop that recorded them is a forwarder we trust
+  let viaArc = false;
+  if (!directPass && verdict.arc === 'pass') {
+    const seals = getAll(headers, 'ARC-Seal');
+    const chainFailed = seals.some(seal => /\bcv=fail\b/i.test(seal));
+    const firstHop = getAll(headers, 'ARC-Authentication-Results')
+      .map(parseAuthenticationResults)
+      .sort((a, b) => (a.instance ?? 0) - (b.instance ?? 0))[0];
+    const firstSeal = firstHop && seals.find(seal => Number(seal.match(/(?:^|;)\s*i=(\d+)/i)?.[1]) === firstHop.instance);
+
+    if (firstHop && !chainFailed && trustedSealer(firstSeal)) {
+      const hop = summarizeResults(firstHop.results, fromDomain);
+      viaArc = hop.dmarc === 'pass' || Boolean(hop.spf?.aligned) || hop.dkim.some(d => d.aligned);
+    }
+  }
+
+  const aligned = verdict.dmarc !== 'fail' && (directPass || viaArc);
+  const hasResults = results.length > 0 || Boolean(verdict.spf);
+
+  const parts = [];
+  if (verdict.spf) parts.push(`spf=${verdict.spf.result}${verdict.spf.domain ? ` (${verdict.spf.domain})` : ''}`);
+  verdict.dkim.forEach(d => parts.push(`dkim=${d.result}${d.domain ? ` (${d.domain})` : ''}`));
+  if (verdict.dmarc) parts.push(`dmarc=${verdict.dmarc}`);
+  if (verdict.arc) parts.push(`arc=${verdict.arc}`);
+
+  return {
+    ...verdict,
+    aligned,
+    viaArc,
+    hasResults,
+    summary: parts.length > 0 ? parts.join(' ') : 'no authentication results'
+  };
+}
+
+/**
+ * Whether mail from this address must pass authentication before we trust it:
+ * bank, payroll and healthcare domains, plus the user's protected senders
+ * @param {string} email - Sender address
+ * @param {string[]} protectedSenders - Protected addresses or domains
+ */
+export function requiresAuthentication(email, protectedSenders = []) {
+  const domain = extractDomain(email);
+  if (!domain) return false;
+  if (AUTH_REQUIRED_DOMAINS.some(required => domain === required || domain.endsWith(`.${required}`))) {
+    return true;
+  }
+  if (domain.startsWith('myhealth')) return true;
+  return protectedSenders.some(sender => {
+    const value = sender.toLowerCase().trim();
+    return value === email.toLowerCase() || (!value.includes('@') && (domain === value || domain.endsWith(`.${value}`)));
+  });
+}
+
+/**
+ * Whether an analyzed email claims a sender it could not prove: DMARC failed,
+ * or a domain that requires authentication did not pass aligned SPF/DKIM
+ * @param {Object} email - { fromEmail, authentication } as built by the analyzers
+ * @param {string[]} protectedSenders - Protected addresses or domains
+ */
+export function failsSenderAuthentication(email, protectedSenders = []) {
+  const auth = email.authentication;
+  if (auth?.dmarc === 'fail') return true;
+  return requiresAuthentication(email.fromEmail, protectedSenders) && !auth?.aligned;
+}
@@ -1,13 +1,14 @@
-import { google } from 'googleapis';
 import ora from 'ora';
 import chalk from 'chalk';
-import { withRetry, isProtectedSender as checkProtectedSender, isFromProtectedDomain, RateLimiter, sleep } from './utils.js';
+import { withRetry, isProtectedSender as checkProtectedSender, isFromProtectedDomain, senderFrequency, sleep } from './utils.js';
+import { Journal } from './journal.js';
+import { createGmailClient } from './mailProvider.js';
 
 export class EmailFilter {
-  constructor(auth, protectedSenders = []) {
-    this.gmail = google.gmail({ version: 'v1', auth });
+  constructor(auth, protectedSenders = [], journal = null) {
+    this.gmail = createGmailClient(auth);
     this.protectedSenders = protectedSenders.map(email => email.toLowerCase().trim());
-    this.rateLimiter = new RateLimiter(10);
+    this.journal = journal || new Journal('filter');
     this.existingFilters = null; // Cache of existing filters
   }
 
@@ -29,6 +30,28 @@ export class EmailFilter {
     return filters.some(f => f.criteria?.from === from);
   }
 
+  // Existing filter that sends this sender's mail to the trash, if any
+  async findTrashFilter(from) {
+    const filters = await this.getExistingFilters();
+    return filters.find(f => f.criteria?.from?.toLowerCase() === from.toLowerCase() &&
+      f.action?.addLabelIds?.includes('TRASH')) || null;
+  }
+
+  // Send all future mail from a sender to the trash (an escalation for senders that ignore unsubscribes)
+  async createTrashFilter(from) {
+    if (this.isProtectedSender(from)) {
+      throw new Error(`${from} is a protected sender`);
+    }
+    if (await this.findTrashFilter(from)) return null;
+
+    const response = await withRetry(() => this.journal.createFilter(this.gmail, {
+      criteria: { from, excludeChats: true },
+      action: { addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] }
+    }));
+    this.existingFilters.push(response.data);
+    return response.data;
+  }
+
   async createLabel(labelName, options = {}) {
     try {
       const response = await this.gmail.users.labels.create({
@@ -88,13 +111,7 @@ export class EmailFilter {
     for (let i = 0; i < messageIds.length; i += batchSize) {
       const batch = messageIds.slice(i, i + batchSize);
       try {
-        await this.gmail.users.messages.batchModify({
-          userId: 'me',
-          requestBody: {
-            ids: batch,
-            addLabelIds: [labelId]
-          }
-        });
+        await this.journal.modify(this.gmail, batch, { addLabelIds: [labelId] });
       } catch (error) {
         console.error(`Error applying label to batch:`, error.message);
       }
@@ -108,13 +125,7 @@ export class EmailFilter {
     for (let i = 0; i < messageIds.length; i += batchSize) {
       const batch = messageIds.slice(i, i + batchSize);
       try {
-        await this.gmail.users.messages.batchModify({
-          userId: 'me',
-          requestBody: {
-            ids: batch,
-            removeLabelIds: ['INBOX']
-          }
-        });
+        await this.journal.modify(this.gmail, batch, { removeLabelIds: ['INBOX'] });
       } catch (error) {
         console.error(`Error archiving batch:`, error.message);
       }
@@ -139,19 +150,15 @@ export class EmailFilter {
           continue;
         }
         try {
-          await this.rateLimiter.wait();
           await withRetry(async () => {
-            return this.gmail.users.settings.filters.create({
-              userId: 'me',
-              requestBody: {
-                criteria: {
-                  from: sender,
-                  excludeChats: true
-                },
-                action: {
-                  addLabelIds: [labels['Filtered/Newsletters'].id],
-                  removeLabelIds: ['INBOX']
-                }
+            return this.journal.createFilter(this.gmail, {
+              criteria: {
+                from: sender,
+                excludeChats: true
+              },
+              action: {
+                addLabelIds: [labels['Filtered/Newsletters'].id],
+                removeLabelIds: ['INBOX']
               }
             });
           });
@@ -170,19 +177,15 @@ export class EmailFilter {
         if (this.isProtectedSender(sender)) continue;
 
         try {
-          await this.rateLimiter.wait();
           await withRetry(async () => {
-            return this.gmail.users.settings.filters.create({
-              userId: 'me',
-              requestBody: {
-                criteria: {
-                  from: sender,
-                  excludeChats: true
-                },
-                action: {
-                  addLabelIds: [labels['Filtered/Promotional'].id],
-                  removeLabelIds: ['INBOX']
-                }
+            return this.journal.createFilter(this.gmail, {
+              criteria: {
+                from: sender,
+                excludeChats: true
+              },
+              action: {
+                addLabelIds: [labels['Filtered/Promotional'].id],
+                removeLabelIds: ['INBOX']
               }
             });
           });
@@ -201,19 +204,15 @@ export class EmailFilter {
         if (this.isProtectedSender(sender)) continue;
 
         try {
-          await this.rateLimiter.wait();
           await withRetry(async () => {
-            return this.gmail.users.settings.filters.create({
-              userId: 'me',
-              requestBody: {
-                criteria: {
-                  from: sender,
-                  excludeChats: true
-                },
-                action: {
-                  addLabelIds: [labels['Filtered/Automated'].id],
-                  removeLabelIds: ['INBOX']
-                }
+            return this.journal.createFilter(this.gmail, {
+              criteria: {
+                from: sender,
+                excludeChats: true
+              },
+              action: {
+                addLabelIds: [labels['Filtered/Automated'].id],
+                removeLabelIds: ['INBOX']
               }
             });
           });
@@ -233,17 +232,11 @@ export class EmailFilter {
     return createdCount;
   }
 
+  // Senders worth a filter; messages that only took their thread's category say nothing about their sender
   getFrequentSenders(emails, minFrequency) {
-    const senderCount = {};
-    emails.forEach(email => {
-      if (email.fromEmail) {
-        senderCount[email.fromEmail] = (senderCount[email.fromEmail] || 0) + 1;
-      }
-    });
-
-    return Object.entries(senderCount)
-      .filter(([sender, count]) => count >= minFrequency)
-      .map(([sender]) => sender);
+    return senderFrequency(emails.filter(email => email.categorySource !== 'thread'))
+      .filter(({ count }) => count >= minFrequency)
+      .map(({ email }) => email);
   }
 
   async applyFiltersToExisting(analysisResults, labels) {
@@ -285,6 +278,11 @@ export class EmailFilter {
         labelId: labels['Protected']?.id,
         archive: false
       },
+      {
+        emails: analysisResults.personal,
+        labelId: labels['Personal']?.id,
+        archive: false
+      },
       {
         emails: analysisResults.receipts,
         labelId: labels['Receipts']?.id,
@@ -313,27 +311,44 @@ export class EmailFilter {
     spinner.succeed('Filters applied to existing emails');
   }
 
+  // What filtering does with each category, as data for --json
+  getFilteringSummary(analysisResults) {
+    const archived =
+      analysisResults.newsletters.length +
+      analysisResults.promotional.length +
+      analysisResults.automated.length;
+
+    return {
+      total: analysisResults.total,
+      archived,
+      labeledInInbox:
+        analysisResults.social.length +
+        analysisResults.forums.length +
+        analysisResults.receipts.length +
+        analysisResults.confirmations.length,
+      vipPreserved: analysisResults.fromVIP.length,
+      personalPreserved: analysisResults.personal.length,
+      receiptsLabeled: analysisResults.receipts.length,
+      confirmationsLabeled: analysisResults.confirmations.length,
+      archivedPercent: analysisResults.total > 0
+        ? Number(((archived / analysisResults.total) * 100).toFixed(1))
+        : 0
+    };
+  }
+
   displayFilteringSummary(analysisResults) {
+    const summary = this.getFilteringSummary(analysisResults);
+
     console.log('\n' + chalk.bold.cyan('Filtering Summary'));
     console.log(chalk.gray('='.repeat(40)));
     
-    const archived = 
-      analysisResults.newsletters.length + 
-      analysisResults.promotional.length + 
-      analysisResults.automated.length;
-    
-    console.log(chalk.green(`Emails to be archived: ${archived}`));
-    console.log(chalk.yellow(`Emails to be labeled but kept in inbox: ${
-      analysisResults.social.length + 
-      analysisResults.forums.length +
-      analysisResults.receipts.length +
-      analysisResults.confirmations.length
-    }`));
-    console.log(chalk.red.bold(`VIP emails preserved: ${analysisResults.fromVIP.length}`));
-    console.log(chalk.green(`Receipts labeled: ${analysisResults.receipts.length}`));
-    console.log(chalk.cyan(`Confirmations labeled: ${analysisResults.confirmations.length}`));
+    console.log(chalk.green(`Emails to be archived: ${summary.archived}`));
+    console.log(chalk.yellow(`Emails to be labeled but kept in inbox: ${summary.labeledInInbox}`));
+    console.log(chalk.red.bold(`VIP emails preserved: ${summary.vipPreserved}`));
+    console.log(chalk.red.bold(`Personal conversation emails preserved: ${summary.personalPreserved}`));
+    console.log(chalk.green(`Receipts labeled: ${summary.receiptsLabeled}`));
+    console.log(chalk.cyan(`Confirmations labeled: ${summary.confirmationsLabeled}`));
     
-    const percentageFiltered = ((archived / analysisResults.total) * 100).toFixed(1);
-    console.log('\n' + chalk.bold(`${percentageFiltered}% of emails will be auto-archived`));
+    console.log('\n' + chalk.bold(`${summary.archivedPercent.toFixed(1)}% of emails will be auto-archived`));
   }
 }
\ No newline at end of file
@@ -0,0 +1,91 @@
+import { authorize } from './mailProvider.js';
+import { EmailAnalyzer } from './emailAnalyzer.js';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { getCliOptions } from './cliOptions.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
+
+dotenv.config();
+
+function getConfig() {
+  const vipEmails = process.env.VIP_EMAILS ? process.env.VIP_EMAILS.split(',').map(e => e.trim()) : [];
+  const protectedSenders = process.env.PROTECTED_SENDERS ? process.env.PROTECTED_SENDERS.split(',').map(e => e.trim()) : [];
+  const protectedKeywords = process.env.PROTECTED_KEYWORDS ? process.env.PROTECTED_KEYWORDS.split(',').map(k => k.trim()) : [];
+
+  return { vipEmails, protectedSenders, protectedKeywords };
+}
+
+function displayExplanation({ analysis, path }) {
+  console.log(chalk.bold(`From:    `) + analysis.from);
+  console.log(chalk.bold(`Subject: `) + analysis.subject);
+  console.log(chalk.bold(`Labels:  `) + (analysis.labels.join(', ') || chalk.gray('none')));
+
+  console.log('\n' + chalk.bold.cyan('Decision path:'));
+  console.log(chalk.gray('='.repeat(40)));
+
+  path.forEach(({ step, category, fired }) => {
+    if (!fired) {
+      console.log(chalk.gray(`  ✗ ${step} (${category})`));
+      return;
+    }
+    console.log(chalk.green(`  ✓ ${step} → ${category}`));
+    analysis.matchedRules.forEach(({ rule, field, matched }) => {
+      console.log(chalk.white(`      ${rule} matched "${matched}" in ${field}`));
+    });
+  });
+
+  if (analysis.matchedRules.length === 0) {
+    console.log(chalk.yellow('  No rule fired → unknown'));
+  }
+
+  if (analysis.classifier) {
+    const { category, confidence } = analysis.classifier;
+    const verdict = analysis.categorySource === 'classifier' ? 'used, rules had no answer' : 'second opinion only';
+    console.log('\n' + chalk.magenta(`Classifier: ${category} (${(confidence * 100).toFixed(1)}% confidence, ${verdict})`));
+  }
+
+  if (analysis.thread) {
+    const { messages, personal, participant } = analysis.thread;
+    const why = personal === 'sent' ? 'you sent a message in it'
+      : personal === 'vip' ? `VIP ${participant} takes part` : null;
+    console.log('\n' + chalk.cyan(`Thread: ${messages} message${messages === 1 ? '' : 's'}` + (why ? `, personal because ${why}` : '')));
+    if (analysis.categorySource === 'thread') {
+      console.log(chalk.cyan(`  On its own this email would be ${analysis.messageCategory}; the whole thread is filed as ${analysis.category}`));
+    }
+  }
+
+  console.log('\n' + chalk.bold(`Result: ${analysis.category}`) + chalk.gray(` (decided by ${analysis.categorySource})`));
+}
+
+async function main() {
+  const [messageId] = getCliOptions().args;
+  const json = jsonOutput();
+  if (!messageId) {
+    console.log(chalk.yellow('Usage: npm run explain -- <messageId>'));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(chalk.bold.cyan(`\n🔎 Explaining categorization of ${messageId}\n`));
+
+  try {
+    const auth = await authorize({ access: 'read' });
+    const { vipEmails, protectedSenders, protectedKeywords } = getConfig();
+    const analyzer = new EmailAnalyzer(auth, vipEmails, protectedSenders, protectedKeywords);
+
+    const explanation = await analyzer.explainEmail(messageId);
+    if (json) {
+      printJsonReport('explain', explanation);
+    } else {
+      displayExplanation(explanation);
+    }
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    if (error.message.includes('invalid_grant')) {
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login'));
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { MemoryMailbox, messageFromRaw, gmailError } from './memoryMailbox.js';
+
+/**
+ * In-process stand-in for the Gmail API, seeded from JSON fixtures. Select it
+ * with MAIL_PROVIDER=fake and FAKE_GMAIL_FIXTURES=<file or directory>, or
+ * build one directly and hand it to useMailbox() from mailProvider.js.
+ *
+ * Fixture shape (every key optional):
+ *   {
+ *     "emailAddress": "me@example.com",
+ *     "labels": ["Filtered/Promotional", "Receipts"],
+ *     "filters": [
+ *       { "criteria": { "from": "*@shop.com" }, "action": { "addLabelIds": ["Receipts"], "removeLabelIds": ["INBOX"] } }
+ *     ],
+ *     "messages": [
+ *       {
+ *         "id": "msg-1",                          // defaults to a hash of the Message-ID
+ *         "threadId": "thread-1",
+ *         "from": "Shop <deals@shop.com>",
+ *         "to": "me@example.com",
+ *         "subject": "50% off",
+ *         "date": "2026-10-01T09:00:00Z",
+ *         "labels": ["INBOX", "UNREAD", "CATEGORY_PROMOTIONS"],
+ *         "headers": { "List-Unsubscribe": "<https://shop.com/u>" },
+ *         "body": "Plain text body"
+ *       }
+ *     ]
+ *   }
+ *
+ * Labels in fixtures may be system label IDs or user label names; user labels
+ * are created as needed. A message may give "raw" RFC 5322 text instead of the
+ * individual fields.
+ */
+export class FakeGmail extends MemoryMailbox {
+  constructor({ emailAddress = 'me@example.com' } = {}) {
+    super({ emailAddress });
+    this.calls = [];
+    this.failures = [];
+  }
+
+  // Label ID for a fixture label given by ID or name
+  resolveLabel(value) {
+    return this.labels.has(value) ? value : this.ensureLabel(value);
+  }
+
+  buildMessage(fixture) {
+    const labelIds = (fixture.labels || fixture.labelIds || ['INBOX', 'UNREAD']).map(label => this.resolveLabel(label));
+    const internalDate = fixture.date ? Date.parse(fixture.date) : null;
+
+    let raw = fixture.raw;
+    if (!raw) {
+      const headers = {
+        From: fixture.from || 'unknown@example.com',
+        To: fixture.to || this.emailAddress,
+        Subject: fixture.subject || '',
+        Date: new Date(internalDate ?? Date.now()).toUTCString(),
+        'Message-ID': `<${fixture.id || `fixture-${this.messages.size + 1}`}@fake.gmail>`,
+        ...fixture.headers
+      };
+      const headerText = Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+      raw = `${headerText}\n\n${fixture.body || ''}`;
+    }
+
+    const message = messageFromRaw(raw, { labelIds, internalDate, threadId: fixture.threadId });
+    if (fixture.id) {
+      // A message that starts its own thread uses its ID as the thread ID
+      if (message.threadId === message.id) message.threadId = fixture.threadId || fixture.id;
+      message.id = fixture.id;
+    }
+    if (fixture.snippet !== undefined) message.snippet = fixture.snippet;
+    return message;
+  }
+
+  /**
+   * Load a fixture object into the mailbox
+   */
+  seed(fixture) {
+    if (fixture.emailAddress) this.emailAddress = fixture.emailAddress;
+    (fixture.labels || []).forEach(name => this.resolveLabel(name));
+
+    for (const filter of fixture.filters || []) {
+      const action = {};
+      for (const key of ['addLabelIds', 'removeLabelIds']) {
+        if (filter.action?.[key]) action[key] = filter.action[key].map(label => this.resolveLabel(label));
+      }
+      this.filters.push({ id: filter.id || `fake-filter-${this.filters.length + 1}`, criteria: filter.criteria, action });
+    }
+
+    for (const message of fixture.messages || []) {
+      this.addMessage(this.buildMessage(message));
+    }
+    return this;
+  }
+
+  /**
+   * Simulate new mail arriving: filters run and a history record is added,
+   * so continuous mode picks it up on its next run
+   */
+  deliver(fixtureMessage) {
+    return this.addMessage(this.buildMessage(fixtureMessage), { applyFilters: true, recordHistory: true });
+  }
+
+  /**
+   * Make the next call to `method` ("messages.list", "messages.batchModify", ...)
+   * fail with an HTTP status, e.g. 429 to exercise retry handling
+   */
+  failNext(method, code = 500, message = `Simulated ${code} error`) {
+    this.failures.push({ method, code, message });
+  }
+
+  async beforeRequest(method, params) {
+    this.calls.push({ method, params });
+    const index = this.failures.findIndex(failure => failure.method === method);
+    if (index !== -1) {
+      const [failure] = this.failures.splice(index, 1);
+      throw gmailError(failure.code, failure.message);
+    }
+  }
+
+  // Calls made so far to one API method
+  callsTo(method) {
+    return this.calls.filter(call => call.method === method);
+  }
+
+  /**
+   * Build a fake from a fixture file, or every *.json file in a directory
+   */
+  static async fromFixtures(fixturePath) {
+    const fake = new FakeGmail();
+    const stat = await fs.stat(fixturePath).catch(() => {
+      throw new Error(`Fake Gmail fixtures not found: ${fixturePath}`);
+    });
+
+    const files = stat.isDirectory()
+      ? (await fs.readdir(fixturePath)).filter(f => f.endsWith('.json')).sort().map(f => path.join(fixturePath, f))
+      : [fixturePath];
+
+    for (const file of files) {
+      try {
+        fake.seed(JSON.parse(await fs.readFile(file, 'utf8')));
+      } catch (error) {
+        throw new Error(`Could not load fixture ${file}: ${error.message}`);
+      }
+    }
+    return fake;
+  }
+}
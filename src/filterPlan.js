@@ -0,0 +1,352 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { withRetry } from './utils.js';
+import { getRulesFilePath, ruleToFilter, ruleToSearchQuery } from './rules.js';
+import { Journal } from './journal.js';
+import { createGmailClient } from './mailProvider.js';
+import { statePath } from './accounts.js';
+
+export const PLAN_VERSION = 1;
+export const PLAN_FILE = statePath('.filter-plan.json');
+
+const CRITERIA_KEYS = ['from', 'to', 'subject', 'query', 'negatedQuery', 'hasAttachment', 'excludeChats', 'size', 'sizeComparison'];
+
+/**
+ * SHA-256 of the rules file, so a plan can tell the rules changed after it was made
+ * @param {string} filePath - Rules file; a missing file hashes as empty
+ */
+export async function hashRulesFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8').catch(() => '');
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Computes the exact difference between live Gmail filters and the rules file,
+ * saves it as a plan, and later executes that saved plan unchanged.
+ */
+export class FilterPlanner {
+  constructor(auth, rules = null, journal = null) {
+    this.gmail = createGmailClient(auth);
+    this.rules = rules;
+    this.journal = journal || new Journal('apply');
+    this.labelIdsByName = null;
+  }
+
+  async loadLabels() {
+    const response = await this.gmail.users.labels.list({ userId: 'me' });
+    const labels = response.data.labels || [];
+    this.labelIdsByName = new Map(labels.map(label => [label.name, label.id]));
+    return new Map(labels.map(label => [label.id, label.name]));
+  }
+
+  // Comparable form of filter criteria: only set fields, sender lowercased
+  normalizeCriteria(criteria = {}) {
+    const normalized = {};
+    for (const key of CRITERIA_KEYS) {
+      const value = criteria[key];
+      if (value === undefined || value === null || value === '' || value === false) continue;
+      normalized[key] = typeof value === 'string' ? value.trim() : value;
+    }
+    if (normalized.from) {
+      normalized.from = normalized.from.toLowerCase();
+    }
+    return normalized;
+  }
+
+  // Comparable form of a filter action with label IDs resolved to names
+  normalizeAction(action = {}, labelNamesById) {
+    const toNames = ids => (ids || []).map(id => labelNamesById.get(id) || id).sort();
+    return {
+      addLabels: toNames(action.addLabelIds),
+      removeLabels: toNames(action.removeLabelIds)
+    };
+  }
+
+  desiredAction(rule) {
+    const { action } = ruleToFilter(rule);
+    return {
+      addLabels: [...action.addLabelIds, ...action.addLabelNames].sort(),
+      removeLabels: [...action.removeLabelIds].sort()
+    };
+  }
+
+  sameAs(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // Every inbox message the rule matches, however many pages of results that takes
+  async findRetroactiveMessages(rule) {
+    const query = ruleToSearchQuery(rule, { inboxOnly: true });
+    const messageIds = [];
+    let pageToken;
+    do {
+      const response = await withRetry(() => this.gmail.users.messages.list({
+        userId: 'me',
+        q: query,
+        maxResults: 500,
+        pageToken
+      }));
+      (response.data.messages || []).forEach(m => messageIds.push(m.id));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return { query, messageIds };
+  }
+
+  async buildPlan() {
+    const spinner = ora('Fetching live Gmail filters...').start();
+
+    try {
+      const response = await this.gmail.users.settings.filters.list({ userId: 'me' });
+      const liveFilters = response.data.filter || [];
+      const labelNamesById = await this.loadLabels();
+
+      const live = liveFilters.map(filter => ({
+        id: filter.id,
+        criteria: this.normalizeCriteria(filter.criteria),
+        action: this.normalizeAction(filter.action, labelNamesById)
+      }));
+
+      spinner.text = 'Comparing live filters with rules...';
+
+      const deletes = [];
+      const creates = [];
+      const unchanged = [];
+      const claimed = new Set();
+
+      for (const filter of live) {
+        if (this.rules.broadFilterPatterns.some(pattern => filter.criteria.from === pattern.toLowerCase())) {
+          deletes.push({ ...filter, reason: `Overly broad pattern "${filter.criteria.from}"` });
+          claimed.add(filter.id);
+        }
+      }
+
+      for (const rule of this.rules.rules) {
+        const criteria = this.normalizeCriteria(ruleToFilter(rule).criteria);
+        const action = this.desiredAction(rule);
+        const matches = live.filter(f => !claimed.has(f.id) && this.sameAs(f.criteria, criteria));
+        matches.forEach(f => claimed.add(f.id));
+
+        const exact = matches.find(f => this.sameAs(f.action, action));
+        if (exact) {
+          unchanged.push({ ruleId: rule.id, filterId: exact.id });
+        } else {
+          creates.push({
+            ruleId: rule.id,
+            criteria: ruleToFilter(rule).criteria,
+            action: ruleToFilter(rule).action,
+            reason: matches.length > 0 ? 'Replaces filter with outdated action' : 'New rule'
+          });
+        }
+
+        matches
+          .filter(f => f !== exact)
+          .forEach(f => deletes.push({
+            ...f,
+            reason: exact ? `Duplicate of rule "${rule.id}"` : `Outdated action for rule "${rule.id}"`
+          }));
+      }
+
+      const labelsToCreate = [...new Set(creates.flatMap(c => c.action.addLabelNames))]
+        .filter(name => !this.labelIdsByName.has(name));
+
+      spinner.text = 'Finding existing inbox mail for retroactive rules...';
+      const retroactive = [];
+      for (const rule of this.rules.rules.filter(r => r.retroactive)) {
+        const { query, messageIds } = await this.findRetroactiveMessages(rule);
+        if (messageIds.length > 0) {
+          retroactive.push({ ruleId: rule.id, query, action: ruleToFilter(rule).action, messageIds });
+        }
+      }
+
+      const rulesFile = getRulesFilePath();
+
+      spinner.succeed(`Planned ${creates.length} filter creations and ${deletes.length} deletions`);
+
+      return {
+        version: PLAN_VERSION,
+        createdAt: new Date().toISOString(),
+        rulesFile,
+        rulesHash: await hashRulesFile(rulesFile),
+        liveFilterIds: liveFilters.map(f => f.id).sort(),
+        labelsToCreate,
+        deletes,
+        creates,
+        unchanged,
+        unmanagedCount: live.filter(f => !claimed.has(f.id)).length,
+        retroactive
+      };
+    } catch (error) {
+      spinner.fail('Failed to build filter plan');
+      throw error;
+    }
+  }
+
+  async savePlan(plan, filePath = PLAN_FILE) {
+    await fs.writeFile(filePath, JSON.stringify(plan, null, 2));
+    return filePath;
+  }
+
+  static async loadPlan(filePath = PLAN_FILE) {
+    let plan;
+    try {
+      plan = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`No saved plan at ${filePath}. Run "npm run plan" first.`);
+    }
+    if (plan.version !== PLAN_VERSION) {
+      throw new Error(`Plan ${filePath} has unsupported version ${plan.version}. Run "npm run plan" again.`);
+    }
+    return plan;
+  }
+
+  async ensureLabel(labelName) {
+    if (!this.labelIdsByName) {
+      await this.loadLabels();
+    }
+    if (this.labelIdsByName.has(labelName)) {
+      return this.labelIdsByName.get(labelName);
+    }
+    const response = await this.gmail.users.labels.create({
+      userId: 'me',
+      requestBody: {
+        name: labelName,
+        labelListVisibility: 'labelShow',
+        messageListVisibility: 'show'
+      }
+    });
+    this.labelIdsByName.set(labelName, response.data.id);
+    return response.data.id;
+  }
+
+  async resolveAction(action) {
+    const addLabelIds = [...action.addLabelIds];
+    for (const name of action.addLabelNames) {
+      addLabelIds.push(await this.ensureLabel(name));
+    }
+    const resolved = {};
+    if (addLabelIds.length > 0) resolved.addLabelIds = addLabelIds;
+    if (action.removeLabelIds.length > 0) resolved.removeLabelIds = action.removeLabelIds;
+    return resolved;
+  }
+
+  /**
+   * Execute a saved plan exactly as written. Refuses to run if the rules file
+   * or the live filters changed since the plan was computed, since the diff
+   * would no longer hold.
+   */
+  async applyPlan(plan) {
+    const results = { labelsCreated: 0, removed: 0, created: 0, retroactive: 0, errors: [] };
+    const spinner = ora('Checking rules and live filters against plan...').start();
+
+    if (await hashRulesFile(plan.rulesFile) !== plan.rulesHash) {
+      spinner.fail('Rules changed since the plan was made');
+      throw new Error(`${plan.rulesFile} changed after planning. Run "npm run plan" again and review the new diff.`);
+    }
+
+    const response = await this.gmail.users.settings.filters.list({ userId: 'me' });
+    const liveFilters = response.data.filter || [];
+    const liveIds = liveFilters.map(f => f.id).sort();
+    if (!this.sameAs(liveIds, plan.liveFilterIds)) {
+      spinner.fail('Live filters changed since the plan was made');
+      throw new Error('Gmail filters changed after planning. Run "npm run plan" again and review the new diff.');
+    }
+
+    await this.loadLabels();
+    for (const name of plan.labelsToCreate) {
+      try {
+        await this.ensureLabel(name);
+        results.labelsCreated++;
+      } catch (err) {
+        results.errors.push(`Failed to create label ${name}: ${err.message}`);
+      }
+    }
+
+    spinner.text = 'Deleting filters...';
+    for (const filter of plan.deletes) {
+      try {
+        // Journal the live filter (label IDs, not the plan's label names) so undo can recreate it
+        const liveFilter = liveFilters.find(f => f.id === filter.id);
+        await withRetry(() => this.journal.deleteFilter(this.gmail, liveFilter));
+        results.removed++;
+      } catch (err) {
+        results.errors.push(`Failed to delete filter ${filter.id}: ${err.message}`);
+      }
+    }
+
+    spinner.text = 'Creating filters...';
+    for (const create of plan.creates) {
+      try {
+        const action = await this.resolveAction(create.action);
+        await withRetry(() => this.journal.createFilter(this.gmail, { criteria: create.criteria, action }));
+        results.created++;
+      } catch (err) {
+        results.errors.push(`Failed to create filter ${create.ruleId}: ${err.message}`);
+      }
+    }
+
+    spinner.text = 'Applying rules to existing inbox mail...';
+    for (const item of plan.retroactive) {
+      try {
+        const action = await this.resolveAction(item.action);
+        const batchSize = 50;
+        for (let i = 0; i < item.messageIds.length; i += batchSize) {
+          const ids = item.messageIds.slice(i, i + batchSize);
+          await withRetry(() => this.journal.modify(this.gmail, ids, action));
+          results.retroactive += ids.length;
+        }
+      } catch (err) {
+        results.errors.push(`Failed to apply ${item.ruleId} to existing mail: ${err.message}`);
+      }
+    }
+
+    spinner.succeed('Plan applied');
+    results.undoHint = this.journal.describeUndo();
+    return results;
+  }
+
+  static describeFilter(criteria, action) {
+    const parts = Object.entries(criteria).map(([key, value]) => `${key}:${value}`);
+    const effects = [];
+    const added = action.addLabels || [...(action.addLabelIds || []), ...(action.addLabelNames || [])];
+    const removed = action.removeLabels || action.removeLabelIds || [];
+    if (added.length > 0) effects.push(`add ${added.join(', ')}`);
+    if (removed.length > 0) effects.push(`remove ${removed.join(', ')}`);
+    return `${parts.join(' ')} → ${effects.join('; ') || 'no action'}`;
+  }
+
+  static displayPlan(plan) {
+    console.log('\n' + chalk.bold.cyan('📋 Filter Plan'));
+    console.log(chalk.gray('='.repeat(50)));
+    console.log(chalk.gray(`Computed ${plan.createdAt} from ${plan.rulesFile}`));
+
+    if (plan.labelsToCreate.length > 0) {
+      console.log('\n' + chalk.bold.blue(`Labels to create (${plan.labelsToCreate.length}):`));
+      plan.labelsToCreate.forEach(name => console.log(chalk.blue(`  + ${name}`)));
+    }
+
+    console.log('\n' + chalk.bold.red(`Filters to delete (${plan.deletes.length}):`));
+    plan.deletes.forEach(f => {
+      console.log(chalk.red(`  - ${FilterPlanner.describeFilter(f.criteria, f.action)}`));
+      console.log(chalk.gray(`    ${f.reason}`));
+    });
+
+    console.log('\n' + chalk.bold.green(`Filters to create (${plan.creates.length}):`));
+    plan.creates.forEach(f => {
+      console.log(chalk.green(`  + [${f.ruleId}] ${FilterPlanner.describeFilter(f.criteria, f.action)}`));
+      console.log(chalk.gray(`    ${f.reason}`));
+    });
+
+    if (plan.retroactive.length > 0) {
+      const total = plan.retroactive.reduce((sum, item) => sum + item.messageIds.length, 0);
+      console.log('\n' + chalk.bold.yellow(`Existing inbox emails to update (${total}):`));
+      plan.retroactive.forEach(item => {
+        console.log(chalk.yellow(`  ~ [${item.ruleId}] ${item.messageIds.length} emails matching "${item.query}"`));
+      });
+    }
+
+    console.log('\n' + chalk.gray(`Unchanged: ${plan.unchanged.length} filters already match rules`));
+    console.log(chalk.gray(`Unmanaged: ${plan.unmanagedCount} filters not covered by rules (left alone)`));
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Gmail HTTP batch requests.
+ *
+ * Gmail accepts up to 100 API calls in one multipart/mixed POST to
+ * /batch/gmail/v1 and answers with one multipart part per call, each with its
+ * own HTTP status. googleapis doesn't build these, so this module does; the
+ * Gmail client from mailProvider.js exposes it as `gmail.batch(requests)`.
+ *
+ * Each call in the batch still counts against the quota on its own. Only
+ * messages.get and threads.get are supported, which is all the metadata and
+ * thread fetchers need.
+ */
+import crypto from 'crypto';
+
+const BATCH_URL = 'https://gmail.googleapis.com/batch/gmail/v1';
+
+// The API rejects larger batches
+export const MAX_BATCH_REQUESTS = 100;
+
+// Batchable methods -> the collection their ID is looked up in
+const BATCH_RESOURCES = {
+  'messages.get': 'messages',
+  'threads.get': 'threads'
+};
+
+// "messages.get" request -> request line path
+function requestPath({ method, params }) {
+  const resource = BATCH_RESOURCES[method];
+  if (!resource) {
+    throw new Error(`Batch requests only support ${Object.keys(BATCH_RESOURCES).join(' and ')} (got ${method})`);
+  }
+  const query = new URLSearchParams();
+  if (params.format) query.append('format', params.format);
+  (params.metadataHeaders || []).forEach(header => query.append('metadataHeaders', header));
+  const userId = encodeURIComponent(params.userId || 'me');
+  return `/gmail/v1/users/${userId}/${resource}/${encodeURIComponent(params.id)}?${query}`;
+}
+
+/**
+ * Build the multipart body for a batch
+ * @param {Array<{ method: string, params: Object }>} requests
+ * @param {string} boundary - Multipart boundary
+ */
+export function buildBatchBody(requests, boundary) {
+  const parts = requests.map((request, index) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <item${index}>`,
+    '',
+    `GET ${requestPath(request)} HTTP/1.1`,
+    '',
+    ''
+  ].join('\r\n'));
+  return parts.join('') + `--${boundary}--\r\n`;
+}
+
+function batchError(status, body, headers = {}) {
+  let message = `HTTP ${status}`;
+  let reason = null;
+  try {
+    const parsed = JSON.parse(body);
+    message = parsed.error?.message || message;
+    reason = parsed.error?.errors?.[0]?.reason || null;
+  } catch {
+    // Not JSON; keep the status line
+  }
+  const error = new Error(message);
+  error.code = status;
+  error.status = status;
+  // Shaped like a googleapis error's response, so quota.js can read Retry-After
+  error.response = { status, headers };
+  if (reason) error.reason = reason;
+  return error;
+}
+
+/**
+ * Split a batch response into one result per request, in request order
+ * @param {string} text - Response body
+ * @param {string} contentType - Response Content-Type, which carries the boundary
+ * @param {number} count - Number of requests sent
+ * @returns {Array<{ status: number, data?: Object, error?: Error }>}
+ */
+export function parseBatchResponse(text, contentType, count) {
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i)?.[1];
+  if (!boundary) {
+    throw new Error(`Batch response has no multipart boundary (${contentType})`);
+  }
+
+  const results = new Array(count).fill(null);
+  for (const part of text.split(`--${boundary}`)) {
+    const index = part.match(/Content-ID:\s*<response-item(\d+)>/i)?.[1];
+    const statusLine = part.match(/HTTP\/1\.1 (\d{3})/);
+    if (index === undefined || !statusLine) continue;
+
+    // The embedded response's body follows its headers' blank line
+    const afterStatus = part.slice(statusLine.index);
+    const bodyStart = afterStatus.search(/\r?\n\r?\n/);
+    const body = bodyStart === -1 ? '' : afterStatus.slice(bodyStart).trim();
+    const status = Number(statusLine[1]);
+    const retryAfter = (bodyStart === -1 ? afterStatus : afterStatus.slice(0, bodyStart)).match(/^Retry-After:\s*(.+?)\s*$/im)?.[1];
+
+    results[Number(index)] = status >= 200 && status < 300
+      ? { status, data: body ? JSON.parse(body) : {} }
+      : { status, error: batchError(status, body, retryAfter ? { 'retry-after': retryAfter } : {}) };
+  }
+
+  // A part the server left out is treated like a failed call, so it is retried
+  return results.map(result => result || { status: 500, error: batchError(500, '{"error":{"message":"Missing from batch response"}}') });
+}
+
+/**
+ * Send one batch with an authorized OAuth client
+ * @param {Object} auth - google-auth-library client from auth.js
+ * @param {Array<{ method: string, params: Object }>} requests - At most MAX_BATCH_REQUESTS
+ * @returns {Promise<Array<{ status: number, data?: Object, error?: Error }>>}
+ */
+export async function sendGmailBatch(auth, requests) {
+  if (requests.length === 0) return [];
+  if (requests.length > MAX_BATCH_REQUESTS) {
+    throw new Error(`A batch holds at most ${MAX_BATCH_REQUESTS} requests (got ${requests.length})`);
+  }
+
+  const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+  let response;
+  try {
+    response = await auth.request({
+      url: BATCH_URL,
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      data: buildBatchBody(requests, boundary),
+      responseType: 'text'
+    });
+  } catch (error) {
+    // Give the whole-batch failure a numeric code like googleapis errors, for withRetry
+    if (error.response?.status) error.code = error.response.status;
+    throw error;
+  }
+
+  return parseBatchResponse(response.data, response.headers['content-type'] || '', requests.length);
+}
@@ -0,0 +1,451 @@
+/**
+ * Gmail search query parsing and matching, used wherever we need to answer
+ * "would this query match this message" without asking Gmail (the local
+ * mailbox provider, filter emulation, dry-run impact estimates).
+ *
+ * Supported syntax:
+ *   from:alice@example.com  to:  cc:  bcc:  subject:  list:  label:  category:
+ *   in:  is:  has:attachment|userlabels|nouserlabels  after:  before:
+ *   older_than:2d  newer_than:1y  larger:5M  smaller:100K
+ *   op:(a OR b)  op:"quoted phrase"  {a b} (any of)  -term (negation)
+ *   a OR b  (a b)  bare words (searched in from, to, subject and snippet)
+ *
+ * Like Gmail, unquoted subject and body words match whole words, while
+ * addresses match anywhere in the header ("from:paypal.com").
+ */
+
+const SYSTEM_LABEL_IDS = new Set([
+  'INBOX', 'SENT', 'DRAFT', 'TRASH', 'SPAM', 'STARRED', 'IMPORTANT', 'UNREAD', 'CHAT'
+]);
+
+const SYSTEM_LOCATIONS = {
+  inbox: 'INBOX',
+  sent: 'SENT',
+  drafts: 'DRAFT',
+  draft: 'DRAFT',
+  trash: 'TRASH',
+  spam: 'SPAM',
+  starred: 'STARRED',
+  important: 'IMPORTANT',
+  unread: 'UNREAD'
+};
+
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if ('(){}'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    // A "-" directly in front of a term negates it
+    if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: '-' });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const end = query.indexOf('"', i + 1);
+      const stop = end === -1 ? query.length : end;
+      tokens.push({ type: 'word', value: query.slice(i + 1, stop), quoted: true });
+      i = stop + 1;
+      continue;
+    }
+
+    let word = '';
+    while (i < query.length && !/[\s(){}"]/.test(query[i])) {
+      word += query[i++];
+    }
+
+    if (word === 'OR' || word === '|') {
+      tokens.push({ type: 'OR' });
+    } else if (word === 'AND') {
+      // Terms are ANDed by default
+    } else if (word.endsWith(':') && word.length > 1) {
+      tokens.push({ type: 'field', value: word.slice(0, -1).toLowerCase() });
+    } else if (word.includes(':') && !word.startsWith(':')) {
+      const colon = word.indexOf(':');
+      tokens.push({ type: 'field', value: word.slice(0, colon).toLowerCase() });
+      tokens.push({ type: 'word', value: word.slice(colon + 1), quoted: false });
+    } else {
+      tokens.push({ type: 'word', value: word, quoted: false });
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  // or := and ("OR" and)*
+  parseOr(field, closer) {
+    const children = [this.parseAnd(field, closer)];
+    while (this.peek()?.type === 'OR') {
+      this.next();
+      children.push(this.parseAnd(field, closer));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  // and := unary+ (until OR, a closing bracket or the end)
+  parseAnd(field, closer) {
+    const children = [];
+    while (this.peek() && this.peek().type !== 'OR' && this.peek().type !== closer) {
+      const node = this.parseUnary(field);
+      if (node) children.push(node);
+    }
+    if (children.length === 0) return { type: 'all' };
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseUnary(field) {
+    if (this.peek()?.type === '-') {
+      this.next();
+      const child = this.parseUnary(field);
+      return child ? { type: 'not', child } : null;
+    }
+    return this.parsePrimary(field);
+  }
+
+  parsePrimary(field) {
+    const token = this.next();
+
+    if (token.type === '(') {
+      const node = this.parseOr(field, ')');
+      if (this.peek()?.type === ')') this.next();
+      return node;
+    }
+
+    if (token.type === '{') {
+      // {a b c} means any of a, b, c
+      const children = [];
+      while (this.peek() && this.peek().type !== '}') {
+        const node = this.parseUnary(field);
+        if (node) children.push(node);
+      }
+      if (this.peek()?.type === '}') this.next();
+      return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    if (token.type === 'field') {
+      // The field applies to whatever follows: a word, a phrase or a group
+      if (!this.peek() || ['OR', ')', '}'].includes(this.peek().type)) {
+        return null;
+      }
+      return this.parseUnary(token.value);
+    }
+
+    if (token.type === 'word') {
+      return { type: 'term', field: field || null, value: token.value, quoted: token.quoted };
+    }
+
+    // Stray closing bracket or OR - ignore it
+    return null;
+  }
+}
+
+/**
+ * Parse a Gmail search query into an expression tree
+ * @param {string} query - Gmail search query
+ * @returns {Object} Node: { type: 'and'|'or', children } | { type: 'not', child }
+ *   | { type: 'term', field, value, quoted } | { type: 'all' }
+ */
+export function parseQuery(query) {
+  const parser = new Parser(tokenize(query || ''));
+  const node = parser.parseOr(null, null);
+  // Anything left over is an unmatched closing bracket; parse the rest as more terms
+  const rest = [];
+  while (parser.peek()) {
+    if (parser.peek().type === ')' || parser.peek().type === '}' || parser.peek().type === 'OR') {
+      parser.next();
+      continue;
+    }
+    rest.push(parser.parseOr(null, null));
+  }
+  return rest.length === 0 ? node : { type: 'and', children: [node, ...rest] };
+}
+
+/**
+ * Gmail writes label names in queries lowercased with spaces and slashes as dashes
+ */
+export function normalizeLabelName(name) {
+  return name.toLowerCase().trim().replace(/[\s/]+/g, '-');
+}
+
+/**
+ * Parse a Gmail date operand (2024/01/31, 2024-01-31, 01/31/2024 or epoch seconds)
+ * @returns {number|null} Milliseconds since epoch
+ */
+export function parseQueryDate(value) {
+  if (/^\d{9,}$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  let match = value.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+  }
+
+  match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2])).getTime();
+  }
+
+  return null;
+}
+
+/**
+ * Parse a relative age like "2d", "3m" or "1y" into milliseconds
+ * @returns {number|null}
+ */
+export function parseQueryAge(value) {
+  const match = value.match(/^(\d+)([dmy])$/i);
+  if (!match) return null;
+  const days = { d: 1, m: 30, y: 365 }[match[2].toLowerCase()];
+  return Number(match[1]) * days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Parse a size like "5M", "100K" or "2048" into bytes
+ * @returns {number|null}
+ */
+export function parseQuerySize(value) {
+  const match = value.match(/^(\d+(?:\.\d+)?)([kmg]?)b?$/i);
+  if (!match) return null;
+  const multiplier = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[match[2].toLowerCase()];
+  return Number(match[1]) * multiplier;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Address-style match: anywhere in the header
+function textMatches(haystack, term) {
+  const text = (haystack || '').toLowerCase();
+  // Gmail treats a leading "*" in addresses (from:*@example.com) as a wildcard
+  const value = term.value.toLowerCase().replace(/^\*+/, '');
+  return value.length > 0 && text.includes(value);
+}
+
+// Word-style match: quoted phrases anywhere, bare words only as whole words
+function wordMatches(haystack, term) {
+  if (term.quoted) return textMatches(haystack, term);
+  const value = term.value.toLowerCase();
+  if (!value) return false;
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(value)}($|[^\\p{L}\\p{N}])`, 'u')
+    .test((haystack || '').toLowerCase());
+}
+
+function hasLabel(message, name, context) {
+  const normalized = normalizeLabelName(name);
+  const systemId = SYSTEM_LOCATIONS[normalized] || normalized.toUpperCase();
+  if (message.labelIds.includes(systemId)) return true;
+
+  const labelNames = context.labelNames || {};
+  return message.labelIds.some(id => labelNames[id] && normalizeLabelName(labelNames[id]) === normalized);
+}
+
+function isUserLabel(id) {
+  return !SYSTEM_LABEL_IDS.has(id) && !id.startsWith('CATEGORY_');
+}
+
+function matchTerm(term, message, context) {
+  const value = term.value.toLowerCase();
+  const now = context.now ?? Date.now();
+
+  switch (term.field) {
+    case null:
+      return ['from', 'to', 'cc'].some(key => textMatches(message[key], term)) ||
+        ['subject', 'snippet'].some(key => wordMatches(message[key], term));
+    case 'from':
+    case 'to':
+    case 'cc':
+    case 'bcc':
+      return textMatches(message[term.field], term);
+    case 'subject':
+      return wordMatches(message.subject, term);
+    case 'list':
+      return textMatches(message.listId, term);
+    case 'label':
+      return hasLabel(message, term.value, context);
+    case 'category':
+      return message.labelIds.includes(`CATEGORY_${value.toUpperCase()}`);
+    case 'in':
+      if (value === 'anywhere') return true;
+      return hasLabel(message, term.value, context);
+    case 'is':
+      if (value === 'read') return !message.labelIds.includes('UNREAD');
+      return hasLabel(message, term.value, context);
+    case 'has':
+      if (value === 'attachment') return Boolean(message.hasAttachment);
+      if (value === 'userlabels') return message.labelIds.some(isUserLabel);
+      if (value === 'nouserlabels') return !message.labelIds.some(isUserLabel);
+      return false;
+    case 'after':
+    case 'newer': {
+      const date = parseQueryDate(term.value);
+      return date !== null && message.internalDate >= date;
+    }
+    case 'before':
+    case 'older': {
+      const date = parseQueryDate(term.value);
+      return date !== null && message.internalDate < date;
+    }
+    case 'newer_than': {
+      const age = parseQueryAge(term.value);
+      return age !== null && message.internalDate >= now - age;
+    }
+    case 'older_than': {
+      const age = parseQueryAge(term.value);
+      return age !== null && message.internalDate < now - age;
+    }
+    case 'larger':
+    case 'size': {
+      const size = parseQuerySize(term.value);
+      return size !== null && (message.sizeEstimate || 0) > size;
+    }
+    case 'smaller': {
+      const size = parseQuerySize(term.value);
+      return size !== null && (message.sizeEstimate || 0) < size;
+    }
+    default:
+      // Unknown operator: search for the literal text like Gmail does
+      return matchTerm({ ...term, field: null, value: `${term.field}:${term.value}` }, message, context);
+  }
+}
+
+function evaluate(node, message, context) {
+  switch (node.type) {
+    case 'all':
+      return true;
+    case 'and':
+      return node.children.every(child => evaluate(child, message, context));
+    case 'or':
+      return node.children.some(child => evaluate(child, message, context));
+    case 'not':
+      return !evaluate(node.child, message, context);
+    case 'term':
+      return matchTerm(node, message, context);
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+/**
+ * Test a message against a Gmail search query
+ * @param {string|Object} query - Query string or a tree from parseQuery
+ * @param {Object} message - { from, to, cc, subject, snippet, listId, labelIds,
+ *   internalDate (ms), sizeEstimate, hasAttachment }, e.g. from toSearchRecord()
+ * @param {Object} context - { labelNames: { labelId: name } } for label: lookups,
+ *   { now } to pin the clock for older_than/newer_than
+ */
+export function matchesQuery(query, message, context = {}) {
+  const tree = typeof query === 'string' ? parseQuery(query) : query;
+  return evaluate(tree, { labelIds: [], ...message }, context);
+}
+
+/**
+ * Terms of a query that message metadata can't settle: has:attachment needs
+ * the MIME parts, and a bare word may be in the body, of which metadata only
+ * has the snippet. matchesQuery() evaluates them anyway, so a match on
+ * metadata alone can miss mail Gmail would find
+ * @param {string|Object} query - Query string or a tree from parseQuery
+ * @returns {string[]} the terms, e.g. ['has:attachment', 'invoice']
+ */
+export function metadataBlindTerms(query) {
+  const tree = typeof query === 'string' ? parseQuery(query) : query;
+  const terms = [];
+  const walk = node => {
+    if (node.type === 'and' || node.type === 'or') node.children.forEach(walk);
+    if (node.type === 'not') walk(node.child);
+    if (node.type !== 'term') return;
+    if (node.field === null) terms.push(node.quoted ? `"${node.value}"` : node.value);
+    if (node.field === 'has' && node.value.toLowerCase() === 'attachment') terms.push('has:attachment');
+  };
+  walk(tree);
+  return [...new Set(terms)];
+}
+
+/**
+ * Whether a query explicitly asks for trash or spam, which Gmail otherwise leaves out
+ */
+export function queryIncludesSpamTrash(query) {
+  return /\bin:(trash|spam|anywhere)\b/i.test(query || '');
+}
+
+/**
+ * Turn Gmail filter criteria into an equivalent search query
+ */
+export function criteriaToQuery(criteria = {}) {
+  const parts = [];
+  for (const key of ['from', 'to', 'subject']) {
+    if (criteria[key]) {
+      const value = criteria[key].trim();
+      parts.push(/\s/.test(value) && !/^[({"]/.test(value) ? `${key}:(${value})` : `${key}:${value}`);
+    }
+  }
+  if (criteria.query) parts.push(`(${criteria.query})`);
+  if (criteria.negatedQuery) parts.push(`-(${criteria.negatedQuery})`);
+  return parts.join(' ');
+}
+
+/**
+ * Whether a Gmail payload has any part with an attachment
+ */
+export function hasAttachmentPart(part) {
+  if (!part) return false;
+  if (part.filename && part.body?.attachmentId) return true;
+  return (part.parts || []).some(hasAttachmentPart);
+}
+
+/**
+ * Flatten a Gmail API message (any format with headers) into the record
+ * matchesQuery() evaluates, so fetched metadata can be cached and searched
+ * offline
+ */
+export function toSearchRecord(message) {
+  const headers = {};
+  for (const header of message.payload?.headers || []) {
+    headers[header.name.toLowerCase()] = header.value;
+  }
+
+  return {
+    id: message.id,
+    threadId: message.threadId,
+    from: headers.from || '',
+    to: headers.to || '',
+    cc: headers.cc || '',
+    bcc: headers.bcc || '',
+    subject: headers.subject || '',
+    listId: headers['list-id'] || '',
+    snippet: message.snippet || '',
+    labelIds: message.labelIds || [],
+    internalDate: Number(message.internalDate) || 0,
+    sizeEstimate: message.sizeEstimate || 0,
+    hasAttachment: hasAttachmentPart(message.payload)
+  };
+}
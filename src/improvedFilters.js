@@ -1,181 +1,27 @@
-import { google } from 'googleapis';
 import chalk from 'chalk';
 import ora from 'ora';
+import { loadRules, buildFilterRequest } from './rules.js';
+import { Journal } from './journal.js';
+import { createGmailClient } from './mailProvider.js';
 
 export class ImprovedFilterManager {
-  constructor(auth) {
-    this.gmail = google.gmail({ version: 'v1', auth });
+  constructor(auth, rules = null, journal = null) {
+    this.gmail = createGmailClient(auth);
+    this.rules = rules;
+    this.journal = journal || new Journal('improve-filters');
   }
 
-  // Define improved filter rules based on analysis
-  getImprovedFilterRules() {
-    return {
-      // Critical services that should NEVER be marked as spam
-      protectedServices: [
-        'service@paypal.com',
-        'no-reply@rippling.com',
-        'noreply@rippling.com',
-        'hello@mercury.com',
-        'no.reply.alerts@chase.com',
-        'capitalone@notification.capitalone.com',
-        'noreply@venmo.com',
-        'noreply@coinbase.com',
-        'noreply@robinhood.com',
-        'notify@buildinglink.com',
-        'noreply@uber.com',
-        'noreply@lyft.com',
-        'doordash@doordash.com',
-        'no-reply@messages.doordash.com'
-      ],
-
-      // Newsletters to filter (high volume senders)
-      newslettersToFilter: [
-        // Existing high-volume newsletters not yet filtered
-        'service@paypal.com', // Only promotional emails, not transactions
-        'no-reply@rippling.com', // Only routine notifications
-        
-        // Additional newsletters from analysis
-        'updates@medium.com',
-        'digest@quora.com',
-        'noreply@medium.com',
-        'daily@producthunt.com',
-        'newsletter@morningbrew.com',
-        'crew@morningbrew.com',
-        'hello@email.kickstarter.com',
-        'noreply@kickstarter.com'
-      ],
-
-      // Actual spam patterns based on common spam characteristics
-      actualSpamPatterns: [
-        // Domain patterns that are commonly spam
-        { pattern: '@*.tk', label: 'Likely Spam' },
-        { pattern: '@*.ml', label: 'Likely Spam' },
-        { pattern: '@*.ga', label: 'Likely Spam' },
-        { pattern: '@*.cf', label: 'Likely Spam' },
-        
-        // Subject patterns
-        { subject: 'winner', label: 'Likely Spam' },
-        { subject: 'congratulations you won', label: 'Likely Spam' },
-        { subject: 'claim your prize', label: 'Likely Spam' },
-        { subject: 'act now', label: 'Likely Spam' },
-        { subject: 'limited time offer', label: 'Likely Spam' },
-        { subject: 'click here immediately', label: 'Likely Spam' },
-        
-        // Known spam senders (not legitimate services)
-        { from: 'prize@', label: 'Likely Spam' },
-        { from: 'winner@', label: 'Likely Spam' },
-        { from: 'rewards@', label: 'Likely Spam', excludeDomains: ['chase.com', 'capitalone.com', 'amex.com'] },
-        { from: 'deals@', label: 'Likely Spam', excludeDomains: ['amazon.com', 'target.com', 'walmart.com'] }
-      ],
-
-      // Smart PayPal filtering
-      paypalRules: [
-        {
-          from: 'service@paypal.com',
-          subject: 'payment',
-          action: 'keep_inbox',
-          label: 'Receipts'
-        },
-        {
-          from: 'service@paypal.com',
-          subject: 'received',
-          action: 'keep_inbox',
-          label: 'Receipts'
-        },
-        {
-          from: 'service@paypal.com',
-          subject: 'sent',
-          action: 'keep_inbox',
-          label: 'Receipts'
-        },
-        {
-          from: 'service@paypal.com',
-          notSubject: ['payment', 'received', 'sent', 'refund', 'dispute'],
-          action: 'archive',
-          label: 'Filtered/Promotional'
-        }
-      ],
-
-      // Rippling HR filtering
-      ripplingRules: [
-        {
-          from: 'no-reply@rippling.com',
-          subject: 'payroll',
-          action: 'keep_inbox',
-          label: 'Important/HR'
-        },
-        {
-          from: 'no-reply@rippling.com',
-          subject: 'benefits',
-          action: 'keep_inbox',
-          label: 'Important/HR'
-        },
-        {
-          from: 'no-reply@rippling.com',
-          subject: 'tax',
-          action: 'keep_inbox',
-          label: 'Important/HR'
-        },
-        {
-          from: 'no-reply@rippling.com',
-          notSubject: ['payroll', 'benefits', 'tax', 'urgent', 'action required'],
-          action: 'archive',
-          label: 'Filtered/Automated'
-        }
-      ],
-
-      // LinkedIn improved filtering
-      linkedinRules: [
-        {
-          from: 'invitations@linkedin.com',
-          action: 'archive',
-          label: 'Filtered/Social'
-        },
-        {
-          from: 'messages-noreply@linkedin.com',
-          action: 'archive',
-          label: 'Filtered/Social'
-        },
-        {
-          from: 'newsletters-noreply@linkedin.com',
-          action: 'archive',
-          label: 'Filtered/Newsletters'
-        },
-        {
-          from: 'hit-reply@linkedin.com',
-          action: 'archive',
-          label: 'Filtered/Social'
-        },
-        {
-          from: 'jobalerts-noreply@linkedin.com',
-          action: 'trash',
-          label: 'TRASH'
-        }
-      ],
-
-      // Filters to remove (overly broad)
-      filtersToRemove: [
-        'From: hello@',
-        'From: info@',
-        'From: noreply@',
-        'From: no-reply@',
-        'From: support@',
-        'From: service@',
-        'From: team@',
-        'From: marketing@',
-        'From: updates@',
-        'From: reminders@',
-        'From: notification@',
-        'From: alerts@',
-        'From: news@',
-        'From: partners@'
-      ]
-    };
+  // Filter rules come from the shared rules file (see rules.js)
+  async getImprovedFilterRules() {
+    if (!this.rules) {
+      this.rules = await loadRules();
+    }
+    return this.rules;
   }
 
   async removeOverlyBroadFilters() {
     const spinner = ora('Removing overly broad filters...').start();
-    const rules = this.getImprovedFilterRules();
+    const rules = await this.getImprovedFilterRules();
     
     try {
       // Get all existing filters
@@ -191,12 +37,9 @@ export class ImprovedFilterManager {
         const from = criteria.from || '';
         
         // Check if this is one of the overly broad filters
-        if (rules.filtersToRemove.some(broad => from === broad.replace('From: ', ''))) {
+        if (rules.broadFilterPatterns.some(broad => from === broad)) {
           try {
-            await this.gmail.users.settings.filters.delete({
-              userId: 'me',
-              id: filter.id
-            });
+            await this.journal.deleteFilter(this.gmail, filter);
             removedCount++;
             spinner.text = `Removed broad filter: ${from}`;
           } catch (err) {
@@ -215,115 +58,18 @@ export class ImprovedFilterManager {
 
   async createSmartFilters() {
     const spinner = ora('Creating smart filters...').start();
-    const rules = this.getImprovedFilterRules();
+    const rules = await this.getImprovedFilterRules();
     let createdCount = 0;
 
     try {
-      // Create PayPal smart filters
-      for (const rule of rules.paypalRules) {
-        try {
-          const criteria = { from: rule.from };
-          if (rule.subject) {
-            criteria.query = `subject:${rule.subject}`;
-          } else if (rule.notSubject) {
-            criteria.query = rule.notSubject.map(s => `-subject:${s}`).join(' ');
-          }
-
-          const action = {};
-          if (rule.label) {
-            // First ensure label exists
-            const labelId = await this.ensureLabel(rule.label);
-            action.addLabelIds = [labelId];
-          }
-          if (rule.action === 'archive') {
-            action.removeLabelIds = ['INBOX'];
-          }
-
-          await this.gmail.users.settings.filters.create({
-            userId: 'me',
-            requestBody: { criteria, action }
-          });
-          createdCount++;
-        } catch (err) {
-          console.error(`Failed to create PayPal filter:`, err.message);
-        }
-      }
-
-      // Create Rippling filters
-      for (const rule of rules.ripplingRules) {
+      for (const rule of rules.rules) {
         try {
-          const criteria = { from: rule.from };
-          if (rule.subject) {
-            criteria.query = `subject:${rule.subject}`;
-          } else if (rule.notSubject) {
-            criteria.query = rule.notSubject.map(s => `-subject:${s}`).join(' ');
-          }
-
-          const action = {};
-          if (rule.label) {
-            const labelId = await this.ensureLabel(rule.label);
-            action.addLabelIds = [labelId];
-          }
-          if (rule.action === 'archive') {
-            action.removeLabelIds = ['INBOX'];
-          }
-
-          await this.gmail.users.settings.filters.create({
-            userId: 'me',
-            requestBody: { criteria, action }
-          });
-          createdCount++;
-        } catch (err) {
-          console.error(`Failed to create Rippling filter:`, err.message);
-        }
-      }
-
-      // Create improved LinkedIn filters
-      for (const rule of rules.linkedinRules) {
-        try {
-          const criteria = { from: rule.from };
-          const action = {};
-          
-          if (rule.label !== 'TRASH') {
-            const labelId = await this.ensureLabel(rule.label);
-            action.addLabelIds = [labelId];
-          } else {
-            action.addLabelIds = ['TRASH'];
-          }
-          
-          if (rule.action === 'archive') {
-            action.removeLabelIds = ['INBOX'];
-          }
+          const requestBody = await buildFilterRequest(rule, labelName => this.ensureLabel(labelName));
 
-          await this.gmail.users.settings.filters.create({
-            userId: 'me',
-            requestBody: { criteria, action }
-          });
+          await this.journal.createFilter(this.gmail, requestBody);
           createdCount++;
         } catch (err) {
-          console.error(`Failed to create LinkedIn filter:`, err.message);
-        }
-      }
-
-      // Create actual spam pattern filters
-      for (const pattern of rules.actualSpamPatterns) {
-        if (pattern.from && !pattern.excludeDomains) {
-          try {
-            const criteria = { from: pattern.from };
-            const labelId = await this.ensureLabel(pattern.label);
-            const action = {
-              addLabelIds: [labelId],
-              removeLabelIds: ['INBOX']
-            };
-
-            await this.gmail.users.settings.filters.create({
-              userId: 'me',
-              requestBody: { criteria, action }
-            });
-            createdCount++;
-          } catch (err) {
-            console.error(`Failed to create spam filter:`, err.message);
-          }
+          console.error(`Failed to create filter ${rule.id}:`, err.message);
         }
       }
 
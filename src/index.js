@@ -1,21 +1,19 @@
-import { authorize } from './auth.js';
+import { authorize, getProviderName } from './mailProvider.js';
+import { credentialsPath } from './accounts.js';
 import { EmailAnalyzer } from './emailAnalyzer.js';
 import { EmailFilter } from './emailFilter.js';
+import { Journal } from './journal.js';
+import { getCliOptions, confirm, ask, isInteractive } from './cliOptions.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import readline from 'readline/promises';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 dotenv.config();
 
 async function checkCredentials() {
-  const credentialsPath = path.join(__dirname, '../credentials.json');
   try {
-    await fs.access(credentialsPath);
+    await fs.access(credentialsPath());
     return true;
   } catch {
     return false;
@@ -23,35 +21,36 @@ async function checkCredentials() {
 }
 
 async function getVIPEmails() {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+  const envVIPs = process.env.VIP_EMAILS ? process.env.VIP_EMAILS.split(',').map(email => email.trim()) : [];
+
+  // --vip-from-env takes VIP_EMAILS as-is, even when it is empty
+  if (getCliOptions().vipFromEnv) {
+    return envVIPs;
+  }
 
-  const envVIPs = process.env.VIP_EMAILS ? process.env.VIP_EMAILS.split(',') : [];
-  
   if (envVIPs.length > 0) {
     console.log(chalk.cyan('\nVIP emails from .env file:'));
-    envVIPs.forEach(email => console.log(`  - ${email.trim()}`));
-    
-    const useEnv = await rl.question('\nUse these VIP emails? (y/n): ');
-    if (useEnv.toLowerCase() === 'y') {
-      rl.close();
+    envVIPs.forEach(email => console.log(`  - ${email}`));
+
+    if (await confirm('\nUse these VIP emails? (y/n): ')) {
       return envVIPs;
     }
   }
 
   console.log(chalk.cyan('\nEnter VIP email addresses (comma-separated):'));
-  const vipInput = await rl.question('VIP emails: ');
-  rl.close();
-  
+  const vipInput = await ask('VIP emails: ', { hint: 'Use --vip-from-env to take them from VIP_EMAILS.' });
+  // Carrying on with no VIPs could archive their mail, so an unanswered prompt stops the run
+  if (!isInteractive()) return null;
+
   return vipInput.split(',').map(email => email.trim()).filter(email => email);
 }
 
 async function main() {
+  const json = jsonOutput();
   console.log(chalk.bold.cyan('\n🚀 Gmail Email Filter & Analyzer\n'));
 
-  if (!await checkCredentials()) {
+  // Local and fake mailboxes need no Google credentials
+  if (getProviderName() === 'gmail' && !await checkCredentials()) {
     console.log(chalk.red('❌ credentials.json not found!'));
     console.log(chalk.yellow('\nTo set up Gmail API:'));
     console.log('1. Go to https://console.cloud.google.com/');
@@ -65,10 +64,12 @@ async function main() {
 
   try {
     console.log(chalk.cyan('🔐 Authenticating with Gmail...'));
-    const auth = await authorize();
+    // Analysis only reads; modify access is requested if you choose to apply
+    const auth = await authorize({ access: 'read' });
     console.log(chalk.green('✅ Authentication successful!\n'));
 
     const vipEmails = await getVIPEmails();
+    if (!vipEmails) return;
     console.log(chalk.green(`\n✅ ${vipEmails.length} VIP emails configured\n`));
 
     // Get protected senders and keywords from environment
@@ -81,23 +82,23 @@ async function main() {
     const analyzer = new EmailAnalyzer(auth, vipEmails, protectedSenders, protectedKeywords);
     
     console.log(chalk.cyan('📧 Fetching recent emails...'));
-    const messages = await analyzer.fetchEmails(500);
+    const options = getCliOptions();
+    const messages = await analyzer.fetchEmails(options.limit || 500);
     
     console.log(chalk.cyan('🔍 Analyzing email patterns...'));
     const analysisResults = await analyzer.analyzeAllEmails(messages);
     
-    analyzer.displaySummary();
+    if (!json) analyzer.displaySummary();
     await analyzer.saveAnalysisResults();
+    let filtering = null;
+    let runId = null;
 
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-
-    const proceed = await rl.question('\n' + chalk.yellow('Apply filtering rules? (y/n): '));
-    
-    if (proceed.toLowerCase() === 'y') {
-      const filter = new EmailFilter(auth, protectedSenders);
+    if (options.dryRun) {
+      console.log(chalk.yellow('\nDry run - no filtering applied. Analysis results saved.'));
+    } else if (await confirm('\n' + chalk.yellow('Apply filtering rules? (y/n): '))) {
+      const journal = new Journal('analyze');
+      const modifyAuth = await authorize({ access: 'modify' });
+      const filter = new EmailFilter(modifyAuth, protectedSenders, journal);
       
       console.log(chalk.cyan('\n🏷️  Setting up labels...'));
       const labels = await filter.setupFilteringLabels();
@@ -108,7 +109,9 @@ async function main() {
       console.log(chalk.cyan('📝 Creating filter rules...'));
       const filterRules = await filter.createFilters(analysisResults, labels);
       
-      filter.displayFilteringSummary(analysisResults);
+      filtering = filter.getFilteringSummary(analysisResults);
+      runId = journal.count > 0 ? journal.runId : null;
+      if (!json) filter.displayFilteringSummary(analysisResults);
       
       console.log(chalk.green('\n✅ Email filtering complete!'));
       console.log(chalk.gray('\nYour inbox has been organized with:'));
@@ -116,16 +119,22 @@ async function main() {
       console.log('- Newsletters and promotional emails archived');
       console.log('- Social and forum emails labeled');
       console.log('- Automated emails filtered\n');
+
+      const undoHint = journal.describeUndo();
+      if (undoHint) console.log(chalk.gray(undoHint));
     } else {
       console.log(chalk.yellow('\nFiltering cancelled. Analysis results saved.'));
     }
-    
-    rl.close();
+
+    if (json) {
+      printJsonReport('analyze', { dryRun: options.dryRun, runId, analysis: analyzer.getSummary(), filtering });
+    }
   } catch (error) {
     console.error(chalk.red('\n❌ Error:'), error.message);
     if (error.message.includes('invalid_grant')) {
-      console.log(chalk.yellow('\nTry deleting token.json and running again.'));
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
     }
+    process.exitCode = 1;
   }
 }
 
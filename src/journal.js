@@ -0,0 +1,151 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { statePath } from './accounts.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+
+export const JOURNAL_FILE = statePath('.journal.jsonl');
+
+/**
+ * Create a sortable, unique run ID like "20261019-101500-a1b2"
+ */
+export function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Append-only record of every mailbox mutation made during one run.
+ * Mutations go through the journal so the change is only recorded once
+ * Gmail has accepted it; `npm run undo -- <runId>` replays the entries in reverse.
+ */
+export class Journal {
+  constructor(command, runId = createRunId(), filePath = JOURNAL_FILE) {
+    this.command = command;
+    this.runId = runId;
+    this.filePath = filePath;
+    this.undoOf = null; // Set when this run reverses another
+    this.count = 0;
+  }
+
+  async record(entry) {
+    const line = JSON.stringify({
+      runId: this.runId,
+      command: this.command,
+      at: new Date().toISOString(),
+      ...(this.undoOf && { undoOf: this.undoOf }),
+      ...entry
+    });
+    await fs.appendFile(this.filePath, line + '\n');
+    this.count++;
+  }
+
+  // Add/remove labels on messages (archive = remove INBOX, trash = add TRASH).
+  // Each message's labels are read first and only the ones that really change
+  // are recorded, so undo never puts back a label a message didn't have.
+  // `details` is recorded with the change, e.g. the retention policy behind it.
+  // Returns the number of messages changed
+  async modify(gmail, ids, { addLabelIds = [], removeLabelIds = [] }, details = {}) {
+    if (!ids || ids.length === 0) return 0;
+
+    const { labels, errors } = await new MetadataFetcher(gmail).fetchLabels(ids);
+    // Deleted since it was listed - nothing to change
+    const failed = [...errors.values()].find(error => error.code !== 404);
+    if (failed) throw failed;
+
+    const changes = [];
+    for (const [id, current] of labels) {
+      const added = addLabelIds.filter(label => !current.includes(label));
+      const removed = removeLabelIds.filter(label => current.includes(label));
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ id, addLabelIds: added, removeLabelIds: removed });
+      }
+    }
+    if (changes.length === 0) return 0;
+
+    const changedIds = changes.map(change => change.id);
+    const requestBody = { ids: changedIds };
+    if (addLabelIds.length > 0) requestBody.addLabelIds = addLabelIds;
+    if (removeLabelIds.length > 0) requestBody.removeLabelIds = removeLabelIds;
+
+    await gmail.users.messages.batchModify({ userId: 'me', requestBody });
+    await this.record({ type: 'modify', ids: changedIds, addLabelIds, removeLabelIds, changes, ...details });
+    return changes.length;
+  }
+
+  async createFilter(gmail, requestBody) {
+    const response = await gmail.users.settings.filters.create({ userId: 'me', requestBody });
+    await this.record({
+      type: 'filter.create',
+      filter: { id: response.data.id, criteria: requestBody.criteria, action: requestBody.action }
+    });
+    return response;
+  }
+
+  // Takes the full filter so undo can recreate it
+  async deleteFilter(gmail, filter) {
+    await gmail.users.settings.filters.delete({ userId: 'me', id: filter.id });
+    await this.record({
+      type: 'filter.delete',
+      filter: { id: filter.id, criteria: filter.criteria, action: filter.action }
+    });
+  }
+
+  // Hint printed at the end of a run that changed something
+  describeUndo() {
+    if (this.count === 0) return null;
+    return `Run ID: ${this.runId} (${this.count} changes journaled) - undo with: npm run undo -- ${this.runId}`;
+  }
+
+  static async readEntries(filePath = JOURNAL_FILE) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null; // Ignore a torn final line from an interrupted write
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Summaries of journaled runs, oldest first
+   */
+  static async listRuns(filePath = JOURNAL_FILE) {
+    const entries = await Journal.readEntries(filePath);
+    const runs = new Map();
+
+    for (const entry of entries) {
+      if (!runs.has(entry.runId)) {
+        runs.set(entry.runId, {
+          runId: entry.runId,
+          command: entry.command,
+          startedAt: entry.at,
+          entries: 0,
+          messages: 0,
+          filters: 0,
+          undoneBy: null
+        });
+      }
+      const run = runs.get(entry.runId);
+      run.entries++;
+      if (entry.type === 'modify') run.messages += entry.ids.length;
+      if (entry.type.startsWith('filter.')) run.filters++;
+      if (entry.undoOf && runs.has(entry.undoOf)) {
+        runs.get(entry.undoOf).undoneBy = entry.runId;
+      }
+    }
+
+    return Array.from(runs.values());
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * --json output for reports.
+ *
+ * With --json a command prints exactly one JSON document on stdout when it
+ * finishes. Progress messages, spinners and prompts go to stderr instead, so
+ * `fix-email cleanup --json | jq .issues` sees only the report. Every
+ * document has the envelope
+ *
+ *   { schemaVersion, command, generatedAt, account, quota, ...sections }
+ *
+ * and the sections are documented in the README under "JSON output".
+ * schemaVersion only changes when a field is removed or changes meaning;
+ * new fields may appear at any time.
+ */
+import { getCliOptions } from './cliOptions.js';
+import { getQuotaLimiter } from './quota.js';
+import { getActiveAccount } from './accounts.js';
+
+export const SCHEMA_VERSION = 1;
+
+let redirected = false;
+
+/**
+ * Whether this run prints JSON. The first call that returns true moves
+ * console.log to stderr, keeping stdout for the document.
+ */
+export function jsonOutput() {
+  if (!getCliOptions().json) return false;
+  if (!redirected) {
+    console.log = (...args) => console.error(...args);
+    redirected = true;
+  }
+  return true;
+}
+
+/**
+ * Print the run's JSON document on stdout
+ * @param {string} command - Command name, e.g. "analyze"
+ * @param {Object} sections - Report sections, e.g. { analysis, filtering }
+ */
+export function printJsonReport(command, sections) {
+  const document = {
+    schemaVersion: SCHEMA_VERSION,
+    command,
+    generatedAt: new Date().toISOString(),
+    account: getActiveAccount()?.name ?? null,
+    quota: getQuotaLimiter().summary(),
+    ...sections
+  };
+  process.stdout.write(JSON.stringify(document, null, 2) + '\n');
+}
+
+/**
+ * The fields of an email that reports include
+ * @returns {{ id: string, from: string, subject: string }}
+ */
+export function messageSummary(email) {
+  return {
+    id: email.id,
+    from: email.fromEmail || '',
+    subject: email.subject || ''
+  };
+}
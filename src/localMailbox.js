@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { MemoryMailbox, messageFromRaw } from './memoryMailbox.js';
+import { getHeader } from './mimeMessage.js';
+import { statePath } from './accounts.js';
+
+export const LOCAL_STORE_FILE = statePath('.local-mailbox.json');
+const STORE_VERSION = 1;
+
+// Names Google Takeout uses in X-Gmail-Labels for system labels
+const TAKEOUT_LABELS = {
+  inbox: 'INBOX',
+  unread: 'UNREAD',
+  sent: 'SENT',
+  trash: 'TRASH',
+  spam: 'SPAM',
+  starred: 'STARRED',
+  important: 'IMPORTANT',
+  draft: 'DRAFT',
+  drafts: 'DRAFT',
+  chat: 'CHAT',
+  'category personal': 'CATEGORY_PERSONAL',
+  'category social': 'CATEGORY_SOCIAL',
+  'category promotions': 'CATEGORY_PROMOTIONS',
+  'category updates': 'CATEGORY_UPDATES',
+  'category forums': 'CATEGORY_FORUMS'
+};
+
+// Maildir++ folder names that map to system labels
+const MAILDIR_FOLDERS = {
+  sent: 'SENT',
+  'sent items': 'SENT',
+  'sent messages': 'SENT',
+  trash: 'TRASH',
+  'deleted items': 'TRASH',
+  'deleted messages': 'TRASH',
+  spam: 'SPAM',
+  junk: 'SPAM',
+  drafts: 'DRAFT'
+};
+
+/**
+ * Split an mbox file into raw messages. Handles both mboxo and mboxrd
+ * ">From " quoting.
+ */
+export function splitMbox(content) {
+  const messages = [];
+  let current = null;
+  let previousBlank = true;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (line.startsWith('From ') && previousBlank) {
+      if (current) messages.push(current.join('\n'));
+      current = [];
+    } else if (current) {
+      current.push(/^>+From /.test(line) ? line.slice(1) : line);
+    }
+    previousBlank = line === '';
+  }
+  if (current) messages.push(current.join('\n'));
+
+  // The blank line before each "From " separator belongs to the format, not the message
+  return messages.map(raw => raw.replace(/\n$/, '')).filter(raw => raw.trim());
+}
+
+/**
+ * Mailbox backed by an exported mbox file or a Maildir directory. The export
+ * is only ever read; label changes, user labels, filters and history are kept
+ * in a JSON store next to it so the export stays untouched.
+ */
+export class LocalMailbox extends MemoryMailbox {
+  constructor(sourcePath, { storePath = LOCAL_STORE_FILE, emailAddress } = {}) {
+    super({ emailAddress });
+    this.sourcePath = sourcePath;
+    this.storePath = storePath;
+  }
+
+  async loadStore() {
+    try {
+      const store = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+      if (store.version !== STORE_VERSION || store.source !== this.sourcePath) {
+        return null; // Store belongs to a different export - start fresh
+      }
+      return store;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read local mailbox store ${this.storePath}: ${error.message}`);
+    }
+  }
+
+  async onChange() {
+    const store = {
+      version: STORE_VERSION,
+      source: this.sourcePath,
+      historyId: this.historyId,
+      nextLabelNumber: this.nextLabelNumber,
+      labels: [...this.labels.values()].filter(label => label.type === 'user'),
+      messages: Object.fromEntries([...this.messages.values()].map(m => [m.id, m.labelIds])),
+      filters: this.filters,
+      history: this.history
+    };
+    await fs.writeFile(this.storePath, JSON.stringify(store));
+  }
+
+  labelIdsFromTakeout(value) {
+    const labelIds = [];
+    let opened = false;
+    for (const name of value.split(',').map(n => n.trim()).filter(Boolean)) {
+      const lower = name.toLowerCase();
+      if (lower === 'opened') {
+        opened = true;
+      } else if (TAKEOUT_LABELS[lower]) {
+        labelIds.push(TAKEOUT_LABELS[lower]);
+      } else {
+        labelIds.push(this.ensureLabel(name));
+      }
+    }
+    if (opened) return labelIds.filter(id => id !== 'UNREAD');
+    return labelIds;
+  }
+
+  async readMbox() {
+    const content = await fs.readFile(this.sourcePath, 'utf8');
+    return splitMbox(content).map(raw => {
+      const message = messageFromRaw(raw);
+      const takeoutLabels = getHeader(message.headers, 'X-Gmail-Labels');
+      const threadHeader = getHeader(message.headers, 'X-GM-THRID');
+
+      if (takeoutLabels) {
+        message.labelIds = this.labelIdsFromTakeout(takeoutLabels);
+      } else {
+        // mbox "Status: RO" marks a message as read
+        const status = getHeader(message.headers, 'Status');
+        message.labelIds = status.includes('R') ? ['INBOX'] : ['INBOX', 'UNREAD'];
+      }
+      if (/^\d+$/.test(threadHeader)) {
+        message.threadId = BigInt(threadHeader).toString(16);
+      }
+      return message;
+    });
+  }
+
+  async readMaildirFolder(folderPath, folderLabels) {
+    const messages = [];
+    for (const sub of ['new', 'cur']) {
+      let files;
+      try {
+        files = await fs.readdir(path.join(folderPath, sub));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const file of files.filter(f => !f.startsWith('.'))) {
+        const filePath = path.join(folderPath, sub, file);
+        const [raw, stat] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+        // Flags after ":2," - S seen, F flagged, T trashed
+        const flags = file.includes(':2,') ? file.split(':2,')[1] : '';
+        const labelIds = [...folderLabels];
+        if (sub === 'new' || !flags.includes('S')) labelIds.push('UNREAD');
+        if (flags.includes('F')) labelIds.push('STARRED');
+        if (flags.includes('T')) labelIds.push('TRASH');
+
+        const message = messageFromRaw(raw, { labelIds });
+        if (!message.internalDate) message.internalDate = stat.mtimeMs;
+        messages.push(message);
+      }
+    }
+    return messages;
+  }
+
+  async readMaildir() {
+    const messages = await this.readMaildirFolder(this.sourcePath, ['INBOX']);
+
+    // Maildir++ subfolders (".Receipts", ".Work.Clients") become labels
+    const entries = await fs.readdir(this.sourcePath, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !entry.name.startsWith('.') || entry.name.length < 2) continue;
+      const name = entry.name.slice(1).replace(/\./g, '/');
+      const labelId = MAILDIR_FOLDERS[name.toLowerCase()] || this.ensureLabel(name);
+      messages.push(...await this.readMaildirFolder(path.join(this.sourcePath, entry.name), [labelId]));
+    }
+    return messages;
+  }
+
+  /**
+   * Read the export and merge it with the saved store. Messages seen for the
+   * first time after the initial import are treated as new mail: filters run
+   * on them and they appear in history.
+   */
+  async load() {
+    let stat;
+    try {
+      stat = await fs.stat(this.sourcePath);
+    } catch {
+      throw new Error(`Local mailbox not found: ${this.sourcePath} (set LOCAL_MAILBOX to an mbox file or Maildir directory)`);
+    }
+
+    const store = await this.loadStore();
+    if (store) {
+      this.historyId = store.historyId;
+      this.nextLabelNumber = store.nextLabelNumber;
+      store.labels.forEach(label => this.labels.set(label.id, label));
+      this.filters = store.filters;
+      this.history = store.history;
+    }
+
+    const imported = stat.isDirectory() ? await this.readMaildir() : await this.readMbox();
+    const restored = new Set();
+
+    for (const message of imported) {
+      const existing = this.messages.get(message.id);
+      if (existing) {
+        // The same message in several Maildir folders carries all their labels
+        if (!restored.has(message.id)) {
+          existing.labelIds = [...new Set([...existing.labelIds, ...message.labelIds])];
+        }
+        continue;
+      }
+
+      const savedLabels = store?.messages[message.id];
+      if (savedLabels) {
+        this.addMessage({ ...message, labelIds: savedLabels });
+        restored.add(message.id);
+      } else {
+        this.addMessage(message, { applyFilters: Boolean(store), recordHistory: Boolean(store) });
+      }
+    }
+
+    await this.onChange();
+    return this;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Chooses where mail comes from. Every script asks this module for its
+ * connection and Gmail client instead of calling googleapis directly, so the
+ * same code runs against a live Gmail account or a local mailbox export.
+ *
+ *   MAIL_PROVIDER=gmail  (default) Gmail API with OAuth
+ *   MAIL_PROVIDER=local  mbox file or Maildir directory at LOCAL_MAILBOX;
+ *                        changes are kept in LOCAL_STORE (.local-mailbox.json)
+ *   MAIL_PROVIDER=fake   in-memory fake seeded from FAKE_GMAIL_FIXTURES; nothing
+ *                        is saved, so every process starts from the fixtures
+ */
+import { google } from 'googleapis';
+import path from 'path';
+import dotenv from 'dotenv';
+import { authorize as authorizeGmail } from './auth.js';
+import { MemoryMailbox } from './memoryMailbox.js';
+import { LocalMailbox, LOCAL_STORE_FILE } from './localMailbox.js';
+import { FakeGmail } from './fakeGmail.js';
+import { sendGmailBatch } from './gmailBatch.js';
+import { meterClient } from './quota.js';
+
+dotenv.config();
+
+export const PROVIDERS = ['gmail', 'local', 'fake'];
+
+// One mailbox per process so every client sees the same state
+let mailbox = null;
+
+/**
+ * Use this mailbox for every authorize() call in the process, whatever
+ * MAIL_PROVIDER says. Lets a test drive the scripts against a FakeGmail it
+ * seeded itself; pass null to go back to the configured provider.
+ */
+export function useMailbox(instance) {
+  mailbox = instance;
+}
+
+export function getProviderName() {
+  const name = (process.env.MAIL_PROVIDER || 'gmail').toLowerCase();
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown MAIL_PROVIDER "${name}" (expected one of ${PROVIDERS.join(', ')})`);
+  }
+  return name;
+}
+
+async function openLocalMailbox() {
+  if (!process.env.LOCAL_MAILBOX) {
+    throw new Error('MAIL_PROVIDER=local needs LOCAL_MAILBOX set to an mbox file or Maildir directory');
+  }
+  const local = new LocalMailbox(path.resolve(process.env.LOCAL_MAILBOX), {
+    storePath: process.env.LOCAL_STORE ? path.resolve(process.env.LOCAL_STORE) : LOCAL_STORE_FILE,
+    emailAddress: process.env.GMAIL_USER
+  });
+  return local.load();
+}
+
+async function openFakeMailbox() {
+  if (!process.env.FAKE_GMAIL_FIXTURES) {
+    throw new Error('MAIL_PROVIDER=fake needs FAKE_GMAIL_FIXTURES set to a fixture file or directory');
+  }
+  return FakeGmail.fromFixtures(path.resolve(process.env.FAKE_GMAIL_FIXTURES));
+}
+
+/**
+ * Connect to the configured provider. The result is passed around as `auth`
+ * and handed to createGmailClient().
+ * @param {Object} options
+ * @param {'read'|'modify'} options.access - What the command does to the
+ *   mailbox; Gmail gets a token with only the scopes that needs (see auth.js)
+ */
+export async function authorize({ access = 'read' } = {}) {
+  if (mailbox) return mailbox;
+
+  const provider = getProviderName();
+  if (provider === 'local') {
+    mailbox = await openLocalMailbox();
+    return mailbox;
+  }
+  if (provider === 'fake') {
+    mailbox = await openFakeMailbox();
+    return mailbox;
+  }
+  return authorizeGmail({ access });
+}
+
+/**
+ * Gmail API client for a connection from authorize(). Besides the googleapis
+ * methods it has `batch(requests)`, which sends several messages.get or threads.get calls at
+ * once (see gmailBatch.js). Every call is charged to the shared quota
+ * limiter (see quota.js).
+ */
+export function createGmailClient(auth) {
+  if (auth instanceof MemoryMailbox) {
+    return meterClient(auth.client());
+  }
+  // googleapis freezes its clients, so batch() goes on an object that inherits from one
+  const gmail = Object.create(google.gmail({ version: 'v1', auth }));
+  gmail.batch = requests => sendGmailBatch(auth, requests);
+  return meterClient(gmail);
+}
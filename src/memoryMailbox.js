@@ -0,0 +1,430 @@
+import crypto from 'crypto';
+import { parseHeaders, splitMessage, getHeader, buildPayload, buildSnippet, encodeRaw } from './mimeMessage.js';
+import { matchesQuery, parseQuery, queryIncludesSpamTrash, criteriaToQuery, hasAttachmentPart } from './gmailQuery.js';
+
+export const SYSTEM_LABELS = [
+  'INBOX', 'SENT', 'DRAFT', 'TRASH', 'SPAM', 'STARRED', 'IMPORTANT', 'UNREAD', 'CHAT',
+  'CATEGORY_PERSONAL', 'CATEGORY_SOCIAL', 'CATEGORY_PROMOTIONS', 'CATEGORY_UPDATES', 'CATEGORY_FORUMS'
+];
+
+// Gmail history is only kept for a while; older start IDs get a 404
+const MAX_HISTORY_RECORDS = 5000;
+// batchModify accepts at most 1000 IDs per call
+const MAX_MODIFY_IDS = 1000;
+
+/**
+ * Error shaped like the ones googleapis throws, so withRetry and the
+ * `error.code === 404` checks behave the same against a local mailbox
+ */
+export function gmailError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = code;
+  return error;
+}
+
+export function hashId(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 16);
+}
+
+function firstMessageId(value) {
+  return value.match(/<[^>]+>/)?.[0] || null;
+}
+
+/**
+ * Build a stored message from raw RFC 5322 text
+ * @param {string} raw - Full message including headers
+ * @param {Object} options - { labelIds, internalDate (ms), threadId }
+ */
+export function messageFromRaw(raw, { labelIds = ['INBOX', 'UNREAD'], internalDate = null, threadId = null } = {}) {
+  const headers = parseHeaders(splitMessage(raw).headerText);
+  const messageId = getHeader(headers, 'Message-ID');
+  const id = hashId(messageId || raw);
+
+  // Thread on the first message of the conversation, like Gmail does
+  const root = firstMessageId(getHeader(headers, 'References')) ||
+    firstMessageId(getHeader(headers, 'In-Reply-To'));
+  const date = Date.parse(getHeader(headers, 'Date'));
+
+  return {
+    id,
+    threadId: threadId || (root ? hashId(root) : id),
+    labelIds: [...new Set(labelIds)],
+    internalDate: internalDate ?? (Number.isNaN(date) ? 0 : date),
+    sizeEstimate: Buffer.byteLength(raw, 'utf8'),
+    headers,
+    raw
+  };
+}
+
+/**
+ * In-memory mailbox that answers the subset of the Gmail API this project
+ * uses. `client()` returns an object shaped like `google.gmail(...)`, so
+ * EmailAnalyzer, EmailFilter and the scripts run unchanged against it.
+ * Subclasses override `onChange()` to persist state.
+ */
+export class MemoryMailbox {
+  constructor({ emailAddress = 'me@localhost' } = {}) {
+    this.emailAddress = emailAddress;
+    this.messages = new Map();
+    this.labels = new Map(SYSTEM_LABELS.map(id => [id, { id, name: id, type: 'system' }]));
+    this.filters = [];
+    this.history = [];
+    this.historyId = 1;
+    this.nextLabelNumber = 1;
+  }
+
+  // Called after every mutation
+  async onChange() {}
+
+  labelNames() {
+    return Object.fromEntries([...this.labels.values()].map(label => [label.id, label.name]));
+  }
+
+  findLabelByName(name) {
+    const lower = name.toLowerCase();
+    return [...this.labels.values()].find(label => label.name.toLowerCase() === lower) || null;
+  }
+
+  createLabel(name, extra = {}) {
+    if (this.findLabelByName(name)) {
+      throw gmailError(409, 'Label name exists or conflicts');
+    }
+    const label = { id: `Label_${this.nextLabelNumber++}`, name, type: 'user', ...extra };
+    this.labels.set(label.id, label);
+    return label;
+  }
+
+  // Label ID for a name, creating a user label if needed
+  ensureLabel(name) {
+    const upper = name.toUpperCase();
+    if (this.labels.has(upper) && this.labels.get(upper).type === 'system') return upper;
+    return (this.findLabelByName(name) || this.createLabel(name)).id;
+  }
+
+  recordHistory(changes) {
+    this.historyId++;
+    this.history.push({ id: String(this.historyId), ...changes });
+    if (this.history.length > MAX_HISTORY_RECORDS) {
+      this.history.splice(0, this.history.length - MAX_HISTORY_RECORDS);
+    }
+  }
+
+  // Flattened fields that search queries look at
+  searchView(message) {
+    const header = name => getHeader(message.headers, name);
+    return {
+      from: header('From'),
+      to: header('To'),
+      cc: header('Cc'),
+      bcc: header('Bcc'),
+      subject: header('Subject'),
+      listId: header('List-ID'),
+      snippet: this.snippetOf(message),
+      labelIds: message.labelIds,
+      internalDate: message.internalDate,
+      sizeEstimate: message.sizeEstimate || 0,
+      hasAttachment: message.raw ? hasAttachmentPart(this.payloadOf(message)) : false
+    };
+  }
+
+  payloadOf(message) {
+    if (!message.payload) {
+      message.payload = message.raw
+        ? buildPayload(message.raw)
+        : { partId: '', mimeType: 'text/plain', filename: '', headers: message.headers, body: { size: 0 } };
+    }
+    return message.payload;
+  }
+
+  snippetOf(message) {
+    if (message.snippet === undefined) {
+      message.snippet = message.raw ? buildSnippet(this.payloadOf(message)) : '';
+    }
+    return message.snippet;
+  }
+
+  applyLabelChanges(message, addLabelIds = [], removeLabelIds = []) {
+    const before = new Set(message.labelIds);
+    const labels = new Set(message.labelIds);
+    removeLabelIds.forEach(id => labels.delete(id));
+    addLabelIds.forEach(id => labels.add(id));
+    message.labelIds = [...labels];
+
+    return {
+      added: message.labelIds.filter(id => !before.has(id)),
+      removed: [...before].filter(id => !labels.has(id))
+    };
+  }
+
+  // Run stored filters over a newly arrived message, like Gmail does on delivery
+  applyFilters(message) {
+    const view = this.searchView(message);
+    for (const filter of this.filters) {
+      if (matchesQuery(criteriaToQuery(filter.criteria), view, { labelNames: this.labelNames() })) {
+        this.applyLabelChanges(message, filter.action?.addLabelIds, filter.action?.removeLabelIds);
+        view.labelIds = message.labelIds;
+      }
+    }
+  }
+
+  /**
+   * Add a message to the mailbox
+   * @param {Object} message - From messageFromRaw, or { id, threadId, labelIds, internalDate, headers, snippet }
+   * @param {Object} options - { applyFilters: run stored filters first, recordHistory: add a messagesAdded record }
+   */
+  addMessage(message, { applyFilters = false, recordHistory = false } = {}) {
+    const stored = { threadId: message.id, labelIds: [], internalDate: 0, headers: [], ...message };
+    stored.labelIds = [...new Set(stored.labelIds)];
+    if (applyFilters) this.applyFilters(stored);
+    this.messages.set(stored.id, stored);
+
+    if (recordHistory) {
+      this.recordHistory({
+        messages: [this.messageRef(stored)],
+        messagesAdded: [{ message: this.messageRef(stored) }]
+      });
+    }
+    return stored;
+  }
+
+  messageRef(message) {
+    return { id: message.id, threadId: message.threadId, labelIds: [...message.labelIds] };
+  }
+
+  getMessageOrThrow(id) {
+    const message = this.messages.get(id);
+    if (!message) throw gmailError(404, 'Requested entity was not found.');
+    return message;
+  }
+
+  listMessages({ q = '', labelIds = [], maxResults = 100, pageToken = null, includeSpamTrash = false } = {}) {
+    const query = parseQuery(q);
+    const labelNames = this.labelNames();
+    const requested = Array.isArray(labelIds) ? labelIds : [labelIds];
+    // Gmail leaves trash and spam out of searches unless asked for
+    const skipSpamTrash = !includeSpamTrash && !queryIncludesSpamTrash(q) &&
+      !requested.some(id => id === 'TRASH' || id === 'SPAM');
+
+    const matches = [...this.messages.values()]
+      .filter(message => requested.every(id => message.labelIds.includes(id)))
+      .filter(message => !skipSpamTrash || !message.labelIds.some(id => id === 'TRASH' || id === 'SPAM'))
+      .filter(message => matchesQuery(query, this.searchView(message), { labelNames }))
+      .sort((a, b) => b.internalDate - a.internalDate || b.id.localeCompare(a.id));
+
+    const start = pageToken ? Number(pageToken) : 0;
+    const size = Math.min(Math.max(Number(maxResults) || 100, 1), 500);
+    const page = matches.slice(start, start + size);
+
+    const data = { resultSizeEstimate: matches.length };
+    if (page.length > 0) {
+      data.messages = page.map(message => ({ id: message.id, threadId: message.threadId }));
+    }
+    if (start + size < matches.length) {
+      data.nextPageToken = String(start + size);
+    }
+    return data;
+  }
+
+  formatMessage(message, { format = 'full', metadataHeaders = [] } = {}) {
+    const data = {
+      id: message.id,
+      threadId: message.threadId,
+      labelIds: [...message.labelIds],
+      snippet: this.snippetOf(message),
+      historyId: String(this.historyId),
+      internalDate: String(message.internalDate),
+      sizeEstimate: message.sizeEstimate || 0
+    };
+
+    if (format === 'minimal') return data;
+
+    if (format === 'raw') {
+      return { ...data, raw: message.raw ? encodeRaw(message.raw) : '' };
+    }
+
+    if (format === 'metadata') {
+      const wanted = metadataHeaders.map(name => name.toLowerCase());
+      const headers = wanted.length > 0
+        ? message.headers.filter(h => wanted.includes(h.name.toLowerCase()))
+        : message.headers;
+      const payload = this.payloadOf(message);
+      return { ...data, payload: { partId: '', mimeType: payload.mimeType, filename: '', headers, body: { size: 0 } } };
+    }
+
+    return { ...data, payload: this.payloadOf(message) };
+  }
+
+  // A thread's messages, oldest first, each formatted like messages.get
+  getThread(id, options) {
+    const messages = [...this.messages.values()]
+      .filter(message => message.threadId === id)
+      .sort((a, b) => a.internalDate - b.internalDate || a.id.localeCompare(b.id));
+    if (messages.length === 0) throw gmailError(404, 'Requested entity was not found.');
+    return {
+      id,
+      historyId: String(this.historyId),
+      messages: messages.map(message => this.formatMessage(message, options))
+    };
+  }
+
+  async batchModify({ ids = [], addLabelIds = [], removeLabelIds = [] }) {
+    if (ids.length > MAX_MODIFY_IDS) {
+      throw gmailError(400, `Too many ids: ${ids.length} (max ${MAX_MODIFY_IDS})`);
+    }
+    for (const labelId of [...addLabelIds, ...removeLabelIds]) {
+      if (!this.labels.has(labelId)) throw gmailError(400, `Invalid label: ${labelId}`);
+    }
+    const messages = ids.map(id => this.getMessageOrThrow(id));
+
+    const labelsAdded = [];
+    const labelsRemoved = [];
+    for (const message of messages) {
+      const { added, removed } = this.applyLabelChanges(message, addLabelIds, removeLabelIds);
+      if (added.length > 0) labelsAdded.push({ message: this.messageRef(message), labelIds: added });
+      if (removed.length > 0) labelsRemoved.push({ message: this.messageRef(message), labelIds: removed });
+    }
+
+    if (labelsAdded.length > 0 || labelsRemoved.length > 0) {
+      this.recordHistory({
+        messages: messages.map(message => this.messageRef(message)),
+        ...(labelsAdded.length > 0 && { labelsAdded }),
+        ...(labelsRemoved.length > 0 && { labelsRemoved })
+      });
+    }
+    await this.onChange();
+  }
+
+  listHistory({ startHistoryId, maxResults = 100, pageToken = null }) {
+    const start = Number(startHistoryId);
+    const oldest = this.history.length > 0 ? Number(this.history[0].id) : this.historyId + 1;
+    if (!start || start < oldest - 1 || start > this.historyId) {
+      throw gmailError(404, 'Requested entity was not found.');
+    }
+
+    const records = this.history.filter(record => Number(record.id) > start);
+    const offset = pageToken ? Number(pageToken) : 0;
+    const size = Math.min(Math.max(Number(maxResults) || 100, 1), 500);
+    const page = records.slice(offset, offset + size);
+
+    const data = { historyId: String(this.historyId) };
+    if (page.length > 0) data.history = page;
+    if (offset + size < records.length) data.nextPageToken = String(offset + size);
+    return data;
+  }
+
+  async createFilter({ criteria = {}, action = {} }) {
+    if (!Object.values(criteria).some(Boolean)) {
+      throw gmailError(400, 'Filter criteria must not be empty');
+    }
+    const labelIds = [...(action.addLabelIds || []), ...(action.removeLabelIds || [])];
+    if (labelIds.length === 0 && !action.forward) {
+      throw gmailError(400, 'Filter action must not be empty');
+    }
+    for (const labelId of labelIds) {
+      if (!this.labels.has(labelId)) throw gmailError(400, `Invalid label: ${labelId}`);
+    }
+
+    const key = JSON.stringify({ criteria, action });
+    if (this.filters.some(filter => JSON.stringify({ criteria: filter.criteria, action: filter.action }) === key)) {
+      throw gmailError(400, 'Filter already exists');
+    }
+
+    const filter = { id: `ANe1Bm${crypto.randomBytes(12).toString('hex')}`, criteria, action };
+    this.filters.push(filter);
+    await this.onChange();
+    return filter;
+  }
+
+  async deleteFilter(id) {
+    const index = this.filters.findIndex(filter => filter.id === id);
+    if (index === -1) throw gmailError(404, 'Filter not found');
+    this.filters.splice(index, 1);
+    await this.onChange();
+  }
+
+  // Called before every API request with the method name ("messages.list") and its params
+  async beforeRequest() {}
+
+  /**
+   * Gmail-shaped client: `client().users.messages.list({ userId: 'me', q })`
+   * resolves to `{ data }` just like googleapis
+   */
+  client() {
+    const endpoint = (method, handler) => async (params = {}) => {
+      await this.beforeRequest(method, params);
+      return { data: await handler(params) };
+    };
+
+    const client = {
+      // Like gmail.batch() in mailProvider.js: every call is made separately,
+      // and each one's failure is reported in its own result
+      batch: async requests => Promise.all(requests.map(async ({ method, params }) => {
+        const get = { 'messages.get': client.users.messages.get, 'threads.get': client.users.threads.get }[method];
+        if (!get) {
+          throw new Error(`Batch requests only support messages.get and threads.get (got ${method})`);
+        }
+        try {
+          const { data } = await get(params);
+          return { status: 200, data };
+        } catch (error) {
+          return { status: error.code || 500, error };
+        }
+      })),
+      users: {
+        getProfile: endpoint('getProfile', () => ({
+          emailAddress: this.emailAddress,
+          messagesTotal: this.messages.size,
+          threadsTotal: new Set([...this.messages.values()].map(m => m.threadId)).size,
+          historyId: String(this.historyId)
+        })),
+        history: {
+          list: endpoint('history.list', params => this.listHistory(params))
+        },
+        messages: {
+          list: endpoint('messages.list', params => this.listMessages(params)),
+          get: endpoint('messages.get', ({ id, format, metadataHeaders }) =>
+            this.formatMessage(this.getMessageOrThrow(id), { format, metadataHeaders })),
+          batchModify: endpoint('messages.batchModify', async ({ requestBody }) => {
+            await this.batchModify(requestBody);
+            return '';
+          })
+        },
+        threads: {
+          get: endpoint('threads.get', ({ id, format, metadataHeaders }) => this.getThread(id, { format, metadataHeaders }))
+        },
+        labels: {
+          list: endpoint('labels.list', () => ({ labels: [...this.labels.values()].map(label => ({ ...label })) })),
+          get: endpoint('labels.get', ({ id }) => {
+            const label = this.labels.get(id);
+            if (!label) throw gmailError(404, 'Requested entity was not found.');
+            return { ...label };
+          }),
+          create: endpoint('labels.create', async ({ requestBody }) => {
+            const { name, ...extra } = requestBody;
+            const label = this.createLabel(name, extra);
+            await this.onChange();
+            return { ...label };
+          })
+        },
+        settings: {
+          filters: {
+            list: endpoint('settings.filters.list', () =>
+              (this.filters.length > 0 ? { filter: this.filters.map(f => ({ ...f })) } : {})),
+            get: endpoint('settings.filters.get', ({ id }) => {
+              const filter = this.filters.find(f => f.id === id);
+              if (!filter) throw gmailError(404, 'Filter not found');
+              return { ...filter };
+            }),
+            create: endpoint('settings.filters.create', ({ requestBody }) => this.createFilter(requestBody)),
+            delete: endpoint('settings.filters.delete', async ({ id }) => {
+              await this.deleteFilter(id);
+              return '';
+            })
+          }
+        }
+      }
+    };
+    return client;
+  }
+}
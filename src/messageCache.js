@@ -0,0 +1,377 @@
+/**
+ * Local cache of message metadata.
+ *
+ * Analyzers ask the cache before calling messages.get. A message's headers
+ * never change, so once fetched they are served from disk; its labels do
+ * change, and are kept fresh by replaying the mailbox history (history.list)
+ * since the last sync, the same way continuous mode finds new mail. When the
+ * saved history ID has expired, every cached entry is marked stale and
+ * re-fetched the next time it is needed.
+ *
+ * Each entry holds the message and thread IDs, the headers fetched so far,
+ * labels, snippet, size, date and the category the analyzer last gave it,
+ * which is enough for `fix-email cache status` to report on the mailbox
+ * without touching the API.
+ *
+ * The cache lives in .message-cache.json (per account), is written after each
+ * analysis and when the process exits (process.exit() included), and is
+ * skipped entirely with MESSAGE_CACHE=off. It keeps at most
+ * MESSAGE_CACHE_MAX_ENTRIES messages; the oldest mail is dropped first.
+ */
+import fs from 'fs/promises';
+import { writeFileSync, renameSync } from 'fs';
+import { statePath } from './accounts.js';
+
+export const CACHE_FILE = statePath('.message-cache.json');
+
+const CACHE_VERSION = 1;
+
+export const DEFAULT_MAX_ENTRIES = 50000;
+
+function maxEntries() {
+  const max = Number(process.env.MESSAGE_CACHE_MAX_ENTRIES);
+  return Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_ENTRIES;
+}
+
+function emptyCache() {
+  return { version: CACHE_VERSION, emailAddress: null, historyId: null, syncedAt: null, messages: {} };
+}
+
+export class MessageCache {
+  constructor(data = emptyCache(), filePath = CACHE_FILE) {
+    this.data = data;
+    this.filePath = filePath;
+    this.dirty = false;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  static async load(filePath = CACHE_FILE) {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (data.version !== CACHE_VERSION) return new MessageCache(emptyCache(), filePath);
+      return new MessageCache(data, filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return new MessageCache(emptyCache(), filePath);
+      throw new Error(`Message cache ${filePath} is unreadable (delete it to start over): ${error.message}`);
+    }
+  }
+
+  async save() {
+    if (!this.dirty) return;
+    this.prune();
+    // Write then rename, so an interrupted save never leaves half a file
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.data));
+    await fs.rename(tempPath, this.filePath);
+    this.dirty = false;
+  }
+
+  // Like save(), for the process 'exit' event, where nothing asynchronous runs
+  saveSync() {
+    if (!this.dirty) return;
+    this.prune();
+    const tempPath = `${this.filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(this.data));
+    renameSync(tempPath, this.filePath);
+    this.dirty = false;
+  }
+
+  /**
+   * Drop the oldest messages beyond the size limit
+   * @param {number} limit - Defaults to MESSAGE_CACHE_MAX_ENTRIES
+   * @returns {number} how many were dropped
+   */
+  prune(limit = maxEntries()) {
+    const excess = this.size - limit;
+    if (excess <= 0) return 0;
+    // Messages known by ID only have no date yet and go first
+    this.entries()
+      .sort((a, b) => (a.internalDate ?? 0) - (b.internalDate ?? 0))
+      .slice(0, excess)
+      .forEach(entry => { delete this.data.messages[entry.id]; });
+    this.dirty = true;
+    return excess;
+  }
+
+  get size() {
+    return Object.keys(this.data.messages).length;
+  }
+
+  entries() {
+    return Object.values(this.data.messages);
+  }
+
+  /**
+   * Bring labels up to date with the mailbox
+   * @param {Object} gmail - Gmail API client
+   * @returns {Promise<{ changed: number, deleted: number, added: number, expired: boolean }>}
+   */
+  async sync(gmail) {
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+    const { emailAddress, historyId } = profile.data;
+    const result = { changed: 0, deleted: 0, added: 0, expired: false };
+
+    // A cache from another mailbox (or provider) is no use here
+    if (this.data.emailAddress && this.data.emailAddress !== emailAddress) {
+      this.data = emptyCache();
+    }
+    this.data.emailAddress = emailAddress;
+
+    if (this.data.historyId) {
+      try {
+        Object.assign(result, await this.applyHistory(gmail, this.data.historyId));
+      } catch (error) {
+        if (error.code !== 404) throw error;
+        // History is only kept for about a week; labels may have changed since
+        this.entries().forEach(entry => { entry.stale = true; });
+        result.expired = true;
+      }
+    }
+
+    this.data.historyId = historyId;
+    this.data.syncedAt = new Date().toISOString();
+    this.dirty = true;
+    return result;
+  }
+
+  async applyHistory(gmail, startHistoryId) {
+    const counts = { changed: 0, deleted: 0, added: 0 };
+    let pageToken = null;
+
+    do {
+      const response = await gmail.users.history.list({
+        userId: 'me',
+        startHistoryId,
+        maxResults: 500,
+        pageToken
+      });
+
+      for (const record of response.data.history || []) {
+        (record.messagesAdded || []).forEach(({ message }) => {
+          if (!this.data.messages[message.id]) {
+            // Known by ID only; headers are fetched the first time it is needed
+            this.data.messages[message.id] = {
+              id: message.id,
+              threadId: message.threadId,
+              labelIds: message.labelIds || [],
+              headerNames: [],
+              headers: []
+            };
+            counts.added++;
+          }
+        });
+        (record.messagesDeleted || []).forEach(({ message }) => {
+          if (this.data.messages[message.id]) {
+            delete this.data.messages[message.id];
+            counts.deleted++;
+          }
+        });
+        [...(record.labelsAdded || []), ...(record.labelsRemoved || [])].forEach(({ message }) => {
+          const entry = this.data.messages[message.id];
+          if (entry) {
+            // The history record carries the message's labels after the change
+            entry.labelIds = message.labelIds || [];
+            counts.changed++;
+          }
+        });
+      }
+
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return counts;
+  }
+
+  // The cached entry for a message if it is fresh and has every wanted header
+  lookup(id, metadataHeaders) {
+    const entry = this.data.messages[id];
+    if (!entry || entry.stale || !entry.fetchedAt) return null;
+    const wanted = metadataHeaders.map(name => name.toLowerCase());
+    return wanted.every(name => entry.headerNames.includes(name)) ? entry : null;
+  }
+
+  /**
+   * Message metadata in the shape messages.get returns with format "metadata"
+   * (only the wanted headers), from the cache when possible
+   * @param {string} id - Message ID
+   * @param {string[]} metadataHeaders - Headers the caller needs
+   * @param {Function} fetch - async (metadataHeaders) => message data; called on a miss
+   *   with every header this entry should hold, so the caller's rate limiting and retries apply
+   */
+  async getMetadata(id, metadataHeaders, fetch) {
+    const cached = this.lookup(id, metadataHeaders);
+    if (cached) {
+      this.stats.hits++;
+      return toMessage(cached, metadataHeaders);
+    }
+
+    this.stats.misses++;
+    const known = this.data.messages[id]?.headerNames || [];
+    const headerNames = [...new Set([...known, ...metadataHeaders.map(name => name.toLowerCase())])];
+    const message = await fetch(headerNames);
+    this.store(message, headerNames);
+    return toMessage(this.data.messages[id], metadataHeaders);
+  }
+
+  /**
+   * Like getMetadata for many messages; the misses are fetched together
+   * @param {string[]} ids - Message IDs
+   * @param {string[]} metadataHeaders - Headers the caller needs
+   * @param {Function} fetchMany - async ([{ id, metadataHeaders }]) => { messages: Map, errors: Map }
+   * @returns {Promise<{ messages: Map<string, Object>, errors: Map<string, Error> }>}
+   */
+  async getMetadataMany(ids, metadataHeaders, fetchMany) {
+    const messages = new Map();
+    const misses = [];
+    const wanted = metadataHeaders.map(name => name.toLowerCase());
+
+    ids.forEach(id => {
+      const cached = this.lookup(id, metadataHeaders);
+      if (cached) {
+        this.stats.hits++;
+        messages.set(id, toMessage(cached, metadataHeaders));
+      } else {
+        this.stats.misses++;
+        const known = this.data.messages[id]?.headerNames || [];
+        misses.push({ id, metadataHeaders: [...new Set([...known, ...wanted])] });
+      }
+    });
+
+    if (misses.length === 0) return { messages, errors: new Map() };
+
+    const fetched = await fetchMany(misses);
+    misses.forEach(({ id, metadataHeaders: headerNames }) => {
+      const message = fetched.messages.get(id);
+      if (!message) return;
+      this.store(message, headerNames);
+      messages.set(id, toMessage(this.data.messages[id], metadataHeaders));
+    });
+    return { messages, errors: fetched.errors };
+  }
+
+  store(message, headerNames) {
+    const previous = this.data.messages[message.id];
+    this.data.messages[message.id] = {
+      id: message.id,
+      threadId: message.threadId,
+      labelIds: message.labelIds || [],
+      snippet: message.snippet || '',
+      internalDate: message.internalDate ? Number(message.internalDate) : null,
+      sizeEstimate: message.sizeEstimate || 0,
+      headerNames,
+      headers: message.payload?.headers || [],
+      category: previous?.category || null,
+      categorySource: previous?.categorySource || null,
+      categorizedAt: previous?.categorizedAt || null,
+      fetchedAt: new Date().toISOString()
+    };
+    this.dirty = true;
+  }
+
+  /**
+   * Keep a message that was fetched some other way, e.g. with its thread.
+   * Headers never change, so ones cached earlier are kept alongside the new ones
+   * @param {Object} message - Message data with format "metadata"
+   * @param {string[]} metadataHeaders - Headers it was fetched with
+   */
+  remember(message, metadataHeaders) {
+    const previous = this.data.messages[message.id];
+    const fetched = metadataHeaders.map(name => name.toLowerCase());
+    const earlier = (previous?.headers || []).filter(header => !fetched.includes(header.name.toLowerCase()));
+    const headerNames = [...new Set([...(previous?.headerNames || []), ...fetched])];
+    this.store({ ...message, payload: { headers: [...earlier, ...(message.payload?.headers || [])] } }, headerNames);
+  }
+
+  // Remember the category the analyzer gave a message
+  setCategory(id, category, categorySource) {
+    const entry = this.data.messages[id];
+    if (!entry) return;
+    entry.category = category;
+    entry.categorySource = categorySource;
+    entry.categorizedAt = new Date().toISOString();
+    this.dirty = true;
+  }
+
+  async clear() {
+    this.data = emptyCache();
+    await fs.unlink(this.filePath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    this.dirty = false;
+  }
+}
+
+function toMessage(entry, metadataHeaders) {
+  const wanted = metadataHeaders.map(name => name.toLowerCase());
+  return {
+    id: entry.id,
+    threadId: entry.threadId,
+    labelIds: [...entry.labelIds],
+    snippet: entry.snippet,
+    internalDate: entry.internalDate !== null ? String(entry.internalDate) : undefined,
+    sizeEstimate: entry.sizeEstimate,
+    payload: { headers: entry.headers.filter(header => wanted.includes(header.name.toLowerCase())) }
+  };
+}
+
+// Passes every request through when MESSAGE_CACHE=off
+const noCache = {
+  stats: { hits: 0, misses: 0 },
+  async getMetadata(id, metadataHeaders, fetch) {
+    return fetch(metadataHeaders);
+  },
+  async getMetadataMany(ids, metadataHeaders, fetchMany) {
+    return fetchMany(ids.map(id => ({ id, metadataHeaders })));
+  },
+  remember() {},
+  setCategory() {}
+};
+
+// A long-running process (daemon mode) re-syncs before using the cache after this long
+const RESYNC_MS = 60 * 1000;
+
+let opening = null;
+let syncing = null;
+
+/**
+ * The process-wide cache, loaded and synced on first use. It is saved when
+ * the process exits, however it exits, or earlier with saveMessageCache().
+ * @param {Object} gmail - Gmail API client used for the sync
+ */
+export async function getMessageCache(gmail) {
+  if (process.env.MESSAGE_CACHE === 'off') return noCache;
+  if (!opening) {
+    opening = (async () => {
+      const cache = await MessageCache.load();
+      await cache.sync(gmail);
+      // 'exit' also fires on process.exit(), unlike 'beforeExit'
+      process.on('exit', () => {
+        try {
+          cache.saveSync();
+        } catch (error) {
+          console.error(`Could not save the message cache: ${error.message}`);
+        }
+      });
+      return cache;
+    })().catch(error => {
+      opening = null;
+      throw error;
+    });
+  }
+
+  const cache = await opening;
+  if (!syncing && Date.now() - Date.parse(cache.data.syncedAt) > RESYNC_MS) {
+    syncing = cache.sync(gmail).finally(() => { syncing = null; });
+  }
+  if (syncing) await syncing;
+  return cache;
+}
+
+/**
+ * Write the cache now, if it has been opened and has changes
+ */
+export async function saveMessageCache() {
+  if (!opening) return;
+  const cache = await opening.catch(() => null);
+  if (cache) await cache.save();
+}
@@ -0,0 +1,150 @@
+/**
+ * Fetches message metadata for many messages at once.
+ *
+ * Messages the local cache (messageCache.js) already holds are served from
+ * it; the rest are requested through Gmail batch requests (gmailBatch.js),
+ * up to GMAIL_BATCH_SIZE calls per request. A call that fails inside a batch
+ * with a rate limit or server error is retried on its own in the next round,
+ * with backoff, instead of failing or re-sending the whole batch. Batches are
+ * paced by the shared quota limiter (quota.js), which charges each call in a
+ * batch as a separate messages.get. The thread fetcher (threads.js) sends its
+ * threads.get calls the same way.
+ */
+import { getMessageCache } from './messageCache.js';
+import { withRetry, sleep } from './utils.js';
+import { MAX_BATCH_REQUESTS } from './gmailBatch.js';
+import { getQuotaLimiter, isRateLimitError, retryAfterMs } from './quota.js';
+
+// Google recommends at most 50 calls per Gmail batch to avoid rate limiting
+const DEFAULT_BATCH_SIZE = 50;
+
+function isRetryable({ status, error }) {
+  return status >= 500 || isRateLimitError(error);
+}
+
+function batchSizeFromEnv() {
+  const size = parseInt(process.env.GMAIL_BATCH_SIZE || DEFAULT_BATCH_SIZE, 10);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_REQUESTS) {
+    throw new Error(`GMAIL_BATCH_SIZE must be between 1 and ${MAX_BATCH_REQUESTS} (got "${process.env.GMAIL_BATCH_SIZE}")`);
+  }
+  return size;
+}
+
+export class MetadataFetcher {
+  /**
+   * @param {Object} gmail - Gmail client from createGmailClient
+   * @param {Object} options
+   * @param {number} options.batchSize - Calls per batch request (default GMAIL_BATCH_SIZE or 50)
+   * @param {number} options.maxRetries - Rounds of retries for failed calls
+   * @param {number} options.baseDelay - Backoff before the first retry round, in ms
+   */
+  constructor(gmail, { batchSize = batchSizeFromEnv(), maxRetries = 3, baseDelay = 1000 } = {}) {
+    this.gmail = gmail;
+    this.batchSize = batchSize;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+  }
+
+  /**
+   * Metadata for every message, as messages.get returns it with format "metadata"
+   * @param {string[]} ids - Message IDs
+   * @param {string[]} metadataHeaders - Headers to include
+   * @param {Object} options
+   * @param {Function} options.onProgress - (done, total) after each batch
+   * @returns {Promise<{ messages: Map<string, Object>, errors: Map<string, Error> }>}
+   *   errors holds the messages that couldn't be fetched (e.g. deleted meanwhile)
+   */
+  async fetchAll(ids, metadataHeaders, { onProgress } = {}) {
+    const cache = await getMessageCache(this.gmail);
+    return cache.getMetadataMany(ids, metadataHeaders, requests => this.fetchFromGmail(requests, ids.length - requests.length, ids.length, onProgress));
+  }
+
+  /**
+   * Metadata for one message; throws if it can't be fetched
+   */
+  async fetchOne(id, metadataHeaders) {
+    const { messages, errors } = await this.fetchAll([id], metadataHeaders);
+    if (errors.has(id)) throw errors.get(id);
+    return messages.get(id);
+  }
+
+  /**
+   * Each message's current labels, read from Gmail rather than the cache
+   * @param {string[]} ids - Message IDs
+   * @returns {Promise<{ labels: Map<string, string[]>, errors: Map<string, Error> }>}
+   */
+  async fetchLabels(ids) {
+    const { messages, errors } = await this.fetchFromGmail(ids.map(id => ({ id, format: 'minimal' })), 0, ids.length);
+    const labels = new Map([...messages].map(([id, message]) => [id, message.labelIds || []]));
+    return { labels, errors };
+  }
+
+  // Fetch [{ id, metadataHeaders, format }] in batches, retrying failed calls in rounds
+  async fetchFromGmail(requests, alreadyDone, total, onProgress) {
+    const toCall = ({ id, metadataHeaders, format = 'metadata' }) => ({
+      method: 'messages.get',
+      params: { userId: 'me', id, format, metadataHeaders }
+    });
+    return this.sendInRounds(requests, toCall, { alreadyDone, total, onProgress });
+  }
+
+  /**
+   * Make one get call per request through batch requests, retrying the calls
+   * that failed with a rate limit or server error in rounds, with backoff
+   * @param {Array<{ id: string }>} requests - What to fetch, by ID
+   * @param {Function} toCall - request => { method, params } for gmail.batch
+   * @param {Object} options
+   * @param {number} options.alreadyDone - Items done before these, for progress
+   * @param {number} options.total - All items, for progress
+   * @param {Function} options.onProgress - (done, total) after each batch
+   * @param {string} options.noun - What is fetched, for warnings ("message")
+   * @returns {Promise<{ messages: Map<string, Object>, errors: Map<string, Error> }>}
+   *   messages holds each call's response by request ID
+   */
+  async sendInRounds(requests, toCall, { alreadyDone = 0, total = requests.length, onProgress, noun = 'message' } = {}) {
+    const messages = new Map();
+    const errors = new Map();
+    let pending = requests;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const retry = [];
+      // Longest Retry-After among rate-limited calls, or 0 if none was rate limited
+      let rateLimitedFor = null;
+
+      for (let i = 0; i < pending.length; i += this.batchSize) {
+        const chunk = pending.slice(i, i + this.batchSize);
+        // A failure of the batch request itself (network, auth) retries the whole chunk
+        const results = await withRetry(() => this.gmail.batch(chunk.map(toCall)));
+
+        results.forEach((result, index) => {
+          const request = chunk[index];
+          if (result.data) {
+            messages.set(request.id, result.data);
+          } else if (isRetryable(result) && attempt < this.maxRetries) {
+            retry.push(request);
+            if (isRateLimitError(result.error)) {
+              rateLimitedFor = Math.max(rateLimitedFor ?? 0, retryAfterMs(result.error) ?? 0);
+            }
+          } else {
+            errors.set(request.id, result.error);
+          }
+        });
+
+        if (onProgress) onProgress(alreadyDone + messages.size + errors.size, total);
+      }
+
+      pending = retry;
+      if (pending.length > 0) {
+        // Rate limits back off harder and pause every Gmail call, as in withRetry
+        const delay = rateLimitedFor === null
+          ? this.baseDelay * Math.pow(2, attempt)
+          : rateLimitedFor || this.baseDelay * Math.pow(2, attempt + 2);
+        console.warn(`${pending.length} ${noun}${pending.length === 1 ? '' : 's'} failed in the batch. ` +
+          `Retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+        await (rateLimitedFor === null ? sleep(delay) : getQuotaLimiter().pause(delay));
+      }
+    }
+
+    return { messages, errors };
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Minimal RFC 5322 / MIME parsing for locally stored mail. Produces the same
+ * shapes the Gmail API returns (headers as { name, value }, payload parts with
+ * mimeType, filename and body) so callers can't tell the difference.
+ */
+
+/**
+ * Split raw message text into its header block and body
+ */
+export function splitMessage(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) return { headerText: raw, body: '' };
+  return {
+    headerText: raw.slice(0, match.index),
+    body: raw.slice(match.index + match[0].length)
+  };
+}
+
+function decodeBytes(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(text, { header = false } = {}) {
+  const source = header ? text.replace(/_/g, ' ') : text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?utf-8?B?...?=) in a header value
+ */
+export function decodeHeaderValue(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text, { header: true });
+      return decodeBytes(bytes, charset);
+    });
+}
+
+/**
+ * Parse a header block, unfolding continuation lines
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function parseHeaders(headerText) {
+  const headers = [];
+  for (const line of headerText.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].value += ' ' + line.trim();
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() });
+    }
+  }
+  return headers.map(h => ({ name: h.name, value: decodeHeaderValue(h.value) }));
+}
+
+export function getHeader(headers, name) {
+  const lower = name.toLowerCase();
+  return headers.find(h => h.name.toLowerCase() === lower)?.value || '';
+}
+
+// "text/plain; charset=utf-8; name=a.txt" -> { value: 'text/plain', params: { charset, name } }
+function parseHeaderParams(value) {
+  const [first, ...rest] = value.split(';');
+  const params = {};
+  for (const part of rest) {
+    const eq = part.indexOf('=');
+    if (eq > 0) {
+      params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim().replace(/^"|"$/g, '');
+    }
+  }
+  return { value: first.trim().toLowerCase(), params };
+}
+
+function decodeBody(body, transferEncoding) {
+  switch ((transferEncoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'utf8');
+  }
+}
+
+function toBase64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function buildPart(raw, partId) {
+  const { headerText, body } = splitMessage(raw);
+  const headers = parseHeaders(headerText);
+  const contentType = parseHeaderParams(getHeader(headers, 'Content-Type') || 'text/plain');
+  const disposition = parseHeaderParams(getHeader(headers, 'Content-Disposition') || '');
+  const filename = disposition.params.filename || contentType.params.name || '';
+
+  const part = { partId, mimeType: contentType.value, filename, headers, body: { size: 0 } };
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const boundary = `--${contentType.params.boundary}`;
+    const sections = body.split(boundary).slice(1);
+    part.parts = sections
+      .filter(section => !section.startsWith('--'))
+      .map((section, index) => buildPart(section.replace(/^\r?\n/, ''), partId ? `${partId}.${index}` : `${index}`));
+    return part;
+  }
+
+  const decoded = decodeBody(body, getHeader(headers, 'Content-Transfer-Encoding'));
+  part.body.size = decoded.length;
+  if (filename) {
+    // Gmail returns attachment contents separately; we only need the size
+    part.body.attachmentId = `local-${partId || '0'}`;
+  } else {
+    part.body.data = toBase64Url(decoded);
+  }
+  return part;
+}
+
+/**
+ * Build a Gmail-style payload from a raw message
+ */
+export function buildPayload(raw) {
+  return buildPart(raw, '');
+}
+
+function findText(part, mimeType) {
+  if (part.mimeType === mimeType && part.body.data) {
+    return Buffer.from(part.body.data, 'base64url').toString('utf8');
+  }
+  for (const child of part.parts || []) {
+    const text = findText(child, mimeType);
+    if (text) return text;
+  }
+  return '';
+}
+
+/**
+ * Plain-text preview like Gmail's snippet
+ */
+export function buildSnippet(payload, length = 200) {
+  const text = findText(payload, 'text/plain') ||
+    findText(payload, 'text/html').replace(/<style[\s\S]*?<\/style>/gi, '').replace(/<[^>]+>/g, ' ');
+  return text.replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim().slice(0, length);
+}
+
+export function encodeRaw(raw) {
+  return toBase64Url(Buffer.from(raw, 'utf8'));
+}
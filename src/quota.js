@@ -0,0 +1,257 @@
+/**
+ * Gmail quota accounting.
+ *
+ * Gmail doesn't count requests, it counts quota units: messages.get costs 5,
+ * messages.batchModify 50, getProfile 1, and so on, against a per-user limit
+ * of 250 units per second. Every Gmail client from createGmailClient() takes
+ * the right number of units from one token bucket per process before each
+ * call, so concurrent workers share the budget instead of each assuming they
+ * have it all. When Gmail still answers 429, withRetry() pauses the whole
+ * bucket for the Retry-After time (or its own backoff), and at the end of a
+ * run the units used are reported per method.
+ *
+ * GMAIL_QUOTA_UNITS_PER_SECOND lowers the budget, e.g. to leave room for
+ * another tool using the same account.
+ */
+import chalk from 'chalk';
+
+// Units per call, from https://developers.google.com/gmail/api/reference/quota
+export const QUOTA_UNITS = {
+  getProfile: 1,
+  'history.list': 2,
+  'labels.list': 1,
+  'labels.get': 1,
+  'labels.create': 5,
+  'labels.update': 5,
+  'labels.patch': 5,
+  'labels.delete': 5,
+  'messages.list': 5,
+  'messages.get': 5,
+  'messages.modify': 5,
+  'messages.trash': 5,
+  'messages.untrash': 5,
+  'messages.delete': 10,
+  'messages.batchModify': 50,
+  'messages.batchDelete': 50,
+  'messages.send': 100,
+  'messages.attachments.get': 5,
+  'threads.list': 10,
+  'threads.get': 10,
+  'threads.modify': 10,
+  'threads.trash': 10,
+  'settings.filters.list': 1,
+  'settings.filters.get': 1,
+  'settings.filters.create': 5,
+  'settings.filters.delete': 5
+};
+
+// Gmail's per-user limit
+const DEFAULT_UNITS_PER_SECOND = 250;
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * How long a rate-limited response asks us to wait, from its Retry-After
+ * header (seconds or an HTTP date)
+ * @returns {number|null} milliseconds, or null without the header
+ */
+export function retryAfterMs(error) {
+  const headers = error?.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether an error means Gmail wants us to slow down
+ */
+export function isRateLimitError(error) {
+  return error?.code === 429 ||
+    (error?.code === 403 && ['rateLimitExceeded', 'userRateLimitExceeded'].includes(error.reason ?? error.errors?.[0]?.reason)) ||
+    Boolean(error?.message?.includes('Rate Limit'));
+}
+
+export class QuotaLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.unitsPerSecond - Refill rate
+   * @param {number} options.burst - Bucket size (defaults to one second's worth)
+   */
+  constructor({ unitsPerSecond = DEFAULT_UNITS_PER_SECOND, burst = unitsPerSecond } = {}) {
+    this.unitsPerSecond = unitsPerSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    // Callers wait their turn one at a time, so a big call isn't starved by small ones
+    this.queue = Promise.resolve();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = { startedAt: Date.now(), methods: {}, units: 0, calls: 0, waitedMs: 0, throttled: 0 };
+  }
+
+  refill() {
+    const now = Date.now();
+    // refilledAt is in the future while paused
+    const elapsed = Math.max(0, now - this.refilledAt);
+    this.tokens = Math.min(this.burst, this.tokens + (elapsed / 1000) * this.unitsPerSecond);
+    this.refilledAt = Math.max(now, this.refilledAt);
+  }
+
+  /**
+   * Wait until `units` are available and take them
+   * @param {number} units - Quota units the call costs
+   * @param {string} method - API method, for the report
+   * @param {number} calls - API calls the units cover (several for a batch)
+   */
+  take(units, method, calls = 1) {
+    const turn = this.queue.then(async () => {
+      const started = Date.now();
+      // A single call bigger than the bucket still goes through once the bucket is full
+      const needed = Math.min(units, this.burst);
+
+      for (;;) {
+        if (Date.now() < this.pausedUntil) {
+          await wait(this.pausedUntil - Date.now());
+          continue;
+        }
+        this.refill();
+        if (this.tokens >= needed) break;
+        await wait(Math.ceil(((needed - this.tokens) / this.unitsPerSecond) * 1000));
+      }
+
+      this.tokens -= units;
+      this.record(method, units, calls, Date.now() - started);
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  record(method, units, calls, waitedMs) {
+    const entry = this.stats.methods[method] || (this.stats.methods[method] = { calls: 0, units: 0 });
+    entry.calls += calls;
+    entry.units += units;
+    this.stats.calls += calls;
+    this.stats.units += units;
+    this.stats.waitedMs += waitedMs;
+  }
+
+  /**
+   * Gmail said slow down: stop every caller for `ms` and start again with an
+   * empty bucket. Resolves when the pause is over.
+   */
+  async pause(ms) {
+    this.stats.throttled++;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+    this.refilledAt = this.pausedUntil;
+    await wait(this.pausedUntil - Date.now());
+  }
+
+  /**
+   * Quota used since the last reset. unitsPerSecond is the average over the
+   * measured time; a run shorter than a few seconds can average more than the
+   * limit, since the budget starts with a full second's worth of units
+   * @returns {{ units: number, calls: number, elapsedMs: number, unitsPerSecond: number|null,
+   *   waitedMs: number, throttled: number, methods: Object<string, { calls: number, units: number }> }}
+   */
+  summary() {
+    const elapsedMs = Date.now() - this.stats.startedAt;
+    return {
+      units: this.stats.units,
+      calls: this.stats.calls,
+      elapsedMs,
+      unitsPerSecond: elapsedMs > 0 ? Number((this.stats.units / (elapsedMs / 1000)).toFixed(1)) : null,
+      waitedMs: this.stats.waitedMs,
+      throttled: this.stats.throttled,
+      methods: this.stats.methods
+    };
+  }
+
+  printReport() {
+    const summary = this.summary();
+    if (summary.calls === 0) return;
+
+    // No rate here: over a short run the starting budget makes the average look above the limit
+    console.log(chalk.gray(`\n📈 Gmail quota: ${summary.units} units in ${summary.calls} calls` +
+      ` over ${(summary.elapsedMs / 1000).toFixed(1)}s (limit ${this.unitsPerSecond} units/s)`));
+    Object.entries(summary.methods)
+      .sort((a, b) => b[1].units - a[1].units)
+      .forEach(([method, { calls, units }]) => {
+        console.log(chalk.gray(`   ${method.padEnd(24)} ${String(calls).padStart(6)} calls ${String(units).padStart(8)} units`));
+      });
+    if (summary.waitedMs > 0 || summary.throttled > 0) {
+      console.log(chalk.gray(`   Waited ${(summary.waitedMs / 1000).toFixed(1)}s for quota; rate limited ${summary.throttled} times`));
+    }
+  }
+}
+
+let limiter = null;
+
+/**
+ * The process-wide limiter every Gmail client shares. Its report is printed
+ * when the process is about to exit.
+ */
+export function getQuotaLimiter() {
+  if (!limiter) {
+    const unitsPerSecond = Number(process.env.GMAIL_QUOTA_UNITS_PER_SECOND || DEFAULT_UNITS_PER_SECOND);
+    if (!Number.isFinite(unitsPerSecond) || unitsPerSecond <= 0) {
+      throw new Error(`GMAIL_QUOTA_UNITS_PER_SECOND must be a positive number (got "${process.env.GMAIL_QUOTA_UNITS_PER_SECOND}")`);
+    }
+    limiter = new QuotaLimiter({ unitsPerSecond });
+    process.once('beforeExit', () => limiter.printReport());
+  }
+  return limiter;
+}
+
+/**
+ * Wrap a Gmail client so every method in QUOTA_UNITS, and every call in a
+ * batch(), takes its units from the limiter first. Other methods pass through.
+ * @param {Object} client - googleapis Gmail client or a mailbox client
+ * @param {QuotaLimiter} quota - Defaults to the shared limiter
+ */
+export function meterClient(client, quota = getQuotaLimiter()) {
+  // googleapis clients are frozen, so each level is a new object inheriting from the original
+  const metered = Object.create(client);
+  const define = (target, name, value) => Object.defineProperty(target, name, { value, enumerable: true });
+
+  for (const [method, units] of Object.entries(QUOTA_UNITS)) {
+    const path = ['users', ...method.split('.')];
+    const name = path.pop();
+    let source = client;
+    let target = metered;
+
+    for (const part of path) {
+      source = source?.[part];
+      if (!source) break;
+      if (!Object.prototype.hasOwnProperty.call(target, part)) define(target, part, Object.create(source));
+      target = target[part];
+    }
+    if (typeof source?.[name] !== 'function') continue;
+
+    const call = source[name].bind(source);
+    define(target, name, async (...args) => {
+      await quota.take(units, method);
+      return call(...args);
+    });
+  }
+
+  if (typeof client.batch === 'function') {
+    define(metered, 'batch', async requests => {
+      // Each call in a batch costs what it would on its own; batches hold one method
+      const units = requests.reduce((sum, request) => sum + (QUOTA_UNITS[request.method] || 0), 0);
+      await quota.take(units, requests[0]?.method || 'batch', requests.length);
+      return client.batch(requests);
+    });
+  }
+
+  return metered;
+}
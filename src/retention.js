@@ -0,0 +1,172 @@
+/**
+ * Retention policies: how long mail under a label or inbox category is kept.
+ *
+ * Policies come from the "retention" list in rules.json (see rules.js), e.g.
+ * "trash Filtered/Promotional after 30 days" or "archive Receipts after 90
+ * days but never delete". A run first plans - finds the mail each policy
+ * expires - and then applies the plan through the journal, so every expiry
+ * is recorded with the policy that caused it and can be undone.
+ *
+ * Whatever the policies say, starred mail, VIP and protected senders are
+ * never touched, and mail under a neverDelete policy is never trashed. A
+ * message expired by one policy is left alone by the policies after it.
+ * "Trash" is Gmail's trash, which empties itself after 30 days.
+ */
+import { RETENTION_CATEGORIES } from './rules.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+import { withRetry, extractEmail, isProtectedSender, isFromProtectedDomain } from './utils.js';
+
+// batchModify takes up to 1000 IDs
+const MODIFY_BATCH_SIZE = 500;
+
+// Trashing also takes mail out of the inbox. Journal.modify records only the
+// labels a message really had, so undoing a trash run over Likely Spam or
+// archived mail takes it out of the trash without moving it into the inbox
+const ACTIONS = {
+  archive: { removeLabelIds: ['INBOX'] },
+  trash: { addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] }
+};
+
+function headerValue(message, name) {
+  return (message.payload?.headers || []).find(header => header.name.toLowerCase() === name)?.value || '';
+}
+
+/**
+ * "label Receipts" or "category promotions", for reports
+ */
+export function describeTarget(policy) {
+  return policy.label ? `label ${policy.label}` : `category ${policy.category}`;
+}
+
+export class RetentionPolicies {
+  /**
+   * @param {Object} gmail - Gmail client from createGmailClient
+   * @param {Object[]} policies - The "retention" list from loadRules()
+   * @param {string[]} keep - VIP and protected senders
+   */
+  constructor(gmail, policies, keep = []) {
+    this.gmail = gmail;
+    this.policies = policies;
+    this.keep = keep;
+    this.fetcher = new MetadataFetcher(gmail);
+  }
+
+  // Label IDs by name, from the mailbox
+  async labelIds() {
+    const response = await withRetry(() => this.gmail.users.labels.list({ userId: 'me' }));
+    return new Map((response.data.labels || []).map(label => [label.name.toLowerCase(), label.id]));
+  }
+
+  isProtected(email) {
+    return (this.keep.length > 0 && isProtectedSender(email, this.keep)) || isFromProtectedDomain(email);
+  }
+
+  // IDs of the policy's mail older than its cutoff, up to `limit`
+  async listExpired(labelId, policy, limit) {
+    const query = [
+      `older_than:${policy.olderThanDays}d`,
+      '-is:starred',
+      // Archiving only concerns mail still in the inbox
+      policy.action === 'archive' ? 'in:inbox' : ''
+    ].filter(Boolean).join(' ');
+
+    const ids = [];
+    let pageToken;
+    do {
+      const response = await withRetry(() => this.gmail.users.messages.list({
+        userId: 'me',
+        labelIds: [labelId],
+        q: query,
+        maxResults: Math.min(limit - ids.length, 500),
+        pageToken
+      }));
+      (response.data.messages || []).forEach(message => ids.push(message.id));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < limit);
+    return ids;
+  }
+
+  /**
+   * Find what each policy expires, without changing anything
+   * @param {Object} options
+   * @param {number} options.limit - Most messages per policy in one run
+   * @param {Function} options.onProgress - (policy) before each policy
+   * @returns {Promise<Array<{ id: string, target: string, action: string, olderThanDays: number,
+   *   neverDelete: boolean, labelFound: boolean, expire: Object[], skipped: Object }>>}
+   */
+  async plan({ limit = 1000, onProgress } = {}) {
+    const labels = await this.labelIds();
+    const resolve = policy => (policy.category
+      ? RETENTION_CATEGORIES[policy.category]
+      : labels.get(policy.label.toLowerCase()) || null);
+
+    // Label IDs whose mail must never be trashed
+    const neverDelete = new Set(this.policies.filter(p => p.neverDelete).map(resolve).filter(Boolean));
+    const handled = new Set();
+    const plan = [];
+
+    for (const policy of this.policies) {
+      if (onProgress) onProgress(policy);
+      const labelId = resolve(policy);
+      const entry = {
+        id: policy.id,
+        target: describeTarget(policy),
+        action: policy.action,
+        olderThanDays: policy.olderThanDays,
+        neverDelete: Boolean(policy.neverDelete),
+        labelFound: Boolean(labelId),
+        expire: [],
+        skipped: { protected: 0, neverDelete: 0, earlierPolicy: 0 }
+      };
+      plan.push(entry);
+      if (!labelId) continue;
+
+      const ids = await this.listExpired(labelId, policy, limit);
+      const { messages } = await this.fetcher.fetchAll(ids, ['From', 'Subject', 'Date']);
+
+      for (const id of ids) {
+        const message = messages.get(id);
+        // Gone since it was listed
+        if (!message) continue;
+
+        const fromEmail = extractEmail(headerValue(message, 'from'));
+        if (handled.has(id)) {
+          entry.skipped.earlierPolicy++;
+        } else if (this.isProtected(fromEmail)) {
+          entry.skipped.protected++;
+        } else if (policy.action === 'trash' && (message.labelIds || []).some(label => neverDelete.has(label))) {
+          entry.skipped.neverDelete++;
+        } else {
+          handled.add(id);
+          entry.expire.push({
+            id,
+            from: fromEmail,
+            subject: headerValue(message, 'subject'),
+            date: message.internalDate ? new Date(Number(message.internalDate)).toISOString() : null
+          });
+        }
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Archive or trash what the plan expires, journaling each change with its policy
+   * @param {Array} plan - From plan()
+   * @param {Journal} journal - Records the changes for undo
+   * @param {Object} gmail - Client with modify access (plan() only needs read)
+   * @returns {Promise<number>} messages changed
+   */
+  async apply(plan, journal, gmail = this.gmail) {
+    let changed = 0;
+    for (const entry of plan) {
+      const ids = entry.expire.map(message => message.id);
+      for (let i = 0; i < ids.length; i += MODIFY_BATCH_SIZE) {
+        const batch = ids.slice(i, i + MODIFY_BATCH_SIZE);
+        changed += await withRetry(() => journal.modify(gmail, batch, ACTIONS[entry.action], { policy: entry.id }));
+      }
+    }
+    return changed;
+  }
+}
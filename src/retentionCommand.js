@@ -0,0 +1,184 @@
+import { authorize, createGmailClient } from './mailProvider.js';
+import { RetentionPolicies } from './retention.js';
+import { loadRules } from './rules.js';
+import { saveMessageCache } from './messageCache.js';
+import { Journal } from './journal.js';
+import { statePath } from './accounts.js';
+import { Daemon } from './daemon.js';
+import { daemonSettings } from './schedule.js';
+import { getQuotaLimiter } from './quota.js';
+import { getCliOptions, confirm, EXIT_USAGE } from './cliOptions.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
+import chalk from 'chalk';
+import ora from 'ora';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Separate from the continuous daemon's, so both can run
+export const RETENTION_STATUS_FILE = statePath('.retention-status.json');
+
+// Retention is a slow-moving job: once a day unless told otherwise
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+
+function envList(name) {
+  return process.env[name] ? process.env[name].split(',').map(e => e.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+function displayPlan(plan) {
+  console.log(chalk.bold.cyan('\n🗓️  Retention policies'));
+  console.log(chalk.gray('='.repeat(60)));
+
+  plan.forEach(entry => {
+    const verb = entry.action === 'trash' ? 'Trash' : 'Archive';
+    console.log(chalk.bold(`\n${entry.id}`) +
+      chalk.gray(` - ${verb} ${entry.target} after ${entry.olderThanDays} day${entry.olderThanDays === 1 ? '' : 's'}${entry.neverDelete ? ', never delete' : ''}`));
+
+    if (!entry.labelFound) {
+      console.log(chalk.yellow('  Label not found in this mailbox - nothing to do'));
+      return;
+    }
+
+    const color = entry.action === 'trash' ? chalk.red : chalk.green;
+    console.log(color(`  ${entry.expire.length} email${entry.expire.length === 1 ? '' : 's'} expired`));
+    const { protected: protectedCount, neverDelete, earlierPolicy } = entry.skipped;
+    if (protectedCount > 0) console.log(chalk.yellow(`  ${protectedCount} kept: VIP or protected sender`));
+    if (neverDelete > 0) console.log(chalk.yellow(`  ${neverDelete} kept: under a never-delete policy`));
+    if (earlierPolicy > 0) console.log(chalk.gray(`  ${earlierPolicy} already expired by an earlier policy`));
+
+    entry.expire.slice(0, 3).forEach(message => {
+      const subject = message.subject.length > 50 ? message.subject.substring(0, 50) + '...' : message.subject;
+      console.log(chalk.gray(`    • ${message.date ? message.date.slice(0, 10) : '????-??-??'} ${message.from}: "${subject}"`));
+    });
+    if (entry.expire.length > 3) console.log(chalk.gray(`    ... and ${entry.expire.length - 3} more`));
+  });
+}
+
+// Plan every policy and, unless this is a dry run, apply the plan
+async function runRetention(auth, policies, keep, journal) {
+  const options = getCliOptions();
+  const retention = new RetentionPolicies(createGmailClient(auth), policies, keep);
+
+  const spinner = ora('Finding expired mail...').start();
+  let plan;
+  try {
+    plan = await retention.plan({
+      limit: options.limit || 1000,
+      onProgress: policy => { spinner.text = `Finding expired mail for ${policy.id}...`; }
+    });
+    await saveMessageCache();
+  } catch (error) {
+    spinner.fail('Failed to find expired mail');
+    throw error;
+  }
+
+  const total = plan.reduce((sum, entry) => sum + entry.expire.length, 0);
+  spinner.succeed(`${total} email${total === 1 ? '' : 's'} expired under ${plan.length} policies`);
+  displayPlan(plan);
+
+  let changed = 0;
+  if (total === 0) {
+    console.log(chalk.green('\n✨ Nothing has expired.'));
+  } else if (options.dryRun) {
+    console.log(chalk.yellow(`\nDry run - would expire ${total} emails. Nothing was changed.`));
+  } else if (await confirm('\n' + chalk.bold.yellow(`Expire ${total} emails as listed? (y/n): `))) {
+    const gmail = createGmailClient(await authorize({ access: 'modify' }));
+    spinner.start('Applying retention policies...');
+    changed = await retention.apply(plan, journal, gmail);
+    spinner.succeed(`Expired ${changed} emails`);
+  } else {
+    console.log(chalk.yellow('\nNothing was changed.'));
+  }
+
+  return { processed: changed, plan };
+}
+
+async function runDaemon(auth, policies, keep) {
+  const options = getCliOptions();
+  let settings;
+  try {
+    settings = daemonSettings(options.args, { env: 'RETENTION', defaultInterval: DEFAULT_INTERVAL_MINUTES });
+  } catch (error) {
+    console.error(chalk.red('❌'), error.message);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  if (options.json) {
+    console.error(chalk.red('❌ --json prints one report when a command finishes, so it can\'t be used with --daemon (see .retention-status.json).'));
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  // Nobody is there to answer prompts, so the caller decides up front
+  if (!options.yes && !options.dryRun) {
+    console.error(chalk.red('❌ Daemon mode never prompts. Add --yes to expire mail automatically, or --dry-run to only report.'));
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+  options.nonInteractive = true;
+
+  const daemon = new Daemon({
+    ...settings,
+    statusFile: RETENTION_STATUS_FILE,
+    runOnce: async () => {
+      const journal = new Journal('retention');
+      // Report each run's quota on its own rather than the daemon's lifetime total
+      const quota = getQuotaLimiter();
+      quota.resetStats();
+      const { processed } = await runRetention(auth, policies, keep, journal);
+      const undoHint = journal.describeUndo();
+      if (undoHint) console.log(chalk.gray(undoHint));
+      quota.printReport();
+      const quotaUnits = quota.summary().units;
+      quota.resetStats();
+      return { processed, quotaUnits };
+    }
+  });
+  await daemon.start();
+}
+
+async function main() {
+  const options = getCliOptions();
+  const json = jsonOutput();
+  console.log(chalk.bold.cyan('\n🗓️  Retention\n'));
+
+  try {
+    const rules = await loadRules();
+    if (rules.retention.length === 0) {
+      console.log(chalk.yellow('No retention policies - add a "retention" list to rules.json (see the README).'));
+      if (json) printJsonReport('retention', { dryRun: options.dryRun, runId: null, policies: [] });
+      return;
+    }
+
+    const keep = [...envList('VIP_EMAILS'), ...envList('PROTECTED_SENDERS'), ...rules.protectedSenders];
+    // Planning only reads; modify access is requested when the plan is applied
+    const auth = await authorize({ access: 'read' });
+
+    if (options.args.includes('--daemon')) {
+      await runDaemon(auth, rules.retention, keep);
+      return;
+    }
+
+    const journal = new Journal('retention');
+    const { plan } = await runRetention(auth, rules.retention, keep, journal);
+    if (json) {
+      printJsonReport('retention', {
+        dryRun: options.dryRun,
+        runId: journal.count > 0 ? journal.runId : null,
+        policies: plan
+      });
+    }
+
+    const undoHint = journal.describeUndo();
+    if (undoHint) console.log(chalk.gray(undoHint));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    if (error.message.includes('invalid_grant')) {
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
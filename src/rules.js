@@ -0,0 +1,370 @@
+/**
+ * Declarative filter rules shared by every script that creates filters or
+ * bulk-moves mail. Rules live in a versioned JSON file (rules.json in the
+ * project root by default, or RULES_FILE) so adding a sender never needs a
+ * code change.
+ *
+ * Rule shape:
+ *   {
+ *     "id": "paypal-marketing",              // unique, lowercase-kebab
+ *     "description": "PayPal marketing",     // optional, shown in reports
+ *     "match": {                             // at least one criterion
+ *       "from": "service@paypal.com",        // sender address or prefix ("prize@")
+ *       "domain": "email.meetup.com",        // any sender at this domain (not with "from")
+ *       "subject": ["payment", "refund"],    // subject contains any of these
+ *       "query": "subject:\"Weekly Digest:\"" // raw Gmail search query
+ *     },
+ *     "exclude": {                           // optional
+ *       "subject": ["payment"],              // subject contains none of these
+ *       "domains": ["chase.com"]             // sender not at these domains
+ *     },
+ *     "label": "Filtered/Promotional",       // required, except for "trash" rules
+ *     "action": "archive",                   // archive | trash | keep_inbox
+ *     "retroactive": true                    // also apply to mail already in the inbox
+ *   }
+ *
+ * An optional "retention" list says how long mail under a label or inbox
+ * category is kept (see retention.js):
+ *   {
+ *     "id": "promotional-30d",
+ *     "label": "Filtered/Promotional",       // a label name, or
+ *     "category": "promotions",              // primary | social | promotions | updates | forums
+ *     "olderThanDays": 30,
+ *     "action": "trash",                     // archive | trash
+ *     "neverDelete": true                    // optional, archive only: no trash policy touches this mail
+ *   }
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const RULES_VERSION = 1;
+export const RULE_ACTIONS = ['archive', 'trash', 'keep_inbox'];
+export const RETENTION_ACTIONS = ['archive', 'trash'];
+
+// Inbox categories a retention policy can name, and their Gmail label IDs
+export const RETENTION_CATEGORIES = {
+  primary: 'CATEGORY_PERSONAL',
+  social: 'CATEGORY_SOCIAL',
+  promotions: 'CATEGORY_PROMOTIONS',
+  updates: 'CATEGORY_UPDATES',
+  forums: 'CATEGORY_FORUMS'
+};
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../rules.json');
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MATCH_KEYS = ['from', 'domain', 'subject', 'query'];
+const EXCLUDE_KEYS = ['subject', 'domains'];
+
+export function getRulesFilePath() {
+  return process.env.RULES_FILE ? path.resolve(process.env.RULES_FILE) : DEFAULT_RULES_FILE;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+}
+
+function toList(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate the "retention" list of a rules file
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateRetention(policies) {
+  if (!Array.isArray(policies)) return ['"retention" must be a list'];
+
+  const errors = [];
+  const seenIds = new Set();
+
+  policies.forEach((policy, index) => {
+    const where = isNonEmptyString(policy?.id) ? `Retention policy "${policy.id}"` : `Retention policy #${index + 1}`;
+
+    if (!policy || typeof policy !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (!isNonEmptyString(policy.id) || !RULE_ID_PATTERN.test(policy.id)) {
+      errors.push(`${where}: "id" must be lowercase letters, digits and dashes`);
+    } else if (seenIds.has(policy.id)) {
+      errors.push(`${where}: duplicate id`);
+    } else {
+      seenIds.add(policy.id);
+    }
+
+    if ((policy.label === undefined) === (policy.category === undefined)) {
+      errors.push(`${where}: give either "label" or "category"`);
+    } else if (policy.label !== undefined && !isNonEmptyString(policy.label)) {
+      errors.push(`${where}: "label" must be a label name`);
+    } else if (policy.category !== undefined && !RETENTION_CATEGORIES[policy.category]) {
+      errors.push(`${where}: "category" must be one of ${Object.keys(RETENTION_CATEGORIES).join(', ')}`);
+    }
+
+    if (!Number.isInteger(policy.olderThanDays) || policy.olderThanDays < 1) {
+      errors.push(`${where}: "olderThanDays" must be a whole number of days, at least 1`);
+    }
+
+    if (!RETENTION_ACTIONS.includes(policy.action)) {
+      errors.push(`${where}: "action" must be one of ${RETENTION_ACTIONS.join(', ')}`);
+    }
+
+    if (policy.neverDelete !== undefined && typeof policy.neverDelete !== 'boolean') {
+      errors.push(`${where}: "neverDelete" must be true or false`);
+    } else if (policy.neverDelete && policy.action === 'trash') {
+      errors.push(`${where}: a trash policy can't also be "neverDelete"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate parsed rules data
+ * @param {Object} data - Parsed rules file contents
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateRules(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Rules file must contain a JSON object'];
+  }
+
+  if (data.version !== RULES_VERSION) {
+    errors.push(`Unsupported rules version ${JSON.stringify(data.version)} (expected ${RULES_VERSION})`);
+  }
+
+  for (const key of ['protectedSenders', 'broadFilterPatterns']) {
+    if (data[key] !== undefined && !(Array.isArray(data[key]) && data[key].every(isNonEmptyString))) {
+      errors.push(`"${key}" must be a list of strings`);
+    }
+  }
+
+  if (data.retention !== undefined) {
+    errors.push(...validateRetention(data.retention));
+  }
+
+  if (!Array.isArray(data.rules)) {
+    errors.push('"rules" must be a list');
+    return errors;
+  }
+
+  const seenIds = new Set();
+  const seenCriteria = new Map();
+
+  data.rules.forEach((rule, index) => {
+    const errorsBefore = errors.length;
+    const where = isNonEmptyString(rule?.id) ? `Rule "${rule.id}"` : `Rule #${index + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (!isNonEmptyString(rule.id) || !RULE_ID_PATTERN.test(rule.id)) {
+      errors.push(`${where}: "id" must be lowercase letters, digits and dashes`);
+    } else if (seenIds.has(rule.id)) {
+      errors.push(`${where}: duplicate id`);
+    } else {
+      seenIds.add(rule.id);
+    }
+
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      errors.push(`${where}: "action" must be one of ${RULE_ACTIONS.join(', ')}`);
+    }
+
+    if (rule.action === 'trash' && rule.label !== undefined) {
+      errors.push(`${where}: trash rules cannot add a label`);
+    } else if (rule.action !== 'trash' && !isNonEmptyString(rule.label)) {
+      errors.push(`${where}: "label" is required unless action is "trash"`);
+    }
+
+    if (rule.retroactive !== undefined && typeof rule.retroactive !== 'boolean') {
+      errors.push(`${where}: "retroactive" must be true or false`);
+    }
+
+    const match = rule.match;
+    if (!match || typeof match !== 'object') {
+      errors.push(`${where}: "match" is required`);
+      return;
+    }
+
+    const unknownMatch = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+    if (unknownMatch.length > 0) {
+      errors.push(`${where}: unknown match field(s) ${unknownMatch.join(', ')}`);
+    }
+    if (!MATCH_KEYS.some(key => match[key] !== undefined)) {
+      errors.push(`${where}: "match" needs at least one of ${MATCH_KEYS.join(', ')}`);
+    }
+    if (match.from !== undefined && match.domain !== undefined) {
+      errors.push(`${where}: use either "from" or "domain", not both`);
+    }
+    for (const key of ['from', 'domain', 'query']) {
+      if (match[key] !== undefined && !isNonEmptyString(match[key])) {
+        errors.push(`${where}: match.${key} must be a non-empty string`);
+      }
+    }
+    if (match.domain !== undefined && /[@\s*]/.test(match.domain)) {
+      errors.push(`${where}: match.domain must be a bare domain like "example.com"`);
+    }
+    if (match.subject !== undefined && !isNonEmptyString(match.subject) && !isStringList(match.subject)) {
+      errors.push(`${where}: match.subject must be a string or list of strings`);
+    }
+
+    if (rule.exclude !== undefined) {
+      if (!rule.exclude || typeof rule.exclude !== 'object') {
+        errors.push(`${where}: "exclude" must be an object`);
+      } else {
+        const unknownExclude = Object.keys(rule.exclude).filter(key => !EXCLUDE_KEYS.includes(key));
+        if (unknownExclude.length > 0) {
+          errors.push(`${where}: unknown exclude field(s) ${unknownExclude.join(', ')}`);
+        }
+        for (const key of EXCLUDE_KEYS) {
+          if (rule.exclude[key] !== undefined && !isStringList(rule.exclude[key])) {
+            errors.push(`${where}: exclude.${key} must be a list of strings`);
+          }
+        }
+      }
+    }
+
+    if (errors.length > errorsBefore) return;
+
+    // Two rules with identical criteria would create competing Gmail filters
+    const key = JSON.stringify(ruleToFilter(rule).criteria);
+    if (seenCriteria.has(key)) {
+      errors.push(`${where}: same criteria as rule "${seenCriteria.get(key)}"`);
+    } else {
+      seenCriteria.set(key, rule.id);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load and validate the rules file
+ * @param {string} filePath - Defaults to RULES_FILE or rules.json in the project root
+ */
+export async function loadRules(filePath = getRulesFilePath()) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read rules file ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateRules(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    version: data.version,
+    protectedSenders: data.protectedSenders || [],
+    broadFilterPatterns: data.broadFilterPatterns || [],
+    rules: data.rules,
+    retention: data.retention || []
+  };
+}
+
+function quoteTerm(term) {
+  return /\s/.test(term) ? `"${term}"` : term;
+}
+
+function anyOf(operator, terms) {
+  const quoted = terms.map(quoteTerm);
+  return quoted.length === 1 ? `${operator}:${quoted[0]}` : `${operator}:(${quoted.join(' OR ')})`;
+}
+
+/**
+ * The "from" criterion Gmail should match for a rule, if any
+ */
+export function getRuleSender(rule) {
+  if (rule.match.from) return rule.match.from;
+  if (rule.match.domain) return `*@${rule.match.domain}`;
+  return null;
+}
+
+/**
+ * Convert a rule into Gmail filter criteria and action. Labels are returned by
+ * name; callers resolve them to label IDs before creating the filter.
+ */
+export function ruleToFilter(rule) {
+  const criteria = {};
+  const sender = getRuleSender(rule);
+  if (sender) {
+    criteria.from = sender;
+  }
+
+  const queryParts = [];
+  if (rule.match.subject) {
+    queryParts.push(anyOf('subject', toList(rule.match.subject)));
+  }
+  if (rule.match.query) {
+    queryParts.push(rule.match.query);
+  }
+  toList(rule.exclude?.subject).forEach(term => queryParts.push(`-subject:${quoteTerm(term)}`));
+  if (queryParts.length > 0) {
+    criteria.query = queryParts.join(' ');
+  }
+
+  if (rule.exclude?.domains) {
+    criteria.negatedQuery = anyOf('from', rule.exclude.domains);
+  }
+
+  const action = { addLabelNames: [], addLabelIds: [], removeLabelIds: [] };
+  if (rule.label) {
+    action.addLabelNames.push(rule.label);
+  }
+  if (rule.action === 'trash') {
+    action.addLabelIds.push('TRASH');
+  }
+  if (rule.action === 'archive') {
+    action.removeLabelIds.push('INBOX');
+  }
+
+  return { criteria, action };
+}
+
+/**
+ * Build the Gmail filter request body for a rule
+ * @param {Object} rule - Rule from the rules file
+ * @param {Function} ensureLabel - Async (labelName) => labelId
+ */
+export async function buildFilterRequest(rule, ensureLabel) {
+  const { criteria, action } = ruleToFilter(rule);
+  const addLabelIds = [...action.addLabelIds];
+  for (const labelName of action.addLabelNames) {
+    addLabelIds.push(await ensureLabel(labelName));
+  }
+
+  const gmailAction = {};
+  if (addLabelIds.length > 0) gmailAction.addLabelIds = addLabelIds;
+  if (action.removeLabelIds.length > 0) gmailAction.removeLabelIds = action.removeLabelIds;
+
+  return { criteria, action: gmailAction };
+}
+
+/**
+ * Gmail search query matching the mail a rule applies to
+ * @param {Object} rule - Rule from the rules file
+ * @param {Object} options - { inboxOnly: restrict to mail still in the inbox }
+ */
+export function ruleToSearchQuery(rule, { inboxOnly = false } = {}) {
+  const { criteria } = ruleToFilter(rule);
+  const parts = [];
+  if (criteria.from) parts.push(`from:${criteria.from}`);
+  if (inboxOnly) parts.push('in:inbox');
+  if (criteria.query) parts.push(criteria.query);
+  if (criteria.negatedQuery) parts.push(`-${criteria.negatedQuery}`);
+  return parts.join(' ');
+}
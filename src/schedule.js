@@ -0,0 +1,214 @@
+/**
+ * When the daemon runs: a fixed interval or a cron expression, minus quiet hours.
+ * Times are local time, like cron.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Field ranges for "minute hour day-of-month month day-of-week"
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Far enough to find any valid expression, including "0 0 29 2 *"
+const CRON_SEARCH_LIMIT = 8 * 366 * 24 * 60;
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${part}"`);
+    }
+
+    const [, start, end, step] = match;
+    const from = start === '*' ? min : Number(start);
+    const to = end !== undefined ? Number(end) : (start === '*' || step ? max : from);
+    const by = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || by === 0) {
+      throw new Error(`Cron ${name} "${part}" is outside ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += by) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression ("*\/15 8-18 * * 1-5")
+ * Supports *, lists, ranges and steps; day of week 0 and 7 are both Sunday.
+ * @param {string} expression - Cron expression
+ * @returns {{ minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>,
+ *   month: Set<number>, dayOfWeek: Set<number>, restrictsDayOfMonth: boolean, restrictsDayOfWeek: boolean }}
+ */
+export function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields (minute hour day month weekday), got "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    restrictsDayOfMonth: parts[2] !== '*',
+    restrictsDayOfWeek: parts[4] !== '*'
+  };
+}
+
+function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getMinutes()) || !cron.hour.has(date.getHours()) ||
+      !cron.month.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  // As in cron, when both day fields are restricted either one may match
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+  if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Build a schedule from either an interval or a cron expression
+ * @param {Object} options
+ * @param {number} options.intervalMinutes - Minutes between runs
+ * @param {string} options.cron - Cron expression (takes precedence over the interval)
+ * @returns {{ description: string, next: (after: Date) => Date, firstAtOrAfter: (date: Date) => Date }}
+ */
+export function createSchedule({ intervalMinutes, cron }) {
+  if (cron) {
+    const parsed = parseCron(cron);
+    const next = after => {
+      const candidate = new Date(after);
+      candidate.setSeconds(0, 0);
+      for (let i = 0; i < CRON_SEARCH_LIMIT; i++) {
+        candidate.setTime(candidate.getTime() + MINUTE);
+        if (cronMatches(parsed, candidate)) return candidate;
+      }
+      throw new Error(`Cron expression "${cron}" never matches`);
+    };
+    // Fail at startup rather than at the first run
+    next(new Date());
+
+    return {
+      description: `cron "${cron}"`,
+      next,
+      firstAtOrAfter: date => next(new Date(date.getTime() - 1))
+    };
+  }
+
+  if (!Number.isFinite(intervalMinutes) || intervalMinutes <= 0) {
+    throw new Error(`Interval must be a positive number of minutes (got "${intervalMinutes}")`);
+  }
+
+  return {
+    description: `every ${intervalMinutes} minute${intervalMinutes === 1 ? '' : 's'}`,
+    next: after => new Date(after.getTime() + intervalMinutes * MINUTE),
+    firstAtOrAfter: date => new Date(date)
+  };
+}
+
+function parseClock(text) {
+  const match = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${text}" (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse quiet hours such as "22:00-07:00" (may cross midnight)
+ * @param {string} text - Start and end time, or empty for none
+ * @returns {{ start: number, end: number, description: string }|null} minutes after midnight
+ */
+export function parseQuietHours(text) {
+  if (!text) return null;
+  const [start, end] = text.split('-').map(part => part && part.trim());
+  if (!start || !end) {
+    throw new Error(`Quiet hours need a start and end, like 22:00-07:00 (got "${text}")`);
+  }
+  const quiet = { start: parseClock(start), end: parseClock(end), description: `${start}-${end}` };
+  if (quiet.start === quiet.end) {
+    throw new Error('Quiet hours start and end at the same time');
+  }
+  return quiet;
+}
+
+/**
+ * Whether a time falls inside quiet hours
+ */
+export function isQuietTime(quiet, date) {
+  if (!quiet) return false;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return quiet.start < quiet.end
+    ? minutes >= quiet.start && minutes < quiet.end
+    : minutes >= quiet.start || minutes < quiet.end;
+}
+
+/**
+ * When the quiet period containing `date` ends
+ */
+export function quietHoursEnd(quiet, date) {
+  const end = new Date(date);
+  end.setHours(Math.floor(quiet.end / 60), quiet.end % 60, 0, 0);
+  if (end <= date) end.setDate(end.getDate() + 1);
+  return end;
+}
+
+/**
+ * The next time the schedule allows a run, moved past quiet hours
+ * @param {Object} schedule - From createSchedule
+ * @param {Object|null} quiet - From parseQuietHours
+ * @param {Date} after - Time of the previous run
+ */
+export function nextRunTime(schedule, quiet, after) {
+  let next = schedule.next(after);
+  // A cron schedule can land in quiet hours again after they end; interval schedules can't
+  for (let i = 0; i < 366 && isQuietTime(quiet, next); i++) {
+    next = schedule.firstAtOrAfter(quietHoursEnd(quiet, next));
+  }
+  return next;
+}
+
+// Value of "--flag value" among a command's own arguments
+function argValue(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return undefined;
+  if (args[index + 1] === undefined || args[index + 1].startsWith('--')) {
+    throw new Error(`${flag} needs a value`);
+  }
+  return args[index + 1];
+}
+
+/**
+ * Daemon settings from --interval/--cron/--quiet-hours, falling back to .env
+ * @param {string[]} args - The command's own arguments
+ * @param {Object} options
+ * @param {string} options.env - Prefix of the .env settings (<env>_CRON, <env>_INTERVAL)
+ * @param {number} options.defaultInterval - Minutes between runs when nothing is set
+ * @returns {{ schedule: Object, quietHours: Object|null }}
+ */
+export function daemonSettings(args, { env = 'DAEMON', defaultInterval = 15 } = {}) {
+  const cron = argValue(args, '--cron') ?? process.env[`${env}_CRON`];
+  const interval = argValue(args, '--interval') ?? process.env[`${env}_INTERVAL`] ?? String(defaultInterval);
+  return {
+    schedule: createSchedule({ cron, intervalMinutes: Number(interval) }),
+    quietHours: parseQuietHours(argValue(args, '--quiet-hours') ?? process.env.QUIET_HOURS)
+  };
+}
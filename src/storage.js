@@ -0,0 +1,225 @@
+/**
+ * Where the mailbox's storage goes, by message size and attachments.
+ *
+ * Gmail reports a sizeEstimate for every message, so the most recent mail
+ * can be totalled per sender, label and thread from metadata alone. Large
+ * attachments are found with a search (has:attachment larger: older_than:)
+ * and each match is read in full, since only the full format lists its
+ * attachments' names and sizes.
+ *
+ * Any clean-up offered afterwards keeps the same safeguards as filtering:
+ * VIP and protected senders (EmailFilter.isProtectedSender) and starred mail
+ * are reported but never trashed or archived. Only trashing frees space, and
+ * only once Gmail empties the trash (after 30 days).
+ */
+import { EmailFilter } from './emailFilter.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+import { hasAttachmentPart } from './gmailQuery.js';
+import { withRetry, extractEmail } from './utils.js';
+
+// batchModify takes up to 1000 IDs
+const MODIFY_BATCH_SIZE = 500;
+
+// Candidates come from all mail, not just the inbox. Journal.modify records
+// only the labels each message really had, so undo never moves mail into the
+// inbox that was archived before the clean-up
+export const STORAGE_ACTIONS = {
+  archive: { removeLabelIds: ['INBOX'] },
+  trash: { addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] }
+};
+
+function headerValue(message, name) {
+  return (message.payload?.headers || []).find(header => header.name.toLowerCase() === name)?.value || '';
+}
+
+/**
+ * "12.3 MB", "512 KB" or "80 B", for reports
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Attachments in a full-format payload
+ * @returns {Array<{ filename: string, mimeType: string, size: number }>}
+ */
+export function listAttachments(part) {
+  if (!part) return [];
+  const own = part.filename && part.body?.attachmentId
+    ? [{ filename: part.filename, mimeType: part.mimeType, size: part.body.size || 0 }]
+    : [];
+  return [...own, ...(part.parts || []).flatMap(listAttachments)];
+}
+
+// Largest first, then the top `top`
+function rank(entries, top) {
+  return [...entries].sort((a, b) => b.bytes - a.bytes || b.count - a.count).slice(0, top);
+}
+
+export class StorageAnalyzer {
+  /**
+   * @param {Object} auth - Connection from authorize()
+   * @param {string[]} protectedSenders - VIP and protected senders, never trashed or archived
+   */
+  constructor(auth, protectedSenders = []) {
+    this.filter = new EmailFilter(auth, protectedSenders);
+    this.gmail = this.filter.gmail;
+    this.fetcher = new MetadataFetcher(this.gmail);
+  }
+
+  // Why a message must be left alone, or null if it may be changed
+  keptReason(fromEmail, labelIds = []) {
+    if (this.filter.isProtectedSender(fromEmail)) return 'protected';
+    if (labelIds.includes('STARRED')) return 'starred';
+    return null;
+  }
+
+  // Message IDs matching a search, newest first, up to `limit`
+  async listIds(query, limit) {
+    const ids = [];
+    let pageToken;
+    do {
+      const response = await withRetry(() => this.gmail.users.messages.list({
+        userId: 'me',
+        q: query,
+        maxResults: Math.min(limit - ids.length, 500),
+        pageToken
+      }));
+      (response.data.messages || []).forEach(message => ids.push(message.id));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < limit);
+    return ids;
+  }
+
+  /**
+   * Bytes used by the most recent `limit` emails, per sender, label and thread
+   * @param {Object} options
+   * @param {number} options.limit - Emails to scan
+   * @param {number} options.top - Entries to keep in each ranking
+   * @param {Function} options.onProgress - (done, total) while reading metadata
+   * @returns {Promise<{ scanned: number, totalBytes: number, senders: Object[], labels: Object[],
+   *   threads: Object[], emails: Object[] }>} emails are every scanned message, for picking
+   *   a sender's mail afterwards
+   */
+  async usage({ limit = 2000, top = 10, onProgress } = {}) {
+    const ids = await this.listIds('-in:chats', limit);
+    const { messages } = await this.fetcher.fetchAll(ids, ['From', 'Subject'], { onProgress });
+
+    const labelsResponse = await withRetry(() => this.gmail.users.labels.list({ userId: 'me' }));
+    const labelNames = new Map((labelsResponse.data.labels || []).map(label => [label.id, label.name]));
+
+    const senders = new Map();
+    const labels = new Map();
+    const threads = new Map();
+    const emails = [];
+    let totalBytes = 0;
+
+    for (const message of messages.values()) {
+      const bytes = message.sizeEstimate || 0;
+      const from = extractEmail(headerValue(message, 'from'));
+      const labelIds = message.labelIds || [];
+      const date = Number(message.internalDate) || 0;
+      totalBytes += bytes;
+      emails.push({ id: message.id, from, bytes, kept: this.keptReason(from, labelIds) });
+
+      const sender = senders.get(from) || { email: from, count: 0, bytes: 0, protected: this.filter.isProtectedSender(from) };
+      sender.count++;
+      sender.bytes += bytes;
+      senders.set(from, sender);
+
+      // A message under several labels counts toward each of them
+      for (const id of labelIds) {
+        const label = labels.get(id) || { id, name: labelNames.get(id) || id, count: 0, bytes: 0 };
+        label.count++;
+        label.bytes += bytes;
+        labels.set(id, label);
+      }
+
+      const threadId = message.threadId || message.id;
+      const thread = threads.get(threadId) || { threadId, subject: '', count: 0, bytes: 0, date: Infinity };
+      thread.count++;
+      thread.bytes += bytes;
+      // A thread is named after its first message
+      if (date < thread.date) Object.assign(thread, { date, subject: headerValue(message, 'subject') });
+      threads.set(threadId, thread);
+    }
+
+    return {
+      scanned: messages.size,
+      totalBytes,
+      senders: rank(senders.values(), top),
+      labels: rank(labels.values(), top),
+      threads: rank(threads.values(), top).map(({ date, ...thread }) => thread),
+      emails
+    };
+  }
+
+  /**
+   * Emails with an attachment of at least `minSize` bytes, older than `olderThanMonths`
+   * @param {Object} options
+   * @param {number} options.minSize - Smallest message size in bytes
+   * @param {number} options.olderThanMonths - Minimum age; 0 for any age
+   * @param {number} options.limit - Most emails to read
+   * @param {Function} options.onProgress - (done, total) while reading messages
+   * @returns {Promise<Array<{ id: string, threadId: string, from: string, subject: string,
+   *   date: string|null, bytes: number, attachments: Object[], kept: string|null }>>} largest first;
+   *   kept is protected or starred for mail that is never changed
+   */
+  async largeAttachments({ minSize, olderThanMonths, limit = 500, onProgress } = {}) {
+    const query = [
+      'has:attachment',
+      `larger:${minSize}`,
+      olderThanMonths > 0 ? `older_than:${olderThanMonths}m` : ''
+    ].filter(Boolean).join(' ');
+    const ids = await this.listIds(query, limit);
+
+    const found = [];
+    for (const [index, id] of ids.entries()) {
+      let message;
+      try {
+        message = (await withRetry(() => this.gmail.users.messages.get({ userId: 'me', id, format: 'full' }))).data;
+      } catch (error) {
+        // Deleted since it was listed
+        if (error.code === 404) continue;
+        throw error;
+      }
+      if (onProgress) onProgress(index + 1, ids.length);
+      if (!hasAttachmentPart(message.payload)) continue;
+
+      const from = extractEmail(headerValue(message, 'from'));
+      found.push({
+        id: message.id,
+        threadId: message.threadId,
+        from,
+        subject: headerValue(message, 'subject'),
+        date: message.internalDate ? new Date(Number(message.internalDate)).toISOString() : null,
+        bytes: message.sizeEstimate || 0,
+        attachments: listAttachments(message.payload).sort((a, b) => b.size - a.size),
+        kept: this.keptReason(from, message.labelIds)
+      });
+    }
+
+    return found.sort((a, b) => b.bytes - a.bytes);
+  }
+
+  /**
+   * Trash or archive emails, journaling each batch
+   * @param {string[]} ids - Message IDs, already cleared of kept mail
+   * @param {string} action - trash or archive
+   * @param {Journal} journal - Records the changes for undo
+   * @param {Object} gmail - Client with modify access (the analysis only needs read)
+   * @param {Object} details - Extra journal fields, e.g. { selection: 'attachments' }
+   * @returns {Promise<number>} messages changed, leaving out those already archived or trashed
+   */
+  async apply(ids, action, journal, gmail = this.gmail, details = {}) {
+    let changed = 0;
+    for (let i = 0; i < ids.length; i += MODIFY_BATCH_SIZE) {
+      const batch = ids.slice(i, i + MODIFY_BATCH_SIZE);
+      changed += await withRetry(() => journal.modify(gmail, batch, STORAGE_ACTIONS[action], details));
+    }
+    return changed;
+  }
+}
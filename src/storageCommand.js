@@ -0,0 +1,246 @@
+import { authorize, createGmailClient } from './mailProvider.js';
+import { StorageAnalyzer, formatBytes } from './storage.js';
+import { loadRules } from './rules.js';
+import { saveMessageCache } from './messageCache.js';
+import { Journal } from './journal.js';
+import { parseQuerySize } from './gmailQuery.js';
+import { isProtectedSender } from './utils.js';
+import { getCliOptions, confirm, EXIT_USAGE } from './cliOptions.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
+import chalk from 'chalk';
+import ora from 'ora';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_MIN_SIZE = '5M';
+const DEFAULT_OLDER_THAN_MONTHS = 6;
+
+const KEPT_LABELS = {
+  protected: 'VIP or protected sender',
+  starred: 'starred'
+};
+
+function emails(count) {
+  return `${count} email${count === 1 ? '' : 's'}`;
+}
+
+function envList(name) {
+  return process.env[name] ? process.env[name].split(',').map(e => e.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+// Value of "--flag value" among the command's own arguments
+function argValue(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return undefined;
+  if (args[index + 1] === undefined || args[index + 1].startsWith('--')) {
+    throw new Error(`${flag} needs a value`);
+  }
+  return args[index + 1];
+}
+
+/**
+ * The command's own options: --min-size, --older-than, --sender and --trash or --archive
+ * @returns {{ minSize: number, minSizeText: string, olderThanMonths: number, sender: string|null, action: string|null }}
+ */
+function parseStorageArgs(args) {
+  const minSizeText = argValue(args, '--min-size') ?? process.env.STORAGE_MIN_SIZE ?? DEFAULT_MIN_SIZE;
+  const minSize = parseQuerySize(minSizeText);
+  if (minSize === null) {
+    throw new Error(`--min-size needs a size like 5M, 500K or 1048576 (got "${minSizeText}")`);
+  }
+
+  const olderThanText = argValue(args, '--older-than') ?? process.env.STORAGE_OLDER_THAN_MONTHS ?? String(DEFAULT_OLDER_THAN_MONTHS);
+  const olderThanMonths = Number(olderThanText);
+  if (!Number.isInteger(olderThanMonths) || olderThanMonths < 0) {
+    throw new Error(`--older-than needs a number of months (got "${olderThanText}")`);
+  }
+
+  if (args.includes('--trash') && args.includes('--archive')) {
+    throw new Error('Pick one of --trash and --archive');
+  }
+  const action = args.includes('--trash') ? 'trash' : args.includes('--archive') ? 'archive' : null;
+
+  return { minSize: Math.round(minSize), minSizeText, olderThanMonths, sender: argValue(args, '--sender')?.toLowerCase() ?? null, action };
+}
+
+function displayUsage(usage) {
+  console.log(chalk.bold.cyan('\n💾 Storage by sender, label and thread'));
+  console.log(chalk.gray('='.repeat(60)));
+  console.log(chalk.gray(`${formatBytes(usage.totalBytes)} in the ${usage.scanned} most recent emails`));
+
+  const size = bytes => chalk.bold(formatBytes(bytes).padStart(9));
+
+  console.log(chalk.bold('\nSenders:'));
+  usage.senders.forEach(sender => {
+    console.log(`${size(sender.bytes)}  ${sender.email}` + chalk.gray(` (${emails(sender.count)})`) +
+      (sender.protected ? chalk.yellow('  [protected]') : ''));
+  });
+
+  console.log(chalk.bold('\nLabels:'));
+  usage.labels.forEach(label => {
+    console.log(`${size(label.bytes)}  ${label.name}` + chalk.gray(` (${emails(label.count)})`));
+  });
+
+  console.log(chalk.bold('\nThreads:'));
+  usage.threads.forEach(thread => {
+    const subject = thread.subject.length > 50 ? thread.subject.substring(0, 50) + '...' : thread.subject;
+    console.log(`${size(thread.bytes)}  "${subject || '(no subject)'}"` + chalk.gray(` (${emails(thread.count)})`));
+  });
+}
+
+function displayAttachments(found, settings) {
+  const age = settings.olderThanMonths > 0 ? `, older than ${settings.olderThanMonths} month${settings.olderThanMonths === 1 ? '' : 's'}` : '';
+  console.log(chalk.bold.cyan(`\n📎 Emails over ${settings.minSizeText} with attachments${age}`));
+  console.log(chalk.gray('='.repeat(60)));
+
+  if (found.length === 0) {
+    console.log(chalk.green('None found.'));
+    return;
+  }
+
+  const total = found.reduce((sum, email) => sum + email.bytes, 0);
+  console.log(chalk.gray(`${emails(found.length)}, ${formatBytes(total)}`));
+  found.slice(0, 15).forEach(email => {
+    const names = email.attachments.map(a => `${a.filename} (${formatBytes(a.size)})`).join(', ');
+    console.log(`${chalk.bold(formatBytes(email.bytes).padStart(9))}  ${email.date ? email.date.slice(0, 10) : '????-??-??'} ${email.from}` +
+      (email.kept ? chalk.yellow(`  [kept: ${KEPT_LABELS[email.kept]}]`) : ''));
+    console.log(chalk.gray(`${' '.repeat(11)}${names}`));
+  });
+  if (found.length > 15) console.log(chalk.gray(`  ... and ${found.length - 15} more`));
+}
+
+// Trash or archive the chosen emails, leaving out protected and starred mail
+async function cleanUp(analyzer, candidates, settings, options) {
+  const kept = candidates.filter(email => email.kept);
+  const targets = candidates.filter(email => !email.kept);
+  const result = {
+    action: settings.action,
+    selection: settings.sender ? `sender ${settings.sender}` : 'attachments',
+    targets: targets.length,
+    kept: kept.length,
+    changed: 0,
+    runId: null
+  };
+
+  if (kept.length > 0) {
+    console.log(chalk.yellow(`\n${emails(kept.length)} kept: VIP, protected sender or starred`));
+  }
+  if (targets.length === 0) {
+    console.log(chalk.green('\n✨ Nothing to clean up.'));
+    return result;
+  }
+
+  const bytes = targets.reduce((sum, email) => sum + email.bytes, 0);
+  const verb = settings.action === 'trash' ? 'Trash' : 'Archive';
+  if (options.dryRun) {
+    console.log(chalk.yellow(`\nDry run - would ${settings.action} ${emails(targets.length)} (${formatBytes(bytes)}). Nothing was changed.`));
+    return result;
+  }
+  if (!await confirm('\n' + chalk.bold.yellow(`${verb} ${emails(targets.length)} (${formatBytes(bytes)})? (y/n): `))) {
+    console.log(chalk.yellow('\nNothing was changed.'));
+    return result;
+  }
+
+  const journal = new Journal('storage');
+  const gmail = createGmailClient(await authorize({ access: 'modify' }));
+  const spinner = ora(`${verb.replace(/e$/, '')}ing ${emails(targets.length)}...`).start();
+  result.changed = await analyzer.apply(targets.map(email => email.id), settings.action, journal, gmail, { selection: result.selection });
+  spinner.succeed(`${verb.replace(/e$/, '')}ed ${emails(result.changed)}`);
+  if (settings.action === 'trash') {
+    console.log(chalk.gray('The space is freed once Gmail empties the trash (after 30 days, or empty it yourself).'));
+  } else {
+    console.log(chalk.gray('Archived mail still counts toward your storage; use --trash to free space.'));
+  }
+
+  result.runId = journal.runId;
+  const undoHint = journal.describeUndo();
+  if (undoHint) console.log(chalk.gray(undoHint));
+  return result;
+}
+
+async function main() {
+  const options = getCliOptions();
+  const json = jsonOutput();
+  console.log(chalk.bold.cyan('\n💾 Storage\n'));
+
+  let settings;
+  try {
+    settings = parseStorageArgs(options.args);
+  } catch (error) {
+    console.error(chalk.red('❌'), error.message);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  try {
+    const rules = await loadRules();
+    const keep = [...envList('VIP_EMAILS'), ...envList('PROTECTED_SENDERS'), ...rules.protectedSenders];
+    // The analysis only reads; modify access is requested before changing anything
+    const analyzer = new StorageAnalyzer(await authorize({ access: 'read' }), keep);
+
+    const spinner = ora('Reading message sizes...').start();
+    let usage;
+    let attachments;
+    try {
+      usage = await analyzer.usage({
+        limit: options.limit || 2000,
+        onProgress: (done, total) => { spinner.text = `Read ${done} of ${total} emails`; }
+      });
+      await saveMessageCache();
+      spinner.text = 'Looking for large attachments...';
+      attachments = await analyzer.largeAttachments({
+        minSize: settings.minSize,
+        olderThanMonths: settings.olderThanMonths,
+        onProgress: (done, total) => { spinner.text = `Read ${done} of ${total} emails with large attachments`; }
+      });
+    } catch (error) {
+      spinner.fail('Failed to read emails');
+      throw error;
+    }
+    spinner.succeed(`Scanned ${usage.scanned} emails and ${attachments.length} with large attachments`);
+
+    displayUsage(usage);
+    displayAttachments(attachments, settings);
+
+    const report = {
+      dryRun: options.dryRun,
+      scanned: usage.scanned,
+      totalBytes: usage.totalBytes,
+      senders: usage.senders,
+      labels: usage.labels,
+      threads: usage.threads,
+      attachments: {
+        minSize: settings.minSize,
+        olderThanMonths: settings.olderThanMonths,
+        emails: attachments
+      },
+      cleanup: null
+    };
+
+    if (!settings.action) {
+      if (settings.sender) console.log(chalk.yellow('\n--sender picks what to clean up; add --trash or --archive.'));
+      console.log(chalk.gray('\nTo clean up: fix-email storage --trash (or --archive) [--sender <address or domain>]'));
+      if (json) printJsonReport('storage', report);
+      return;
+    }
+
+    // A sender's mail among the scanned emails, or else the large attachments
+    const candidates = settings.sender
+      ? usage.emails.filter(email => isProtectedSender(email.from, [settings.sender]))
+      : attachments;
+    if (settings.sender && candidates.length === 0) {
+      console.log(chalk.yellow(`\n⚠️  No scanned mail from ${settings.sender}`));
+    }
+    report.cleanup = await cleanUp(analyzer, candidates, settings, options);
+    if (json) printJsonReport('storage', report);
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    if (error.message.includes('invalid_grant')) {
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,124 @@
+/**
+ * Whole conversations, so categorizing and filtering treat a thread as one.
+ *
+ * Gmail groups a message with its replies into a thread. Deciding each
+ * message on its own half-archives conversations: a newsletter's reply chain
+ * gets one message filed and the next left in the inbox, and a vendor's
+ * automated-looking message in a conversation we replied to gets archived
+ * with the reply still waiting. So a scan fetches the threads its messages
+ * belong to (threads.get with metadata, 10 quota units each, sent in batch
+ * requests like the metadata fetcher's) and:
+ *
+ *   - a thread with any message we sent, or any VIP among the senders and
+ *     recipients, is personal and never archived;
+ *   - any other thread gets one decision for all of its messages.
+ *
+ * The messages that come back are kept in the message cache, so a later scan
+ * that lists them needs no messages.get. THREADS=off skips the thread lookups
+ * and decides message by message.
+ */
+import { MetadataFetcher } from './metadataFetcher.js';
+import { getMessageCache } from './messageCache.js';
+import { extractEmail } from './utils.js';
+
+// Headers that name a thread's participants
+export const PARTICIPANT_HEADERS = ['From', 'To', 'Cc'];
+
+// Mail in these is no longer part of the conversation as far as filing goes
+const SKIPPED_LABELS = ['TRASH', 'SPAM', 'DRAFT'];
+
+/**
+ * Whether thread lookups are on (THREADS=off turns them off)
+ */
+export function threadsEnabled() {
+  return process.env.THREADS !== 'off';
+}
+
+function headerValues(message, names) {
+  const wanted = names.map(name => name.toLowerCase());
+  return (message.payload?.headers || [])
+    .filter(header => wanted.includes(header.name.toLowerCase()))
+    .map(header => header.value);
+}
+
+/**
+ * Every address in the From, To and Cc headers of a thread's messages
+ * @param {Object[]} messages - Thread messages with PARTICIPANT_HEADERS
+ * @returns {Set<string>} lowercased addresses
+ */
+export function threadParticipants(messages) {
+  const participants = new Set();
+  for (const message of messages) {
+    for (const value of headerValues(message, PARTICIPANT_HEADERS)) {
+      // "A <a@x.com>, b@y.com" - split on commas outside quoted names
+      value.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+        .map(address => extractEmail(address.trim()))
+        .filter(address => address.includes('@'))
+        .forEach(address => participants.add(address));
+    }
+  }
+  return participants;
+}
+
+/**
+ * Why a thread is personal, or null if it isn't
+ * @param {Object[]} messages - Thread messages with labelIds and PARTICIPANT_HEADERS
+ * @param {string[]} vipEmails - Lowercased VIP addresses
+ * @returns {{ reason: 'sent'|'vip', participant: string|null }|null}
+ */
+export function personalThreadReason(messages, vipEmails) {
+  if (messages.some(message => (message.labelIds || []).includes('SENT'))) {
+    return { reason: 'sent', participant: null };
+  }
+  const vip = [...threadParticipants(messages)].find(address => vipEmails.includes(address));
+  return vip ? { reason: 'vip', participant: vip } : null;
+}
+
+/**
+ * Messages that filing applies to: not in the trash or spam, not drafts
+ */
+export function fileableMessages(messages) {
+  return messages.filter(message => !(message.labelIds || []).some(label => SKIPPED_LABELS.includes(label)));
+}
+
+export class ThreadFetcher {
+  /**
+   * @param {Object} gmail - Gmail client from createGmailClient
+   * @param {Object} options - Batch options, as for MetadataFetcher
+   */
+  constructor(gmail, options) {
+    this.gmail = gmail;
+    this.fetcher = new MetadataFetcher(gmail, options);
+  }
+
+  /**
+   * Every message of each thread, oldest first, as threads.get returns them with format "metadata"
+   * @param {string[]} threadIds - Thread IDs
+   * @param {string[]} metadataHeaders - Headers to include (PARTICIPANT_HEADERS are always added)
+   * @param {Object} options
+   * @param {Function} options.onProgress - (done, total) after each batch
+   * @returns {Promise<{ threads: Map<string, Object[]>, errors: Map<string, Error> }>}
+   *   errors holds the threads that couldn't be fetched (e.g. deleted meanwhile)
+   */
+  async fetchAll(threadIds, metadataHeaders = [], { onProgress } = {}) {
+    const headers = [...new Set([...metadataHeaders, ...PARTICIPANT_HEADERS])];
+    const { messages: responses, errors } = await this.fetcher.sendInRounds(
+      threadIds.map(id => ({ id })),
+      ({ id }) => ({ method: 'threads.get', params: { userId: 'me', id, format: 'metadata', metadataHeaders: headers } }),
+      { onProgress, noun: 'thread' }
+    );
+
+    const failed = [...errors.values()].find(error => error.code !== 404);
+    if (failed) throw failed;
+
+    const cache = await getMessageCache(this.gmail);
+    const threads = new Map();
+    for (const [id, thread] of responses) {
+      const messages = thread.messages || [];
+      messages.forEach(message => cache.remember(message, headers));
+      threads.set(id, messages);
+    }
+
+    return { threads, errors };
+  }
+}
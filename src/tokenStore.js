@@ -0,0 +1,124 @@
+/**
+ * Encrypted storage for the OAuth token file.
+ *
+ * token.json holds a refresh token and the OAuth client secret, which together
+ * give access to the mailbox, so it is written encrypted with AES-256-GCM. The
+ * key is derived with scrypt from either
+ *   - TOKEN_PASSPHRASE, or
+ *   - a keyfile: TOKEN_KEYFILE, or ~/.fix-email/token.key, which is created
+ *     with random contents (mode 600) the first time a token is saved.
+ * Keeping the keyfile outside the project means a copied or synced project
+ * directory doesn't carry a usable token. Plain-text token files from older
+ * versions are still read, and are encrypted the next time they're saved.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const STORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+export const DEFAULT_KEYFILE = path.join(os.homedir(), '.fix-email', 'token.key');
+
+/**
+ * Where the encryption key comes from
+ * @returns {{ type: 'passphrase'|'keyfile', path?: string }}
+ */
+export function keySource() {
+  if (process.env.TOKEN_PASSPHRASE) return { type: 'passphrase' };
+  const keyfile = process.env.TOKEN_KEYFILE
+    ? path.resolve(process.env.TOKEN_KEYFILE.replace(/^~(?=$|[\\/])/, os.homedir()))
+    : DEFAULT_KEYFILE;
+  return { type: 'keyfile', path: keyfile };
+}
+
+async function readKeyfile(keyfilePath, create) {
+  try {
+    return await fs.readFile(keyfilePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT' || !create) {
+      throw new Error(`Cannot read token keyfile ${keyfilePath}: ${error.message}`);
+    }
+    const secret = crypto.randomBytes(32);
+    await fs.mkdir(path.dirname(keyfilePath), { recursive: true, mode: 0o700 });
+    await fs.writeFile(keyfilePath, secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+async function deriveKey(salt, { create = false } = {}) {
+  const source = keySource();
+  const secret = source.type === 'passphrase'
+    ? process.env.TOKEN_PASSPHRASE
+    : await readKeyfile(source.path, create);
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+/**
+ * Whether a parsed token file is in the encrypted format
+ */
+export function isEncrypted(data) {
+  return Boolean(data && data.cipher && data.data);
+}
+
+/**
+ * Write token credentials encrypted
+ * @param {string} filePath - Token file
+ * @param {Object} credentials - authorized_user JSON as used by google.auth.fromJSON
+ */
+export async function saveToken(filePath, credentials) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(salt, { create: true });
+
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+  const stored = {
+    version: STORE_VERSION,
+    cipher: CIPHER,
+    kdf: 'scrypt',
+    keySource: keySource().type,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(stored, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Read token credentials, decrypting them if needed
+ * @returns {Promise<{ credentials: Object, encrypted: boolean }|null>} null if there is no token file
+ */
+export async function loadToken(filePath) {
+  let stored;
+  try {
+    stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Token file ${path.basename(filePath)} is unreadable: ${error.message}`);
+  }
+
+  if (!isEncrypted(stored)) {
+    return { credentials: stored, encrypted: false };
+  }
+
+  if (stored.version !== STORE_VERSION || stored.cipher !== CIPHER) {
+    throw new Error(`Unsupported token file format (version ${stored.version}, ${stored.cipher})`);
+  }
+
+  try {
+    const key = await deriveKey(Buffer.from(stored.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+    return { credentials: JSON.parse(plain.toString('utf8')), encrypted: true };
+  } catch (error) {
+    const hint = stored.keySource === 'passphrase' ? 'check TOKEN_PASSPHRASE' : 'check TOKEN_KEYFILE';
+    throw new Error(`Could not decrypt ${path.basename(filePath)} (${hint}, or sign in again with: npm run auth -- login): ${error.message}`);
+  }
+}
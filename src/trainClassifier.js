@@ -0,0 +1,149 @@
+import { authorize, createGmailClient } from './mailProvider.js';
+import { NaiveBayesClassifier, categoryForLabel, MODEL_FILE } from './classifier.js';
+import { withRetry, extractEmail } from './utils.js';
+import chalk from 'chalk';
+import ora from 'ora';
+import path from 'path';
+import dotenv from 'dotenv';
+import { getCliOptions } from './cliOptions.js';
+import { getMessageCache } from './messageCache.js';
+
+dotenv.config();
+
+const DEFAULT_PER_LABEL = 500;
+
+class ClassifierTrainer {
+  constructor(auth) {
+    this.gmail = createGmailClient(auth);
+    this.classifier = new NaiveBayesClassifier();
+    this.seen = new Set();
+  }
+
+  // User labels we can learn from, with the category each one teaches
+  async getTrainingLabels() {
+    const response = await this.gmail.users.labels.list({ userId: 'me' });
+    return (response.data.labels || [])
+      .map(label => ({ id: label.id, name: label.name, category: categoryForLabel(label.name) }))
+      .filter(label => label.category);
+  }
+
+  async listLabelMessages(labelId, limit) {
+    let messages = [];
+    let pageToken = null;
+
+    do {
+      const response = await withRetry(() => this.gmail.users.messages.list({
+        userId: 'me',
+        labelIds: [labelId],
+        maxResults: Math.min(limit - messages.length, 100),
+        pageToken
+      }));
+      messages = messages.concat(response.data.messages || []);
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && messages.length < limit);
+
+    return messages;
+  }
+
+  async getExample(messageId) {
+    const cache = await getMessageCache(this.gmail);
+    const message = await cache.getMetadata(messageId, ['From', 'Subject', 'List-Unsubscribe', 'List-ID'], async metadataHeaders => {
+      const response = await withRetry(() => this.gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'metadata',
+        metadataHeaders
+      }));
+      return response.data;
+    });
+
+    const headers = (message.payload?.headers || []).reduce((acc, header) => {
+      acc[header.name.toLowerCase()] = header.value;
+      return acc;
+    }, {});
+
+    return {
+      fromEmail: extractEmail(headers.from || ''),
+      subject: headers.subject || '',
+      snippet: message.snippet || '',
+      labels: message.labelIds || [],
+      listUnsubscribe: headers['list-unsubscribe'],
+      listId: headers['list-id']
+    };
+  }
+
+  async train(perLabel = DEFAULT_PER_LABEL) {
+    const labels = await this.getTrainingLabels();
+    if (labels.length === 0) {
+      return { labels: [] };
+    }
+
+    for (const label of labels) {
+      const spinner = ora(`Learning from ${label.name}...`).start();
+      const messages = await this.listLabelMessages(label.id, perLabel);
+      let learned = 0;
+
+      for (const message of messages) {
+        // A message with two training labels only teaches the first one
+        if (this.seen.has(message.id)) continue;
+        this.seen.add(message.id);
+
+        try {
+          this.classifier.learn(await this.getExample(message.id), label.category);
+          learned++;
+        } catch (error) {
+          console.error(chalk.red(`\nSkipping ${message.id}: ${error.message}`));
+        }
+      }
+
+      spinner.succeed(`${label.name} → ${label.category}: ${learned} examples`);
+    }
+
+    return { labels };
+  }
+}
+
+function parsePerLabel(args) {
+  const index = args.indexOf('--per-label');
+  if (index === -1) return DEFAULT_PER_LABEL;
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error('--per-label needs a positive number');
+  }
+  return value;
+}
+
+async function main() {
+  console.log(chalk.bold.cyan('\n🧠 Train Email Classifier\n'));
+  console.log(chalk.gray('Learns from mail you have already labeled. Runs locally; nothing is sent anywhere.\n'));
+
+  try {
+    const perLabel = parsePerLabel(getCliOptions().args);
+    const auth = await authorize({ access: 'read' });
+    const trainer = new ClassifierTrainer(auth);
+
+    const { labels } = await trainer.train(perLabel);
+    if (labels.length === 0) {
+      console.log(chalk.yellow('No training labels found (Filtered/*, Receipts, VIP, Likely Spam).'));
+      console.log(chalk.gray('Run the analyzer and apply filters first so there is labeled mail to learn from.'));
+      return;
+    }
+
+    const { classifier } = trainer;
+    if (!classifier.isTrained) {
+      console.log(chalk.yellow('\nNeed labeled examples from at least two categories - model not saved.'));
+      return;
+    }
+
+    await classifier.save();
+    console.log(chalk.green(`\n✅ Model trained on ${classifier.totalDocuments} emails (${classifier.vocabulary.size} features)`));
+    console.log(chalk.gray(`Saved to ${path.basename(MODEL_FILE)}`));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    if (error.message.includes('invalid_grant')) {
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login'));
+    }
+  }
+}
+
+main();
@@ -1,34 +1,21 @@
-import { authorize } from './auth.js';
-import { google } from 'googleapis';
+import { authorize, createGmailClient } from './mailProvider.js';
+import { loadRules, buildFilterRequest, getRuleSender, ruleToSearchQuery } from './rules.js';
+import { Journal } from './journal.js';
+import { getCliOptions } from './cliOptions.js';
+import { withRetry } from './utils.js';
 
-const auth = await authorize();
-const gmail = google.gmail({ version: 'v1', auth });
+// batchModify takes up to 1000 IDs
+const MODIFY_BATCH_SIZE = 1000;
 
-const sendersToTrash = [
-  // Batch 3: emails 3000-5000 (remaining after partial run)
-  // Already processed: grant@mail.beehiiv.com, value@acquisition.com
-  'noreply@e.bloomingdales.com',
-  'noreply@github.com',
-  'newsletter@mail.beehiiv.com',
-  'theaiexchange@mail.beehiiv.com',
-  'noreply@substack.com',
-  'noreply@discordapp.com',
-  'adam.singer@mail.beehiiv.com',
-  'mattsays@mail.beehiiv.com',
-  'noreply@mail.superhuman.com',
-  'bensbites@mail.beehiiv.com',
-  'morning@mail.morningbrew.com',
-  'noreply@e.wyndhamrewards.com',
-  'jobs-noreply@linkedin.com',
-  'hello@mail.audiocoffee.co',
-  'invitations@linkedin.com',
-  'support@brandmark.io',
-  'youcubed.stanford@stanford.edu',
-  'hello@tldv.io',
-  'hello@brevo.com',
-  'dan@tldrnewsletter.com',
-  'hello@therundown.ai'
-];
+// --dry-run only reads: it lists the filters and mail a real run would touch
+const { dryRun } = getCliOptions();
+
+const auth = await authorize({ access: dryRun ? 'read' : 'modify' });
+const gmail = createGmailClient(auth);
+const journal = new Journal('trash-batch');
+
+const rules = await loadRules();
+const trashRules = rules.rules.filter(rule => rule.action === 'trash');
 
 // Get existing filters
 const existingResponse = await gmail.users.settings.filters.list({ userId: 'me' });
@@ -38,21 +25,24 @@ const existingFroms = new Set(existingFilters.map(f => f.criteria?.from?.toLower
 let filtersCreated = 0;
 let totalTrashed = 0;
 
-for (const sender of sendersToTrash) {
+for (const rule of trashRules) {
+  const sender = getRuleSender(rule) || rule.id;
+
   // Create filter if doesn't exist
   if (!existingFroms.has(sender.toLowerCase())) {
-    try {
-      await gmail.users.settings.filters.create({
-        userId: 'me',
-        requestBody: {
-          criteria: { from: sender },
-          action: { addLabelIds: ['TRASH'] }
-        }
-      });
-      console.log('Created filter:', sender);
+    if (dryRun) {
+      console.log('Would create filter:', sender);
       filtersCreated++;
-    } catch (err) {
-      // Filter might exist
+    } else {
+      try {
+        // Trash rules carry no user label, so no label lookup is needed
+        const requestBody = await buildFilterRequest(rule, async () => null);
+        await journal.createFilter(gmail, requestBody);
+        console.log('Created filter:', sender);
+        filtersCreated++;
+      } catch (err) {
+        // Filter might exist
+      }
     }
   }
 
@@ -64,7 +54,7 @@ for (const sender of sendersToTrash) {
     do {
       const response = await gmail.users.messages.list({
         userId: 'me',
-        q: `from:${sender}`,
+        q: ruleToSearchQuery(rule),
         maxResults: 100,
         pageToken
       });
@@ -75,17 +65,21 @@ for (const sender of sendersToTrash) {
       pageToken = response.data.nextPageToken;
     } while (pageToken);
 
-    if (messageIds.length > 0) {
-      await gmail.users.messages.batchModify({
-        userId: 'me',
-        requestBody: {
-          ids: messageIds,
+    if (messageIds.length > 0 && dryRun) {
+      console.log(`Would trash ${messageIds.length} from ${sender}`);
+      totalTrashed += messageIds.length;
+    } else if (messageIds.length > 0) {
+      // journal.modify counts only the messages it changed, not ones deleted since they were listed
+      let trashed = 0;
+      for (let i = 0; i < messageIds.length; i += MODIFY_BATCH_SIZE) {
+        const batch = messageIds.slice(i, i + MODIFY_BATCH_SIZE);
+        trashed += await withRetry(() => journal.modify(gmail, batch, {
           addLabelIds: ['TRASH'],
           removeLabelIds: ['INBOX', 'UNREAD']
-        }
-      });
-      console.log(`Trashed ${messageIds.length} from ${sender}`);
-      totalTrashed += messageIds.length;
+        }));
+      }
+      console.log(`Trashed ${trashed} from ${sender}`);
+      totalTrashed += trashed;
     }
   } catch (err) {
     console.error('Error:', sender, err.message);
@@ -95,5 +89,7 @@ for (const sender of sendersToTrash) {
 }
 
 console.log('');
-console.log('Filters created:', filtersCreated);
-console.log('Total emails trashed:', totalTrashed);
+console.log(dryRun ? 'Filters that would be created:' : 'Filters created:', filtersCreated);
+console.log(dryRun ? 'Total emails that would be trashed:' : 'Total emails trashed:', totalTrashed);
+if (dryRun) console.log('Dry run - nothing was changed.');
+if (journal.describeUndo()) console.log(journal.describeUndo());
@@ -0,0 +1,155 @@
+import { authorize, createGmailClient } from './mailProvider.js';
+import chalk from 'chalk';
+import ora from 'ora';
+import { Journal } from './journal.js';
+import { withRetry } from './utils.js';
+import { getCliOptions, confirm } from './cliOptions.js';
+
+// batchModify accepts at most 1000 IDs per call
+const MODIFY_BATCH_SIZE = 1000;
+
+function displayRuns(runs) {
+  console.log(chalk.bold.cyan('Journaled runs (most recent last):\n'));
+  runs.slice(-20).forEach(run => {
+    const status = run.undoneBy ? chalk.gray(` (undone by ${run.undoneBy})`) : '';
+    console.log(`  ${chalk.yellow(run.runId)}  ${run.command.padEnd(16)} ` +
+      `${run.messages} message changes, ${run.filters} filter changes${status}`);
+  });
+  console.log(chalk.gray('\nUndo a run with: npm run undo -- <runId>'));
+}
+
+async function undoEntry(gmail, journal, entry) {
+  switch (entry.type) {
+    case 'modify': {
+      // Entries from before per-message changes were journaled hold only the request
+      const changes = entry.changes || entry.ids.map(id => ({
+        id,
+        addLabelIds: entry.addLabelIds,
+        removeLabelIds: entry.removeLabelIds
+      }));
+
+      // Re-add what was removed and remove what was added, batching messages
+      // whose labels changed the same way
+      const groups = new Map();
+      for (const change of changes) {
+        const key = JSON.stringify([change.addLabelIds, change.removeLabelIds]);
+        if (!groups.has(key)) {
+          groups.set(key, { addLabelIds: change.removeLabelIds, removeLabelIds: change.addLabelIds, ids: [] });
+        }
+        groups.get(key).ids.push(change.id);
+      }
+      for (const { ids: groupIds, ...labels } of groups.values()) {
+        for (let i = 0; i < groupIds.length; i += MODIFY_BATCH_SIZE) {
+          const ids = groupIds.slice(i, i + MODIFY_BATCH_SIZE);
+          await withRetry(() => journal.modify(gmail, ids, labels));
+        }
+      }
+      return changes.length;
+    }
+    case 'filter.create':
+      try {
+        await withRetry(() => journal.deleteFilter(gmail, entry.filter));
+      } catch (error) {
+        // Already deleted by hand - nothing to undo
+        if (error.code !== 404) throw error;
+      }
+      return 1;
+    case 'filter.delete':
+      await withRetry(() => journal.createFilter(gmail, {
+        criteria: entry.filter.criteria,
+        action: entry.filter.action
+      }));
+      return 1;
+    default:
+      throw new Error(`Unknown journal entry type: ${entry.type}`);
+  }
+}
+
+async function main() {
+  const options = getCliOptions();
+  const args = options.args;
+  const force = args.includes('--force');
+  const runId = args.find(arg => !arg.startsWith('--'));
+
+  console.log(chalk.bold.cyan('\n↩️  Undo a Previous Run\n'));
+
+  const runs = await Journal.listRuns();
+  if (runs.length === 0) {
+    console.log(chalk.yellow('The journal is empty - nothing to undo.'));
+    return;
+  }
+
+  if (!runId) {
+    displayRuns(runs);
+    return;
+  }
+
+  const run = runs.find(r => r.runId === runId);
+  if (!run) {
+    console.log(chalk.red(`❌ No journaled run with ID ${runId}`));
+    displayRuns(runs);
+    return;
+  }
+
+  if (run.undoneBy && !force) {
+    console.log(chalk.yellow(`Run ${runId} was already undone by ${run.undoneBy}. Use --force to undo it again.`));
+    return;
+  }
+
+  const entries = (await Journal.readEntries()).filter(e => e.runId === runId).reverse();
+
+  console.log(chalk.bold(`Run ${runId} (${run.command}, started ${run.startedAt})`));
+  console.log(chalk.gray(`  ${run.messages} message label changes and ${run.filters} filter changes will be reversed.`));
+  console.log(chalk.gray('  Labels removed by the run are re-added and labels it added are removed.'));
+
+  if (options.dryRun) {
+    console.log(chalk.yellow('\nDry run - nothing was changed.'));
+    return;
+  }
+
+  if (!await confirm('\n' + chalk.bold.yellow('Undo this run? (y/n): '))) {
+    console.log(chalk.yellow('\nNothing was changed.'));
+    return;
+  }
+
+  try {
+    console.log(chalk.cyan('\n🔐 Authenticating with Gmail...'));
+    const auth = await authorize({ access: 'modify' });
+    console.log(chalk.green('✅ Authentication successful!\n'));
+
+    const gmail = createGmailClient(auth);
+    const journal = new Journal('undo');
+    journal.undoOf = runId;
+
+    const spinner = ora('Reversing changes...').start();
+    const errors = [];
+    let reversed = 0;
+
+    for (const entry of entries) {
+      try {
+        reversed += await undoEntry(gmail, journal, entry);
+        spinner.text = `Reversed ${reversed} changes`;
+      } catch (error) {
+        errors.push(`${entry.type} at ${entry.at}: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      spinner.warn(`Reversed ${reversed} changes with ${errors.length} errors`);
+      errors.forEach(err => console.log(chalk.gray(`  - ${err}`)));
+    } else {
+      spinner.succeed(`Reversed ${reversed} changes`);
+    }
+
+    const undoHint = journal.describeUndo();
+    if (undoHint) console.log(chalk.gray(undoHint));
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    if (error.message.includes('invalid_grant')) {
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login modify'));
+    }
+  }
+}
+
+main();
@@ -0,0 +1,321 @@
+/**
+ * Unsubscribing from mailing lists through their List-Unsubscribe headers.
+ *
+ * A list message can name an https: link, a mailto: address, or both:
+ *
+ *   List-Unsubscribe: <https://example.com/u/123>, <mailto:leave@example.com?subject=unsubscribe>
+ *   List-Unsubscribe-Post: List-Unsubscribe=One-Click
+ *
+ * With List-Unsubscribe-Post (RFC 8058) the link unsubscribes with a single
+ * POST and no web page, so that is tried first - but only when the message
+ * carries a DKIM pass aligned with its From domain, as RFC 8058 requires;
+ * otherwise anyone forging a list message could get a POST out of us, so the
+ * link is printed instead. Without one-click the mailto: address gets an
+ * email, if SMTP_URL says how to send one. A link without one-click support
+ * can only be opened in a browser, so it is printed instead.
+ *
+ * HTTP requests and emails go through transports (getTransports()), which a
+ * test can replace with useTransports(); UNSUBSCRIBE_TRANSPORT=log swaps in
+ * LogTransport, which records what would be sent and sends nothing.
+ *
+ * Every attempt is appended to .unsubscribe-log.jsonl with the sender's
+ * message count at the time, so a later run can check whether the mail stopped.
+ */
+import fs from 'fs/promises';
+import { statePath } from './accounts.js';
+import { sendMail } from './smtpClient.js';
+import { AUTH_HEADERS, evaluateAuthentication } from './emailAuth.js';
+import { extractEmail, isProtectedSender } from './utils.js';
+
+export const UNSUBSCRIBE_LOG = statePath('.unsubscribe-log.jsonl');
+
+// How long to wait for an unsubscribe link to answer
+const HTTP_TIMEOUT_MS = 15 * 1000;
+
+export const ONE_CLICK_BODY = 'List-Unsubscribe=One-Click';
+
+/**
+ * Targets in a List-Unsubscribe header
+ * @param {string} header - Header value, e.g. "<https://a.com/u>, <mailto:u@a.com>"
+ * @returns {{ https: string[], mailto: Array<{ address: string, subject: string, body: string }> }}
+ */
+export function parseListUnsubscribe(header) {
+  const targets = { https: [], mailto: [] };
+  if (!header) return targets;
+
+  for (const [, value] of header.matchAll(/<([^>]+)>/g)) {
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch {
+      continue;
+    }
+
+    if (url.protocol === 'https:') {
+      targets.https.push(url.href);
+    } else if (url.protocol === 'mailto:') {
+      // mailto:a@b.com,c@b.com - the first address is enough
+      const address = decodeURIComponent(url.pathname).split(',')[0].trim();
+      if (!address.includes('@')) continue;
+      targets.mailto.push({
+        address,
+        subject: url.searchParams.get('subject') || 'unsubscribe',
+        body: url.searchParams.get('body') || 'unsubscribe'
+      });
+    }
+    // Plain http: links are left out; RFC 8058 one-click requires https
+  }
+
+  return targets;
+}
+
+/**
+ * Whether a List-Unsubscribe-Post header offers RFC 8058 one-click
+ */
+export function supportsOneClick(postHeader) {
+  return (postHeader || '').trim().toLowerCase() === ONE_CLICK_BODY.toLowerCase();
+}
+
+/**
+ * How a sender would be unsubscribed, in order of preference
+ * @param {{ https: string[], mailto: Object[] }} targets - From parseListUnsubscribe
+ * @param {boolean} oneClick - From supportsOneClick
+ * @param {boolean} canSendMail - Whether a mail transport is configured
+ * @param {boolean} signed - Whether the message has a DKIM pass aligned with its From domain
+ * @returns {{ method: 'one-click'|'mailto'|'manual'|'none', target: string|null, mailto?: Object }}
+ */
+export function chooseMethod(targets, oneClick, canSendMail, signed = false) {
+  if (oneClick && targets.https.length > 0) {
+    // An unsigned one-click header may be forged: leave the link to the user
+    return { method: signed ? 'one-click' : 'manual', target: targets.https[0] };
+  }
+  if (canSendMail && targets.mailto.length > 0) {
+    const mailto = targets.mailto[0];
+    return { method: 'mailto', target: `mailto:${mailto.address}`, mailto };
+  }
+  if (targets.https.length > 0) {
+    return { method: 'manual', target: targets.https[0] };
+  }
+  if (targets.mailto.length > 0) {
+    return { method: 'manual', target: `mailto:${targets.mailto[0].address}` };
+  }
+  return { method: 'none', target: null };
+}
+
+// Sends one-click POSTs with fetch
+export class FetchTransport {
+  async post(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body,
+      redirect: 'follow',
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    });
+    return { status: response.status };
+  }
+}
+
+// Sends mailto: requests through the SMTP server in SMTP_URL
+export class SmtpTransport {
+  constructor(smtpUrl) {
+    this.smtpUrl = smtpUrl;
+  }
+
+  async send(message) {
+    return sendMail(this.smtpUrl, message);
+  }
+}
+
+// Local stand-in: keeps every request and answers as a willing server would
+export class LogTransport {
+  constructor() {
+    this.requests = [];
+  }
+
+  async post(url, body) {
+    this.requests.push({ type: 'post', url, body });
+    return { status: 200 };
+  }
+
+  async send(message) {
+    this.requests.push({ type: 'mail', ...message });
+    return { code: 250, response: 'OK (logged, not sent)' };
+  }
+}
+
+let transports = null;
+
+/**
+ * Use these transports instead of the configured ones; pass null to go back
+ * @param {{ http: { post: Function }, mail: { send: Function }|null }|null} replacement
+ */
+export function useTransports(replacement) {
+  transports = replacement;
+}
+
+/**
+ * Transports for this process: UNSUBSCRIBE_TRANSPORT=log for the stand-in,
+ * otherwise fetch for HTTP and SMTP_URL (if set) for email
+ * @returns {{ http: { post: Function }, mail: { send: Function }|null }}
+ */
+export function getTransports() {
+  if (!transports) {
+    const name = (process.env.UNSUBSCRIBE_TRANSPORT || 'network').toLowerCase();
+    if (name === 'log') {
+      const log = new LogTransport();
+      transports = { http: log, mail: log };
+    } else if (name === 'network') {
+      transports = {
+        http: new FetchTransport(),
+        mail: process.env.SMTP_URL ? new SmtpTransport(process.env.SMTP_URL) : null
+      };
+    } else {
+      throw new Error(`Unknown UNSUBSCRIBE_TRANSPORT "${name}" (expected network or log)`);
+    }
+  }
+  return transports;
+}
+
+/**
+ * Every recorded attempt, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export async function loadAttempts(filePath = UNSUBSCRIBE_LOG) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * The latest attempt per sender
+ * @returns {Map<string, Object>}
+ */
+export function latestAttempts(attempts) {
+  const latest = new Map();
+  attempts.forEach(attempt => latest.set(attempt.sender, attempt));
+  return latest;
+}
+
+async function recordAttempt(attempt, filePath = UNSUBSCRIBE_LOG) {
+  await fs.appendFile(filePath, JSON.stringify(attempt) + '\n');
+}
+
+function headerValue(message, name) {
+  return (message.payload?.headers || []).find(header => header.name.toLowerCase() === name)?.value;
+}
+
+export const UNSUBSCRIBE_HEADERS = ['From', 'Subject', 'List-Unsubscribe', 'List-Unsubscribe-Post', ...AUTH_HEADERS];
+
+// Whether the sender's domain signed the message (an aligned DKIM pass)
+function signedBySender(message, sender) {
+  return evaluateAuthentication(message.payload?.headers || [], sender).dkim.some(dkim => dkim.aligned);
+}
+
+/**
+ * Senders with a List-Unsubscribe header, most mail first
+ * @param {Map<string, Object>} messages - Message metadata by ID, with UNSUBSCRIBE_HEADERS
+ * @param {Object} options
+ * @param {string[]} options.keep - VIP and protected senders, never offered
+ * @returns {Array<{ sender: string, name: string, count: number, lastMessageAt: string|null,
+ *   subject: string, targets: Object, oneClick: boolean, signed: boolean }>}
+ */
+export function rankSenders(messages, { keep = [] } = {}) {
+  const senders = new Map();
+
+  for (const message of messages.values()) {
+    const listUnsubscribe = headerValue(message, 'list-unsubscribe');
+    if (!listUnsubscribe) continue;
+
+    const from = headerValue(message, 'from') || '';
+    const sender = extractEmail(from);
+    if (keep.length > 0 && isProtectedSender(sender, keep)) continue;
+
+    const date = Number(message.internalDate) || 0;
+    const entry = senders.get(sender) || { sender, count: 0, date: -1 };
+    entry.count++;
+    // The newest message's header is the one most likely to still work
+    if (date > entry.date) {
+      Object.assign(entry, {
+        date,
+        name: from.replace(/<[^>]*>/, '').replace(/"/g, '').trim() || sender,
+        subject: headerValue(message, 'subject') || '',
+        targets: parseListUnsubscribe(listUnsubscribe),
+        oneClick: supportsOneClick(headerValue(message, 'list-unsubscribe-post')),
+        signed: signedBySender(message, sender)
+      });
+    }
+    senders.set(sender, entry);
+  }
+
+  return [...senders.values()]
+    .map(({ date, ...entry }) => ({ ...entry, lastMessageAt: date > 0 ? new Date(date).toISOString() : null }))
+    .sort((a, b) => b.count - a.count || a.sender.localeCompare(b.sender));
+}
+
+export class Unsubscriber {
+  /**
+   * @param {Object} options
+   * @param {string} options.from - Address mailto: requests are sent from
+   * @param {Object} options.transports - Defaults to getTransports()
+   * @param {string} options.logPath - Attempt log file
+   */
+  constructor({ from, transports = getTransports(), logPath = UNSUBSCRIBE_LOG } = {}) {
+    this.from = from;
+    this.transports = transports;
+    this.logPath = logPath;
+  }
+
+  // What unsubscribe() would do for a sender from rankSenders
+  plan(sender) {
+    return chooseMethod(sender.targets, sender.oneClick, Boolean(this.transports.mail && this.from), sender.signed);
+  }
+
+  /**
+   * Unsubscribe from one sender and record the attempt
+   * @param {Object} sender - From rankSenders
+   * @returns {Promise<Object>} the recorded attempt; status is sent, failed, manual or skipped
+   */
+  async unsubscribe(sender) {
+    const { method, target, mailto } = this.plan(sender);
+    const attempt = {
+      at: new Date().toISOString(),
+      sender: sender.sender,
+      method,
+      target,
+      messageCount: sender.count,
+      lastMessageAt: sender.lastMessageAt
+    };
+
+    try {
+      if (method === 'one-click') {
+        const { status } = await this.transports.http.post(target, ONE_CLICK_BODY);
+        attempt.httpStatus = status;
+        attempt.status = status >= 200 && status < 300 ? 'sent' : 'failed';
+        if (attempt.status === 'failed') attempt.error = `HTTP ${status}`;
+      } else if (method === 'mailto') {
+        const reply = await this.transports.mail.send({
+          from: this.from,
+          to: mailto.address,
+          subject: mailto.subject,
+          text: mailto.body
+        });
+        attempt.response = `${reply.code} ${reply.response}`.trim();
+        attempt.status = 'sent';
+      } else {
+        attempt.status = method === 'manual' ? 'manual' : 'skipped';
+      }
+    } catch (error) {
+      attempt.status = 'failed';
+      attempt.error = error.message;
+    }
+
+    await recordAttempt(attempt, this.logPath);
+    return attempt;
+  }
+}
@@ -0,0 +1,338 @@
+import { authorize, createGmailClient } from './mailProvider.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+import { saveMessageCache } from './messageCache.js';
+import {
+  Unsubscriber, UNSUBSCRIBE_HEADERS, UNSUBSCRIBE_LOG, rankSenders, loadAttempts, latestAttempts
+} from './unsubscribe.js';
+import { UnsubscribeTracker } from './unsubscribeTracker.js';
+import { EmailFilter } from './emailFilter.js';
+import { Journal } from './journal.js';
+import { withRetry, isProtectedSender } from './utils.js';
+import { getCliOptions, ask, confirm, EXIT_USAGE } from './cliOptions.js';
+import { jsonOutput, printJsonReport } from './jsonOutput.js';
+import chalk from 'chalk';
+import ora from 'ora';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Mail we sent or drafted has no List-Unsubscribe header worth reading
+const QUERY = '-in:sent -in:drafts -in:trash';
+
+function envList(name) {
+  return process.env[name] ? process.env[name].split(',').map(e => e.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+const METHOD_LABELS = {
+  'one-click': 'one-click',
+  mailto: 'email',
+  manual: 'open link',
+  none: 'no usable link'
+};
+
+// Recent message IDs, newest first
+async function listMessageIds(gmail, limit) {
+  const ids = [];
+  let pageToken;
+  do {
+    const response = await withRetry(() => gmail.users.messages.list({
+      userId: 'me',
+      q: QUERY,
+      maxResults: Math.min(limit - ids.length, 500),
+      pageToken
+    }));
+    (response.data.messages || []).forEach(message => ids.push(message.id));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && ids.length < limit);
+  return ids;
+}
+
+// Senders with a List-Unsubscribe header in the last `limit` messages
+async function findSenders(gmail, limit) {
+  const spinner = ora(`Reading the last ${limit} emails...`).start();
+  try {
+    const ids = await listMessageIds(gmail, limit);
+    const fetcher = new MetadataFetcher(gmail);
+    const { messages } = await fetcher.fetchAll(ids, UNSUBSCRIBE_HEADERS, {
+      onProgress: (done, total) => { spinner.text = `Read ${done} of ${total} emails`; }
+    });
+    await saveMessageCache();
+
+    const senders = rankSenders(messages, { keep: [...envList('VIP_EMAILS'), ...envList('PROTECTED_SENDERS')] });
+    spinner.succeed(`Found ${senders.length} senders with an unsubscribe link in ${ids.length} emails`);
+    return senders;
+  } catch (error) {
+    spinner.fail('Failed to read emails');
+    throw error;
+  }
+}
+
+function displaySenders(senders, unsubscriber, previous) {
+  console.log(chalk.bold.cyan('\n📭 Mailing lists by volume'));
+  console.log(chalk.gray('='.repeat(60)));
+
+  const width = String(senders.length).length;
+  senders.forEach((sender, index) => {
+    const { method } = unsubscriber.plan(sender);
+    const last = previous.get(sender.sender);
+    console.log(`${String(index + 1).padStart(width)}. ${chalk.bold(String(sender.count).padStart(4))}  ${sender.sender}` +
+      chalk.gray(`  [${METHOD_LABELS[method]}]`) +
+      (last ? chalk.yellow(`  (${last.status} ${new Date(last.at).toLocaleDateString()})`) : ''));
+    console.log(chalk.gray(`${' '.repeat(width + 8)}${sender.name} - "${sender.subject.slice(0, 50)}"`));
+  });
+}
+
+/**
+ * Parse "1,3-5" into zero-based indexes
+ * @returns {number[]|null} null if the selection isn't valid
+ */
+function parseSelection(text, count) {
+  if (text.toLowerCase() === 'all') return [...Array(count).keys()];
+
+  const indexes = new Set();
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) return null;
+    const from = Number(match[1]);
+    const to = Number(match[2] ?? match[1]);
+    if (from < 1 || to > count || from > to) return null;
+    for (let n = from; n <= to; n++) indexes.add(n - 1);
+  }
+  return [...indexes];
+}
+
+// Senders picked on the command line (addresses or domains), or at a prompt
+async function selectSenders(senders, requested) {
+  if (requested.length > 0) {
+    const selected = senders.filter(sender => isProtectedSender(sender.sender, requested));
+    const unmatched = requested.filter(name => !selected.some(sender => isProtectedSender(sender.sender, [name])));
+    unmatched.forEach(name => console.log(chalk.yellow(`⚠️  No recent mail with an unsubscribe link from ${name}`)));
+    return selected;
+  }
+
+  const answer = await ask('\n' + chalk.bold('Unsubscribe from which senders? (e.g. 1,3-5 or all, blank for none): '), {
+    hint: 'Name the senders instead: fix-email unsubscribe <address or domain>...'
+  });
+  if (!answer) return [];
+
+  const indexes = parseSelection(answer, senders.length);
+  if (!indexes) {
+    console.log(chalk.red(`❌ "${answer}" isn't a selection between 1 and ${senders.length}`));
+    process.exitCode = EXIT_USAGE;
+    return [];
+  }
+  return indexes.map(index => senders[index]);
+}
+
+function describeAttempt(attempt) {
+  switch (attempt.status) {
+    case 'sent':
+      return chalk.green(`✅ ${attempt.sender}: ${attempt.method === 'one-click' ? `one-click POST answered ${attempt.httpStatus}` : `request emailed to ${attempt.target.slice(7)}`}`);
+    case 'failed':
+      return chalk.red(`❌ ${attempt.sender}: ${attempt.error}`);
+    case 'manual':
+      return chalk.yellow(`👉 ${attempt.sender}: open ${attempt.target}`);
+    default:
+      return chalk.gray(`⏭️  ${attempt.sender}: no usable unsubscribe link`);
+  }
+}
+
+async function showLog(json) {
+  const attempts = await loadAttempts();
+  if (json) {
+    printJsonReport('unsubscribe', { attempts });
+    return;
+  }
+
+  console.log(chalk.bold.cyan('\n📒 Unsubscribe attempts'));
+  console.log(chalk.gray('='.repeat(60)));
+  if (attempts.length === 0) {
+    console.log(chalk.gray(`None recorded yet (${path.relative(process.cwd(), UNSUBSCRIBE_LOG)})`));
+    return;
+  }
+  attempts.forEach(attempt => {
+    console.log(`${new Date(attempt.at).toLocaleString()}  ${attempt.status.padEnd(7)} ${attempt.method.padEnd(9)} ${attempt.sender}` +
+      chalk.gray(`  (${attempt.messageCount} emails before)`));
+  });
+}
+
+const VERDICTS = {
+  ignoring: chalk.red('still mailing'),
+  unconfirmed: chalk.yellow('link not confirmed'),
+  grace: chalk.gray('within grace period'),
+  filtered: chalk.cyan('filtered'),
+  stopped: chalk.green('stopped'),
+  trashed: chalk.green('trash filter')
+};
+
+function displayTracking(report) {
+  console.log(chalk.bold.cyan('\n🔎 Did they stop?'));
+  console.log(chalk.gray('='.repeat(60)));
+  console.log(chalk.gray(`Scanned ${report.scanned} emails` +
+    (report.scannedFrom ? ` back to ${new Date(report.scannedFrom).toLocaleDateString()}` : '') +
+    `; unsubscribes get ${report.graceDays} days to take effect\n`));
+
+  report.senders.forEach(entry => {
+    const since = entry.since ? `since ${new Date(entry.since).toLocaleDateString()}` : 'in the scan (filter date unknown)';
+    const how = !entry.unsubscribe ? `${entry.filter.action} filter`
+      : entry.unsubscribe.method === 'manual' ? 'unsubscribe link left to open by hand'
+        : `unsubscribed by ${METHOD_LABELS[entry.unsubscribe.method]}`;
+    console.log(`${VERDICTS[entry.verdict].padEnd(30)} ${entry.sender}`);
+    console.log(chalk.gray(`${' '.repeat(20)}${how}; ${entry.receivedSince}${entry.partial ? '+' : ''} emails ${since}` +
+      (entry.lastReceivedAt ? `, last ${new Date(entry.lastReceivedAt).toLocaleDateString()}` : '')));
+  });
+}
+
+// Senders we unsubscribed from or filtered, and whether their mail stopped
+async function showReport(options, json) {
+  const keep = [...envList('VIP_EMAILS'), ...envList('PROTECTED_SENDERS')];
+  const auth = await authorize({ access: 'read' });
+  const tracker = new UnsubscribeTracker(auth, keep);
+
+  const tracked = await tracker.trackedSenders();
+  if (tracked.size === 0) {
+    console.log(chalk.yellow('No recorded unsubscribes or sender filters to check.'));
+    if (json) printJsonReport('unsubscribe', { dryRun: options.dryRun, tracking: null, escalated: [] });
+    return;
+  }
+
+  const spinner = ora('Reading recent mail...').start();
+  const emails = await tracker.recentMail(options.limit || 1000, (done, total) => {
+    spinner.text = `Read ${done} of ${total} emails`;
+  });
+  await saveMessageCache();
+  spinner.succeed(`Checked ${tracked.size} senders against ${emails.length} recent emails`);
+
+  const report = tracker.buildReport(tracked, emails);
+  const result = { dryRun: options.dryRun, tracking: report, escalated: [] };
+  displayTracking(report);
+
+  const escalate = report.senders.filter(entry => entry.suggestEscalation);
+  if (escalate.length === 0) {
+    if (json) printJsonReport('unsubscribe', result);
+    return;
+  }
+
+  console.log(chalk.bold.yellow(`\n${escalate.length} sender${escalate.length === 1 ? ' is' : 's are'} still mailing after unsubscribing:`));
+  escalate.forEach(entry => console.log(chalk.gray(`  • ${entry.sender} (${entry.receivedAfterGrace} emails after the grace period)`)));
+  console.log(chalk.gray('A trash filter sends their future mail straight to the trash.'));
+
+  if (options.dryRun) {
+    console.log(chalk.yellow(`\nDry run - would create ${escalate.length} trash filters. Nothing was changed.`));
+    if (json) printJsonReport('unsubscribe', result);
+    return;
+  }
+
+  if (!await confirm('\n' + chalk.bold.yellow(`Create trash filters for ${escalate.length} senders? (y/n): `))) {
+    console.log(chalk.yellow('\nNo filters were created.'));
+    if (json) printJsonReport('unsubscribe', result);
+    return;
+  }
+
+  const journal = new Journal('unsubscribe');
+  const filter = new EmailFilter(await authorize({ access: 'modify' }), keep, journal);
+  for (const entry of escalate) {
+    try {
+      const created = await filter.createTrashFilter(entry.sender);
+      result.escalated.push({ sender: entry.sender, filterId: created?.id || null });
+      console.log(chalk.green(`✅ ${entry.sender}: ${created ? 'trash filter created' : 'already has a trash filter'}`));
+    } catch (error) {
+      result.escalated.push({ sender: entry.sender, error: error.message });
+      console.log(chalk.red(`❌ ${entry.sender}: ${error.message}`));
+    }
+  }
+
+  const undoHint = journal.describeUndo();
+  if (undoHint) console.log(chalk.gray(undoHint));
+  if (json) printJsonReport('unsubscribe', result);
+}
+
+async function main() {
+  const options = getCliOptions();
+  const json = jsonOutput();
+
+  try {
+    if (options.args[0] === 'log') {
+      await showLog(json);
+      return;
+    }
+    if (options.args[0] === 'report') {
+      await showReport(options, json);
+      return;
+    }
+
+    console.log(chalk.bold.cyan('\n📭 Unsubscribe\n'));
+    const auth = await authorize({ access: 'read' });
+    const gmail = createGmailClient(auth);
+
+    const senders = await findSenders(gmail, options.limit || 500);
+    const profile = await withRetry(() => gmail.users.getProfile({ userId: 'me' }));
+    const unsubscriber = new Unsubscriber({ from: process.env.GMAIL_USER || profile.data.emailAddress });
+    const previous = latestAttempts(await loadAttempts());
+
+    if (senders.length === 0) {
+      console.log(chalk.yellow('\nNo recent mail has an unsubscribe link.'));
+      if (json) printJsonReport('unsubscribe', { dryRun: options.dryRun, senders: [], attempts: [] });
+      return;
+    }
+
+    displaySenders(senders, unsubscriber, previous);
+    if (!unsubscriber.transports.mail) {
+      console.log(chalk.gray('\nSet SMTP_URL to send unsubscribe emails; until then mailto-only lists are shown as links.'));
+    }
+
+    const selected = await selectSenders(senders, options.args);
+    const plans = selected.map(sender => ({ sender: sender.sender, count: sender.count, ...unsubscriber.plan(sender) }));
+    const report = {
+      dryRun: options.dryRun,
+      senders: senders.map(sender => ({
+        sender: sender.sender,
+        count: sender.count,
+        lastMessageAt: sender.lastMessageAt,
+        method: unsubscriber.plan(sender).method,
+        previousAttempt: previous.get(sender.sender) || null
+      })),
+      attempts: []
+    };
+
+    if (selected.length === 0) {
+      console.log(chalk.yellow('\nNo senders selected.'));
+      if (json) printJsonReport('unsubscribe', report);
+      return;
+    }
+
+    console.log(chalk.bold(`\nUnsubscribing from ${selected.length} sender${selected.length === 1 ? '' : 's'}:`));
+    plans.forEach(plan => console.log(chalk.gray(`  • ${plan.sender} - ${METHOD_LABELS[plan.method]}${plan.target ? ` (${plan.target})` : ''}`)));
+
+    if (options.dryRun) {
+      console.log(chalk.yellow('\nDry run - nothing was sent.'));
+      if (json) printJsonReport('unsubscribe', { ...report, attempts: plans });
+      return;
+    }
+
+    if (!await confirm('\n' + chalk.bold.yellow('Send these unsubscribe requests? (y/n): '))) {
+      console.log(chalk.yellow('\nNothing was sent.'));
+      if (json) printJsonReport('unsubscribe', report);
+      return;
+    }
+
+    console.log();
+    for (const sender of selected) {
+      const attempt = await unsubscriber.unsubscribe(sender);
+      report.attempts.push(attempt);
+      console.log(describeAttempt(attempt));
+    }
+
+    console.log(chalk.gray(`\nRecorded in ${path.relative(process.cwd(), UNSUBSCRIBE_LOG)}; see them with: fix-email unsubscribe log`));
+    if (json) printJsonReport('unsubscribe', report);
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    if (error.message.includes('invalid_grant')) {
+      console.log(chalk.yellow('\nSign in again with: npm run auth -- login read'));
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
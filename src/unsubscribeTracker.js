@@ -0,0 +1,180 @@
+/**
+ * Checks whether senders stopped mailing after we unsubscribed or filtered them.
+ *
+ * A sender is tracked from the moment it was dealt with: the latest
+ * unsubscribe attempt in .unsubscribe-log.jsonl, or the journaled creation of
+ * a Gmail filter on its address (filters made outside this tool have no known
+ * date). Recent mail is then counted per sender with the same frequency
+ * logic the analyzer uses, and a sender still mailing after an unsubscribe
+ * request was sent - allowing a grace period for the list to process it - is
+ * flagged as ignoring it, to be escalated to a trash filter.
+ */
+import { Journal } from './journal.js';
+import { EmailFilter } from './emailFilter.js';
+import { MetadataFetcher } from './metadataFetcher.js';
+import { loadAttempts, latestAttempts } from './unsubscribe.js';
+import { parseQuery, matchesQuery } from './gmailQuery.js';
+import { withRetry, extractEmail } from './utils.js';
+
+// Gmail asks bulk senders to honor an unsubscribe within two days
+export const GRACE_DAYS = 2;
+
+// Emails after the grace period that count as ignoring the unsubscribe
+export const IGNORING_MIN_MESSAGES = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filters on one plain address or domain, which a sender can be matched against
+function filterSender(filter) {
+  const from = filter.criteria?.from?.trim().toLowerCase();
+  if (!from || /[\s()|{}"]/.test(from) || /\bOR\b/i.test(filter.criteria.from)) return null;
+  return from.replace(/^\*/, '');
+}
+
+function filterAction(filter) {
+  const add = filter.action?.addLabelIds || [];
+  if (add.includes('TRASH')) return 'trash';
+  if ((filter.action?.removeLabelIds || []).includes('INBOX')) return 'archive';
+  return 'label';
+}
+
+export class UnsubscribeTracker {
+  /**
+   * @param {Object} auth - Connection from authorize()
+   * @param {string[]} protectedSenders - VIP and protected senders, never suggested for escalation
+   * @param {Object} options
+   * @param {number} options.graceDays - Days a list gets to process an unsubscribe
+   */
+  constructor(auth, protectedSenders = [], { graceDays = GRACE_DAYS } = {}) {
+    this.filter = new EmailFilter(auth, protectedSenders);
+    this.gmail = this.filter.gmail;
+    this.fetcher = new MetadataFetcher(this.gmail);
+    this.graceDays = graceDays;
+  }
+
+  /**
+   * Senders with a recorded unsubscribe or a filter, keyed by address or filter domain
+   * @returns {Promise<Map<string, { sender: string, unsubscribe: Object|null, filter: Object|null }>>}
+   */
+  async trackedSenders() {
+    const tracked = new Map();
+    const track = sender => {
+      if (!tracked.has(sender)) tracked.set(sender, { sender, unsubscribe: null, filter: null });
+      return tracked.get(sender);
+    };
+
+    for (const attempt of latestAttempts(await loadAttempts()).values()) {
+      if (attempt.status === 'skipped') continue;
+      track(attempt.sender).unsubscribe = attempt;
+    }
+
+    // When each filter was made, from the journal
+    const createdAt = new Map();
+    (await Journal.readEntries())
+      .filter(entry => entry.type === 'filter.create' && entry.filter?.id)
+      .forEach(entry => createdAt.set(entry.filter.id, entry.at));
+
+    const filters = await withRetry(() => this.filter.getExistingFilters());
+    for (const filter of filters) {
+      const sender = filterSender(filter);
+      if (!sender) continue;
+      const entry = track(sender);
+      const action = filterAction(filter);
+      // A trash filter wins over an archive filter for the same sender
+      if (entry.filter && entry.filter.action === 'trash') continue;
+      entry.filter = { id: filter.id, action, createdAt: createdAt.get(filter.id) || null };
+    }
+
+    return tracked;
+  }
+
+  /**
+   * The most recent `limit` emails, including trash and spam so filtered mail counts
+   * @returns {Promise<Array<{ id: string, fromEmail: string, date: number }>>}
+   */
+  async recentMail(limit, onProgress) {
+    const ids = [];
+    let pageToken;
+    do {
+      const response = await withRetry(() => this.gmail.users.messages.list({
+        userId: 'me',
+        q: '-in:sent -in:drafts',
+        includeSpamTrash: true,
+        maxResults: Math.min(limit - ids.length, 500),
+        pageToken
+      }));
+      (response.data.messages || []).forEach(message => ids.push(message.id));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < limit);
+
+    const { messages } = await this.fetcher.fetchAll(ids, ['From'], { onProgress });
+    return [...messages.values()].map(message => ({
+      id: message.id,
+      fromEmail: extractEmail(message.payload?.headers?.find(h => h.name.toLowerCase() === 'from')?.value || ''),
+      date: Number(message.internalDate) || 0
+    }));
+  }
+
+  /**
+   * Per tracked sender, how much mail arrived since it was unsubscribed or filtered
+   * @param {Map} tracked - From trackedSenders()
+   * @param {Array} emails - From recentMail()
+   * @param {Object} options
+   * @param {number} options.now - Current time in ms
+   * @returns {{ scannedFrom: string|null, scanned: number, graceDays: number, senders: Object[] }}
+   *   verdict is one of ignoring, grace, stopped, unconfirmed (unsubscribe link
+   *   left for you to open), filtered or trashed
+   */
+  buildReport(tracked, emails, { now = Date.now() } = {}) {
+    const oldest = emails.reduce((min, email) => (email.date && email.date < min ? email.date : min), Infinity);
+    const senders = [];
+
+    for (const { sender, unsubscribe, filter } of tracked.values()) {
+      // Matched the way Gmail matches a filter's from: criterion
+      const query = parseQuery(`from:${sender}`);
+      const sent = emails.filter(email => matchesQuery(query, { from: email.fromEmail }));
+      const since = unsubscribe ? Date.parse(unsubscribe.at) : (filter.createdAt ? Date.parse(filter.createdAt) : null);
+      const received = since === null ? sent : sent.filter(email => email.date > since);
+      const afterGrace = since === null ? [] : received.filter(email => email.date > since + this.graceDays * DAY_MS);
+
+      let verdict;
+      if (filter?.action === 'trash') {
+        verdict = 'trashed';
+      } else if (unsubscribe?.status === 'sent') {
+        if (this.filter.getFrequentSenders(afterGrace, IGNORING_MIN_MESSAGES).length > 0) verdict = 'ignoring';
+        else verdict = now - since < this.graceDays * DAY_MS ? 'grace' : 'stopped';
+      } else if (unsubscribe) {
+        verdict = 'unconfirmed';
+      } else {
+        verdict = 'filtered';
+      }
+
+      const dates = received.map(email => email.date).filter(Boolean);
+      senders.push({
+        sender,
+        since: since === null ? null : new Date(since).toISOString(),
+        unsubscribe: unsubscribe
+          ? { at: unsubscribe.at, method: unsubscribe.method, status: unsubscribe.status, messageCount: unsubscribe.messageCount }
+          : null,
+        filter,
+        receivedSince: received.length,
+        receivedAfterGrace: afterGrace.length,
+        lastReceivedAt: dates.length > 0 ? new Date(Math.max(...dates)).toISOString() : null,
+        // The scan doesn't reach back to the start date, so there may be more
+        partial: since !== null && oldest > since,
+        verdict,
+        suggestEscalation: verdict === 'ignoring' && !this.filter.isProtectedSender(sender)
+      });
+    }
+
+    const order = ['ignoring', 'unconfirmed', 'grace', 'filtered', 'stopped', 'trashed'];
+    senders.sort((a, b) => order.indexOf(a.verdict) - order.indexOf(b.verdict) || b.receivedSince - a.receivedSince);
+
+    return {
+      scannedFrom: Number.isFinite(oldest) ? new Date(oldest).toISOString() : null,
+      scanned: emails.length,
+      graceDays: this.graceDays,
+      senders
+    };
+  }
+}
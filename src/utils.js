@@ -1,6 +1,7 @@
 /**
  * Shared utilities for email filtering
  */
+import { getQuotaLimiter, isRateLimitError, retryAfterMs } from './quota.js';
 
 /**
  * Sleep for a given number of milliseconds
@@ -28,11 +29,13 @@ export async function withRetry(fn, maxRetries = 3, baseDelay = 1000) {
         throw error;
       }
 
-      // Rate limit error - back off more aggressively
-      if (error.code === 429 || error.message?.includes('Rate Limit')) {
-        const delay = baseDelay * Math.pow(2, attempt + 2);
+      // Rate limit error - pause every Gmail call in the process, for as long
+      // as Gmail asks or else more aggressively than other errors
+      if (isRateLimitError(error)) {
+        if (attempt === maxRetries) break;
+        const delay = retryAfterMs(error) ?? baseDelay * Math.pow(2, attempt + 2);
         console.warn(`Rate limited. Waiting ${delay}ms before retry ${attempt + 1}/${maxRetries}`);
-        await sleep(delay);
+        await getQuotaLimiter().pause(delay);
         continue;
       }
 
@@ -66,6 +69,24 @@ export async function processBatches(items, processor, batchSize = 50, delayBetw
   return results;
 }
 
+/**
+ * How many of the emails each sender sent, most first
+ * @param {Array<{ fromEmail: string }>} emails - Emails with a sender address
+ * @returns {Array<{ email: string, count: number }>}
+ */
+export function senderFrequency(emails) {
+  const senderMap = new Map();
+  emails.forEach(email => {
+    if (email.fromEmail) {
+      senderMap.set(email.fromEmail, (senderMap.get(email.fromEmail) || 0) + 1);
+    }
+  });
+
+  return Array.from(senderMap.entries())
+    .map(([email, count]) => ({ email, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
 /**
  * Extract domain from email address
  */
@@ -155,22 +176,3 @@ export function isFromProtectedDomain(email) {
   const domain = extractDomain(email);
   return PROTECTED_DOMAINS.some(pd => domain === pd || domain.endsWith('.' + pd));
 }
-
-/**
- * Rate limiter class for API calls
- */
-export class RateLimiter {
-  constructor(requestsPerSecond = 10) {
-    this.minInterval = 1000 / requestsPerSecond;
-    this.lastRequest = 0;
-  }
-
-  async wait() {
-    const now = Date.now();
-    const elapsed = now - this.lastRequest;
-    if (elapsed < this.minInterval) {
-      await sleep(this.minInterval - elapsed);
-    }
-    this.lastRequest = Date.now();
-  }
-}
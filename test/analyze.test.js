@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { tempStateDir, runJson, runScript, readJournal, categoryIds } from './helpers.js';
+
+const VIP = { VIP_EMAILS: 'alice@friend.org' };
+
+let state;
+before(async () => { state = await tempStateDir(); });
+after(() => state.cleanup());
+
+test('a dry run categorizes the fixture mailbox and changes nothing', async () => {
+  const report = await runJson('index.js', ['--dry-run', '--vip-from-env'], { stateDir: state.dir, env: VIP });
+
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.command, 'analyze');
+  assert.equal(report.dryRun, true);
+  assert.equal(report.runId, null);
+  assert.equal(report.filtering, null);
+  assert.equal(report.analysis.total, 11);
+
+  const categories = categoryIds(report.analysis);
+  assert.deepEqual(categories.vip, ['msg-vip-1']);
+  assert.deepEqual(categories.newsletter, ['msg-newsletter-1', 'msg-promo-1']);
+  assert.deepEqual(categories.promotional, ['msg-paypal-promo-1']);
+  assert.deepEqual(categories.social, ['msg-social-1']);
+  assert.deepEqual(categories.receipt, ['msg-receipt-1']);
+
+  assert.deepEqual(await readJournal(state.dir), []);
+});
+
+test('a second scan reads messages from the cache', async () => {
+  // Runs after the dry run above, which filled the cache in the same state directory
+  const report = await runJson('index.js', ['--dry-run', '--vip-from-env'], { stateDir: state.dir, env: VIP });
+
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.analysis.total, 11);
+  assert.equal(report.quota.methods['messages.get'], undefined);
+});
+
+test('without a terminal the VIP prompt needs confirmation (exit code 3)', async () => {
+  const { dir, cleanup } = await tempStateDir();
+  try {
+    const { code } = await runScript('index.js', ['--dry-run'], { stateDir: dir, env: VIP });
+    assert.equal(code, 3);
+  } finally {
+    await cleanup();
+  }
+});
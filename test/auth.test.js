@@ -0,0 +1,18 @@
+import './isolate.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { persistsToken } from '../src/auth.js';
+
+test('only the read token is saved by default', () => {
+  delete process.env.PERSIST_MODIFY_TOKEN;
+  assert.equal(persistsToken('read'), true);
+  assert.equal(persistsToken('modify'), false);
+});
+
+test('PERSIST_MODIFY_TOKEN=true opts in to saving the modify token', () => {
+  for (const [value, saved] of [['true', true], ['false', false], ['1', false]]) {
+    process.env.PERSIST_MODIFY_TOKEN = value;
+    assert.equal(persistsToken('modify'), saved, value);
+  }
+  delete process.env.PERSIST_MODIFY_TOKEN;
+});
@@ -0,0 +1,73 @@
+import { STATE_DIR } from './isolate.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { NaiveBayesClassifier, MODEL_FILE, categoryForLabel, extractFeatures } from '../src/classifier.js';
+
+const TRAINING = [
+  [{ fromEmail: 'crew@morningbrew.com', subject: 'Your morning digest', snippet: 'Top stories today', listUnsubscribe: '<https://x>' }, 'newsletter'],
+  [{ fromEmail: 'news@substack.com', subject: 'Weekly digest of stories', snippet: 'Read the latest stories', listUnsubscribe: '<https://x>' }, 'newsletter'],
+  [{ fromEmail: 'editor@dailybrief.com', subject: 'The daily digest', snippet: 'Stories worth reading', listId: 'brief' }, 'newsletter'],
+  [{ fromEmail: 'service@paypal.com', subject: 'Receipt for your payment', snippet: 'You paid $12.00 order total' }, 'receipt'],
+  [{ fromEmail: 'orders@shop.example.com', subject: 'Your order receipt', snippet: 'Order total $40.00 paid' }, 'receipt'],
+  [{ fromEmail: 'billing@cloud.example', subject: 'Payment receipt', snippet: 'Invoice paid, total $9.99' }, 'receipt']
+];
+
+function trained() {
+  const classifier = new NaiveBayesClassifier();
+  TRAINING.forEach(([email, category]) => classifier.learn(email, category));
+  return classifier;
+}
+
+test('categoryForLabel maps training labels', () => {
+  assert.equal(categoryForLabel('Receipts'), 'receipt');
+  assert.equal(categoryForLabel('Filtered/Newsletters'), 'newsletter');
+  assert.equal(categoryForLabel('Filtered/Travel'), 'travel');
+  assert.equal(categoryForLabel('Work'), null);
+});
+
+test('extractFeatures leaves out user labels and stop words', () => {
+  const tokens = extractFeatures({ fromEmail: 'Crew@MorningBrew.com', subject: 'The digest', labels: ['CATEGORY_PROMOTIONS', 'Label_7'] });
+  assert.deepEqual(tokens, ['from:crew@morningbrew.com', 'domain:morningbrew.com', 'local:crew', 'subject:digest', 'gmail:category_promotions']);
+});
+
+test('an untrained or one-category model makes no prediction', () => {
+  const classifier = new NaiveBayesClassifier();
+  assert.equal(classifier.predict({ subject: 'anything' }), null);
+  classifier.learn({ subject: 'digest' }, 'newsletter');
+  assert.equal(classifier.predict({ subject: 'digest' }), null);
+});
+
+test('predicts the category of unseen mail with a confidence', () => {
+  const classifier = trained();
+  assert.deepEqual(classifier.summary(), { newsletter: 3, receipt: 3 });
+
+  const newsletter = classifier.predict({ fromEmail: 'hello@weekender.com', subject: 'Sunday digest', snippet: 'Stories to read', listUnsubscribe: '<https://y>' });
+  assert.equal(newsletter.category, 'newsletter');
+  assert.ok(newsletter.confidence > 0.9);
+
+  const receipt = classifier.predict({ fromEmail: 'store@market.example', subject: 'Receipt', snippet: 'Order total $5.00 paid' });
+  assert.equal(receipt.category, 'receipt');
+  assert.ok(Math.abs(receipt.scores.receipt + receipt.scores.newsletter - 1) < 1e-9);
+});
+
+test('a saved model reloads with the same predictions', async () => {
+  const classifier = trained();
+  assert.equal(path.dirname(MODEL_FILE), STATE_DIR);
+  await classifier.save();
+
+  const loaded = await NaiveBayesClassifier.load();
+  const email = { fromEmail: 'store@market.example', subject: 'Receipt', snippet: 'Order total paid' };
+  assert.deepEqual(loaded.predict(email), classifier.predict(email));
+  assert.equal(loaded.trainedAt, classifier.trainedAt);
+  assert.equal(loaded.vocabulary.size, classifier.vocabulary.size);
+});
+
+test('loading without a model, or an old model version', async () => {
+  assert.equal(await NaiveBayesClassifier.load(path.join(STATE_DIR, 'none.json')), null);
+
+  const old = path.join(STATE_DIR, 'old-model.json');
+  await fs.writeFile(old, JSON.stringify({ version: 0, categories: {} }));
+  await assert.rejects(NaiveBayesClassifier.load(old), /Unsupported classifier model version 0/);
+});
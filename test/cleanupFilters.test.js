@@ -0,0 +1,36 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { tempStateDir, runJson, readJournal } from './helpers.js';
+
+let state;
+beforeEach(async () => { state = await tempStateDir(); });
+afterEach(() => state.cleanup());
+
+test('finds duplicate, protected and overly broad filters', async () => {
+  const report = await runJson('cleanupFilters.js', [], { stateDir: state.dir });
+
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.command, 'cleanup');
+  assert.equal(report.dryRun, true);
+  assert.deepEqual(report.issues.duplicates.map(d => [d.from, d.filterIds]),
+    [['deals@shop.example.com', ['fake-filter-2', 'fake-filter-3']]]);
+  assert.deepEqual(report.issues.protectedMarkedSpam, [{ from: 'alerts@chase.com', filterId: 'fake-filter-4' }]);
+  assert.deepEqual(report.issues.overlyBroad, [{ from: 'noreply@', filterId: 'fake-filter-1' }]);
+  assert.deepEqual(report.deletions.map(d => d.filterId).sort(), ['fake-filter-1', 'fake-filter-3', 'fake-filter-4']);
+  assert.equal(report.deleted, 0);
+  assert.equal(report.runId, null);
+  assert.deepEqual(await readJournal(state.dir), []);
+});
+
+test('--apply deletes them and journals each filter for undo', async () => {
+  const report = await runJson('cleanupFilters.js', ['--apply', '--yes'], { stateDir: state.dir });
+
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.dryRun, false);
+  assert.equal(report.deleted, 3);
+  assert.ok(report.runId);
+
+  const journal = await readJournal(state.dir);
+  assert.deepEqual(journal.map(entry => entry.type), ['filter.delete', 'filter.delete', 'filter.delete']);
+  assert.deepEqual(journal.find(entry => entry.filter.id === 'fake-filter-4').filter.criteria, { from: 'alerts@chase.com' });
+});
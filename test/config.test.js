@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tempStateDir, runScript, runJson, FIXTURES } from './helpers.js';
+
+// Settings come only from the files below
+const FROM_FILES = { MAIL_PROVIDER: undefined, FAKE_GMAIL_FIXTURES: undefined };
+
+let state;
+before(async () => {
+  state = await tempStateDir();
+  await fs.writeFile(path.join(state.dir, '.env'), `MAIL_PROVIDER=local\nLOCAL_MAILBOX=${path.join(state.dir, 'missing.mbox')}\n`);
+  await fs.writeFile(path.join(state.dir, 'cfg.env'), `MAIL_PROVIDER=fake\nFAKE_GMAIL_FIXTURES=${FIXTURES}\n`);
+});
+after(() => state.cleanup());
+
+test('without --config the settings come from .env', async () => {
+  const { code, stderr } = await runScript('cli.js', ['cleanup'], { stateDir: state.dir, env: FROM_FILES });
+  assert.equal(code, 1);
+  assert.match(stderr, /missing\.mbox/);
+});
+
+test('--config replaces .env, for the CLI and for scripts run directly', async () => {
+  for (const script of ['cli.js', 'cleanupFilters.js']) {
+    const args = script === 'cli.js' ? ['cleanup', '--config', 'cfg.env'] : ['--config=cfg.env'];
+    const report = await runJson(script, args, { stateDir: state.dir, env: FROM_FILES });
+    assert.equal(report.exitCode, 0, script);
+    assert.equal(report.issues.totalProblematic, 3, script);
+  }
+});
+
+test('an unreadable --config file is a usage error', async () => {
+  const { code, stderr } = await runScript('cli.js', ['cleanup', '--config', 'nope.env'], { stateDir: state.dir, env: FROM_FILES });
+  assert.equal(code, 2);
+  assert.match(stderr, /Could not read config file nope\.env/);
+});
@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tempStateDir, runJson, readJournal } from './helpers.js';
+
+const VIP = { VIP_EMAILS: 'alice@friend.org' };
+
+let state;
+before(async () => { state = await tempStateDir(); });
+after(() => state.cleanup());
+
+test('the first run files the mailbox and journals what it changed', async () => {
+  const report = await runJson('continuous.js', ['--yes'], { stateDir: state.dir, env: VIP });
+
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.command, 'continuous');
+  assert.equal(report.dryRun, false);
+  assert.ok(report.runId);
+  assert.equal(report.batches.length, 1);
+  assert.equal(report.batches[0].analysis.total, 11);
+  assert.equal(report.batches[0].filtering.vipPreserved, 1);
+
+  const checkpoint = JSON.parse(await fs.readFile(path.join(state.dir, '.checkpoint.json'), 'utf8'));
+  assert.equal(checkpoint.totalProcessed, 11);
+  assert.ok(checkpoint.historyId);
+
+  const journal = await readJournal(state.dir);
+  assert.ok(journal.length > 0);
+  assert.ok(journal.every(entry => entry.runId === report.runId && entry.type === 'modify'));
+
+  const archived = journal.flatMap(entry => entry.changes
+    .filter(change => change.removeLabelIds.includes('INBOX'))
+    .map(change => change.id));
+  assert.ok(archived.includes('msg-read-1'));
+  assert.ok(!archived.includes('msg-vip-1'));
+  // Spam-folder mail was never in the inbox, so there was nothing to archive
+  assert.ok(!archived.includes('msg-spam-bank-1'));
+});
+
+test('a later run picks up from the checkpoint', async () => {
+  const report = await runJson('continuous.js', ['--yes'], { stateDir: state.dir, env: VIP });
+
+  assert.equal(report.exitCode, 0);
+  assert.deepEqual(report.batches, []);
+  assert.equal(report.runId, null);
+  assert.deepEqual(Object.keys(report.quota.methods), ['history.list']);
+});
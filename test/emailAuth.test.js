@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateAuthentication,
+  organizationalDomain,
+  domainsAlign,
+  parseAuthenticationResults,
+  parseReceivedSpf,
+  requiresAuthentication,
+  failsSenderAuthentication
+} from '../src/emailAuth.js';
+
+function headers(...pairs) {
+  return pairs.map(([name, value]) => ({ name, value }));
+}
+
+test('organizationalDomain and domainsAlign', () => {
+  assert.equal(organizationalDomain('alertsp.chase.com'), 'chase.com');
+  assert.equal(organizationalDomain('mail.example.co.uk'), 'example.co.uk');
+  assert.ok(domainsAlign('alertsp.chase.com', 'chase.com'));
+  assert.ok(!domainsAlign('chase.com.evil.example', 'chase.com'));
+  assert.ok(!domainsAlign('', 'chase.com'));
+});
+
+test('parseAuthenticationResults skips comments and reads properties', () => {
+  const parsed = parseAuthenticationResults(
+    'mx.google.com; dkim=pass (test; key=1) header.i=@chase.com; spf=pass smtp.mailfrom=bounce@chase.com; dmarc=pass (p=REJECT) header.from=chase.com'
+  );
+  assert.equal(parsed.instance, null);
+  assert.equal(parsed.authservId, 'mx.google.com');
+  assert.deepEqual(parsed.results.map(r => `${r.method}=${r.result}`), ['dkim=pass', 'spf=pass', 'dmarc=pass']);
+  assert.equal(parsed.results[1].props['smtp.mailfrom'], 'bounce@chase.com');
+
+  assert.equal(parseAuthenticationResults('i=2; mx.google.com; arc=pass').instance, 2);
+});
+
+test('parseReceivedSpf', () => {
+  assert.deepEqual(parseReceivedSpf('pass (google.com: domain of a@chase.com designates 1.2.3.4) envelope-from=a@chase.com;'),
+    { result: 'pass', domain: 'chase.com' });
+});
+
+test('aligned DKIM from a subdomain passes', () => {
+  const auth = evaluateAuthentication(headers(
+    ['Authentication-Results', 'mx.google.com; dkim=pass header.d=alertsp.chase.com; spf=pass smtp.mailfrom=alertsp.chase.com; dmarc=pass header.from=alertsp.chase.com']
+  ), 'no-reply@alertsp.chase.com');
+  assert.equal(auth.aligned, true);
+  assert.equal(auth.dmarc, 'pass');
+  assert.equal(auth.hasResults, true);
+});
+
+test('a DMARC failure is never aligned', () => {
+  const auth = evaluateAuthentication(headers(
+    ['Authentication-Results', 'mx.google.com; dkim=pass header.d=chase.com; dmarc=fail header.from=chase.com']
+  ), 'alerts@chase.com');
+  assert.equal(auth.aligned, false);
+  assert.ok(failsSenderAuthentication({ fromEmail: 'alerts@chase.com', authentication: auth }));
+});
+
+test('results injected below our own header are ignored', () => {
+  const auth = evaluateAuthentication(headers(
+    ['Authentication-Results', 'mx.google.com; spf=softfail smtp.mailfrom=payroll@rippling.com; dmarc=none header.from=rippling.com'],
+    ['Authentication-Results', 'mx.google.com; dkim=pass header.d=rippling.com']
+  ), 'payroll@rippling.com');
+  assert.equal(auth.aligned, false);
+  assert.deepEqual(auth.dkim, []);
+  assert.equal(auth.spf.result, 'softfail');
+});
+
+test('results from an untrusted authserv-id are ignored', () => {
+  const auth = evaluateAuthentication(headers(
+    ['Authentication-Results', 'mx.attacker.example; dkim=pass header.d=chase.com; dmarc=pass']
+  ), 'alerts@chase.com');
+  assert.equal(auth.aligned, false);
+  assert.equal(auth.hasResults, false);
+  assert.equal(auth.summary, 'no authentication results');
+});
+
+test('TRUSTED_AUTHSERV_IDS adds receiving servers', () => {
+  process.env.TRUSTED_AUTHSERV_IDS = 'mx.fastmail.com';
+  try {
+    const auth = evaluateAuthentication(headers(
+      ['Authentication-Results', 'mx.fastmail.com; dkim=pass header.d=chase.com']
+    ), 'alerts@chase.com');
+    assert.equal(auth.aligned, true);
+  } finally {
+    delete process.env.TRUSTED_AUTHSERV_IDS;
+  }
+});
+
+test('only the topmost Received-SPF counts, and only from our server', () => {
+  const fromUs = evaluateAuthentication(headers(
+    ['Received-SPF', 'fail (google.com: domain of a@chase.com does not designate 1.2.3.4) envelope-from=a@chase.com;'],
+    ['Received-SPF', 'pass (google.com: domain of a@chase.com designates 5.6.7.8) envelope-from=a@chase.com;']
+  ), 'a@chase.com');
+  assert.equal(fromUs.spf.result, 'fail');
+  assert.equal(fromUs.aligned, false);
+
+  const fromElsewhere = evaluateAuthentication(headers(
+    ['Received-SPF', 'pass (attacker.example: domain of a@chase.com designates 5.6.7.8) envelope-from=a@chase.com;']
+  ), 'a@chase.com');
+  assert.equal(fromElsewhere.spf, null);
+  assert.equal(fromElsewhere.aligned, false);
+});
+
+function forwarded(sealer) {
+  return headers(
+    ['Authentication-Results', 'mx.google.com; dkim=fail header.d=chase.com; arc=pass'],
+    ['ARC-Seal', `i=1; a=rsa-sha256; cv=none; d=${sealer}; s=arc`],
+    ['ARC-Authentication-Results', 'i=1; mx.lists.example; dkim=pass header.d=chase.com; dmarc=pass']
+  );
+}
+
+test('a validated ARC chain vouches for mail from a trusted forwarder', () => {
+  process.env.TRUSTED_ARC_SEALERS = 'lists.example';
+  try {
+    const auth = evaluateAuthentication(forwarded('lists.example'), 'alerts@chase.com');
+    assert.equal(auth.viaArc, true);
+    assert.equal(auth.aligned, true);
+  } finally {
+    delete process.env.TRUSTED_ARC_SEALERS;
+  }
+});
+
+test('ARC results from a sealer nobody trusts are ignored', () => {
+  const untrusted = evaluateAuthentication(forwarded('lists.example'), 'alerts@chase.com');
+  assert.equal(untrusted.viaArc, false);
+  assert.equal(untrusted.aligned, false);
+
+  process.env.TRUSTED_ARC_SEALERS = 'lists.example';
+  try {
+    const lookalike = evaluateAuthentication(forwarded('evil-lists.example'), 'alerts@chase.com');
+    assert.equal(lookalike.viaArc, false);
+  } finally {
+    delete process.env.TRUSTED_ARC_SEALERS;
+  }
+});
+
+test('requiresAuthentication covers banks and protected senders', () => {
+  assert.ok(requiresAuthentication('no-reply@alertsp.chase.com'));
+  assert.ok(requiresAuthentication('boss@work.example', ['work.example']));
+  assert.ok(requiresAuthentication('Boss@Work.example', ['boss@work.example']));
+  assert.ok(requiresAuthentication('boss@work.example', ['Boss@Work.example']));
+  assert.ok(!requiresAuthentication('crew@morningbrew.com'));
+});
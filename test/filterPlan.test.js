@@ -0,0 +1,73 @@
+import { STATE_DIR } from './isolate.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { FakeGmail } from '../src/fakeGmail.js';
+import { FilterPlanner } from '../src/filterPlan.js';
+import { loadRules, RULES_VERSION } from '../src/rules.js';
+import { getQuotaLimiter } from '../src/quota.js';
+
+// Every test builds its own mailbox; a cache would outlive it
+process.env.MESSAGE_CACHE = 'off';
+// The quota report printed on exit confuses the test runner's output parsing
+after(() => getQuotaLimiter().resetStats());
+
+const RULES_FILE = path.join(STATE_DIR, 'rules.json');
+process.env.RULES_FILE = RULES_FILE;
+
+// More than one page of messages.list results
+const DEALS = 600;
+
+const rule = {
+  id: 'shop-deals',
+  match: { from: 'deals@shop.example' },
+  label: 'Filtered/Promotional',
+  action: 'archive',
+  retroactive: true
+};
+
+async function writeRules(rules) {
+  await fs.writeFile(RULES_FILE, JSON.stringify({ version: RULES_VERSION, rules }, null, 2));
+}
+
+function mailbox() {
+  return new FakeGmail().seed({
+    messages: Array.from({ length: DEALS }, (_, i) => ({ id: `deal-${i}`, from: 'deals@shop.example', subject: `Deal ${i}` }))
+  });
+}
+
+async function planFor(box) {
+  await writeRules([rule]);
+  const planner = new FilterPlanner(box, await loadRules());
+  return { planner, plan: await planner.buildPlan() };
+}
+
+test('the plan finds every inbox message a retroactive rule matches, across pages', async () => {
+  const { plan } = await planFor(mailbox());
+
+  assert.deepEqual(plan.creates.map(create => create.ruleId), ['shop-deals']);
+  assert.equal(plan.retroactive.length, 1);
+  assert.equal(plan.retroactive[0].messageIds.length, DEALS);
+});
+
+test('apply refuses a plan made from different rules', async () => {
+  const box = mailbox();
+  const { planner, plan } = await planFor(box);
+  await writeRules([{ ...rule, action: 'trash', label: undefined }]);
+
+  await assert.rejects(planner.applyPlan(plan), /rules\.json changed after planning/);
+  assert.deepEqual(box.filters, []);
+  assert.ok(box.messages.get('deal-0').labelIds.includes('INBOX'));
+});
+
+test('apply runs a plan whose rules are unchanged', async () => {
+  const box = mailbox();
+  const { planner, plan } = await planFor(box);
+
+  const results = await planner.applyPlan(plan);
+  assert.deepEqual(results.errors, []);
+  assert.equal(results.created, 1);
+  assert.equal(results.retroactive, DEALS);
+  assert.ok([...box.messages.values()].every(message => !message.labelIds.includes('INBOX')));
+});
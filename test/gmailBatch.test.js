@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBatchBody, parseBatchResponse, sendGmailBatch, MAX_BATCH_REQUESTS } from '../src/gmailBatch.js';
+
+const CONTENT_TYPE = 'multipart/mixed; boundary=batch_abc';
+
+function part(index, statusLine, body, headers = []) {
+  return [
+    '--batch_abc',
+    'Content-Type: application/http',
+    `Content-ID: <response-item${index}>`,
+    '',
+    statusLine,
+    'Content-Type: application/json; charset=UTF-8',
+    ...headers,
+    '',
+    body,
+    ''
+  ].join('\r\n');
+}
+
+test('buildBatchBody writes one GET per request', () => {
+  const body = buildBatchBody([
+    { method: 'messages.get', params: { userId: 'me', id: 'm1', format: 'metadata', metadataHeaders: ['From', 'Subject'] } },
+    { method: 'threads.get', params: { userId: 'me', id: 't1', format: 'minimal' } }
+  ], 'b');
+  assert.match(body, /Content-ID: <item0>\r\n\r\nGET \/gmail\/v1\/users\/me\/messages\/m1\?format=metadata&metadataHeaders=From&metadataHeaders=Subject HTTP\/1\.1/);
+  assert.match(body, /Content-ID: <item1>\r\n\r\nGET \/gmail\/v1\/users\/me\/threads\/t1\?format=minimal HTTP\/1\.1/);
+  assert.ok(body.endsWith('--b--\r\n'));
+});
+
+test('buildBatchBody rejects methods it cannot batch', () => {
+  assert.throws(() => buildBatchBody([{ method: 'messages.list', params: {} }], 'b'), /only support/);
+});
+
+test('parseBatchResponse puts results back in request order', () => {
+  const text = [
+    part(1, 'HTTP/1.1 404 Not Found', '{"error":{"code":404,"message":"Requested entity was not found.","errors":[{"reason":"notFound"}]}}'),
+    part(0, 'HTTP/1.1 200 OK', '{"id":"m1","labelIds":["INBOX"]}'),
+    '--batch_abc--'
+  ].join('');
+  const [first, second] = parseBatchResponse(text, CONTENT_TYPE, 2);
+
+  assert.deepEqual(first, { status: 200, data: { id: 'm1', labelIds: ['INBOX'] } });
+  assert.equal(second.status, 404);
+  assert.equal(second.error.code, 404);
+  assert.equal(second.error.reason, 'notFound');
+  assert.equal(second.error.message, 'Requested entity was not found.');
+});
+
+test('parseBatchResponse keeps Retry-After for rate-limited calls', () => {
+  const text = part(0, 'HTTP/1.1 429 Too Many Requests', '{"error":{"code":429,"message":"Rate limit"}}', ['Retry-After: 7']) + '--batch_abc--';
+  const [result] = parseBatchResponse(text, CONTENT_TYPE, 1);
+  assert.equal(result.error.code, 429);
+  assert.equal(result.error.response.headers['retry-after'], '7');
+});
+
+test('parseBatchResponse treats a missing part as a failed call', () => {
+  const text = part(0, 'HTTP/1.1 200 OK', '{"id":"m1"}') + '--batch_abc--';
+  const results = parseBatchResponse(text, CONTENT_TYPE, 2);
+  assert.equal(results[0].status, 200);
+  assert.equal(results[1].status, 500);
+  assert.match(results[1].error.message, /Missing from batch response/);
+});
+
+test('parseBatchResponse needs a boundary', () => {
+  assert.throws(() => parseBatchResponse('', 'application/json', 1), /no multipart boundary/);
+});
+
+test('sendGmailBatch refuses oversized batches', async () => {
+  const requests = Array.from({ length: MAX_BATCH_REQUESTS + 1 }, (_, i) => ({ method: 'messages.get', params: { id: `m${i}` } }));
+  await assert.rejects(sendGmailBatch({}, requests), /at most 100/);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseQuery,
+  matchesQuery,
+  parseQueryAge,
+  parseQuerySize,
+  parseQueryDate,
+  criteriaToQuery,
+  queryIncludesSpamTrash,
+  normalizeLabelName,
+  toSearchRecord,
+  metadataBlindTerms
+} from '../src/gmailQuery.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+const receipt = {
+  from: 'PayPal <service@paypal.com>',
+  to: 'me@example.com',
+  subject: 'You sent a payment to Coffee Co',
+  snippet: 'Receipt for your payment',
+  labelIds: ['INBOX', 'Label_1'],
+  internalDate: NOW - 3 * DAY,
+  sizeEstimate: 2 * 1024 * 1024
+};
+
+test('parseQuery builds and/or/not trees', () => {
+  assert.deepEqual(parseQuery('from:a@x.com -subject:sale'), {
+    type: 'and',
+    children: [
+      { type: 'term', field: 'from', value: 'a@x.com', quoted: false },
+      { type: 'not', child: { type: 'term', field: 'subject', value: 'sale', quoted: false } }
+    ]
+  });
+  assert.equal(parseQuery('a OR b').type, 'or');
+  assert.deepEqual(parseQuery(''), { type: 'all' });
+});
+
+test('addresses match anywhere in the header', () => {
+  assert.ok(matchesQuery('from:paypal.com', receipt));
+  assert.ok(matchesQuery('from:service@', receipt));
+  assert.ok(!matchesQuery('from:stripe.com', receipt));
+});
+
+test('subject words match whole words, quoted phrases anywhere', () => {
+  assert.ok(matchesQuery('subject:payment', receipt));
+  assert.ok(!matchesQuery('subject:pay', receipt));
+  assert.ok(matchesQuery('subject:"sent a pay"', receipt));
+});
+
+test('OR groups, negation and parentheses', () => {
+  assert.ok(matchesQuery('subject:(refund OR payment)', receipt));
+  assert.ok(!matchesQuery('from:paypal.com -subject:(payment OR refund)', receipt));
+  assert.ok(matchesQuery('(from:stripe.com OR from:paypal.com) subject:coffee', receipt));
+  assert.ok(matchesQuery('{from:stripe.com from:paypal.com}', receipt));
+});
+
+test('labels, inbox and categories', () => {
+  const context = { labelNames: { Label_1: 'Filtered/Receipts' } };
+  assert.ok(matchesQuery('label:filtered-receipts', receipt, context));
+  assert.ok(matchesQuery('in:inbox', receipt));
+  assert.ok(!matchesQuery('category:promotions', receipt));
+  assert.ok(matchesQuery('category:promotions', { ...receipt, labelIds: ['CATEGORY_PROMOTIONS'] }));
+});
+
+test('age and size operators', () => {
+  assert.ok(matchesQuery('older_than:2d', receipt, { now: NOW }));
+  assert.ok(!matchesQuery('older_than:1m', receipt, { now: NOW }));
+  assert.ok(matchesQuery('newer_than:1m', receipt, { now: NOW }));
+  assert.ok(matchesQuery('larger:1M', receipt));
+  assert.ok(!matchesQuery('larger:5M', receipt));
+  assert.ok(matchesQuery('smaller:5M', receipt));
+});
+
+test('bare words search from, to, subject and snippet', () => {
+  assert.ok(matchesQuery('receipt', receipt));
+  assert.ok(matchesQuery('coffee', receipt));
+  assert.ok(!matchesQuery('invoice', receipt));
+});
+
+test('parseQueryAge, parseQuerySize and parseQueryDate', () => {
+  assert.equal(parseQueryAge('2d'), 2 * DAY);
+  assert.equal(parseQueryAge('1y'), 365 * DAY);
+  assert.equal(parseQueryAge('soon'), null);
+  assert.equal(parseQuerySize('500K'), 500 * 1024);
+  assert.equal(parseQuerySize('5M'), 5 * 1024 * 1024);
+  assert.equal(parseQuerySize('1048576'), 1048576);
+  assert.equal(parseQuerySize('big'), null);
+  assert.equal(parseQueryDate('2026/01/31'), new Date(2026, 0, 31).getTime());
+  assert.equal(parseQueryDate('1700000000'), 1700000000 * 1000);
+  assert.equal(parseQueryDate('yesterday'), null);
+});
+
+test('criteriaToQuery turns filter criteria into a search', () => {
+  assert.equal(criteriaToQuery({ from: 'service@paypal.com', query: 'subject:(a OR b)', negatedQuery: 'from:chase.com' }),
+    'from:service@paypal.com (subject:(a OR b)) -(from:chase.com)');
+  assert.equal(criteriaToQuery({ subject: 'weekly digest' }), 'subject:(weekly digest)');
+});
+
+test('queryIncludesSpamTrash and normalizeLabelName', () => {
+  assert.ok(queryIncludesSpamTrash('in:spam older_than:30d'));
+  assert.ok(!queryIncludesSpamTrash('from:spam@x.com'));
+  assert.equal(normalizeLabelName('Filtered/Promotional Mail'), 'filtered-promotional-mail');
+});
+
+test('metadataBlindTerms finds attachment and body searches', () => {
+  assert.deepEqual(metadataBlindTerms('from:shop.example has:attachment -(invoice OR "order total") subject:receipt'),
+    ['has:attachment', 'invoice', '"order total"']);
+  assert.deepEqual(metadataBlindTerms('from:shop.example subject:(a OR b) has:userlabels'), []);
+});
+
+test('toSearchRecord flattens a fetched message', () => {
+  const record = toSearchRecord({
+    id: 'm1',
+    threadId: 't1',
+    labelIds: ['INBOX'],
+    snippet: 'hi',
+    internalDate: '1700000000000',
+    sizeEstimate: 10,
+    payload: { headers: [{ name: 'From', value: 'a@x.com' }, { name: 'List-ID', value: '<list.x.com>' }] }
+  });
+  assert.equal(record.from, 'a@x.com');
+  assert.equal(record.listId, '<list.x.com>');
+  assert.equal(record.internalDate, 1700000000000);
+  assert.equal(record.hasAttachment, false);
+});
@@ -0,0 +1,109 @@
+/**
+ * Runs the scripts end to end against the fake Gmail (or a local mailbox),
+ * each in its own process with its own state directory, so a test never
+ * reads the project's .env or touches a real token, journal or cache.
+ */
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const FIXTURES = path.join(ROOT_DIR, 'fixtures/fake-gmail');
+
+// A script that hangs (say, on a prompt) fails its test instead of the whole run
+const TIMEOUT_MS = 60 * 1000;
+
+/**
+ * A fresh, empty state directory, removed again by the returned cleanup
+ * @returns {Promise<{ dir: string, cleanup: Function }>}
+ */
+export async function tempStateDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fix-email-test-'));
+  return { dir, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Run a script from src/ with no terminal attached, so every run is non-interactive
+ * @param {string} script - File in src/, e.g. "index.js"
+ * @param {string[]} args - Its arguments
+ * @param {Object} options
+ * @param {string} options.stateDir - STATE_DIR, also the working directory
+ * @param {Object} options.env - Extra environment; MAIL_PROVIDER is fake unless given,
+ *   and a variable set to undefined is left out
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+export function runScript(script, args, { stateDir, env = {} }) {
+  const childEnv = {
+    PATH: process.env.PATH,
+    HOME: stateDir,
+    STATE_DIR: stateDir,
+    MAIL_PROVIDER: 'fake',
+    FAKE_GMAIL_FIXTURES: FIXTURES,
+    FORCE_COLOR: '0',
+    ...env
+  };
+  Object.keys(childEnv).filter(name => childEnv[name] === undefined).forEach(name => delete childEnv[name]);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, 'src', script), ...args], {
+      cwd: stateDir,
+      env: childEnv,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${script} ${args.join(' ')} did not finish within ${TIMEOUT_MS / 1000}s\n${stdout}\n${stderr}`));
+    }, TIMEOUT_MS);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Run a script with --json and parse the document it prints
+ * @returns {Promise<Object>} the JSON document, with the run's exit code as `exitCode`
+ */
+export async function runJson(script, args, options) {
+  const { code, stdout, stderr } = await runScript(script, [...args, '--json'], options);
+  try {
+    return { ...JSON.parse(stdout), exitCode: code };
+  } catch {
+    throw new Error(`${script} printed no JSON document (exit code ${code})\n${stdout}\n${stderr}`);
+  }
+}
+
+/**
+ * The run's journal entries from its state directory
+ */
+export async function readJournal(stateDir) {
+  try {
+    const content = await fs.readFile(path.join(stateDir, '.journal.jsonl'), 'utf8');
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Categories in an analysis summary, as { category: [message IDs] }
+export function categoryIds(analysis) {
+  return Object.fromEntries(Object.entries(analysis.categories).map(([category, { messages }]) => [
+    category,
+    messages.map(message => message.id).sort()
+  ]));
+}
@@ -0,0 +1,15 @@
+/**
+ * Import first in a test that loads src/ modules in-process: state files
+ * (STATE_DIR) and any .env lookup go to a temporary directory, so the test
+ * never reads the project's .env or touches a real token, journal or cache.
+ * node:test runs each file in its own process, so this only affects that file.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-email-test-'));
+
+process.env.STATE_DIR = STATE_DIR;
+process.chdir(STATE_DIR);
+process.on('exit', () => fs.rmSync(STATE_DIR, { recursive: true, force: true }));
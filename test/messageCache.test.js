@@ -0,0 +1,125 @@
+import { STATE_DIR } from './isolate.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { MessageCache } from '../src/messageCache.js';
+
+const CACHE_PATH = path.join(STATE_DIR, 'cache.json');
+
+function message(id, labelIds = ['INBOX'], headers = [{ name: 'From', value: `${id}@x.com` }, { name: 'Subject', value: id }], internalDate = '1700000000000') {
+  return { id, threadId: `t-${id}`, labelIds, snippet: id, internalDate, sizeEstimate: 100, payload: { headers } };
+}
+
+// Just enough of a Gmail client for sync(): a profile and one page of history
+function gmailWith(history, { historyId = '20', expired = false } = {}) {
+  return {
+    users: {
+      getProfile: async () => ({ data: { emailAddress: 'me@example.com', historyId } }),
+      history: {
+        list: async () => {
+          if (expired) throw Object.assign(new Error('Requested entity was not found.'), { code: 404 });
+          return { data: { history } };
+        }
+      }
+    }
+  };
+}
+
+async function filledCache() {
+  const cache = new MessageCache(undefined, CACHE_PATH);
+  ['m1', 'm2', 'm3'].forEach(id => cache.store(message(id), ['from', 'subject']));
+  await cache.sync(gmailWith([]));
+  return cache;
+}
+
+test('lookup needs every wanted header', async () => {
+  const cache = await filledCache();
+  assert.equal(cache.lookup('m1', ['From']).id, 'm1');
+  assert.equal(cache.lookup('m1', ['From', 'List-Unsubscribe']), null);
+  assert.equal(cache.lookup('unknown', ['From']), null);
+});
+
+test('getMetadataMany fetches only the misses, with the headers already known', async () => {
+  const cache = await filledCache();
+  const requests = [];
+  const { messages } = await cache.getMetadataMany(['m1', 'm4'], ['From', 'Date'], async misses => {
+    requests.push(...misses);
+    return { messages: new Map(misses.map(({ id }) => [id, message(id)])), errors: new Map() };
+  });
+
+  assert.deepEqual(requests.map(r => r.id), ['m1', 'm4']);
+  assert.deepEqual(requests[0].metadataHeaders, ['from', 'subject', 'date']);
+  assert.deepEqual(messages.get('m1').payload.headers.map(h => h.name), ['From']);
+  assert.deepEqual(cache.stats, { hits: 0, misses: 2 });
+
+  await cache.getMetadataMany(['m1'], ['Subject'], async () => assert.fail('m1 is cached'));
+  assert.equal(cache.stats.hits, 1);
+});
+
+test('history updates labels, deletes messages and records new ones', async () => {
+  const cache = await filledCache();
+  const result = await cache.sync(gmailWith([
+    { labelsRemoved: [{ message: { id: 'm1', labelIds: [] }, labelIds: ['INBOX'] }] },
+    { labelsAdded: [{ message: { id: 'm2', labelIds: ['INBOX', 'STARRED'] }, labelIds: ['STARRED'] }] },
+    { messagesDeleted: [{ message: { id: 'm3' } }] },
+    { messagesAdded: [{ message: { id: 'm9', threadId: 't9', labelIds: ['INBOX'] } }] }
+  ]));
+
+  assert.deepEqual(result, { changed: 2, deleted: 1, added: 1, expired: false });
+  assert.deepEqual(cache.data.messages.m1.labelIds, []);
+  assert.deepEqual(cache.data.messages.m2.labelIds, ['INBOX', 'STARRED']);
+  assert.equal(cache.data.messages.m3, undefined);
+  // Known by ID only until its headers are fetched
+  assert.equal(cache.lookup('m9', []), null);
+  assert.equal(cache.data.historyId, '20');
+});
+
+test('expired history marks every entry stale', async () => {
+  const cache = await filledCache();
+  const result = await cache.sync(gmailWith([], { expired: true, historyId: '99' }));
+
+  assert.equal(result.expired, true);
+  assert.ok(cache.entries().every(entry => entry.stale));
+  assert.equal(cache.lookup('m1', ['From']), null);
+  assert.equal(cache.data.historyId, '99');
+});
+
+test('a cache from another mailbox is dropped', async () => {
+  const cache = await filledCache();
+  cache.data.emailAddress = 'someone-else@example.com';
+  await cache.sync(gmailWith([]));
+  assert.equal(cache.size, 0);
+});
+
+test('save and load round trip', async () => {
+  const cache = await filledCache();
+  cache.setCategory('m1', 'newsletter', 'rules');
+  await cache.save();
+  assert.equal(cache.dirty, false);
+
+  const loaded = await MessageCache.load(CACHE_PATH);
+  assert.equal(loaded.size, 3);
+  assert.equal(loaded.data.messages.m1.category, 'newsletter');
+  assert.equal(loaded.lookup('m2', ['Subject']).snippet, 'm2');
+});
+
+test('prune drops the oldest mail beyond the limit', () => {
+  const cache = new MessageCache(undefined, CACHE_PATH);
+  ['old', 'new', 'middle'].forEach((id, i) => cache.store(message(id, ['INBOX'], [], String([1, 3, 2][i] * 1000)), []));
+
+  assert.equal(cache.prune(5), 0);
+  assert.equal(cache.prune(2), 1);
+  assert.deepEqual(cache.entries().map(entry => entry.id).sort(), ['middle', 'new']);
+});
+
+test('saveSync caps the file at MESSAGE_CACHE_MAX_ENTRIES', async () => {
+  const cache = await filledCache();
+  process.env.MESSAGE_CACHE_MAX_ENTRIES = '2';
+  try {
+    cache.saveSync();
+  } finally {
+    delete process.env.MESSAGE_CACHE_MAX_ENTRIES;
+  }
+  assert.equal(cache.dirty, false);
+  assert.equal((await MessageCache.load(CACHE_PATH)).size, 2);
+});
@@ -0,0 +1,46 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tempStateDir, runScript } from './helpers.js';
+
+let state;
+beforeEach(async () => { state = await tempStateDir(); });
+afterEach(() => state.cleanup());
+
+async function writeRules(rules) {
+  const file = path.join(state.dir, 'rules.json');
+  await fs.writeFile(file, JSON.stringify(rules));
+  return { RULES_FILE: file };
+}
+
+test('the dry run names the rules metadata alone cannot evaluate', async () => {
+  const env = await writeRules({
+    version: 1,
+    rules: [
+      { id: 'scans', match: { from: 'scanner@office.example', query: 'has:attachment' }, label: 'Scans', action: 'archive' },
+      { id: 'invoices', match: { query: 'invoice' }, label: 'Invoices', action: 'keep_inbox' },
+      { id: 'deals', match: { from: 'deals@shop.example.com' }, label: 'Filtered/Promotional', action: 'archive' }
+    ]
+  });
+  const { code, stdout } = await runScript('dryRunFilterImprovements.js', [], { stateDir: state.dir, env });
+
+  assert.equal(code, 0);
+  const [, limited] = stdout.match(/may match more mail than counted:\n((?: {4}.*\n)+)/);
+  assert.deepEqual(limited.trim().split(/\n\s*/), ['scans: has:attachment', 'invoices: invoice']);
+});
+
+test('a dry run that fails exits with 1', async () => {
+  const env = await writeRules({ version: 1, rules: [{ id: 'Bad Id' }] });
+  const { code, stderr } = await runScript('dryRunFilterImprovements.js', [], { stateDir: state.dir, env });
+
+  assert.equal(code, 1);
+  assert.match(stderr, /Invalid rules file/);
+});
+
+test('apply without a saved plan exits with 1', async () => {
+  const { code, stderr } = await runScript('applyFilterImprovements.js', ['--yes'], { stateDir: state.dir });
+
+  assert.equal(code, 1);
+  assert.match(stderr, /No saved plan/);
+});
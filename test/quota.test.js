@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuotaLimiter, getQuotaLimiter, meterClient, retryAfterMs, isRateLimitError } from '../src/quota.js';
+import { withRetry } from '../src/utils.js';
+
+function rateLimited(retryAfter) {
+  return Object.assign(new Error('Too Many Requests'), { code: 429, response: { headers: { 'retry-after': retryAfter } } });
+}
+
+test('retryAfterMs reads seconds and HTTP dates', () => {
+  assert.equal(retryAfterMs(rateLimited('2')), 2000);
+  assert.equal(retryAfterMs({ response: { headers: new Headers({ 'Retry-After': '0.5' }) } }), 500);
+  const inTenSeconds = retryAfterMs(rateLimited(new Date(Date.now() + 10000).toUTCString()));
+  assert.ok(inTenSeconds > 8000 && inTenSeconds <= 10000);
+  assert.equal(retryAfterMs(new Error('no response')), null);
+});
+
+test('isRateLimitError', () => {
+  assert.ok(isRateLimitError(rateLimited('1')));
+  assert.ok(isRateLimitError({ code: 403, errors: [{ reason: 'userRateLimitExceeded' }] }));
+  assert.ok(!isRateLimitError({ code: 403, errors: [{ reason: 'insufficientPermissions' }] }));
+});
+
+test('the bucket serves a burst at once, then waits for the refill', async () => {
+  const quota = new QuotaLimiter({ unitsPerSecond: 100, burst: 10 });
+
+  await quota.take(10, 'messages.get', 2);
+  assert.equal(quota.stats.waitedMs, 0);
+
+  // Another 5 units take 50ms to refill at 100 units per second
+  await quota.take(5, 'messages.get');
+  assert.ok(quota.stats.waitedMs >= 40, `waited ${quota.stats.waitedMs}ms`);
+  assert.deepEqual(quota.summary().methods, { 'messages.get': { calls: 3, units: 15 } });
+});
+
+test('a call bigger than the bucket goes through and the next one pays for it', async () => {
+  const quota = new QuotaLimiter({ unitsPerSecond: 1000, burst: 10 });
+
+  await quota.take(50, 'messages.batchModify');
+  assert.equal(quota.stats.waitedMs, 0);
+  // The bucket is 40 units in debt: 45ms before 5 more are there
+  await quota.take(5, 'messages.get');
+  assert.ok(quota.stats.waitedMs >= 35, `waited ${quota.stats.waitedMs}ms`);
+});
+
+test('pause holds back every caller and empties the bucket', async () => {
+  const quota = new QuotaLimiter({ unitsPerSecond: 1000, burst: 1000 });
+  const started = Date.now();
+
+  await Promise.all([quota.pause(100), quota.take(1, 'getProfile')]);
+  assert.ok(Date.now() - started >= 90);
+  assert.ok(quota.stats.waitedMs >= 90, `waited ${quota.stats.waitedMs}ms`);
+  assert.equal(quota.summary().throttled, 1);
+});
+
+test('withRetry pauses the shared limiter for the Retry-After time', async () => {
+  const quota = getQuotaLimiter();
+  quota.resetStats();
+  let attempts = 0;
+  const started = Date.now();
+
+  const result = await withRetry(async () => {
+    if (++attempts === 1) throw rateLimited('0.1');
+    return 'ok';
+  }, 3, 5000);
+
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 2);
+  assert.equal(quota.summary().throttled, 1);
+  // Retry-After wins over the much longer backoff
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 90 && elapsed < 5000, `took ${elapsed}ms`);
+});
+
+test('meterClient charges each method its units', async () => {
+  const quota = new QuotaLimiter();
+  const client = { users: { messages: { get: async ({ id }) => ({ data: { id } }) }, getProfile: async () => ({ data: {} }) } };
+  const metered = meterClient(client, quota);
+
+  assert.deepEqual(await metered.users.messages.get({ id: 'm1' }), { data: { id: 'm1' } });
+  await metered.users.getProfile();
+  assert.deepEqual(quota.summary().methods, {
+    'messages.get': { calls: 1, units: 5 },
+    getProfile: { calls: 1, units: 1 }
+  });
+});
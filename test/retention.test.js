@@ -0,0 +1,82 @@
+import { STATE_DIR } from './isolate.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { MemoryMailbox } from '../src/memoryMailbox.js';
+import { RetentionPolicies } from '../src/retention.js';
+import { Journal } from '../src/journal.js';
+
+// Every test builds its own mailbox; a cache would outlive it
+process.env.MESSAGE_CACHE = 'off';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const POLICIES = [
+  { id: 'keep-receipts', label: 'Receipts', action: 'archive', olderThanDays: 30, neverDelete: true },
+  { id: 'old-promos', category: 'promotions', action: 'trash', olderThanDays: 30 }
+];
+
+function mailbox() {
+  const box = new MemoryMailbox({ emailAddress: 'me@example.com' });
+  const receipts = box.createLabel('Receipts').id;
+  const add = (id, from, labelIds, daysOld = 60) => box.addMessage({
+    id,
+    labelIds,
+    internalDate: Date.now() - daysOld * DAY,
+    headers: [{ name: 'From', value: from }, { name: 'Subject', value: id }]
+  });
+
+  add('promo', 'deals@shop.example', ['INBOX', 'CATEGORY_PROMOTIONS']);
+  add('recent-promo', 'deals@shop.example', ['INBOX', 'CATEGORY_PROMOTIONS'], 5);
+  add('starred-promo', 'deals@shop.example', ['INBOX', 'CATEGORY_PROMOTIONS', 'STARRED']);
+  add('vip-promo', 'boss@work.example', ['INBOX', 'CATEGORY_PROMOTIONS']);
+  add('bank-promo', 'offers@chase.com', ['INBOX', 'CATEGORY_PROMOTIONS']);
+  add('receipt-in-inbox', 'orders@shop.example', ['INBOX', 'CATEGORY_PROMOTIONS', receipts]);
+  add('receipt-archived', 'orders@shop.example', ['CATEGORY_PROMOTIONS', receipts]);
+  return box;
+}
+
+async function planFor(box, keep = ['boss@work.example']) {
+  const retention = new RetentionPolicies(box.client(), POLICIES, keep);
+  const plan = await retention.plan();
+  return { retention, plan, expired: plan.map(entry => entry.expire.map(message => message.id).sort()) };
+}
+
+test('the plan skips starred mail and protected senders', async () => {
+  const { plan, expired } = await planFor(mailbox());
+
+  // starred-promo and recent-promo never match the query at all
+  assert.deepEqual(expired[1], ['promo']);
+  assert.equal(plan[1].skipped.protected, 2);
+  assert.deepEqual(plan.map(entry => entry.labelFound), [true, true]);
+});
+
+test('mail under a neverDelete policy is never trashed', async () => {
+  const { plan, expired } = await planFor(mailbox());
+
+  assert.deepEqual(expired[0], ['receipt-in-inbox']);
+  // Archived by the first policy, so the trash policy leaves it alone
+  assert.equal(plan[1].skipped.earlierPolicy, 1);
+  // Already archived: the archive policy doesn't see it, the trash policy may not touch it
+  assert.equal(plan[1].skipped.neverDelete, 1);
+});
+
+test('without a keep list only protected domains are spared', async () => {
+  const { plan, expired } = await planFor(mailbox(), []);
+
+  assert.deepEqual(expired[1], ['promo', 'vip-promo']);
+  assert.equal(plan[1].skipped.protected, 1);
+});
+
+test('apply archives and trashes what the plan expires, through the journal', async () => {
+  const box = mailbox();
+  const { retention, plan } = await planFor(box);
+  const journal = new Journal('retention', undefined, path.join(STATE_DIR, 'retention-journal.jsonl'));
+
+  assert.equal(await retention.apply(plan, journal), 2);
+  assert.ok(!box.messages.get('receipt-in-inbox').labelIds.includes('INBOX'));
+  assert.ok(box.messages.get('promo').labelIds.includes('TRASH'));
+  assert.ok(!box.messages.get('starred-promo').labelIds.includes('TRASH'));
+  assert.ok(!box.messages.get('receipt-archived').labelIds.includes('TRASH'));
+  assert.equal(journal.count, 2);
+});
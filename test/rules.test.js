@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { validateRules, RULES_VERSION } from '../src/rules.js';
+import { ROOT_DIR } from './helpers.js';
+
+function rulesFile(rules, extra = {}) {
+  return { version: RULES_VERSION, rules, ...extra };
+}
+
+const receipts = {
+  id: 'paypal-receipts',
+  match: { from: 'service@paypal.com', subject: ['payment', 'refund'] },
+  label: 'Receipts',
+  action: 'archive'
+};
+
+test('the shipped rules.json is valid', async () => {
+  const data = JSON.parse(await fs.readFile(path.join(ROOT_DIR, 'rules.json'), 'utf8'));
+  assert.deepEqual(validateRules(data), []);
+});
+
+test('a minimal rules file is valid', () => {
+  assert.deepEqual(validateRules(rulesFile([receipts])), []);
+  assert.deepEqual(validateRules(rulesFile([{ id: 'spam-domain', match: { domain: 'spam.example' }, action: 'trash' }])), []);
+});
+
+test('the file needs version 1 and a rules list', () => {
+  assert.deepEqual(validateRules([]), ['Rules file must contain a JSON object']);
+  assert.deepEqual(validateRules({ version: 2, rules: [] }), ['Unsupported rules version 2 (expected 1)']);
+  assert.deepEqual(validateRules({ version: 1 }), ['"rules" must be a list']);
+});
+
+test('ids must be well-formed and unique', () => {
+  assert.deepEqual(validateRules(rulesFile([{ ...receipts, id: 'PayPal' }])),
+    ['Rule "PayPal": "id" must be lowercase letters, digits and dashes']);
+  assert.deepEqual(validateRules(rulesFile([receipts, { ...receipts, match: { from: 'other@paypal.com' } }])),
+    ['Rule "paypal-receipts": duplicate id']);
+});
+
+test('actions and labels', () => {
+  assert.deepEqual(validateRules(rulesFile([{ ...receipts, action: 'delete' }])),
+    ['Rule "paypal-receipts": "action" must be one of archive, trash, keep_inbox']);
+  assert.deepEqual(validateRules(rulesFile([{ ...receipts, action: 'trash' }])),
+    ['Rule "paypal-receipts": trash rules cannot add a label']);
+  assert.deepEqual(validateRules(rulesFile([{ ...receipts, label: undefined }])),
+    ['Rule "paypal-receipts": "label" is required unless action is "trash"']);
+});
+
+test('match and exclude fields', () => {
+  const errors = match => validateRules(rulesFile([{ ...receipts, match }]));
+  assert.deepEqual(errors({}), ['Rule "paypal-receipts": "match" needs at least one of from, domain, subject, query']);
+  assert.deepEqual(errors({ from: 'a@paypal.com', domain: 'paypal.com' }),
+    ['Rule "paypal-receipts": use either "from" or "domain", not both']);
+  assert.deepEqual(errors({ domain: '*@paypal.com' }),
+    ['Rule "paypal-receipts": match.domain must be a bare domain like "example.com"']);
+  assert.deepEqual(errors({ sender: 'a@paypal.com' }), [
+    'Rule "paypal-receipts": unknown match field(s) sender',
+    'Rule "paypal-receipts": "match" needs at least one of from, domain, subject, query'
+  ]);
+
+  assert.deepEqual(validateRules(rulesFile([{ ...receipts, exclude: { subject: 'sale' } }])),
+    ['Rule "paypal-receipts": exclude.subject must be a list of strings']);
+  assert.deepEqual(validateRules(rulesFile([{ ...receipts, exclude: { from: ['x'] } }])),
+    ['Rule "paypal-receipts": unknown exclude field(s) from']);
+});
+
+test('rules with the same criteria would compete', () => {
+  assert.deepEqual(validateRules(rulesFile([receipts, { ...receipts, id: 'paypal-copy', label: 'Other' }])),
+    ['Rule "paypal-copy": same criteria as rule "paypal-receipts"']);
+});
+
+test('retention policies are validated with the rules', () => {
+  const retention = [
+    { id: 'old-promos', category: 'promotions', olderThanDays: 30, action: 'trash' },
+    { id: 'old-receipts', label: 'Receipts', category: 'updates', olderThanDays: 0, action: 'archive', neverDelete: true }
+  ];
+  assert.deepEqual(validateRules(rulesFile([receipts], { retention })), [
+    'Retention policy "old-receipts": give either "label" or "category"',
+    'Retention policy "old-receipts": "olderThanDays" must be a whole number of days, at least 1'
+  ]);
+  assert.deepEqual(validateRules(rulesFile([receipts], { retention: [{ ...retention[0], neverDelete: true }] })),
+    ['Retention policy "old-promos": a trash policy can\'t also be "neverDelete"']);
+});
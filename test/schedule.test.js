@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, createSchedule, parseQuietHours, nextRunTime } from '../src/schedule.js';
+
+const sorted = set => [...set].sort((a, b) => a - b);
+
+test('parseCron expands lists, ranges and steps', () => {
+  const cron = parseCron('*/15 8-18/5 1,15 * 1-5');
+  assert.deepEqual(sorted(cron.minute), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(cron.hour), [8, 13, 18]);
+  assert.deepEqual(sorted(cron.dayOfMonth), [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.deepEqual(sorted(cron.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.equal(cron.restrictsDayOfMonth, true);
+  assert.equal(cron.restrictsDayOfWeek, true);
+});
+
+test('parseCron treats day of week 7 as Sunday', () => {
+  const cron = parseCron('0 9 * * 7');
+  assert.deepEqual(sorted(cron.dayOfWeek), [0, 7]);
+  assert.equal(cron.restrictsDayOfMonth, false);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /needs 5 fields/);
+  assert.throws(() => parseCron('a * * * *'), /Invalid cron minute "a"/);
+  assert.throws(() => parseCron('0 24 * * *'), /Cron hour "24" is outside 0-23/);
+  assert.throws(() => parseCron('0 0 0 * *'), /is outside 1-31/);
+  assert.throws(() => parseCron('*/0 * * * *'), /is outside/);
+  assert.throws(() => parseCron('5-1 * * * *'), /is outside/);
+});
+
+test('a cron schedule finds the next matching minute', () => {
+  const schedule = createSchedule({ cron: '30 9 * * 1-5' });
+  // Saturday 2026-10-17 10:00 -> Monday 09:30
+  const next = schedule.next(new Date(2026, 9, 17, 10, 0));
+  assert.equal(next.getTime(), new Date(2026, 9, 19, 9, 30).getTime());
+});
+
+test('either day field may match when both are restricted', () => {
+  const schedule = createSchedule({ cron: '0 0 1 * 1' });
+  // Friday 2026-10-16 -> Monday the 19th comes before November 1st
+  assert.equal(schedule.next(new Date(2026, 9, 16, 12, 0)).getTime(), new Date(2026, 9, 19).getTime());
+});
+
+test('impossible cron dates fail at startup', () => {
+  assert.throws(() => createSchedule({ cron: '0 0 31 2 *' }), /never matches/);
+});
+
+test('interval schedules and quiet hours', () => {
+  const schedule = createSchedule({ intervalMinutes: 30 });
+  assert.equal(schedule.description, 'every 30 minutes');
+  assert.throws(() => createSchedule({ intervalMinutes: 0 }), /positive number/);
+
+  const quiet = parseQuietHours('22:00-07:00');
+  assert.equal(nextRunTime(schedule, quiet, new Date(2026, 9, 19, 12, 0)).getTime(), new Date(2026, 9, 19, 12, 30).getTime());
+  assert.equal(nextRunTime(schedule, quiet, new Date(2026, 9, 19, 21, 45)).getTime(), new Date(2026, 9, 20, 7, 0).getTime());
+  assert.throws(() => parseQuietHours('22:00'), /start and end/);
+});
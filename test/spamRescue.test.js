@@ -0,0 +1,53 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { tempStateDir, runJson, runScript, readJournal } from './helpers.js';
+
+const RESCUED = ['msg-spam-1', 'msg-spam-bank-1'];
+
+let state;
+beforeEach(async () => { state = await tempStateDir(); });
+afterEach(() => state.cleanup());
+
+test('a dry run sorts Likely Spam and keeps spoofed senders out', async () => {
+  const report = await runJson('analyzeLikelySpam.js', ['--dry-run'], { stateDir: state.dir });
+
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.command, 'spam-rescue');
+  assert.equal(report.results.analyzed, 4);
+  assert.deepEqual(report.results.legitimate.flatMap(group => group.messages.map(m => m.id)).sort(), RESCUED);
+  // The injected dkim=pass below the real Authentication-Results must not vouch for rippling.com
+  assert.deepEqual(report.results.possibleSpoofing.map(m => m.id).sort(), ['msg-spam-injected-1', 'msg-spam-spoof-1']);
+  assert.equal(report.rescued, 0);
+  assert.deepEqual(await readJournal(state.dir), []);
+});
+
+test('--yes moves the legitimate mail back to the inbox', async () => {
+  const report = await runJson('analyzeLikelySpam.js', ['--yes'], { stateDir: state.dir });
+
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.rescued, 2);
+
+  const [entry, ...rest] = await readJournal(state.dir);
+  assert.deepEqual(rest, []);
+  assert.equal(entry.runId, report.runId);
+  assert.deepEqual([...entry.ids].sort(), RESCUED);
+  assert.deepEqual(entry.addLabelIds, ['INBOX']);
+});
+
+test('the paginated rescue asks before changing anything', async () => {
+  const { code, stdout } = await runScript('analyzeLikelySpamPaginated.js', [], { stateDir: state.dir });
+
+  assert.equal(code, 3);
+  assert.match(stdout, /Banking service - transaction\/notification \(1\):\n\s+• no-reply@alertsp\.chase\.com/);
+  assert.match(stdout, /Possible spoofing[^\n]*\n\s+• payroll@rippling\.com/);
+  assert.deepEqual(await readJournal(state.dir), []);
+});
+
+test('the paginated rescue with --yes rescues every batch', async () => {
+  const { code, stdout } = await runScript('analyzeLikelySpamPaginated.js', ['--yes'], { stateDir: state.dir });
+
+  assert.equal(code, 0);
+  assert.match(stdout, /Total emails rescued: 2/);
+  const journal = await readJournal(state.dir);
+  assert.deepEqual(journal.flatMap(entry => entry.ids).sort(), RESCUED);
+});
@@ -0,0 +1,112 @@
+import { STATE_DIR } from './isolate.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { MemoryMailbox, messageFromRaw } from '../src/memoryMailbox.js';
+import { useMailbox } from '../src/mailProvider.js';
+import { StorageAnalyzer, listAttachments } from '../src/storage.js';
+import { Journal } from '../src/journal.js';
+import { getQuotaLimiter } from '../src/quota.js';
+
+// The mailbox only lives as long as this file; a cache would outlive it
+process.env.MESSAGE_CACHE = 'off';
+
+const YEAR_AGO = Date.now() - 365 * 24 * 60 * 60 * 1000;
+
+function raw(from, subject, attachmentBytes = 0) {
+  const headers = [`From: ${from}`, 'To: me@example.com', `Subject: ${subject}`, `Message-ID: <${subject}@test>`];
+  if (!attachmentBytes) return [...headers, '', 'Hello.', ''].join('\r\n');
+  return [
+    ...headers,
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="b"',
+    '',
+    '--b',
+    'Content-Type: text/plain',
+    '',
+    'See attached.',
+    '--b',
+    'Content-Type: application/pdf; name="scan.pdf"',
+    'Content-Disposition: attachment; filename="scan.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.alloc(attachmentBytes, 1).toString('base64'),
+    '--b--',
+    ''
+  ].join('\r\n');
+}
+
+let box;
+let analyzer;
+before(() => {
+  box = new MemoryMailbox({ emailAddress: 'me@example.com' });
+  const add = (from, subject, labelIds, attachmentBytes) =>
+    box.addMessage(messageFromRaw(raw(from, subject, attachmentBytes), { labelIds, internalDate: YEAR_AGO }));
+
+  add('deals@shop.example', 'big-scan', ['INBOX'], 30000);
+  add('deals@shop.example', 'small-note', ['INBOX']);
+  add('boss@work.example', 'vip-scan', ['INBOX'], 30000);
+  add('statements@chase.com', 'bank-scan', ['INBOX'], 30000);
+  add('friend@example.org', 'starred-scan', ['INBOX', 'STARRED'], 30000);
+
+  useMailbox(box);
+  analyzer = new StorageAnalyzer(box, ['boss@work.example']);
+});
+after(() => {
+  useMailbox(null);
+  // The quota report printed on exit confuses the test runner's output parsing
+  getQuotaLimiter().resetStats();
+});
+
+test('usage totals bytes per sender and label and marks what is kept', async () => {
+  const usage = await analyzer.usage();
+
+  assert.equal(usage.scanned, 5);
+  assert.equal(usage.totalBytes, [...box.messages.values()].reduce((sum, message) => sum + message.sizeEstimate, 0));
+  const shop = usage.senders.find(sender => sender.email === 'deals@shop.example');
+  assert.equal(shop.count, 2);
+  assert.equal(usage.labels.find(label => label.id === 'INBOX').count, 5);
+
+  const kept = Object.fromEntries(usage.emails.map(email => [email.from, email.kept]));
+  assert.deepEqual(kept, {
+    'deals@shop.example': null,
+    'boss@work.example': 'protected',
+    'statements@chase.com': 'protected',
+    'friend@example.org': 'starred'
+  });
+});
+
+test('largeAttachments finds old attachment mail and keeps VIP, protected and starred mail', async () => {
+  const found = await analyzer.largeAttachments({ minSize: 20000, olderThanMonths: 6 });
+
+  assert.deepEqual(found.map(email => [email.subject, email.kept]).sort(), [
+    ['bank-scan', 'protected'],
+    ['big-scan', null],
+    ['starred-scan', 'starred'],
+    ['vip-scan', 'protected']
+  ]);
+  assert.deepEqual(found[0].attachments.map(({ filename, mimeType }) => [filename, mimeType]), [['scan.pdf', 'application/pdf']]);
+
+  assert.deepEqual(await analyzer.largeAttachments({ minSize: 20000, olderThanMonths: 24 }), []);
+});
+
+test('apply trashes the targets through the journal', async () => {
+  const targets = (await analyzer.largeAttachments({ minSize: 20000, olderThanMonths: 6 })).filter(email => !email.kept);
+  const journal = new Journal('storage', undefined, path.join(STATE_DIR, 'storage-journal.jsonl'));
+
+  const changed = await analyzer.apply(targets.map(email => email.id), 'trash', journal, undefined, { selection: 'attachments' });
+  assert.equal(changed, 1);
+  const trashed = [...box.messages.values()].filter(message => message.labelIds.includes('TRASH'));
+  assert.deepEqual(trashed.map(message => message.id), [targets[0].id]);
+  assert.ok(!trashed[0].labelIds.includes('INBOX'));
+});
+
+test('listAttachments walks nested parts', () => {
+  const payload = {
+    parts: [
+      { mimeType: 'text/plain', body: { size: 5 } },
+      { parts: [{ filename: 'a.zip', mimeType: 'application/zip', body: { attachmentId: 'x', size: 9 } }] }
+    ]
+  };
+  assert.deepEqual(listAttachments(payload), [{ filename: 'a.zip', mimeType: 'application/zip', size: 9 }]);
+});
@@ -0,0 +1,102 @@
+import './isolate.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeGmail } from '../src/fakeGmail.js';
+import { EmailAnalyzer } from '../src/emailAnalyzer.js';
+import { EmailFilter } from '../src/emailFilter.js';
+import { threadParticipants, personalThreadReason, fileableMessages } from '../src/threads.js';
+import { getQuotaLimiter } from '../src/quota.js';
+
+// The mailbox only lives as long as each test; a cache would outlive it
+process.env.MESSAGE_CACHE = 'off';
+
+// The quota report printed on exit confuses the test runner's output parsing
+after(() => getQuotaLimiter().resetStats());
+
+const VIP = 'alice@friend.org';
+
+function message(labelIds, headers) {
+  return { labelIds, payload: { headers: Object.entries(headers).map(([name, value]) => ({ name, value })) } };
+}
+
+function newsletter(id, from, extra = {}) {
+  return {
+    id,
+    from,
+    subject: 'This week',
+    date: '2026-10-01T06:00:00Z',
+    labels: ['INBOX', 'CATEGORY_UPDATES'],
+    headers: { 'List-Unsubscribe': `<mailto:unsubscribe@${from.split('@')[1]}>`, 'List-ID': `<weekly.${from.split('@')[1]}>` },
+    ...extra
+  };
+}
+
+function mailbox() {
+  return new FakeGmail().seed({
+    messages: [
+      newsletter('replied-1', 'editor@letters.example', { threadId: 'replied' }),
+      {
+        id: 'replied-2',
+        threadId: 'replied',
+        from: 'me@example.com',
+        to: 'editor@letters.example',
+        subject: 'Re: This week',
+        date: '2026-10-02T06:00:00Z',
+        labels: ['SENT'],
+        headers: { 'In-Reply-To': '<replied-1@fake.gmail>', References: '<replied-1@fake.gmail>' }
+      },
+      newsletter('vip-cc-1', 'news@shop.example', { headers: { 'List-Unsubscribe': '<mailto:u@shop.example>', Cc: `Alice <${VIP}>` } }),
+      newsletter('plain-1', 'digest@weekly.example')
+    ]
+  });
+}
+
+test('threadParticipants splits address lists outside quoted names', () => {
+  const participants = threadParticipants([
+    message([], { From: '"Smith, Bob" <Bob@X.com>', To: 'me@example.com, "Lee, Al" <al@y.com>' })
+  ]);
+  assert.deepEqual([...participants].sort(), ['al@y.com', 'bob@x.com', 'me@example.com']);
+});
+
+test('personalThreadReason: our own message or a VIP anywhere in the thread', () => {
+  const vendor = message(['INBOX'], { From: 'billing@vendor.example', To: 'me@example.com' });
+
+  assert.deepEqual(personalThreadReason([vendor, message(['SENT'], { From: 'me@example.com' })], [VIP]),
+    { reason: 'sent', participant: null });
+  assert.deepEqual(personalThreadReason([message(['INBOX'], { From: 'billing@vendor.example', Cc: VIP })], [VIP]),
+    { reason: 'vip', participant: VIP });
+  assert.equal(personalThreadReason([vendor], [VIP]), null);
+});
+
+test('fileableMessages leaves out drafts, trash and spam', () => {
+  const kept = message(['INBOX'], {});
+  assert.deepEqual(fileableMessages([kept, message(['DRAFT'], {}), message(['TRASH'], {}), message(['SPAM'], {})]), [kept]);
+});
+
+test('decideThread: a personal thread beats the rules, a VIP beats both', () => {
+  const analyzer = new EmailAnalyzer(new FakeGmail(), [VIP]);
+  const sent = [message(['INBOX'], { From: 'editor@letters.example' }), message(['SENT'], { From: 'me@example.com' })];
+
+  assert.equal(analyzer.decideThread(sent, [{ category: 'newsletter' }]).category, 'personal');
+  assert.equal(analyzer.decideThread(sent, [{ category: 'newsletter' }, { category: 'vip' }]).category, 'vip');
+  assert.deepEqual(analyzer.decideThread([sent[0]], [{ category: 'unknown' }, { category: 'newsletter' }]),
+    { category: 'newsletter', personal: null });
+});
+
+test('threads we replied to or a VIP is on stay in the inbox', async () => {
+  const box = mailbox();
+  const analyzer = new EmailAnalyzer(box, [VIP]);
+  const results = await analyzer.analyzeAllEmails(['replied-1', 'vip-cc-1', 'plain-1'].map(id => ({ id })));
+
+  assert.deepEqual(results.personal.map(analysis => analysis.id).sort(), ['replied-1', 'replied-2', 'vip-cc-1']);
+  assert.deepEqual(results.newsletters.map(analysis => analysis.id), ['plain-1']);
+  assert.equal(results.personal.find(analysis => analysis.id === 'replied-1').thread.personal, 'sent');
+  assert.equal(results.personal.find(analysis => analysis.id === 'vip-cc-1').thread.participant, VIP);
+
+  const filter = new EmailFilter(box, [VIP]);
+  await filter.applyFiltersToExisting(results, await filter.setupFilteringLabels());
+  const inInbox = id => box.messages.get(id).labelIds.includes('INBOX');
+  assert.ok(inInbox('replied-1'));
+  assert.ok(inInbox('vip-cc-1'));
+  assert.ok(!inInbox('plain-1'));
+});
@@ -0,0 +1,76 @@
+import { STATE_DIR } from './isolate.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { saveToken, loadToken, keySource } from '../src/tokenStore.js';
+
+const CREDENTIALS = { type: 'authorized_user', client_id: 'id', client_secret: 'secret', refresh_token: 'refresh-me' };
+const TOKEN_FILE = path.join(STATE_DIR, 'token.json');
+const KEYFILE = path.join(STATE_DIR, 'keys', 'token.key');
+
+beforeEach(async () => {
+  delete process.env.TOKEN_PASSPHRASE;
+  process.env.TOKEN_KEYFILE = KEYFILE;
+  await fs.rm(TOKEN_FILE, { force: true });
+});
+
+test('a token saved with a keyfile decrypts with the same keyfile', async () => {
+  await saveToken(TOKEN_FILE, CREDENTIALS);
+
+  const stored = JSON.parse(await fs.readFile(TOKEN_FILE, 'utf8'));
+  assert.equal(stored.cipher, 'aes-256-gcm');
+  assert.equal(stored.keySource, 'keyfile');
+  assert.ok(!JSON.stringify(stored).includes('refresh-me'));
+  assert.equal((await fs.stat(KEYFILE)).mode & 0o777, 0o600);
+
+  assert.deepEqual(await loadToken(TOKEN_FILE), { credentials: CREDENTIALS, encrypted: true });
+});
+
+test('a token saved with a passphrase needs that passphrase', async () => {
+  process.env.TOKEN_PASSPHRASE = 'correct horse';
+  assert.deepEqual(keySource(), { type: 'passphrase' });
+  await saveToken(TOKEN_FILE, CREDENTIALS);
+  assert.deepEqual((await loadToken(TOKEN_FILE)).credentials, CREDENTIALS);
+
+  process.env.TOKEN_PASSPHRASE = 'battery staple';
+  await assert.rejects(loadToken(TOKEN_FILE), /Could not decrypt token\.json \(check TOKEN_PASSPHRASE/);
+});
+
+test('another keyfile cannot decrypt the token, and a missing one is not created on read', async () => {
+  await saveToken(TOKEN_FILE, CREDENTIALS);
+
+  const otherKeyfile = path.join(STATE_DIR, 'keys', 'other.key');
+  await fs.writeFile(otherKeyfile, 'not the key');
+  process.env.TOKEN_KEYFILE = otherKeyfile;
+  await assert.rejects(loadToken(TOKEN_FILE), /Could not decrypt token\.json \(check TOKEN_KEYFILE/);
+
+  process.env.TOKEN_KEYFILE = path.join(STATE_DIR, 'keys', 'missing.key');
+  await assert.rejects(loadToken(TOKEN_FILE), /Cannot read token keyfile/);
+  await assert.rejects(fs.access(process.env.TOKEN_KEYFILE), { code: 'ENOENT' });
+});
+
+test('a tampered token fails the GCM check', async () => {
+  await saveToken(TOKEN_FILE, CREDENTIALS);
+  const stored = JSON.parse(await fs.readFile(TOKEN_FILE, 'utf8'));
+
+  const data = Buffer.from(stored.data, 'base64');
+  data[0] ^= 1;
+  await fs.writeFile(TOKEN_FILE, JSON.stringify({ ...stored, data: data.toString('base64') }));
+  await assert.rejects(loadToken(TOKEN_FILE), /Could not decrypt token\.json.*(auth|Unsupported state)/);
+
+  const tag = Buffer.from(stored.tag, 'base64');
+  tag[0] ^= 1;
+  await fs.writeFile(TOKEN_FILE, JSON.stringify({ ...stored, tag: tag.toString('base64') }));
+  await assert.rejects(loadToken(TOKEN_FILE), /Could not decrypt token\.json/);
+});
+
+test('plain-text and missing token files', async () => {
+  assert.equal(await loadToken(TOKEN_FILE), null);
+
+  await fs.writeFile(TOKEN_FILE, JSON.stringify(CREDENTIALS));
+  assert.deepEqual(await loadToken(TOKEN_FILE), { credentials: CREDENTIALS, encrypted: false });
+
+  await fs.writeFile(TOKEN_FILE, '{ not json');
+  await assert.rejects(loadToken(TOKEN_FILE), /Token file token\.json is unreadable/);
+});
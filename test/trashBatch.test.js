@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tempStateDir, runScript, readJournal } from './helpers.js';
+
+// More than one batchModify call's worth
+const JUNK = 1100;
+
+let state;
+let env;
+before(async () => {
+  state = await tempStateDir();
+  const fixtures = path.join(state.dir, 'mailbox.json');
+  const rules = path.join(state.dir, 'rules.json');
+  await fs.writeFile(fixtures, JSON.stringify({
+    emailAddress: 'me@example.com',
+    messages: [
+      ...Array.from({ length: JUNK }, (_, i) => ({ id: `junk-${i}`, from: 'offers@junk.example', subject: `Offer ${i}` })),
+      { id: 'keep-1', from: 'friend@example.org', subject: 'Hello' }
+    ]
+  }));
+  await fs.writeFile(rules, JSON.stringify({
+    version: 1,
+    rules: [{ id: 'junk', match: { from: 'offers@junk.example' }, action: 'trash' }]
+  }));
+  env = { FAKE_GMAIL_FIXTURES: fixtures, RULES_FILE: rules, GMAIL_QUOTA_UNITS_PER_SECOND: '100000' };
+});
+after(() => state.cleanup());
+
+test('trash-batch trashes in batches and counts what was trashed', async () => {
+  const { code, stdout } = await runScript('trashBatch.js', [], { stateDir: state.dir, env });
+
+  assert.equal(code, 0);
+  assert.match(stdout, new RegExp(`Trashed ${JUNK} from offers@junk\\.example`));
+  assert.match(stdout, new RegExp(`Total emails trashed: ${JUNK}`));
+
+  const journal = await readJournal(state.dir);
+  const modifies = journal.filter(entry => entry.type === 'modify');
+  assert.deepEqual(modifies.map(entry => entry.ids.length), [1000, JUNK - 1000]);
+  assert.ok(modifies.every(entry => entry.addLabelIds.includes('TRASH')));
+  assert.ok(!modifies.some(entry => entry.ids.includes('keep-1')));
+});
@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tempStateDir, runJson, runScript, readJournal } from './helpers.js';
+
+// One message in the inbox and one already archived, both from x@y.com
+const MBOX = [
+  'From x@y.com Mon Jan  1 00:00:00 2024',
+  'From: X <x@y.com>',
+  'To: me@example.com',
+  'Subject: In the inbox',
+  'Date: Mon, 1 Jan 2024 00:00:00 +0000',
+  'Message-ID: <inbox@y.com>',
+  'X-Gmail-Labels: Inbox,Opened',
+  '',
+  'First.',
+  '',
+  'From x@y.com Mon Jan  1 00:00:00 2024',
+  'From: X <x@y.com>',
+  'To: me@example.com',
+  'Subject: Already archived',
+  'Date: Mon, 1 Jan 2024 00:00:00 +0000',
+  'Message-ID: <archived@y.com>',
+  'X-Gmail-Labels: Archived,Opened',
+  '',
+  'Second.',
+  ''
+].join('\n');
+
+let state;
+let env;
+before(async () => {
+  state = await tempStateDir();
+  await fs.writeFile(path.join(state.dir, 'mail.mbox'), MBOX);
+  env = { MAIL_PROVIDER: 'local', LOCAL_MAILBOX: path.join(state.dir, 'mail.mbox') };
+});
+after(() => state.cleanup());
+
+async function storedLabels() {
+  const store = JSON.parse(await fs.readFile(path.join(state.dir, '.local-mailbox.json'), 'utf8'));
+  return Object.values(store.messages).map(labels => labels.includes('INBOX'));
+}
+
+test('undo restores only the labels a run actually changed', async () => {
+  const report = await runJson('storageCommand.js', ['--archive', '--sender', 'x@y.com', '--yes'], { stateDir: state.dir, env });
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.cleanup.targets, 2);
+  assert.equal(report.cleanup.changed, 1);
+  assert.deepEqual(await storedLabels(), [false, false]);
+
+  const [archived] = await readJournal(state.dir);
+  assert.equal(archived.ids.length, 1);
+  assert.deepEqual(archived.removeLabelIds, ['INBOX']);
+
+  const { code } = await runScript('undo.js', [report.cleanup.runId, '--yes'], { stateDir: state.dir, env });
+  assert.equal(code, 0);
+  // The message that was archived before the run stays archived
+  assert.deepEqual((await storedLabels()).sort(), [false, true]);
+
+  const [, restored] = await readJournal(state.dir);
+  assert.deepEqual(restored.ids, archived.ids);
+  assert.deepEqual(restored.addLabelIds, ['INBOX']);
+});
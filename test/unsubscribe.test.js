@@ -0,0 +1,98 @@
+import { STATE_DIR } from './isolate.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {
+  Unsubscriber, LogTransport, useTransports, rankSenders, parseListUnsubscribe, chooseMethod, loadAttempts, ONE_CLICK_BODY
+} from '../src/unsubscribe.js';
+
+const LOG_PATH = path.join(STATE_DIR, 'unsubscribe-log.jsonl');
+
+function listMessage(id, from, { post = true, dkim = 'mx.google.com; dkim=pass header.d=news.example.com', unsubscribe } = {}) {
+  const headers = [
+    { name: 'From', value: from },
+    { name: 'Subject', value: `Issue ${id}` },
+    { name: 'List-Unsubscribe', value: unsubscribe || '<https://news.example.com/u/1>, <mailto:leave@news.example.com?subject=stop>' }
+  ];
+  if (post) headers.push({ name: 'List-Unsubscribe-Post', value: ONE_CLICK_BODY });
+  if (dkim) headers.push({ name: 'Authentication-Results', value: dkim });
+  return [id, { id, internalDate: String(Date.parse('2026-10-01') + Number(id.slice(1))), payload: { headers } }];
+}
+
+let log;
+afterEach(() => useTransports(null));
+
+function unsubscriber(options = {}) {
+  log = new LogTransport();
+  useTransports({ http: log, mail: log });
+  return new Unsubscriber({ logPath: LOG_PATH, ...options });
+}
+
+test('parseListUnsubscribe keeps https and mailto targets', () => {
+  assert.deepEqual(parseListUnsubscribe('<http://a.com/u>, <https://a.com/u>, <mailto:u@a.com?subject=bye>'), {
+    https: ['https://a.com/u'],
+    mailto: [{ address: 'u@a.com', subject: 'bye', body: 'unsubscribe' }]
+  });
+});
+
+test('rankSenders counts each list and reads the newest message', () => {
+  const senders = rankSenders(new Map([
+    listMessage('m1', 'News <digest@news.example.com>'),
+    listMessage('m2', 'News <digest@news.example.com>', { dkim: null }),
+    listMessage('m3', 'Boss <boss@work.example>')
+  ]), { keep: ['work.example'] });
+
+  assert.equal(senders.length, 1);
+  assert.equal(senders[0].count, 2);
+  assert.equal(senders[0].subject, 'Issue m2');
+  assert.equal(senders[0].signed, false);
+});
+
+test('a signed one-click header gets a POST', async () => {
+  const [sender] = rankSenders(new Map([listMessage('m1', 'digest@news.example.com')]));
+  const attempt = await unsubscriber({ from: 'me@example.com' }).unsubscribe(sender);
+
+  assert.equal(attempt.method, 'one-click');
+  assert.equal(attempt.status, 'sent');
+  assert.deepEqual(log.requests, [{ type: 'post', url: 'https://news.example.com/u/1', body: ONE_CLICK_BODY }]);
+});
+
+test('a one-click header without an aligned DKIM pass is left to the user', async () => {
+  for (const dkim of [null, 'mx.google.com; dkim=pass header.d=spammer.example', 'mx.google.com; dkim=fail header.d=news.example.com']) {
+    const [sender] = rankSenders(new Map([listMessage('m1', 'digest@news.example.com', { dkim })]));
+    const attempt = await unsubscriber({ from: 'me@example.com' }).unsubscribe(sender);
+
+    assert.equal(attempt.method, 'manual', String(dkim));
+    assert.equal(attempt.status, 'manual');
+    assert.equal(attempt.target, 'https://news.example.com/u/1');
+    assert.deepEqual(log.requests, []);
+  }
+});
+
+test('without one-click the mailto: address gets an email', async () => {
+  const [sender] = rankSenders(new Map([listMessage('m1', 'digest@news.example.com', { post: false })]));
+  const attempt = await unsubscriber({ from: 'me@example.com' }).unsubscribe(sender);
+
+  assert.equal(attempt.method, 'mailto');
+  assert.equal(attempt.status, 'sent');
+  assert.deepEqual(log.requests, [{ type: 'mail', from: 'me@example.com', to: 'leave@news.example.com', subject: 'stop', text: 'unsubscribe' }]);
+
+  // With no address to send from, the link is all that's left
+  assert.equal(unsubscriber().plan(sender).method, 'manual');
+});
+
+test('a failed POST is recorded as failed', async () => {
+  const [sender] = rankSenders(new Map([listMessage('m1', 'digest@news.example.com')]));
+  const failing = new Unsubscriber({ transports: { http: { post: async () => ({ status: 500 }) }, mail: null }, logPath: LOG_PATH });
+  const attempt = await failing.unsubscribe(sender);
+
+  assert.equal(attempt.status, 'failed');
+  assert.equal(attempt.error, 'HTTP 500');
+});
+
+test('every attempt is appended to the log', async () => {
+  const attempts = await loadAttempts(LOG_PATH);
+  assert.ok(attempts.length >= 4);
+  assert.ok(attempts.every(attempt => attempt.sender === 'digest@news.example.com' && attempt.messageCount === 1));
+  assert.equal(chooseMethod({ https: [], mailto: [] }, false, true).method, 'none');
+});